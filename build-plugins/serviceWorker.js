@@ -0,0 +1,60 @@
+// Vite plugin that builds dist/sw.js from src/sw.js. It injects the list of files to precache
+// (everything emitted by the build plus the public directory) and a cache version hashed from
+// their contents, so every deploy installs a fresh cache and the service worker evicts old ones.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Public files that are not part of the app shell
+const PUBLIC_EXCLUDE = new Set(['index.html', 'sw.js']);
+
+function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((dirent) => {
+    const relative = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    return dirent.isDirectory() ? listFiles(path.join(dir, dirent.name), relative) : [relative];
+  });
+}
+
+export default function serviceWorkerPlugin({ src = 'src/sw.js', fileName = 'sw.js' } = {}) {
+  let config;
+  return {
+    name: 'qra-service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    // 'post' so that index.html, emitted by Vite's own generateBundle, is in the bundle already
+    generateBundle: {
+      order: 'post',
+      handler(options, bundle) {
+        const hash = crypto.createHash('sha256');
+        const files = [];
+
+        Object.values(bundle)
+          .filter(output => !output.fileName.endsWith('.map'))
+          .forEach((output) => {
+            files.push(output.fileName);
+            hash.update(output.fileName);
+            hash.update(output.type === 'chunk' ? output.code : output.source);
+          });
+        listFiles(config.publicDir)
+          .filter(file => !PUBLIC_EXCLUDE.has(file))
+          .forEach((file) => {
+            files.push(file);
+            hash.update(file);
+            hash.update(fs.readFileSync(path.join(config.publicDir, file)));
+          });
+
+        const urls = [config.base, ...files.sort().map(file => `${config.base}${file}`)];
+        const version = hash.digest('hex').slice(0, 12);
+        const source = fs.readFileSync(path.resolve(config.root, src), 'utf8')
+          .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(urls))
+          .replace('__CACHE_VERSION__', version);
+
+        this.emitFile({ type: 'asset', fileName, source });
+      },
+    },
+  };
+}
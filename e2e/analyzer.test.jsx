@@ -0,0 +1,148 @@
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getLog, resetMock, setFaults } from './mockBackend.js';
+import { openTab, reciteFatiha, renderApp, SCENARIO_TIMEOUT_MS } from './app.jsx';
+import { FINAL_CHUNK_BYTES } from './setup.js';
+
+const framesIn = (log, type) => log.frames.filter(frame => frame.direction === 'in' && frame.type === type);
+const RECORDER_SAMPLE_RATE = window.AudioContext.sampleRate;
+
+describe('analyzer', () => {
+  beforeEach(() => {
+    window.AudioContext.decoded = [];
+  });
+
+  afterEach(() => {
+    window.AudioContext.sampleRate = RECORDER_SAMPLE_RATE;
+    vi.restoreAllMocks();
+    return resetMock();
+  });
+
+  it('follows the recitation verse by verse and records the mistakes', async () => {
+    await resetMock('fatiha');
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+
+    await screen.findByText('Reciting: Al-Fatihah - 2', {}, { timeout: SCENARIO_TIMEOUT_MS });
+    await screen.findByText(/Mistake detected! .* at word: "رَبِّ" \(You said: "رَبُّ"\)/, {}, { timeout: SCENARIO_TIMEOUT_MS });
+    await screen.findByText('Reciting: Al-Fatihah - 3', {}, { timeout: SCENARIO_TIMEOUT_MS });
+    await screen.findByText(/Mistake detected! .* at word: "الرَّحْمَٰنِ"/, {}, { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+
+    const log = await getLog();
+    const [config] = framesIn(log, 'config');
+    expect(config.message).toMatchObject({ feedbackMode: 'highlight', profile_id: expect.any(String), session_id: expect.any(String) });
+    // The fake AudioContext runs below 16 kHz, so the app streams its MediaRecorder container
+    expect(config.message.audio_format.codec).toBe('container');
+    const audio = log.frames.filter(frame => frame.direction === 'in' && frame.binary);
+    expect(audio.length).toBeGreaterThan(0);
+    expect(audio.every(frame => frame.codec === 'container' && !frame.error)).toBe(true);
+
+    // The recorder's last chunk, delivered after it stops, still goes out before the socket closes
+    await waitFor(async () => {
+      const frames = (await getLog()).frames.filter(frame => frame.direction === 'in' && frame.binary);
+      expect(frames[frames.length - 1].payload_bytes).toBe(FINAL_CHUNK_BYTES);
+    });
+
+    openTab('Training');
+    // Both wait in the queue for the learner to confirm or correct them
+    expect(await screen.findAllByRole('button', { name: 'Mistake' })).toHaveLength(2);
+  });
+
+  it('streams 16 kHz PCM with the speech boundaries when the audio context can capture it', async () => {
+    window.AudioContext.sampleRate = 16000;
+    // The fake context has no audioWorklet, so the app falls back to a ScriptProcessorNode and says so
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await resetMock('fatiha');
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+
+    await screen.findByText('Reciting: Al-Fatihah - 2', {}, { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+    expect(warn).toHaveBeenCalledWith('Falling back to ScriptProcessorNode capture:', expect.any(Error));
+
+    const log = await getLog();
+    const [config] = framesIn(log, 'config');
+    expect(config.message.audio_format).toEqual({ codec: 'pcm_s16le', sample_rate: 16000, channels: 1, frame_ms: 100 });
+    const audio = log.frames.filter(frame => frame.direction === 'in' && frame.binary);
+    expect(audio.length).toBeGreaterThan(0);
+    // 100 ms of 16-bit mono at 16 kHz per frame
+    expect(audio.every(frame => frame.codec === 'pcm_s16le' && frame.payload_bytes === 3200 && !frame.error)).toBe(true);
+    // The fake microphone's tone starts and stops every second; only the speech, with a short
+    // pre-roll, is sent
+    const events = framesIn(log, 'vad').map(frame => frame.message.event);
+    expect(events.slice(0, 2)).toEqual(['speech_start', 'speech_end']);
+    expect(audio[0].timestamp_ms).toBeGreaterThan(0);
+  });
+
+  it('plays the spoken correction and keeps the learner when the feedback mode changes', async () => {
+    await resetMock('fatiha');
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+    await screen.findByText('Reciting: Al-Fatihah - 1', {}, { timeout: SCENARIO_TIMEOUT_MS });
+
+    openTab('Settings');
+    fireEvent.click(screen.getByDisplayValue('spoken'));
+    openTab('Analyzer');
+    await screen.findByText(/Mistake detected! .* at word: "رَبِّ"/, {}, { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+
+    // The scenario's correction is a 0.4 s 16 kHz WAV tone
+    expect(window.AudioContext.decoded).toEqual([44 + 0.4 * 16000 * 2]);
+    const configs = framesIn(await getLog(), 'config');
+    expect(configs).toHaveLength(2);
+    expect(configs[1].message).toMatchObject({ feedbackMode: 'spoken', profile_id: configs[0].message.profile_id });
+  });
+
+  it('reports malformed, unknown and newer-version frames', async () => {
+    await resetMock('protocol-errors');
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+
+    await screen.findByText(/^Backend version mismatch: /, {}, { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+    await waitFor(() => expect(screen.queryByText(/^Reciting:/)).toBeNull());
+  });
+
+  it('reconnects after the socket drops and resumes from the last verse', async () => {
+    await resetMock('dropped-socket');
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+
+    await screen.findByText('Reciting: Al-Fatihah - 2', {}, { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+
+    const log = await getLog();
+    const [resume] = framesIn(log, 'resume');
+    const configs = framesIn(log, 'config');
+    expect(resume.message).toMatchObject({ session_id: configs[0].message.session_id, last_verse: { sura_name: 'Al-Fatihah', ayah_number: 1 } });
+    expect(configs.map(frame => frame.message.session_id)).toEqual([resume.message.session_id, resume.message.session_id]);
+    // The new socket's audio starts with the recorder's first chunk again: it holds the container header
+    const audio = log.frames.filter(frame => frame.direction === 'in' && frame.binary);
+    const resumedAudio = log.frames.slice(log.frames.indexOf(resume)).filter(frame => frame.direction === 'in' && frame.binary);
+    expect(resumedAudio[0]).toMatchObject({ timestamp_ms: audio[0].timestamp_ms, payload_bytes: audio[0].payload_bytes });
+    expect(resumedAudio[0].seq).toBeGreaterThan(audio[0].seq);
+  });
+
+  it('keeps the session going when the server cuts the connection', async () => {
+    await resetMock('fatiha');
+    await setFaults({ ws: { drop_after_ms: 1500 } });
+    await renderApp();
+    fireEvent.click(screen.getByText('Start Listening'));
+
+    await screen.findByText('Reciting: Al-Fatihah - 1', {}, { timeout: SCENARIO_TIMEOUT_MS });
+    await waitFor(async () => expect(framesIn(await getLog(), 'resume')).not.toHaveLength(0), { timeout: SCENARIO_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Stop Listening'));
+    const [resume] = framesIn(await getLog(), 'resume');
+    expect(resume.message.last_verse).toEqual({ sura_name: 'Al-Fatihah', ayah_number: 1 });
+  });
+
+  it('stores the session so it can be replayed', async () => {
+    await resetMock('fatiha');
+    await renderApp();
+    await reciteFatiha();
+
+    openTab('Sessions');
+    expect(await screen.findAllByText(/Al-Fatihah/)).not.toHaveLength(0);
+  });
+});
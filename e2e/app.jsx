@@ -0,0 +1,26 @@
+// Mounts the whole app and drives it the way a user would.
+
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { IDBFactory } from 'fake-indexeddb';
+import { vi } from 'vitest';
+
+// The fatiha scenario takes about 5.5 s from the first audio frame to its last mistake
+export const SCENARIO_TIMEOUT_MS = 10000;
+
+// A fresh database and fresh module state, as on a first visit
+export async function renderApp() {
+  vi.resetModules();
+  globalThis.indexedDB = new IDBFactory();
+  const { default: App } = await import('../src/app.jsx');
+  return render(<App />);
+}
+
+export const openTab = name => fireEvent.click(screen.getByRole('button', { name: new RegExp(`^${name}`) }));
+
+// Runs a listening session of the fatiha scenario through to its last mistake, then stops
+export async function reciteFatiha() {
+  fireEvent.click(screen.getByText('Start Listening'));
+  await screen.findByText(/Mistake detected! .* at word: "الرَّحْمَٰنِ"/, {}, { timeout: SCENARIO_TIMEOUT_MS });
+  fireEvent.click(screen.getByText('Stop Listening'));
+}
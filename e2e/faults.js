@@ -0,0 +1,17 @@
+// Shared shape of the fault tests: the same user action, repeated under different failures of
+// one backend route. Each case sets its fault before `run` drives the app to the request, then
+// `check` asserts how the app coped with it.
+
+import { it } from 'vitest';
+import { setFaults } from './mockBackend.js';
+
+// cases: {<test name>: {fault: {status?, count?, delay_ms?, drop?}, check: async () => {}}}
+export function itSurvivesFaults(route, run, cases) {
+  Object.entries(cases).forEach(([name, { fault, check }]) => {
+    it(name, async () => {
+      await setFaults({ http: { [route]: fault } });
+      await run();
+      await check();
+    });
+  });
+}
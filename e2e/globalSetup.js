@@ -0,0 +1,29 @@
+// Starts mock-server/index.js once for the whole run and stops it afterwards.
+
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { MOCK_PORT } from './mockBackend.js';
+
+const SERVER = fileURLToPath(new URL('../mock-server/index.js', import.meta.url));
+const START_TIMEOUT_MS = 10000;
+
+export default async function startMockBackend() {
+  const server = spawn(process.execPath, [SERVER, '--port', String(MOCK_PORT)], { stdio: ['ignore', 'pipe', 'inherit'] });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('The mock backend did not start in time.')), START_TIMEOUT_MS);
+    server.stdout.on('data', (chunk) => {
+      if (!chunk.toString().includes('listening')) return;
+      clearTimeout(timer);
+      resolve();
+    });
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`The mock backend exited with code ${code}.`));
+    });
+  });
+  server.stdout.resume();
+  return () => {
+    server.removeAllListeners('exit');
+    server.kill();
+  };
+}
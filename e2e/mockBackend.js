@@ -0,0 +1,28 @@
+// Helpers for driving mock-server/index.js from the end-to-end tests. One mock backend serves every
+// test file (see globalSetup.js); tests pick a scenario and faults through its /__mock/ endpoints.
+
+export const MOCK_PORT = 8765;
+export const MOCK_HTTP_BASE = `http://localhost:${MOCK_PORT}`;
+export const MOCK_WS_URL = `ws://localhost:${MOCK_PORT}/ws`;
+
+async function control(path, body) {
+  const response = await fetch(`${MOCK_HTTP_BASE}/__mock/${path}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) throw new Error(`Mock backend answered ${response.status} to /__mock/${path}`);
+  return response.json();
+}
+
+// Clears the log and faults and selects the scenario replayed on the next WebSocket session
+export async function resetMock(scenario = 'fatiha') {
+  await control('reset', {});
+  await control('scenario', { name: scenario });
+}
+
+// {http: {<route>: {status?, count?, delay_ms?, drop?}}, ws: {drop_after_ms?}, sync: {reject_types?}}
+export const setFaults = faults => control('faults', faults);
+
+// {requests, uploads, mistakes, frames} received so far
+export const getLog = () => control('log');
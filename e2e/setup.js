@@ -0,0 +1,224 @@
+// Browser APIs jsdom doesn't provide, faked just far enough for the app to run a session:
+// IndexedDB, a microphone whose MediaRecorder produces a chunk every timeslice, an AudioContext
+// that "plays" without output, media elements that report metadata, and object URLs.
+
+import 'fake-indexeddb/auto';
+import { Blob as NodeBlob, File as NodeFile } from 'node:buffer';
+import { cleanup } from '@testing-library/react';
+import { afterEach } from 'vitest';
+
+// Node's fetch and structuredClone (used by fake-indexeddb) only understand Node's own Blob, File
+// and FormData, so those replace jsdom's. Blob and File go first: fetch picks up the global Blob
+// when it first loads.
+Object.assign(globalThis, { Blob: NodeBlob, File: NodeFile });
+const NodeFormData = (await new Response(new URLSearchParams()).formData()).constructor;
+// Under vitest that FormData stores a Blob (or anything given a filename) as the string
+// "[object Blob]", so values are turned into Files up front, as the spec says append() does
+const toFile = (value, filename) => (value instanceof NodeBlob && (filename !== undefined || !(value instanceof NodeFile))
+  ? new NodeFile([value], filename ?? (value.name || 'blob'), { type: value.type })
+  : value);
+globalThis.FormData = class FormData extends NodeFormData {
+  append(name, value, filename) {
+    super.append(name, toFile(value, filename));
+  }
+
+  set(name, value, filename) {
+    super.set(name, toFile(value, filename));
+  }
+};
+// jsdom's WebSocket sends on the next tick but closes at once, dropping whatever was sent just
+// before; a browser sends it first
+const closeWebSocket = WebSocket.prototype.close;
+WebSocket.prototype.close = function close(...args) {
+  process.nextTick(() => closeWebSocket.apply(this, args));
+};
+Object.defineProperty(window, 'isSecureContext', { value: true, configurable: true });
+window.confirm = () => true;
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+// --- Object URLs ---
+
+const objectUrls = new Map();
+let nextObjectUrl = 1;
+URL.createObjectURL = (blob) => {
+  const url = `blob:e2e/${nextObjectUrl}`;
+  nextObjectUrl += 1;
+  objectUrls.set(url, blob);
+  return url;
+};
+URL.revokeObjectURL = url => objectUrls.delete(url);
+
+// --- Media elements ---
+
+// Every recording "lasts" this long; long enough to pass the upload checks (see lib/uploadManager.js)
+export const FAKE_MEDIA_DURATION_S = 12;
+
+Object.defineProperty(HTMLMediaElement.prototype, 'duration', { get: () => FAKE_MEDIA_DURATION_S, configurable: true });
+HTMLMediaElement.prototype.load = function load() {
+  setTimeout(() => this.dispatchEvent(new Event('loadedmetadata')), 0);
+};
+HTMLMediaElement.prototype.play = function play() {
+  this.dispatchEvent(new Event('play'));
+  return Promise.resolve();
+};
+HTMLMediaElement.prototype.pause = function pause() {
+  this.dispatchEvent(new Event('pause'));
+};
+// Setting src loads the metadata, as in a browser
+const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'src');
+Object.defineProperty(HTMLMediaElement.prototype, 'src', {
+  ...srcDescriptor,
+  set(value) {
+    srcDescriptor.set.call(this, value);
+    if (value) this.load();
+  },
+});
+Element.prototype.scrollIntoView = () => {};
+
+// --- Microphone ---
+
+class FakeTrack {
+  kind = 'audio';
+  readyState = 'live';
+  stop() {
+    this.readyState = 'ended';
+  }
+}
+
+class FakeMediaStream {
+  tracks = [new FakeTrack()];
+  getTracks() {
+    return this.tracks;
+  }
+  getAudioTracks() {
+    return this.tracks;
+  }
+}
+
+navigator.mediaDevices = {
+  getUserMedia: async () => new FakeMediaStream(),
+  enumerateDevices: async () => [{ kind: 'audioinput', deviceId: 'default', label: 'Fake microphone' }],
+  addEventListener() {},
+  removeEventListener() {},
+};
+
+// The audio recorded since the last timeslice, delivered when the recorder stops
+export const FINAL_CHUNK_BYTES = 160;
+
+// Emits 320 bytes of "Opus in WebM" per timeslice
+class FakeMediaRecorder {
+  static isTypeSupported = type => type === 'audio/webm;codecs=opus';
+
+  constructor(stream, options = {}) {
+    this.stream = stream;
+    this.mimeType = options.mimeType || 'audio/webm;codecs=opus';
+    this.state = 'inactive';
+    this.ondataavailable = null;
+    this.onstop = null;
+  }
+
+  start(timeslice = 1000) {
+    this.state = 'recording';
+    this.timer = setInterval(() => {
+      this.ondataavailable?.({ data: new Blob([new Uint8Array(320)], { type: this.mimeType }) });
+    }, timeslice);
+  }
+
+  // As in a browser, the last chunk and then 'stop' arrive after stop() returns
+  stop() {
+    clearInterval(this.timer);
+    this.state = 'inactive';
+    setTimeout(() => {
+      this.ondataavailable?.({ data: new Blob([new Uint8Array(FINAL_CHUNK_BYTES)], { type: this.mimeType }) });
+      this.onstop?.();
+    }, 0);
+  }
+}
+globalThis.MediaRecorder = FakeMediaRecorder;
+
+// --- Web Audio ---
+
+const fakeParam = () => ({ value: 0, setValueAtTime() {}, exponentialRampToValueAtTime() {}, linearRampToValueAtTime() {} });
+const fakeNode = extra => ({ connect() {}, disconnect() {}, ...extra });
+
+// 8 kHz is below the 16 kHz the app captures at, so sessions take the MediaRecorder path. Tests of
+// the PCM path raise AudioContext.sampleRate before rendering the app; without audioWorklet the app
+// then captures through createScriptProcessor().
+class FakeAudioContext {
+  static sampleRate = 8000;
+
+  sampleRate = FakeAudioContext.sampleRate;
+  state = 'running';
+  currentTime = 0;
+  destination = fakeNode();
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async close() {
+    this.state = 'closed';
+  }
+
+  createMediaStreamSource() {
+    return fakeNode();
+  }
+
+  // Delivers a buffer every bufferSize samples of real time: a 440 Hz tone in the even seconds, as
+  // if reciting, and a faint hum in the odd ones
+  createScriptProcessor(bufferSize) {
+    let position = 0;
+    const timer = setInterval(() => {
+      const input = new Float32Array(bufferSize);
+      for (let i = 0; i < bufferSize; i += 1) {
+        const t = (position + i) / this.sampleRate;
+        input[i] = (Math.floor(t) % 2 === 0 ? 0.3 : 0.001) * Math.sin(2 * Math.PI * 440 * t);
+      }
+      position += bufferSize;
+      node.onaudioprocess?.({
+        inputBuffer: { getChannelData: () => input },
+        outputBuffer: { getChannelData: () => new Float32Array(bufferSize) },
+      });
+    }, (bufferSize / this.sampleRate) * 1000);
+    const node = fakeNode({ onaudioprocess: null, disconnect: () => clearInterval(timer) });
+    return node;
+  }
+
+  // A silent input, for the correct-sample recorder's level meter
+  createAnalyser() {
+    return fakeNode({ fftSize: 2048, getFloatTimeDomainData: buffer => buffer.fill(0) });
+  }
+
+  createGain() {
+    return fakeNode({ gain: fakeParam() });
+  }
+
+  createOscillator() {
+    return fakeNode({ type: 'sine', frequency: fakeParam(), start() {}, stop() {} });
+  }
+
+  createBufferSource() {
+    const source = fakeNode({
+      buffer: null,
+      onended: null,
+      start() {
+        setTimeout(() => source.onended?.(), 50);
+      },
+      stop() {},
+    });
+    return source;
+  }
+
+  // Byte sizes of the audio decoded for playback, for the tests to check
+  static decoded = [];
+
+  async decodeAudioData(data) {
+    FakeAudioContext.decoded.push(data.byteLength);
+    return { duration: data.byteLength / 32000, numberOfChannels: 1, sampleRate: 16000 };
+  }
+}
+window.AudioContext = FakeAudioContext;
@@ -0,0 +1,123 @@
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { getLog, resetMock, setFaults } from './mockBackend.js';
+import { openTab, reciteFatiha, renderApp } from './app.jsx';
+import { itSurvivesFaults } from './faults.js';
+
+// The sync engine waits 2 s after a change before sending; retries back off from 2.5-5 s
+const SYNC_TIMEOUT_MS = 10000;
+
+const syncedMistakes = async () => (await getLog()).mistakes;
+
+describe('mistake sync', () => {
+  beforeEach(() => resetMock('fatiha'));
+  afterEach(() => resetMock());
+
+  it('uploads each detected mistake once, with its verse and word range', async () => {
+    await renderApp();
+    await reciteFatiha();
+    openTab('Training');
+
+    // The first mistake can go out on its own while the second is still being recited
+    await waitFor(async () => expect(await syncedMistakes()).toHaveLength(2), { timeout: SYNC_TIMEOUT_MS });
+    await screen.findByText('All mistakes synced.');
+    const mistakes = await syncedMistakes();
+    expect(mistakes.find(m => m.mistake_type === 'word_substitution')).toMatchObject({
+      verse_key: '1:2',
+      word_start: 1,
+      word_end: 3,
+      feedback_mode: 'highlight',
+      backend_version: 'mock',
+      model_version: 'mock-scenario',
+      revision: 1,
+      idempotency_key: expect.stringMatching(/:1$/),
+    });
+    expect(mistakes.find(m => m.mistake_type === 'word_omission')).toMatchObject({ verse_key: '1:3', word_start: 0, word_end: 1 });
+  });
+
+  const reciteAndOpenQueue = async () => {
+    await renderApp();
+    await reciteFatiha();
+    openTab('Training');
+  };
+
+  // The engine backs off after a failure; "Sync now" cuts the wait short
+  const retriedOnSyncNow = async () => {
+    await screen.findByText(/^Sync failed \(/, {}, { timeout: SYNC_TIMEOUT_MS });
+    expect(await syncedMistakes()).toHaveLength(0);
+    fireEvent.click(screen.getByText('Sync now'));
+    await screen.findByText('All mistakes synced.', {}, { timeout: SYNC_TIMEOUT_MS });
+    expect(await syncedMistakes()).toHaveLength(2);
+  };
+
+  itSurvivesFaults('/sync-mistakes/', reciteAndOpenQueue, {
+    'retries after the server answers 500': { fault: { status: 500, count: 1 }, check: retriedOnSyncNow },
+    // 404 says nothing about the records (e.g. a backend without the endpoint yet), so it is retried too
+    'retries after the server answers 404': { fault: { status: 404, count: 1 }, check: retriedOnSyncNow },
+    'shows the batch as syncing while the server is slow to answer': {
+      fault: { delay_ms: 3000 },
+      check: async () => {
+        await screen.findByText(/^Syncing \d mistakes?…$/, {}, { timeout: SYNC_TIMEOUT_MS });
+        // The second mistake is queued while the first request is still waiting for its answer
+        await waitFor(async () => expect(await syncedMistakes()).toHaveLength(2), { timeout: SYNC_TIMEOUT_MS });
+        await screen.findByText('All mistakes synced.', {}, { timeout: SYNC_TIMEOUT_MS });
+      },
+    },
+  });
+
+  it('parks only the mistake the server refuses, and offers it again on request', async () => {
+    await setFaults({ http: { '/sync-mistakes/': { status: 500 } }, sync: { reject_types: ['word_omission'] } });
+    await reciteAndOpenQueue();
+
+    // Both mistakes go out in one batch, which the server refuses because of one of them
+    await screen.findByText(/^Sync failed .* 2 pending/, {}, { timeout: SYNC_TIMEOUT_MS });
+    await setFaults({ http: { '/sync-mistakes/': {} } });
+    fireEvent.click(screen.getByText('Sync now'));
+    await screen.findByText("1 rejected by the server (Unsupported mistake_type 'word_omission')", {}, { timeout: SYNC_TIMEOUT_MS });
+    await screen.findByText('All mistakes synced.', {}, { timeout: SYNC_TIMEOUT_MS });
+    expect((await syncedMistakes()).map(m => m.mistake_type)).toEqual(['word_substitution']);
+
+    await resetMock('fatiha');
+    fireEvent.click(screen.getByText('Retry rejected'));
+    await waitFor(async () => expect((await syncedMistakes()).map(m => m.mistake_type)).toEqual(['word_omission']), { timeout: SYNC_TIMEOUT_MS });
+    await screen.findByText('All mistakes synced.');
+    expect(screen.queryByText(/rejected by the server/)).toBeNull();
+  });
+
+  it('stops offering a discarded mistake until it changes', async () => {
+    await setFaults({ sync: { reject_types: ['word_omission'] } });
+    await reciteAndOpenQueue();
+
+    await screen.findByText(/^1 rejected by the server/, {}, { timeout: SYNC_TIMEOUT_MS });
+    fireEvent.click(screen.getByText('Discard'));
+    await waitFor(() => expect(screen.queryByText(/rejected by the server/)).toBeNull());
+
+    await resetMock('fatiha');
+    fireEvent.click(screen.getByText('Sync now'));
+    await screen.findByText('All mistakes synced.', {}, { timeout: SYNC_TIMEOUT_MS });
+    expect(await syncedMistakes()).toHaveLength(0);
+
+    // Verifying it makes a new revision, which is sent again
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Mistake' }))[0]);
+    await waitFor(async () => expect(await syncedMistakes()).toHaveLength(1), { timeout: SYNC_TIMEOUT_MS });
+    expect((await syncedMistakes())[0]).toMatchObject({ mistake_type: 'word_omission', revision: 2 });
+  });
+
+  it('sends a verified mistake again as a new revision, and never sends a deleted one', async () => {
+    await setFaults({ http: { '/sync-mistakes/': { status: 500 } } }); // hold everything in the outbox
+    await reciteAndOpenQueue();
+
+    const rows = await screen.findAllByRole('button', { name: 'Mistake' });
+    fireEvent.click(rows[0]);
+    fireEvent.click(screen.getAllByRole('checkbox', { name: 'Select' })[1]);
+    fireEvent.click(within(screen.getByText('1 selected').parentElement).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(screen.getAllByRole('checkbox', { name: 'Select' })).toHaveLength(1));
+
+    await resetMock('fatiha');
+    fireEvent.click(screen.getByText('Sync now'));
+    await screen.findByText('All mistakes synced.', {}, { timeout: SYNC_TIMEOUT_MS });
+    const mistakes = await syncedMistakes();
+    expect(mistakes).toHaveLength(1);
+    expect(mistakes[0]).toMatchObject({ mistake_type: 'word_omission', verified: 'incorrect', revision: 2 });
+  });
+});
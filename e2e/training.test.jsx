@@ -0,0 +1,163 @@
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getLog, resetMock, setFaults } from './mockBackend.js';
+import { openTab, reciteFatiha, renderApp } from './app.jsx';
+import { itSurvivesFaults } from './faults.js';
+
+// Failed requests are retried after 1-2 s
+const UPLOAD_TIMEOUT_MS = 10000;
+
+// A silent 16 kHz mono WAV recording of the given length
+function wavFile(name, seconds) {
+  const dataBytes = seconds * 16000 * 2;
+  const header = new DataView(new ArrayBuffer(44));
+  const ascii = (offset, text) => [...text].forEach((char, i) => header.setUint8(offset + i, char.charCodeAt(0)));
+  ascii(0, 'RIFF');
+  header.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true);
+  header.setUint16(22, 1, true);
+  header.setUint32(24, 16000, true);
+  header.setUint32(28, 32000, true);
+  header.setUint16(32, 2, true);
+  header.setUint16(34, 16, true);
+  ascii(36, 'data');
+  header.setUint32(40, dataBytes, true);
+  return new File([header.buffer, new Uint8Array(dataBytes)], name, { type: 'audio/wav' });
+}
+
+// Adds the file in the Training tab and tags it as al-Fatihah, all seven ayat
+async function queueRecording(file) {
+  openTab('Training');
+  fireEvent.change(document.querySelector('input[type="file"]'), { target: { files: [file] } });
+  fireEvent.change(await screen.findByDisplayValue('Choose…'), { target: { value: '1' } });
+  // Waits for the header to be read so the upload carries the sample rate and channels
+  await screen.findByText(/ · mono/, {}, { timeout: UPLOAD_TIMEOUT_MS });
+  const upload = screen.getByRole('button', { name: 'Upload Audio for Training' });
+  await waitFor(() => expect(upload.disabled).toBe(false));
+  return upload;
+}
+
+const uploadRequests = async path => (await getLog()).requests.filter(request => request.path === path);
+
+describe('training uploads', () => {
+  beforeEach(() => resetMock());
+  afterEach(() => resetMock());
+
+  it('uploads a tagged recording for the learner', async () => {
+    await renderApp();
+    const file = wavFile('ruku.wav', 2);
+    fireEvent.click(await queueRecording(file));
+
+    await waitFor(async () => expect((await getLog()).uploads).toHaveLength(1), { timeout: UPLOAD_TIMEOUT_MS });
+    const [upload] = (await getLog()).uploads;
+    expect(upload.params).toMatchObject({
+      file_name: 'ruku.wav',
+      file_size: String(file.size),
+      sample_type: 'initial_recitation_upload',
+      sample_rate: '16000',
+      channels: '1',
+      surah: '1',
+      from_ayah: '1',
+      to_ayah: '7',
+      reciting_style: 'murattal',
+      profile_id: expect.any(String),
+    });
+    expect(upload.content_type).toMatch(/^multipart\/form-data/);
+    expect(upload.bytes).toBeGreaterThan(file.size);
+    await screen.findByText('Recent uploads');
+    expect(screen.getByText('ruku.wav', { selector: 'li span' })).toBeTruthy();
+
+    openTab('Analyzer');
+    await screen.findByText("'ruku.wav' uploaded for training.");
+  });
+
+  it('uploads long recordings in parts', async () => {
+    await renderApp();
+    const file = wavFile('long-ruku.wav', 40); // 1.2 MB, over the 1 MB chunk size
+    fireEvent.click(await queueRecording(file));
+
+    await waitFor(async () => expect((await getLog()).uploads).toHaveLength(1), { timeout: UPLOAD_TIMEOUT_MS });
+    const [upload] = (await getLog()).uploads;
+    expect(upload).toMatchObject({ chunked: true, bytes: file.size, sample_type: 'initial_recitation_upload' });
+    expect((await uploadRequests(`/upload-training-audio/sessions/`))).toHaveLength(1);
+  });
+
+  const uploadRecording = async () => {
+    await renderApp();
+    fireEvent.click(await queueRecording(wavFile('ruku.wav', 2)));
+  };
+
+  itSurvivesFaults('/upload-training-audio/', uploadRecording, {
+    'retries after the server answers 500': {
+      fault: { status: 500, count: 1 },
+      check: async () => {
+        await waitFor(async () => expect((await getLog()).uploads).toHaveLength(1), { timeout: UPLOAD_TIMEOUT_MS });
+        expect(await uploadRequests('/upload-training-audio/')).toHaveLength(2);
+      },
+    },
+    // Unlike a server error, a refused file fails at once and waits for the learner
+    'gives up when the server refuses the file': {
+      fault: { status: 413 },
+      check: async () => {
+        await screen.findByText('Server answered 413', {}, { timeout: UPLOAD_TIMEOUT_MS });
+        expect(screen.getByRole('button', { name: 'Retry' })).toBeTruthy();
+        expect(await uploadRequests('/upload-training-audio/')).toHaveLength(1);
+        expect((await getLog()).uploads).toHaveLength(0);
+      },
+    },
+    'shows the upload in progress while the server is slow to answer': {
+      fault: { delay_ms: 2000 },
+      check: async () => {
+        await screen.findByText('Uploading');
+        expect(screen.getByRole('button', { name: 'Pause' })).toBeTruthy();
+        await waitFor(async () => expect((await getLog()).uploads).toHaveLength(1), { timeout: UPLOAD_TIMEOUT_MS });
+        await waitFor(() => expect(screen.queryByText('Uploading')).toBeNull());
+      },
+    },
+  });
+});
+
+describe('correct samples', () => {
+  beforeEach(() => resetMock('fatiha'));
+  afterEach(() => resetMock());
+
+  // Records a take long enough to keep (the recorder drops takes under half a second)
+  async function recordTake(startLabel) {
+    fireEvent.click(screen.getByRole('button', { name: startLabel }));
+    const stop = await screen.findByRole('button', { name: 'Stop' });
+    await new Promise((resolve) => { setTimeout(resolve, 600); });
+    fireEvent.click(stop);
+    await screen.findByRole('button', { name: 'Record another take' });
+  }
+
+  it('keeps the takes that failed to upload so they can be sent again', async () => {
+    await renderApp();
+    await reciteFatiha();
+    openTab('Training');
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Correct (Recite)' }))[0]);
+
+    // A double click opens the microphone once
+    const getUserMedia = vi.spyOn(navigator.mediaDevices, 'getUserMedia');
+    fireEvent.click(screen.getByRole('button', { name: 'Start Recording' }));
+    await recordTake('Start Recording');
+    expect(getUserMedia).toHaveBeenCalledTimes(1);
+    await recordTake('Record another take');
+    screen.getAllByRole('checkbox', { checked: false }).forEach(box => fireEvent.click(box));
+
+    await setFaults({ http: { '/upload-training-audio/': { status: 500, count: 1 } } });
+    fireEvent.click(screen.getByRole('button', { name: 'Use 2 takes' }));
+    await screen.findByText('One take could not be uploaded; try again.');
+    expect((await getLog()).uploads).toHaveLength(1);
+    expect(screen.getAllByText(/^Take \d/)).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Use this take' }));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Use this take' })).toBeNull());
+    const uploads = (await getLog()).uploads;
+    // Take 1 failed; its retry goes out under a new number
+    expect(uploads.map(upload => upload.params.take).sort()).toEqual(['2', '3']);
+    expect(uploads.every(upload => upload.sample_type === 'correct_recitation_sample')).toBe(true);
+  });
+});
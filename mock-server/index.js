@@ -0,0 +1,427 @@
+// Local stand-in for the analyzer backend, for offline development and scripted testing.
+//
+//   node mock-server/index.js [--port 8000] [--scenario fatiha] [--fail /sync-mistakes/:500:2]
+//                             [--delay /upload-training-audio/:3000] [--drop-after 5000]
+//                             [--audio-codec pcm_s16le|opus]
+//
+// Implements /ws, /health, /upload-training-audio/ (whole and chunked, see src/lib/uploadManager.js)
+// and /sync-mistakes/ with the same shapes as the real backend. WebSocket sessions replay a scenario from mock-server/scenarios/<name>.json.
+// Faults can also be changed at runtime through the /__mock/ control endpoints:
+//   GET  /__mock/log       requests, uploads, synced mistakes and WebSocket frames seen so far
+//   POST /__mock/faults    {"http": {"/sync-mistakes/": {"status": 500, "count": 2, "delay_ms": 0}}, "ws": {"drop_after_ms": 5000},
+//                           "sync": {"reject_types": ["word_omission"]}}
+//   POST /__mock/scenario  {"name": "dropped-socket"}
+//   POST /__mock/reset     clears the log and all faults
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { decodeAudioFrame } from '../src/lib/protocol.js';
+
+const SCENARIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scenarios');
+// Reported in config_ack; the app stores them with each mistake
+const VERSIONS = { backend_version: 'mock', model_version: 'mock-scenario' };
+
+// --- Command line ---
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.MOCK_PORT) || 8000, scenario: 'fatiha', fail: [], delay: [], dropAfter: null, audioCodec: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port': args.port = Number(value); i += 1; break;
+      case '--scenario': args.scenario = value; i += 1; break;
+      case '--fail': args.fail.push(value); i += 1; break; // <route>:<status>[:<count>]
+      case '--delay': args.delay.push(value); i += 1; break; // <route>:<ms>
+      case '--drop-after': args.dropAfter = Number(value); i += 1; break;
+      case '--audio-codec': args.audioCodec = value; i += 1; break; // ask clients to switch to this codec
+      default:
+        console.error(`Unknown argument '${argv[i]}'`);
+        process.exit(1);
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// '<route>:<n>[:<n>]' -> {route, rest: [n, ...]}
+const splitSpec = (spec) => {
+  const parts = spec.split(':');
+  return { route: parts[0], rest: parts.slice(1).map(Number) };
+};
+
+// --- State ---
+
+const state = {
+  scenarioName: 'fatiha',
+  httpFaults: {}, // route -> {status, count, delay_ms}
+  wsFaults: {}, // {drop_after_ms}
+  syncFaults: {}, // {reject_types: mistake types /sync-mistakes/ refuses with 422}
+  log: { requests: [], uploads: [], mistakes: [], frames: [] },
+  uploadSessions: new Map(), // upload_id -> {fields, received (bytes)}
+};
+
+function resetState() {
+  state.httpFaults = {};
+  state.wsFaults = {};
+  state.syncFaults = {};
+  state.log = { requests: [], uploads: [], mistakes: [], frames: [] };
+  state.uploadSessions = new Map();
+}
+
+function loadScenario(name) {
+  const file = path.join(SCENARIO_DIR, `${path.basename(name)}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Short 16-bit mono WAV sine tone, stands in for the backend's TTS correction audio
+function toneBase64(durationSec = 0.4, frequency = 660, sampleRate = 16000) {
+  const samples = Math.floor(durationSec * sampleRate);
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i += 1) {
+    const fade = Math.min(1, i / 400, (samples - i) / 400);
+    buffer.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 12000 * fade), 44 + i * 2);
+  }
+  return buffer.toString('base64');
+}
+
+const TONE = toneBase64();
+
+// Replace "$tone" placeholders in scripted messages with generated audio
+function materialize(message) {
+  const out = { ...message };
+  Object.keys(out).forEach((key) => {
+    if (out[key] === '$tone') out[key] = TONE;
+  });
+  return out;
+}
+
+// --- HTTP ---
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Applies a configured fault for the route. Returns true when the request was answered with a failure.
+async function applyHttpFault(route, res) {
+  const fault = state.httpFaults[route];
+  if (!fault) return false;
+  if (fault.delay_ms) await sleep(fault.delay_ms);
+  if (fault.drop) {
+    res.socket.destroy();
+    return true;
+  }
+  if (fault.status && (fault.count === undefined || fault.count > 0)) {
+    if (fault.count !== undefined) fault.count -= 1;
+    sendJson(res, fault.status, { detail: `Injected failure (${fault.status})` });
+    return true;
+  }
+  return false;
+}
+
+const routes = {
+  'GET /': async (req, res) => sendJson(res, 200, { message: 'Quran Recitation Analyzer mock backend' }),
+  'GET /health': async (req, res) => sendJson(res, 200, { status: 'healthy', quran_loaded: true, mock: true, scenario: state.scenarioName }),
+
+  'POST /upload-training-audio/': async (req, res, url) => {
+    const body = await readBody(req);
+    const record = {
+      sample_type: url.searchParams.get('sample_type'),
+      params: Object.fromEntries(url.searchParams),
+      content_type: req.headers['content-type'],
+      bytes: body.length,
+      received_at: Date.now(),
+    };
+    state.log.uploads.push(record);
+    sendJson(res, 200, { status: 'success', message: 'Audio received (mock)', sample_type: record.sample_type, bytes: record.bytes });
+  },
+
+  // Chunked uploads. Chunks are only counted, not kept.
+  'POST /upload-training-audio/sessions/': async (req, res) => {
+    const fields = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    const uploadId = `upload-${state.uploadSessions.size + 1}-${Date.now()}`;
+    state.uploadSessions.set(uploadId, { fields, received: 0 });
+    sendJson(res, 201, { upload_id: uploadId, chunk_size: 256 * 1024 });
+  },
+
+  'GET /upload-training-audio/sessions/:id': async (req, res, url, { id }) => {
+    const session = state.uploadSessions.get(id);
+    if (!session) sendJson(res, 404, { detail: 'Unknown upload' });
+    else sendJson(res, 200, { received_bytes: session.received });
+  },
+
+  'PUT /upload-training-audio/sessions/:id': async (req, res, url, { id }) => {
+    const session = state.uploadSessions.get(id);
+    const body = await readBody(req);
+    if (!session) {
+      sendJson(res, 404, { detail: 'Unknown upload' });
+      return;
+    }
+    const [, start] = /^bytes (\d+)-/.exec(req.headers['content-range'] || '') || [];
+    if (Number(start) !== session.received) {
+      sendJson(res, 409, { detail: 'Unexpected offset', received_bytes: session.received });
+      return;
+    }
+    session.received += body.length;
+    sendJson(res, 200, { received_bytes: session.received });
+  },
+
+  'POST /upload-training-audio/sessions/:id/complete': async (req, res, url, { id }) => {
+    const session = state.uploadSessions.get(id);
+    if (!session) {
+      sendJson(res, 404, { detail: 'Unknown upload' });
+      return;
+    }
+    const fields = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    if (session.received !== fields.file_size) {
+      sendJson(res, 409, { detail: 'Upload incomplete', received_bytes: session.received });
+      return;
+    }
+    state.uploadSessions.delete(id);
+    const record = { sample_type: fields.sample_type, params: fields, chunked: true, bytes: session.received, received_at: Date.now() };
+    state.log.uploads.push(record);
+    sendJson(res, 200, { status: 'success', message: 'Audio received (mock)', sample_type: record.sample_type, bytes: record.bytes });
+  },
+
+  'DELETE /upload-training-audio/sessions/:id': async (req, res, url, { id }) => {
+    state.uploadSessions.delete(id);
+    sendJson(res, 200, { deleted: true });
+  },
+
+  'POST /sync-mistakes/': async (req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch {
+      sendJson(res, 400, { detail: 'Body is not valid JSON' });
+      return;
+    }
+    if (!Array.isArray(payload.mistakes)) {
+      sendJson(res, 422, { detail: "'mistakes' must be an array" });
+      return;
+    }
+    // Like the backend's validation, one bad record fails the whole request
+    const refused = payload.mistakes.find(m => state.syncFaults.reject_types?.includes(m.mistake_type));
+    if (refused) {
+      sendJson(res, 422, { detail: `Unsupported mistake_type '${refused.mistake_type}'` });
+      return;
+    }
+    // Records carrying an idempotency_key (id:revision) that was already stored are acknowledged but not stored again
+    const seen = new Set(state.log.mistakes.map(m => m.idempotency_key).filter(Boolean));
+    const fresh = payload.mistakes.filter(m => !m.idempotency_key || !seen.has(m.idempotency_key));
+    state.log.mistakes.push(...fresh);
+    sendJson(res, 200, { status: 'success', received: payload.mistakes.length, duplicates: payload.mistakes.length - fresh.length });
+  },
+
+  'GET /__mock/log': async (req, res) => sendJson(res, 200, state.log),
+
+  'POST /__mock/faults': async (req, res) => {
+    const body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    Object.assign(state.httpFaults, body.http || {});
+    Object.assign(state.wsFaults, body.ws || {});
+    Object.assign(state.syncFaults, body.sync || {});
+    sendJson(res, 200, { http: state.httpFaults, ws: state.wsFaults, sync: state.syncFaults });
+  },
+
+  'POST /__mock/scenario': async (req, res) => {
+    const body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    try {
+      loadScenario(body.name);
+    } catch (error) {
+      sendJson(res, 404, { detail: `Unknown scenario '${body.name}'` });
+      return;
+    }
+    state.scenarioName = body.name;
+    sendJson(res, 200, { scenario: state.scenarioName });
+  },
+
+  'POST /__mock/reset': async (req, res) => {
+    resetState();
+    sendJson(res, 200, { reset: true });
+  },
+};
+
+// Exact routes first, then patterns with ':name' segments
+function findRoute(method, pathname) {
+  if (routes[`${method} ${pathname}`]) return { handler: routes[`${method} ${pathname}`], params: {} };
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, pattern] = key.split(' ');
+    if (routeMethod !== method || !pattern.includes(':')) continue;
+    const names = [];
+    const re = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => { names.push(name); return '([^/]+)'; })}$`);
+    const match = re.exec(pathname);
+    if (match) return { handler, params: Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+  }
+  return { handler: null, params: {} };
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': '*',
+    });
+    res.end();
+    return;
+  }
+
+  if (!url.pathname.startsWith('/__mock/')) {
+    state.log.requests.push({ method: req.method, path: url.pathname, at: Date.now() });
+  }
+  const { handler, params } = findRoute(req.method, url.pathname);
+  if (!handler) {
+    sendJson(res, 404, { detail: 'Not Found' });
+    return;
+  }
+  try {
+    if (await applyHttpFault(url.pathname, res)) return;
+    await handler(req, res, url, params);
+  } catch (error) {
+    console.error(`${req.method} ${url.pathname} failed:`, error);
+    sendJson(res, 500, { detail: error.message });
+  }
+}
+
+// --- WebSocket ---
+
+function handleSocket(socket) {
+  const timers = [];
+  let started = false;
+  const scenario = loadScenario(state.scenarioName);
+
+  const logFrame = (direction, data) => {
+    state.log.frames.push({ direction, at: Date.now(), ...data });
+  };
+
+  const play = (steps) => {
+    let offset = 0;
+    steps.forEach((step) => {
+      offset += step.after_ms || 0;
+      timers.push(setTimeout(() => {
+        if (socket.readyState !== socket.OPEN) return;
+        if (step.action === 'drop') {
+          logFrame('out', { action: 'drop' });
+          socket.terminate();
+        } else if (step.raw !== undefined) {
+          logFrame('out', { raw: step.raw });
+          socket.send(step.raw);
+        } else {
+          const message = materialize(step.send);
+          logFrame('out', { type: message.type });
+          socket.send(JSON.stringify(message));
+        }
+      }, offset));
+    });
+  };
+
+  const start = (trigger) => {
+    if (started || (scenario.start || 'first_audio') !== trigger) return;
+    started = true;
+    play(scenario.steps || []);
+  };
+
+  if (state.wsFaults.drop_after_ms) {
+    timers.push(setTimeout(() => socket.terminate(), state.wsFaults.drop_after_ms));
+  }
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      try {
+        const { codec, seq, timestampMs, payload } = decodeAudioFrame(buffer);
+        logFrame('in', { binary: true, bytes: data.length, codec, seq, timestamp_ms: timestampMs, payload_bytes: payload.byteLength });
+      } catch (error) {
+        logFrame('in', { binary: true, bytes: data.length, error: error.message });
+      }
+      start('first_audio');
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch {
+      socket.send(JSON.stringify({ type: 'error', message: 'Could not parse client message' }));
+      return;
+    }
+    logFrame('in', { type: message.type, message });
+    if (message.type === 'ping') {
+      socket.send(JSON.stringify({ type: 'pong', v: 1, ts: message.ts }));
+    } else if (message.type === 'config') {
+      // Accept whatever the client sends, unless a --audio-codec preference is among its offers
+      const preferred = (message.audio_formats || []).find(f => f.codec === args.audioCodec);
+      if (preferred && message.audio_format?.codec !== preferred.codec) {
+        socket.send(JSON.stringify({ type: 'config_ack', v: 1, ...VERSIONS, audio_format: preferred }));
+      } else {
+        socket.send(JSON.stringify({ type: 'config_ack', v: 1, ...VERSIONS }));
+      }
+      start('config');
+    } else if (message.type === 'resume') {
+      started = true;
+      play(scenario.on_resume || []);
+    }
+  });
+
+  socket.on('close', () => timers.forEach(clearTimeout));
+}
+
+// --- Startup ---
+
+state.scenarioName = args.scenario;
+loadScenario(state.scenarioName); // fail fast on a bad scenario name
+args.fail.forEach((spec) => {
+  const { route, rest: [status, count] } = splitSpec(spec);
+  state.httpFaults[route] = { ...state.httpFaults[route], status, count: Number.isNaN(count) ? undefined : count };
+});
+args.delay.forEach((spec) => {
+  const { route, rest: [ms] } = splitSpec(spec);
+  state.httpFaults[route] = { ...state.httpFaults[route], delay_ms: ms };
+});
+if (args.dropAfter) state.wsFaults.drop_after_ms = args.dropAfter;
+
+const server = http.createServer(handleRequest);
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+  if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+    socket.destroy();
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => handleSocket(ws));
+});
+
+server.listen(args.port, () => {
+  console.log(`Mock backend listening on http://localhost:${args.port} (ws://localhost:${args.port}/ws), scenario '${state.scenarioName}'`);
+});
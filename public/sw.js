@@ -1,29 +0,0 @@
-const CACHE_NAME = 'quran-analyzer-v1';
-const urlsToCache = [
-  '/',
-  '/src/main.jsx',
-  '/src/app.jsx',
-  '/src/index.css',
-  '/icons/icon-192x192.png',
-  '/icons/icon-512x512.png',
-  '/manifest.json'
-];
-
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
-  );
-});
-
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      })
-  );
-});
\ No newline at end of file
@@ -1,51 +1,138 @@
-// Following is app.jsx
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './index.css';
+import { createSessionConnection, CONNECTION_STATES } from './lib/connection.js';
+import { createMessageRouter, buildConfigMessage, buildResumeMessage, buildVadMessage, SERVER_MESSAGE_TYPES } from './lib/protocol.js';
+import ConnectionStatus from './components/ConnectionStatus.jsx';
+import PassagePicker from './components/PassagePicker.jsx';
+import RecitationTranscript from './components/RecitationTranscript.jsx';
+import { getSurah, verseKey } from './lib/quran.js';
+import MistakeQueue from './components/MistakeQueue.jsx';
+import TrainingUploads from './components/TrainingUploads.jsx';
+import CorrectSampleRecorder from './components/CorrectSampleRecorder.jsx';
+import DataBackup from './components/DataBackup.jsx';
+import { mergeMistakes } from './lib/backup.js';
+import { activeProfile, settingsKey } from './lib/profiles.js';
+import LearnerProfiles from './components/LearnerProfiles.jsx';
+import { appendAyah, applyDiff, markMistake, updateCurrentAyah, WORD_STATUS } from './lib/transcript.js';
+import { classifyMistake } from './lib/mistakeTypes.js';
+import { backfillAyahNumbers, createMistake } from './lib/mistakeRecord.js';
+import { addTrainingUpload, deleteMistakes, getAllMistakes, getReviewCards, putMistakes, putReviewCards, putSession, saveAudio } from './lib/db.js';
+import { createSyncEngine, SYNC_STATES } from './lib/syncEngine.js';
+import SyncStatus from './components/SyncStatus.jsx';
+import { registerServiceWorker } from './lib/serviceWorker.js';
+import UpdatePrompt from './components/UpdatePrompt.jsx';
+import { createAudioCapture, isOpusEncodingSupported } from './lib/audioCapture.js';
+import { createAudioPipeline, DEFAULT_AUDIO_PROCESSING } from './lib/audioPipeline.js';
+import InputLevelMeter from './components/InputLevelMeter.jsx';
+import { DEFAULT_MIC_SETTINGS, describeMicrophoneError, openMicrophone } from './lib/microphone.js';
+import MicrophoneSettings from './components/MicrophoneSettings.jsx';
+import { createSessionRecorder } from './lib/sessionRecorder.js';
+import SessionHistory from './components/SessionHistory.jsx';
+import { DEFAULT_REFERENCE_SETTINGS, DEFAULT_REFERENCE_SOURCE, PLAYBACK_RATES, RECITERS } from './lib/referenceAudio.js';
+import { applyHint, DEFAULT_HIFZ_SETTINGS, HINT_LEVELS, memorisationScore, nextHiddenWord } from './lib/hifz.js';
+import { dueCards, gradeRecitation, PASSING_GRADE, planDrill, scheduleReview, syncCardsFromMistakes } from './lib/reviewScheduler.js';
+import ReviewPanel from './components/ReviewPanel.jsx';
+import AnalyticsDashboard from './components/AnalyticsDashboard.jsx';
 
 // Backend URLs (configure via environment variables at build time if needed)
 const BACKEND_WS_URL = import.meta.env.VITE_BACKEND_WS_URL || 'ws://localhost:8000/ws';
 const BACKEND_HTTP_BASE = import.meta.env.VITE_BACKEND_HTTP_BASE || 'http://localhost:8000';
 const BACKEND_UPLOAD_URL = `${BACKEND_HTTP_BASE}/upload-training-audio/`;
 const BACKEND_SYNC_MISTAKES_URL = `${BACKEND_HTTP_BASE}/sync-mistakes/`;
+// Wait this long after a drilled ayah is fully recited before grading it, for trailing mistake events
+const DRILL_GRADE_DELAY_MS = 1500;
+const UNDO_LIMIT = 20;
 
-// Local storage-based persistence for training items (free-tier friendly, no external DB)
+// Small settings live in localStorage; mistakes, upload history and audio are in IndexedDB (see lib/db.js).
+// Both are kept per learner profile: read and write these keys through settingsKey() (see lib/profiles.js).
 const LS_KEYS = {
-  mistakes: 'qra_mistakes',
-  trainingUploads: 'qra_training_uploads',
-  userId: 'qra_user_id',
+  expectedRange: 'qra_expected_range',
+  audioEncoding: 'qra_audio_encoding',
+  audioProcessing: 'qra_audio_processing',
+  micSettings: 'qra_mic_settings',
+  referenceAudio: 'qra_reference_audio',
+  hifz: 'qra_hifz',
 };
 
+// Restore the passage the user last chose to recite, ignoring anything that no longer validates
+function loadExpectedRange() {
+  try {
+    const range = JSON.parse(localStorage.getItem(settingsKey(LS_KEYS.expectedRange)) || 'null');
+    const surah = range && getSurah(range.surah);
+    if (surah && range.from >= 1 && range.from <= range.to && range.to <= surah.ayahCount) return range;
+  } catch {}
+  return null;
+}
+
+// Stored settings objects, merged over their defaults so newly added fields get a value
+function loadSettings(key, defaults) {
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(settingsKey(key)) || '{}') };
+  } catch {
+    return defaults;
+  }
+}
+
+// Range of ayat the user intends to recite, in the shape the backend expects in 'config'
+const toExpectedRangePayload = (range) => (range ? { surah: range.surah, from_ayah: range.from, to_ayah: range.to } : null);
+
 function App() {
   const [isListening, setIsListening] = useState(false);
   const [currentSura, setCurrentSura] = useState('');
-  const [currentAya, setCurrentAya] = useState('');
   const [feedbackMode, setFeedbackMode] = useState('highlight'); // 'highlight', 'beep', 'spoken'
+  const [expectedRange, setExpectedRange] = useState(loadExpectedRange); // {surah, from, to} chosen in the passage picker, or null
   const [mistakeQueue, setMistakeQueue] = useState([]); // {id, sura, aya, transcription, reference, type, timestamp, verified}
-  const [currentVerseWords, setCurrentVerseWords] = useState([]);
-  const [highlightedWords, setHighlightedWords] = useState([]); // Indices of words to highlight
+  const [transcript, setTranscript] = useState([]); // Every ayah recited this session (see lib/transcript.js)
+  const [selectedAyahId, setSelectedAyahId] = useState(null); // Transcript entry opened for review
   const [statusMessage, setStatusMessage] = useState('Ready to start listening.');
+  const [connectionState, setConnectionState] = useState(CONNECTION_STATES.idle);
+  const [connectionDetail, setConnectionDetail] = useState(null);
+  const [protocolIssue, setProtocolIssue] = useState(null); // {code, message, count} of the latest protocol problem
   const [isSpokenCorrectionPlaying, setIsSpokenCorrectionPlaying] = useState(false);
-  const [currentTab, setCurrentTab] = useState('analyzer'); // 'analyzer', 'training', 'settings'
-  const [userId, setUserId] = useState(null);
-  const [recordedAudioFile, setRecordedAudioFile] = useState(null); // For initial Ruku/training uploads
-
-  const [showCorrectionModal, setShowCorrectionModal] = useState(false);
-  const [modalMistakeId, setModalMistakeId] = useState(null);
-  const [modalReferenceText, setModalReferenceText] = useState('');
-  const [isRecordingCorrectSample, setIsRecordingCorrectSample] = useState(false);
-  const correctSampleRecorder = useRef(null);
-  const correctSampleChunks = useRef([]);
-
-  const ws = useRef(null);
+  const [currentTab, setCurrentTab] = useState('analyzer'); // 'analyzer', 'training', 'review', 'analytics', 'sessions', 'learners', 'settings'
+  const [profile] = useState(activeProfile); // switching profiles reloads the app (see lib/profiles.js)
+  const [syncStatus, setSyncStatus] = useState({ state: SYNC_STATES.idle, pending: 0, rejected: 0, rejectReason: null, lastSyncedAt: null });
+  const [applyUpdate, setApplyUpdate] = useState(null); // Set when a new app version is waiting to take over
+  const [audioEncoding, setAudioEncoding] = useState(() => localStorage.getItem(settingsKey(LS_KEYS.audioEncoding)) || 'pcm'); // 'pcm' or 'opus'
+  const [opusAvailable, setOpusAvailable] = useState(false);
+  const [audioProcessing, setAudioProcessing] = useState(() => loadSettings(LS_KEYS.audioProcessing, DEFAULT_AUDIO_PROCESSING)); // see lib/audioPipeline.js
+  const [micSettings, setMicSettings] = useState(() => loadSettings(LS_KEYS.micSettings, DEFAULT_MIC_SETTINGS)); // see lib/microphone.js
+  const [referenceSettings, setReferenceSettings] = useState(() => loadSettings(LS_KEYS.referenceAudio, DEFAULT_REFERENCE_SETTINGS)); // see lib/referenceAudio.js
+  const [hifzSettings, setHifzSettings] = useState(() => loadSettings(LS_KEYS.hifz, DEFAULT_HIFZ_SETTINGS)); // see lib/hifz.js
+  const [hesitating, setHesitating] = useState(false); // Hifz mode: the reciter has paused on an unfinished ayah
+  const [hesitations, setHesitations] = useState(0); // Hesitations this session
+  const [reviewCards, setReviewCards] = useState(null); // Spaced-repetition cards (see lib/reviewScheduler.js); null until loaded
+  const [undoLabel, setUndoLabel] = useState(null); // Mistake queue change that Undo would revert
+  const [drill, setDrill] = useState(null); // Review drill in progress: {stops: [{surah, ayah, cardIds}], index, results}
+  const [savedSessions, setSavedSessions] = useState(0); // Bumped when a recording is stored, to refresh the Sessions tab
+  const [sessionFocus, setSessionFocus] = useState(null); // {sessionId, atMs} to open in the Sessions tab
+
+  const [correctionMistake, setCorrectionMistake] = useState(null); // mistake open in the correct-sample recorder
+
+  const ws = useRef(null); // Session connection (see lib/connection.js)
+  const messageHandlers = useRef({});
+  const feedbackModeRef = useRef(feedbackMode);
+  const expectedRangeRef = useRef(expectedRange);
+  const lastVerse = useRef(null); // Last identified verse, sent with 'resume' after a reconnect
+  const audioCapture = useRef(null); // see lib/audioCapture.js
+  const sessionRecorder = useRef(null); // Recording of the current session (see lib/sessionRecorder.js)
+  const transcriptRef = useRef(transcript);
+  const reviewCardsRef = useRef(reviewCards);
+  const backendInfo = useRef({}); // {backendVersion, modelVersion} from the last config_ack, stored with each mistake
+  const lastTakeTried = useRef({ mistakeId: null, take: 0 }); // highest correct-sample take number sent so far
+  const undoStack = useRef([]); // [{label, before: [mistake]}] most recent last
+  const persistedMistakes = useRef(null); // id -> mistake object last written to IndexedDB; null until loaded
+  const syncEngine = useRef(null);
   const audioContext = useRef(null);
-  const mediaRecorder = useRef(null);
-  const audioChunks = useRef([]);
   const audioStream = useRef(null);
   const spokenCorrectionSource = useRef(null);
-  const animationFrameId = useRef(null);
-  const silenceTimeoutId = useRef(null);
   const lastAudioTimestamp = useRef(0); // To help with silence detection if microphone stops sending
 
+  // Opus needs WebCodecs; only offer it where the browser can encode it
+  useEffect(() => {
+    isOpusEncodingSupported().then(setOpusAvailable);
+  }, []);
+
   // Initialize AudioContext on component mount
   useEffect(() => {
     if (!audioContext.current) {
@@ -59,31 +146,132 @@ function App() {
     };
   }, []);
 
-  // Initialize or restore user id
+  // Background sync of mistakes to the backend through a persistent outbox (see lib/syncEngine.js)
   useEffect(() => {
-    let uid = localStorage.getItem(LS_KEYS.userId);
-    if (!uid) {
-      uid = crypto.randomUUID();
-      localStorage.setItem(LS_KEYS.userId, uid);
-    }
-    setUserId(uid);
+    const engine = createSyncEngine({
+      url: BACKEND_SYNC_MISTAKES_URL,
+      profileId: profile.id,
+      onStatus: setSyncStatus,
+      // Only mark the revision that was acknowledged; a newer local edit stays unsynced
+      onSynced: (acks) => {
+        const acked = new Map(acks.map(a => [a.mistakeId, a.revision]));
+        setMistakeQueue(prev => prev.map(m => (acked.get(m.id) === (m.revision || 1) && !m.synced ? { ...m, synced: true } : m)));
+      },
+    });
+    syncEngine.current = engine;
+    engine.start().catch(error => console.error('Could not start mistake sync:', error));
+    return () => {
+      engine.stop();
+      if (syncEngine.current === engine) syncEngine.current = null;
+    };
   }, []);
 
-  // Load mistakes from LocalStorage
+  // Offline caching, replay of requests queued while offline, and the update prompt (see sw.js)
+  useEffect(() => registerServiceWorker({
+    onUpdateReady: apply => setApplyUpdate(() => apply),
+    onMessage: (data) => {
+      if (!data || data.type !== 'qra-replayed') return;
+      const { pathname } = new URL(data.url);
+      if (pathname.endsWith('/sync-mistakes/')) {
+        if (!data.ok || !data.body) return;
+        try {
+          const { profile_id: profileId, mistakes = [] } = JSON.parse(data.body);
+          // Queued while another learner's profile was open; that profile re-sends them when it next loads
+          if (profileId && profileId !== profile.id) return;
+          syncEngine.current?.acknowledge(mistakes.map(m => ({ mistakeId: m.id, revision: m.revision || 1 })));
+        } catch (error) {
+          console.error('Could not read replayed sync request:', error);
+        }
+      } else if (pathname.endsWith('/upload-training-audio/')) {
+        setStatusMessage(data.ok
+          ? 'A training upload saved while offline has now been sent.'
+          : `A training upload saved while offline was rejected by the server (status ${data.status}).`);
+      }
+    },
+  }), []);
+
+  // Load mistakes from IndexedDB (imports any legacy localStorage data on first run)
   useEffect(() => {
-    const saved = localStorage.getItem(LS_KEYS.mistakes);
-    if (saved) {
-      try {
-        setMistakeQueue(JSON.parse(saved));
-      } catch {}
-    }
+    let cancelled = false;
+    getAllMistakes()
+      .then((stored) => {
+        if (cancelled) return;
+        persistedMistakes.current = new Map(stored.map(m => [m.id, m]));
+        // Keep anything recorded while the database was still opening
+        setMistakeQueue(prev => {
+          const storedIds = new Set(stored.map(m => m.id));
+          return [...prev.filter(m => !storedIds.has(m.id)), ...stored];
+        });
+        // Records from before the outbox existed (or whose outbox entry was lost) still need syncing
+        syncEngine.current?.enqueue(stored.filter(m => !m.synced)).catch(error => console.error('Failed to queue mistakes for sync:', error));
+        // Records migrated from before ayah numbers were stored: resolve them from the ayah text and
+        // sync them again with the full verse key
+        return backfillAyahNumbers(stored).catch((error) => {
+          console.error('Could not resolve ayah numbers:', error);
+          return [];
+        });
+      })
+      .then((resolved) => {
+        if (cancelled || !resolved?.length) return;
+        const byId = new Map(resolved.map(m => [m.id, m]));
+        setMistakeQueue(prev => prev.map(m => (byId.has(m.id)
+          ? { ...m, ayah_number: byId.get(m.id).ayah_number, synced: false, revision: (m.revision || 1) + 1 }
+          : m)));
+      })
+      .catch((error) => {
+        console.error('Could not open local database:', error);
+        if (!cancelled) setStatusMessage('Local database unavailable. Mistakes will not be saved on this device.');
+      });
+    return () => { cancelled = true; };
   }, []);
 
-  // Persist mistakes to LocalStorage
+  // Persist mistakes to IndexedDB: only records that were added, changed or removed since the last write
   useEffect(() => {
-    localStorage.setItem(LS_KEYS.mistakes, JSON.stringify(mistakeQueue));
+    const persisted = persistedMistakes.current;
+    if (!persisted) return; // not loaded yet
+    const changed = mistakeQueue.filter(m => persisted.get(m.id) !== m);
+    const currentIds = new Set(mistakeQueue.map(m => m.id));
+    const removed = [...persisted.keys()].filter(id => !currentIds.has(id));
+    if (changed.length === 0 && removed.length === 0) return;
+    persistedMistakes.current = new Map(mistakeQueue.map(m => [m.id, m]));
+    if (changed.length > 0) {
+      putMistakes(changed).catch(error => console.error('Failed to save mistakes:', error));
+      const unsynced = changed.filter(m => !m.synced);
+      if (unsynced.length > 0) {
+        syncEngine.current?.enqueue(unsynced).catch(error => console.error('Failed to queue mistakes for sync:', error));
+      }
+    }
+    if (removed.length > 0) {
+      deleteMistakes(removed)
+        .then(() => syncEngine.current?.refresh())
+        .catch(error => console.error('Failed to delete mistakes:', error));
+    }
   }, [mistakeQueue]);
 
+  // Load review cards, then keep them in step with the confirmed mistakes
+  useEffect(() => {
+    getReviewCards()
+      .then(setReviewCards)
+      .catch((error) => {
+        console.error('Could not load review cards:', error);
+        setReviewCards([]);
+      });
+  }, []);
+
+  // Runs when the mistakes change (and once the cards have loaded); card updates from reviews don't re-run it,
+  // so the cards are read through reviewCardsRef
+  const cardsLoaded = reviewCards !== null;
+  useEffect(() => {
+    if (!cardsLoaded) return undefined;
+    let cancelled = false;
+    syncCardsFromMistakes(reviewCardsRef.current, mistakeQueue)
+      .then((changed) => {
+        if (!cancelled && changed.length > 0) saveReviewCards(changed);
+      })
+      .catch(error => console.error('Could not update review cards:', error));
+    return () => { cancelled = true; };
+  }, [mistakeQueue, cardsLoaded]);
+
   // Beep sound function for feedback
   const playBeep = useCallback(() => {
     if (audioContext.current) {
@@ -142,103 +330,185 @@ function App() {
     }
   }, []);
 
-  // WebSocket connection and message handling for real-time analysis
-  useEffect(() => {
-    // If not listening, ensure WebSocket is closed
-    if (!isListening) {
-      if (ws.current) {
-        ws.current.close();
-        ws.current = null;
+  // Updates the transcript and transcriptRef together, so a message handled before the next render
+  // (e.g. a mistake_event right after verse_identified) already sees the new ayah
+  const updateTranscript = (update) => {
+    transcriptRef.current = update(transcriptRef.current);
+    setTranscript(transcriptRef.current);
+  };
+
+  // Handlers for validated server messages (see lib/protocol.js for the message shapes)
+  const serverMessageHandlers = {
+    config_ack: async (message) => {
+      backendInfo.current = { backendVersion: message.backend_version ?? null, modelVersion: message.model_version ?? null };
+      // The server picked a different audio format from the ones offered in 'config'
+      if (message.audio_format && audioCapture.current) {
+        await audioCapture.current.setFormat(message.audio_format);
       }
-      return;
-    }
+    },
+    verse_identified: (message) => {
+      // Remember the verse so a reconnect can resume from here
+      lastVerse.current = { sura_name: message.sura_name, ayah_number: Number(message.ayah_number) };
+      // Update UI with the identified Sura and Aya
+      setCurrentSura(message.sura_name);
+      // Append to the session transcript; earlier ayat keep their feedback. Times place it in the recording.
+      const atMs = audioCapture.current?.elapsedMs ?? null;
+      updateTranscript(prev => appendAyah(prev, message, atMs));
+      sessionRecorder.current?.mark({ type: 'verse_identified', atMs, sura_name: message.sura_name, ayah_number: message.ayah_number });
+      setStatusMessage(`Reciting: ${message.sura_name} - ${message.ayah_number}`);
+    },
+    diff_update: (message) => {
+      // Update per-word status of the current ayah from the real-time diff analysis
+      // The 'diff' array contains objects like {type: 'equal'/'insertion'/'deletion'/'replacement_ref'/'replacement_trans', index, word}
+      const atMs = audioCapture.current?.elapsedMs ?? null;
+      updateTranscript(prev => updateCurrentAyah(prev, entry => applyDiff(entry, message.diff, atMs)));
+    },
+    mistake_event: (message) => {
+      // Display a detailed mistake message
+      setStatusMessage(`Mistake detected! ${classifyMistake(message.mistake_type).en} at word: "${message.reference_word}" (You said: "${message.transcribed_word}")`);
+
+      // Prepare mistake data for storage, located in the ayah being recited
+      const atMs = audioCapture.current?.elapsedMs ?? null;
+      const current = transcriptRef.current[transcriptRef.current.length - 1];
+      const newMistake = createMistake(message, current, {
+        sessionId: sessionRecorder.current?.id,
+        atMs,
+        feedbackMode,
+        ...backendInfo.current,
+      });
+      setMistakeQueue(prev => [newMistake, ...prev]);
+      sessionRecorder.current?.mark({ type: 'mistake_event', atMs, mistakeId: newMistake.id, mistake_type: message.mistake_type });
+      // Link the mistake to the ayah so it can be reviewed (and colour-coded) in the transcript
+      updateTranscript(prev => updateCurrentAyah(prev, entry => markMistake(entry, message, newMistake.id)));
+
+      // Trigger feedback based on user's selected mode
+      if (feedbackMode === 'highlight') {
+        // Highlighting is already handled by 'diff_update'
+      } else if (feedbackMode === 'beep') {
+        playBeep();
+      } else if (feedbackMode === 'spoken' && message.correction_audio_base64) {
+        // Decode base64 audio and play spoken correction
+        const audioBytes = Uint8Array.from(atob(message.correction_audio_base64), c => c.charCodeAt(0));
+        playSpokenCorrection(audioBytes);
+      }
+    },
+    error: (message) => {
+      console.error('Server reported an error:', message);
+      setStatusMessage(`Server error: ${message.message}`);
+    },
+  };
 
-    // Establish WebSocket connection to the backend
-    ws.current = new WebSocket(BACKEND_WS_URL);
+  // Keep the latest handlers/settings reachable from the long-lived connection without reconnecting on every render
+  messageHandlers.current = serverMessageHandlers;
+  feedbackModeRef.current = feedbackMode;
+  // A review drill narrows the expected range to the ayah being drilled
+  const drillStop = drill ? drill.stops[drill.index] : null;
+  expectedRangeRef.current = drillStop ? { surah: drillStop.surah, from: drillStop.ayah, to: drillStop.ayah } : expectedRange;
+  transcriptRef.current = transcript;
+  reviewCardsRef.current = reviewCards;
+
+  // Audio format fields of 'config': what is being sent now and what the capture could switch to
+  const audioFormatPayload = () => (audioCapture.current
+    ? { audio_format: audioCapture.current.format, audio_formats: audioCapture.current.formats }
+    : {});
+
+  // The complete 'config' message for a session. Every config carries all fields (the backend may treat
+  // it as a replacement), so build it only here; `changes` holds values whose state update is pending.
+  const sessionConfigMessage = (sessionId, changes = {}) => buildConfigMessage({
+    feedbackMode: changes.feedbackMode ?? feedbackModeRef.current,
+    session_id: sessionId,
+    profile_id: profile.id,
+    expected_range: toExpectedRangePayload('expectedRange' in changes ? changes.expectedRange : expectedRangeRef.current),
+    ...audioFormatPayload(),
+  });
+
+  // Record protocol problems (malformed frames, unknown types, version mismatches) for the UI
+  const reportProtocolIssue = useCallback((error) => {
+    console.warn('Protocol issue:', error.code, error.message, error.details);
+    setProtocolIssue(prev => ({
+      code: error.code,
+      message: error.message,
+      count: prev && prev.code === error.code ? prev.count + 1 : 1,
+    }));
+  }, []);
 
-    // Handle WebSocket open event
-    ws.current.onopen = () => {
-      console.log('WebSocket connected');
-      setStatusMessage('Connected to server. Start reciting!');
-      // Send initial configuration (like feedback mode) to the backend
-      ws.current.send(JSON.stringify({ type: 'config', feedbackMode: feedbackMode }));
-    };
+  // WebSocket session lifecycle: one resilient connection per listening session
+  useEffect(() => {
+    if (!isListening) return;
 
-    // Handle incoming messages from the WebSocket
-    ws.current.onmessage = async (event) => {
-      const message = JSON.parse(event.data);
-      console.log('Received message:', message);
-
-      if (message.type === 'verse_identified') {
-        // Update UI with the identified Sura and Aya
-        setCurrentSura(message.sura_name);
-        setCurrentAya(message.ayah_text);
-        // Split the Arabic text into words for individual highlighting.
-        // Filters out empty strings from multiple spaces.
-        setCurrentVerseWords(message.ayah_text.split(/\s+/).filter(word => word.length > 0));
-        setStatusMessage(`Reciting: ${message.sura_name} - ${message.ayah_number}`);
-        setHighlightedWords([]); // Clear previous highlights for new verse
-      } else if (message.type === 'diff_update') {
-        // Update highlights based on the real-time diff analysis
-        // The 'diff' array contains objects like {type: 'equal'/'insertion'/'deletion'/'replacement_ref'/'replacement_trans', index, word}
-        // We highlight words that are not 'equal' to indicate a discrepancy.
-        // For visual clarity, specifically highlight words from the *reference* that are incorrect.
-        const newHighlightedWords = message.diff
-          .filter(d => d.type === 'deletion' || d.type === 'replacement_ref') // Highlight reference words that were deleted or replaced incorrectly
-          .map(d => d.index);
-        setHighlightedWords(newHighlightedWords);
-      } else if (message.type === 'mistake_event') {
-        // Display a detailed mistake message
-        setStatusMessage(`Mistake detected! ${message.mistake_type} at word: "${message.reference_word}" (You said: "${message.transcribed_word}")`);
-
-      // Prepare mistake data for storage
-        const newMistake = {
-          id: crypto.randomUUID(),
-          sura: currentSura,
-          aya: currentAya,
-          transcription_segment: message.transcribed_segment,
-          reference_segment: message.reference_segment,
-          mistake_type: message.mistake_type,
-          timestamp: Date.now(),
-          verified: 'pending',
-          synced: false,
-        };
-        setMistakeQueue(prev => [newMistake, ...prev]);
-
-        // Trigger feedback based on user's selected mode
-        if (feedbackMode === 'highlight') {
-          // Highlighting is already handled by 'diff_update'
-        } else if (feedbackMode === 'beep') {
-          playBeep();
-        } else if (feedbackMode === 'spoken' && message.correction_audio_base64) {
-          // Decode base64 audio and play spoken correction
-          const audioBytes = Uint8Array.from(atob(message.correction_audio_base64), c => c.charCodeAt(0));
-          playSpokenCorrection(audioBytes);
+    lastVerse.current = null;
+    setProtocolIssue(null);
+    const router = createMessageRouter({ onProtocolError: reportProtocolIssue });
+    SERVER_MESSAGE_TYPES.forEach((type) => {
+      router.on(type, message => messageHandlers.current[type]?.(message));
+    });
+
+    let live = false;
+    const connection = createSessionConnection({
+      url: BACKEND_WS_URL,
+      sessionId: sessionRecorder.current?.id, // the recording and the backend session share an id
+      onMessage: (event) => router.route(event.data),
+      onStateChange: (state, detail) => {
+        // The socket was lost: the audio buffered from here on goes to the next one
+        const lost = live && (state === CONNECTION_STATES.reconnecting || state === CONNECTION_STATES.offline);
+        live = state === CONNECTION_STATES.live;
+        if (lost) audioCapture.current?.startNewStream();
+        setConnectionState(state);
+        setConnectionDetail(detail);
+      },
+      getHandshake: ({ sessionId, resumed }) => {
+        // Send configuration (like feedback mode) first, then ask the backend to pick up where we left off
+        const messages = [sessionConfigMessage(sessionId)];
+        if (resumed) {
+          messages.push(buildResumeMessage({ session_id: sessionId, last_verse: lastVerse.current }));
         }
-      }
-    };
-
-    // Handle WebSocket close event
-    ws.current.onclose = () => {
-      console.log('WebSocket disconnected');
-      setStatusMessage('Disconnected from server.');
-      setIsListening(false); // Stop listening if WS closes unexpectedly
-    };
-
-    // Handle WebSocket errors
-    ws.current.onerror = (error) => {
-      console.error('WebSocket error:', error);
-      setStatusMessage('WebSocket error. Check server connection.');
-      setIsListening(false); // Stop listening on error
-    };
+        return messages;
+      },
+    });
+    ws.current = connection;
+    connection.connect();
 
-    // Cleanup function for useEffect: close WebSocket on component unmount or re-render
+    // Cleanup: end the session on stop or unmount
     return () => {
-      if (ws.current) {
-        ws.current.close();
-      }
+      connection.close();
+      if (ws.current === connection) ws.current = null;
     };
-  }, [isListening, feedbackMode, playBeep, playSpokenCorrection, currentSura, currentAya]);
+  }, [isListening, reportProtocolIssue]);
+
+  // Hifz mode hesitation detection: no new word reached on an unfinished ayah for a while
+  const currentEntry = transcript[transcript.length - 1];
+  const hifzProgress = currentEntry
+    ? `${currentEntry.id}:${currentEntry.wordStatus.filter(status => status !== 'pending').length}:${Object.keys(currentEntry.hints).length}`
+    : '';
+  const hifzScore = memorisationScore(transcript);
+  const dueReviewCount = reviewCards ? dueCards(reviewCards).length : 0;
+  const canHesitate = hifzSettings.enabled && isListening && hifzSettings.hesitationMs > 0
+    && Boolean(currentEntry) && nextHiddenWord(currentEntry) !== -1;
+  useEffect(() => {
+    setHesitating(false);
+    if (!canHesitate) return undefined;
+    const timer = setTimeout(() => {
+      setHesitating(true);
+      setHesitations(n => n + 1);
+    }, hifzSettings.hesitationMs);
+    return () => clearTimeout(timer);
+  }, [hifzProgress, canHesitate, hifzSettings.hesitationMs]);
+
+  // Review drill: tell the backend about each new ayah (and the passage again once the drill ends),
+  // and grade each ayah once it has been recited in full
+  const drillKey = drillStop ? verseKey(drillStop.surah, drillStop.ayah) : null;
+  useEffect(() => {
+    if (!ws.current) return;
+    ws.current.sendJson(sessionConfigMessage(ws.current.sessionId));
+  }, [drillKey]);
+
+  useEffect(() => {
+    if (!drillStop || !isListening) return undefined;
+    const entry = [...transcript].reverse().find(e => e.suraNumber === drillStop.surah && e.ayahNumber === drillStop.ayah);
+    if (!entry || entry.wordStatus.includes(WORD_STATUS.pending)) return undefined;
+    const timer = setTimeout(() => gradeDrillStop(entry), DRILL_GRADE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [transcript, drillStop, isListening]);
 
   // Audio streaming logic for continuous microphone input to WebSocket
   const startListening = async () => {
@@ -246,116 +516,106 @@ function App() {
 
     try {
       // Request microphone access
-      audioStream.current = await navigator.mediaDevices.getUserMedia({ audio: true });
-      // Initialize MediaRecorder for webm audio format
-      mediaRecorder.current = new MediaRecorder(audioStream.current, { mimeType: 'audio/webm' });
-      audioChunks.current = []; // Clear previous audio chunks
-
-      // Setup AudioContext Analyser for real-time sound level detection (for TTS interruption)
-      const source = audioContext.current.createMediaStreamSource(audioStream.current);
-      const analyser = audioContext.current.createAnalyser();
-      analyser.fftSize = 2048; // Fast Fourier Transform size
-      const bufferLength = analyser.frequencyBinCount; // Number of data points in the frequency domain
-      const dataArray = new Uint8Array(bufferLength); // Array to hold the frequency data
-
-      source.connect(analyser); // Connect microphone source to analyser
-
-      // Function to continuously check for sound levels
-      const checkSilence = () => {
-        analyser.getByteFrequencyData(dataArray); // Populate dataArray with frequency data
-        const sum = dataArray.reduce((a, b) => a + b, 0);
-        const average = sum / bufferLength; // Calculate average sound level
-
-        // If spoken correction is playing and user's microphone detects significant sound (user speaking)
-        if (isSpokenCorrectionPlaying && average > 10) { // Threshold for detecting voice activity
-          console.log("User started speaking, stopping TTS.");
-          if (spokenCorrectionSource.current) {
-            spokenCorrectionSource.current.stop(); // Stop TTS playback
-            spokenCorrectionSource.current.disconnect();
-            spokenCorrectionSource.current = null;
-            setIsSpokenCorrectionPlaying(false);
-          }
-        }
-        animationFrameId.current = requestAnimationFrame(checkSilence); // Continue checking in next animation frame
-      };
-
-      animationFrameId.current = requestAnimationFrame(checkSilence); // Start the silence detection loop
-
-      // Event handler for when audio data is available from MediaRecorder
-      mediaRecorder.current.ondataavailable = (event) => {
-        audioChunks.current.push(event.data); // Add audio chunk to array
-      };
-
-      // Event handler for when MediaRecorder stops
-      mediaRecorder.current.onstop = async () => {
-        // Send any remaining accumulated audio chunks when recording stops
-        if (audioChunks.current.length > 0 && ws.current && ws.current.readyState === WebSocket.OPEN) {
-          const audioBlob = new Blob(audioChunks.current, { type: 'audio/webm' });
-          const arrayBuffer = await audioBlob.arrayBuffer();
-          ws.current.send(arrayBuffer); // Send as binary data over WebSocket
-        }
-        audioChunks.current = []; // Clear chunks
-      };
+      const { stream, usedFallback } = await openMicrophone(micSettings, { noiseSuppression: audioProcessing.noiseSuppression });
+      audioStream.current = stream;
+      // Contexts start suspended until a user gesture; this click is one
+      if (audioContext.current.state === 'suspended') await audioContext.current.resume();
+      sessionRecorder.current = createSessionRecorder({ id: crypto.randomUUID(), passage: expectedRange });
+
+      // Framed 16 kHz PCM (or Opus); the connection buffers frames while reconnecting, so a network blip doesn't lose audio
+      audioCapture.current = await createAudioCapture({
+        stream: audioStream.current,
+        audioContext: audioContext.current,
+        encoding: audioEncoding,
+        pipeline: createAudioPipeline({
+          settings: audioProcessing,
+          onSegment: (event) => {
+            // Queued in order with the audio, so the boundaries line up with the frames around them
+            ws.current?.send(JSON.stringify(buildVadMessage(event)));
+            // The user started reciting again: cut a spoken correction short
+            if (event.type === 'speech_start' && spokenCorrectionSource.current) {
+              console.log('User started speaking, stopping TTS.');
+              spokenCorrectionSource.current.stop();
+              spokenCorrectionSource.current.disconnect();
+              spokenCorrectionSource.current = null;
+              setIsSpokenCorrectionPlaying(false);
+            }
+          },
+        }),
+        onFrame: (frame, options) => {
+          ws.current?.send(frame, options);
+          lastAudioTimestamp.current = Date.now(); // Update timestamp of last sent audio
+        },
+        // Everything the microphone hears (before speech gating) is kept for playback
+        onRawAudio: data => sessionRecorder.current?.addAudio(data),
+      });
 
-      mediaRecorder.current.start(250); // Start recording, collecting data every 250ms
-      setStatusMessage('Listening...');
+      setStatusMessage(usedFallback ? 'Listening with the default microphone (the selected one is not connected)...' : 'Listening...');
+      updateTranscript(() => []); // A new session starts a new transcript
+      setSelectedAyahId(null);
+      setHesitations(0);
       setIsListening(true); // Update listening status
 
-      // Periodically send collected audio chunks to the backend
-      const intervalId = setInterval(async () => {
-        if (mediaRecorder.current && mediaRecorder.current.state === 'recording' && audioChunks.current.length > 0) {
-          if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-            const audioBlob = new Blob(audioChunks.current, { type: 'audio/webm' });
-            const arrayBuffer = await audioBlob.arrayBuffer();
-            ws.current.send(arrayBuffer); // Send as binary ArrayBuffer
-            lastAudioTimestamp.current = Date.now(); // Update timestamp of last sent audio
-          }
-          audioChunks.current = []; // Clear chunks after sending
-        }
-      }, 500); // Send accumulated chunks every 500ms
-
-      // Cleanup function for interval on component unmount or stop
-      return () => clearInterval(intervalId);
-
     } catch (error) {
       console.error('Error accessing microphone:', error);
-      setStatusMessage('Microphone access denied or error. Please allow microphone permissions.');
+      audioStream.current?.getTracks().forEach(track => track.stop());
+      audioStream.current = null;
+      sessionRecorder.current = null;
+      setDrill(null);
+      const { message, hint } = describeMicrophoneError(error);
+      setStatusMessage(hint ? `${message} ${hint}` : message);
       setIsListening(false);
     }
   };
 
-  // Function to stop listening and clean up resources
-  const stopListening = () => {
-    if (!isListening) return;
+  // Stores the recording with its transcript and mistakes so it can be replayed from the Sessions tab
+  const saveSessionRecording = async (recorder) => {
+    const mistakeIds = transcriptRef.current.flatMap(entry => entry.mistakes);
+    const result = recorder.finish({ transcript: transcriptRef.current, mistakeIds });
+    if (!result) return;
+    try {
+      const audioId = await saveAudio({ blob: result.blob, ownerType: 'session', ownerId: result.session.id });
+      const hifz = hifzSettings.enabled ? { ...memorisationScore(transcriptRef.current), hesitations } : null;
+      await putSession({ ...result.session, audioId, hifz });
+      setSavedSessions(n => n + 1);
+    } catch (error) {
+      console.error('Could not save the session recording:', error);
+      setStatusMessage('Stopped listening. The recording could not be saved on this device.');
+    }
+  };
 
-    // Stop MediaRecorder if active
-    if (mediaRecorder.current && mediaRecorder.current.state === 'recording') {
-      mediaRecorder.current.stop();
+  // Opens a recorded session at the moment a mistake happened
+  const openSessionAt = (sessionId, atMs) => {
+    setSessionFocus({ sessionId, atMs });
+    setCurrentTab('sessions');
+  };
+
+  // Function to stop listening and clean up resources. The capture stops first: its last chunk of audio
+  // arrives only after that, and still has to reach the backend and the session recording.
+  const stopListening = async () => {
+    if (!isListening || !audioCapture.current) return; // not listening, or already stopping
+
+    const capture = audioCapture.current;
+    audioCapture.current = null;
+    await capture.stop();
+    if (sessionRecorder.current) {
+      saveSessionRecording(sessionRecorder.current);
+      sessionRecorder.current = null;
     }
     // Stop all tracks in the audio stream (e.g., microphone)
     if (audioStream.current) {
       audioStream.current.getTracks().forEach(track => track.stop());
     }
-    // Close WebSocket connection
+    // Close WebSocket session (also done by the session effect once isListening flips)
     if (ws.current) {
       ws.current.close();
     }
-    // Cancel animation frame for silence detection
-    if (animationFrameId.current) {
-      cancelAnimationFrame(animationFrameId.current);
-    }
-    // Clear any pending silence timeout (though less relevant now with real-time check)
-    if (silenceTimeoutId.current) {
-      clearTimeout(silenceTimeoutId.current);
-    }
 
-    // Reset UI states
+    // Reset UI states (the transcript stays up for review until the next session)
     setIsListening(false);
+    setDrill(null);
     setStatusMessage('Stopped listening.');
     setCurrentSura('');
-    setCurrentAya('');
-    setCurrentVerseWords([]);
-    setHighlightedWords([]);
     setIsSpokenCorrectionPlaying(false); // Ensure TTS playback is stopped
     if (spokenCorrectionSource.current) {
       spokenCorrectionSource.current.stop();
@@ -368,204 +628,287 @@ function App() {
   const handleFeedbackModeChange = (mode) => {
     setFeedbackMode(mode);
     // Send updated feedback mode to backend via WebSocket if connected
-    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-      ws.current.send(JSON.stringify({ type: 'config', feedbackMode: mode }));
+    // (a reconnect re-sends the current mode in its handshake)
+    if (ws.current) {
+      ws.current.sendJson(sessionConfigMessage(ws.current.sessionId, { feedbackMode: mode }));
     }
   };
 
-  // Handler for user verifying a detected mistake
-  const handleMistakeVerification = async (id, status) => {
-    setMistakeQueue(prev => prev.map(m => (m.id === id ? { ...m, verified: status, synced: false } : m)));
-    setStatusMessage(`Mistake marked as ${status}.`);
+  // Handler for switching the audio encoding; a running session switches at the next frame and re-announces its format
+  const handleAudioEncodingChange = async (encoding) => {
+    setAudioEncoding(encoding);
+    localStorage.setItem(settingsKey(LS_KEYS.audioEncoding), encoding);
+    if (audioCapture.current) {
+      await audioCapture.current.setFormat({ codec: encoding === 'opus' ? 'opus' : 'pcm_s16le' });
+      ws.current?.sendJson(sessionConfigMessage(ws.current.sessionId));
+    }
   };
 
-  // Handler for file selection for initial training audio upload
-  const handleAudioFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file && file.type.startsWith('audio/')) {
-      setRecordedAudioFile(file);
-      setStatusMessage(`Audio file '${file.name}' selected for training.`);
-    } else {
-      setRecordedAudioFile(null);
-      setStatusMessage("Please select a valid audio file (.mp3, .wav, etc.).");
+  // Handler for the preprocessing / voice activity settings; a running session picks them up immediately
+  const handleAudioProcessingChange = (patch) => {
+    const next = { ...audioProcessing, ...patch };
+    setAudioProcessing(next);
+    localStorage.setItem(settingsKey(LS_KEYS.audioProcessing), JSON.stringify(next));
+    audioCapture.current?.pipeline?.setSettings(patch);
+    if ('noiseSuppression' in patch && audioStream.current) {
+      audioStream.current.getAudioTracks().forEach((track) => {
+        track.applyConstraints({ ...track.getConstraints(), noiseSuppression: patch.noiseSuppression })
+          .catch(error => console.warn('Could not change noise suppression:', error));
+      });
     }
   };
 
-  // Handler for uploading initial/Ruku training audio to backend
-  const uploadInitialTrainingAudio = async () => {
-    if (!recordedAudioFile) {
-      setStatusMessage("No audio file selected to upload for training.");
-      return;
+  // Handler for microphone settings; a new device is used from the next session, the toggles apply now
+  const handleMicSettingsChange = (patch) => {
+    const next = { ...micSettings, ...patch };
+    setMicSettings(next);
+    localStorage.setItem(settingsKey(LS_KEYS.micSettings), JSON.stringify(next));
+    if (audioStream.current && !('deviceId' in patch)) {
+      audioStream.current.getAudioTracks().forEach((track) => {
+        track.applyConstraints({ ...track.getConstraints(), ...patch })
+          .catch(error => console.warn('Could not change microphone settings:', error));
+      });
     }
+  };
 
-    setStatusMessage(`Uploading '${recordedAudioFile.name}' for training...`);
+  // Handler for the reference recitation settings (reciter, audio source, default speed)
+  const handleReferenceSettingsChange = (patch) => {
+    const next = { ...referenceSettings, ...patch };
+    setReferenceSettings(next);
+    localStorage.setItem(settingsKey(LS_KEYS.referenceAudio), JSON.stringify(next));
+  };
 
-    const formData = new FormData();
-    formData.append('file', recordedAudioFile, recordedAudioFile.name); // Append the audio file to form data
+  const saveReviewCards = (cards) => {
+    setReviewCards(prev => [...prev.filter(card => !cards.some(c => c.id === card.id)), ...cards]);
+    putReviewCards(cards).catch(error => console.error('Failed to save review cards:', error));
+  };
 
-    try {
-      // Send the audio file to the backend's upload endpoint
-      const response = await fetch(BACKEND_UPLOAD_URL + `?sample_type=initial_recitation_upload`, {
-        method: 'POST',
-        body: formData,
+  // Review drill: recite the due ayat one at a time; each is graded once it has been recited in full
+  const startDrill = () => {
+    const stops = planDrill(reviewCards);
+    if (stops.length === 0) return;
+    setDrill({ stops, index: 0, results: [] });
+    setCurrentTab('analyzer');
+    startListening();
+  };
+
+  const finishDrill = async (results) => {
+    setDrill(null);
+    await stopListening();
+    const passed = results.filter(result => result.grades.every(grade => grade >= PASSING_GRADE)).length;
+    setStatusMessage(results.length > 0
+      ? `Review drill finished: ${passed} of ${results.length} ayat passed.`
+      : 'Review drill ended.');
+  };
+
+  const advanceDrill = (results) => {
+    if (drill.index + 1 >= drill.stops.length) finishDrill(results);
+    else setDrill({ ...drill, index: drill.index + 1, results });
+  };
+
+  const gradeDrillStop = (entry) => {
+    const mistakesById = new Map(mistakeQueue.map(m => [m.id, m]));
+    const now = Date.now();
+    const graded = drillStop.cardIds
+      .map(id => reviewCards.find(card => card.id === id))
+      .filter(Boolean)
+      .map((card) => {
+        const { grade, accuracy } = gradeRecitation(entry, card, mistakesById);
+        return scheduleReview(card, grade, accuracy, now);
       });
+    saveReviewCards(graded);
+    advanceDrill([...drill.results, { ...drillStop, grades: graded.map(card => card.history[card.history.length - 1].grade) }]);
+  };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json(); // Parse the JSON response from backend
-      console.log('Initial training audio upload response:', result);
-      setStatusMessage(`File '${recordedAudioFile.name}' uploaded successfully for initial training.`);
-
-      // Store metadata locally for user's tracking
-      const record = {
-        id: crypto.randomUUID(),
-        fileName: recordedAudioFile.name,
-        type: 'initial_recitation_upload',
-        timestamp: Date.now(),
-        fileSize: recordedAudioFile.size,
-        fileType: recordedAudioFile.type,
-      };
-      const existing = JSON.parse(localStorage.getItem(LS_KEYS.trainingUploads) || '[]');
-      existing.unshift(record);
-      localStorage.setItem(LS_KEYS.trainingUploads, JSON.stringify(existing));
-
-      setRecordedAudioFile(null); // Clear selected file after successful upload
-    } catch (error) {
-      console.error("Error uploading initial training audio:", error);
-      setStatusMessage("Failed to upload initial training audio.");
-    }
+  // Handler for hifz mode settings; hiding applies immediately, including mid-session
+  const handleHifzSettingsChange = (patch) => {
+    const next = { ...hifzSettings, ...patch };
+    setHifzSettings(next);
+    localStorage.setItem(settingsKey(LS_KEYS.hifz), JSON.stringify(next));
   };
 
-  // --- Correct Sample Recording Logic (for user-provided correct samples) ---
-  const startRecordingCorrectSample = async (mistakeId, referenceText) => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      correctSampleRecorder.current = new MediaRecorder(stream, { mimeType: 'audio/webm' });
-      correctSampleChunks.current = [];
-
-      correctSampleRecorder.current.ondataavailable = (event) => {
-        correctSampleChunks.current.push(event.data);
-      };
-
-      correctSampleRecorder.current.onstop = async () => {
-        const audioBlob = new Blob(correctSampleChunks.current, { type: 'audio/webm' });
-        correctSampleChunks.current = []; // Clear chunks
-
-        // Upload the recorded correct sample to the backend
-        await uploadCorrectSample(audioBlob, referenceText, mistakeId);
-        // Stop the media stream tracks
-        if (correctSampleRecorder.current && correctSampleRecorder.current.stream) {
-          correctSampleRecorder.current.stream.getTracks().forEach(track => track.stop());
-        }
-        setIsRecordingCorrectSample(false); // Stop recording state
-        setShowCorrectionModal(false); // Close modal
-      };
+  // Hifz mode: reveal part of the current ayah on request
+  const giveHint = (level) => {
+    updateTranscript(prev => updateCurrentAyah(prev, entry => applyHint(entry, level)));
+    setHesitating(false);
+  };
 
-      correctSampleRecorder.current.start();
-      setIsRecordingCorrectSample(true);
-      setStatusMessage("Recording your correct recitation...");
-    } catch (error) {
-      console.error("Error accessing microphone for correct sample:", error);
-      setStatusMessage("Could not record correct sample. Microphone access denied.");
-      setIsRecordingCorrectSample(false);
+  // Handler for choosing the passage to recite; narrows verse identification on the backend
+  const handleExpectedRangeChange = (range) => {
+    setExpectedRange(range);
+    localStorage.setItem(settingsKey(LS_KEYS.expectedRange), JSON.stringify(range));
+    // A running drill keeps the backend on the drilled ayah; the new passage goes out when it ends
+    if (ws.current && !drill) {
+      ws.current.sendJson(sessionConfigMessage(ws.current.sessionId, { expectedRange: range }));
     }
   };
 
-  const stopRecordingCorrectSample = () => {
-    if (correctSampleRecorder.current && correctSampleRecorder.current.state === 'recording') {
-      correctSampleRecorder.current.stop();
-    }
-    // Stop the media stream tracks if not already stopped by onstop event
-    if (correctSampleRecorder.current && correctSampleRecorder.current.stream) {
-      correctSampleRecorder.current.stream.getTracks().forEach(track => track.stop());
+  // Every change to a row bumps its revision so the sync engine sends the new state (see lib/syncEngine.js)
+  const revise = (m, patch) => ({ ...m, ...patch, synced: false, revision: (m.revision || 1) + 1 });
+
+  // Applies update(mistake) -> mistake (or null to delete) to the given rows, keeping their previous
+  // versions so the change can be undone
+  const changeMistakes = (ids, update, label) => {
+    const idSet = new Set(ids);
+    const before = mistakeQueue.filter(m => idSet.has(m.id));
+    if (before.length === 0) return;
+    undoStack.current = [...undoStack.current.slice(1 - UNDO_LIMIT), { label, before }];
+    setUndoLabel(label);
+    setMistakeQueue(prev => prev.flatMap((m) => {
+      if (!idSet.has(m.id)) return [m];
+      const next = update(m);
+      return next ? [next] : [];
+    }));
+    setStatusMessage(label);
+  };
+
+  const undoMistakeChange = () => {
+    const last = undoStack.current.pop();
+    if (!last) return;
+    setUndoLabel(undoStack.current[undoStack.current.length - 1]?.label ?? null);
+    setMistakeQueue((prev) => {
+      const current = new Map(prev.map(m => [m.id, m]));
+      // Restored rows need a newer revision than the one they are replacing, or the undo wouldn't sync
+      const restored = last.before.map(m => (current.has(m.id) ? { ...m, synced: false, revision: (current.get(m.id).revision || 1) + 1 } : m));
+      const restoredIds = new Set(restored.map(m => m.id));
+      return [...prev.filter(m => !restoredIds.has(m.id)), ...restored].sort((a, b) => b.timestamp - a.timestamp);
+    });
+    setStatusMessage(`Undone: ${last.label}`);
+  };
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  // Handler for user verifying detected mistakes
+  const handleMistakeVerification = (ids, status) => {
+    changeMistakes(ids, m => revise(m, { verified: status }), `${plural(ids.length, 'mistake')} marked as ${status}.`);
+  };
+
+  const handleMistakeDelete = (ids) => {
+    changeMistakes(ids, () => null, `${plural(ids.length, 'mistake')} deleted.`);
+  };
+
+  // Corrected reference/transcription texts and notes go out with the row's next sync
+  const handleMistakeEdit = (id, patch) => {
+    changeMistakes([id], m => revise(m, patch), 'Mistake edited.');
+  };
+
+  // Merges imported mistakes into the queue by id (see lib/backup.js); the persistence effect stores
+  // them and queues the unsynced ones
+  const importMistakes = (records) => {
+    const { changed, report } = mergeMistakes(mistakeQueue, records);
+    if (changed.length > 0) {
+      const byId = new Map(changed.map(m => [m.id, m]));
+      setMistakeQueue(prev => [...prev.filter(m => !byId.has(m.id)), ...changed].sort((a, b) => b.timestamp - a.timestamp));
     }
-    setIsRecordingCorrectSample(false);
-    setStatusMessage("Correct sample recording stopped.");
+    setStatusMessage(`Imported mistakes: ${report.added} added, ${report.updated} updated, ${plural(report.conflicts.length, 'conflict')}.`);
+    return report;
   };
 
-  const uploadCorrectSample = async (audioBlob, text, originalMistakeId) => {
-    setStatusMessage("Uploading correct sample for training...");
+  // A restored backup wrote sessions and review cards straight to storage; restored settings and
+  // learner id apply after a reload
+  const handleBackupRestored = () => {
+    getReviewCards()
+      .then(setReviewCards)
+      .catch(error => console.error('Could not reload review cards:', error));
+    setSavedSessions(n => n + 1);
+  };
+
+  // Uploads one take of a correct sample; throws when the backend rejects it
+  const uploadCorrectSample = async ({ blob: audioBlob, durationMs }, text, originalMistakeId, take) => {
     const formData = new FormData();
     // Use a specific filename format to identify these as correct samples for training
-    const filename = `correct_recitation_${originalMistakeId || Date.now()}.webm`;
+    const extension = audioBlob.type.includes('mp4') ? 'm4a' : audioBlob.type.includes('ogg') ? 'ogg' : 'webm';
+    const filename = `correct_recitation_${originalMistakeId || Date.now()}_${take}.${extension}`;
     formData.append('file', audioBlob, filename);
 
-    try {
-      const params = new URLSearchParams({ sample_type: 'correct_recitation_sample', reference_text: text || '', original_mistake_id: originalMistakeId || '' });
-      const response = await fetch(`${BACKEND_UPLOAD_URL}?${params.toString()}`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json();
-      console.log('Correct sample upload response:', result);
-      setStatusMessage(`Correct sample for "${text}" uploaded successfully!`);
-
-      // Store metadata locally for user's tracking
-      const record = {
-        id: crypto.randomUUID(),
-        fileName: filename,
-        text,
-        originalMistakeId,
-        type: 'correct_recitation_sample',
-        timestamp: Date.now(),
-        fileSize: audioBlob.size,
-        fileType: audioBlob.type,
-      };
-      const existing = JSON.parse(localStorage.getItem(LS_KEYS.trainingUploads) || '[]');
-      existing.unshift(record);
-      localStorage.setItem(LS_KEYS.trainingUploads, JSON.stringify(existing));
-
-    } catch (error) {
-      console.error("Error uploading correct sample:", error);
-      setStatusMessage("Failed to upload correct sample.");
+    const params = new URLSearchParams({
+      sample_type: 'correct_recitation_sample',
+      reference_text: text || '',
+      original_mistake_id: originalMistakeId || '',
+      profile_id: profile.id,
+      take: String(take),
+      duration_ms: String(Math.round(durationMs)),
+    });
+    const response = await fetch(`${BACKEND_UPLOAD_URL}?${params.toString()}`, {
+      method: 'POST',
+      body: formData,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
     }
+    const result = await response.json();
+    const queued = result.status === 'queued';
+
+    // Store metadata and the recording itself locally for user's tracking
+    const audioId = await saveAudio({ blob: audioBlob, ownerType: 'correct_sample', ownerId: originalMistakeId })
+      .catch((error) => {
+        console.error('Failed to keep correct sample audio locally:', error);
+        return null;
+      });
+    const record = {
+      id: crypto.randomUUID(),
+      fileName: filename,
+      text,
+      originalMistakeId,
+      audioId,
+      type: 'correct_recitation_sample',
+      timestamp: Date.now(),
+      fileSize: audioBlob.size,
+      fileType: audioBlob.type,
+      durationMs,
+      queued,
+    };
+    addTrainingUpload(record).catch(error => console.error('Failed to record upload locally:', error));
+    return { queued };
   };
 
-  // Background sync of mistakes to backend JSONL
-  const syncMistakes = useCallback(async () => {
-    const unsynced = mistakeQueue.filter(m => !m.synced);
-    if (unsynced.length === 0) return;
-    try {
-      const payload = { mistakes: unsynced.map(({ synced, ...rest }) => rest) };
-      const res = await fetch(BACKEND_SYNC_MISTAKES_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      if (!res.ok) throw new Error(`Sync failed: ${res.status}`);
-      // Mark as synced
-      const syncedIds = new Set(unsynced.map(m => m.id));
-      setMistakeQueue(prev => prev.map(m => (syncedIds.has(m.id) ? { ...m, synced: true } : m)));
-      setStatusMessage('Synced mistakes to server.');
-    } catch (e) {
-      console.error('Sync mistakes error', e);
+  // Uploads the takes accepted in the correct-sample recorder and marks the mistake as resolved: the
+  // system was wrong and the user has shown the correct recitation. Resolves with the takes that failed,
+  // which stay in the recorder so they can be sent again; the recorder closes once every take is through.
+  const acceptCorrectSamples = async (takes) => {
+    // After a partial failure the mistake has already been revised with the takes that went through
+    const mistake = mistakeQueue.find(m => m.id === correctionMistake.id) || correctionMistake;
+    const text = mistake.reference_segment;
+    setStatusMessage(`Uploading ${plural(takes.length, 'correct sample')} for training...`);
+    // Numbers of takes that failed aren't reused, so every file sent for a mistake has its own name
+    const tried = lastTakeTried.current.mistakeId === mistake.id ? lastTakeTried.current.take : 0;
+    const firstTake = Math.max(mistake.correct_sample_count || 0, tried) + 1;
+    lastTakeTried.current = { mistakeId: mistake.id, take: firstTake + takes.length - 1 };
+    const results = await Promise.allSettled(takes.map((take, i) => uploadCorrectSample(take, text, mistake.id, firstTake + i)));
+    const sent = results.filter(r => r.status === 'fulfilled');
+    results.filter(r => r.status === 'rejected').forEach(r => console.error('Error uploading correct sample:', r.reason));
+    if (sent.length === 0) throw new Error('Failed to upload correct sample. Check your connection and try again.');
+
+    const queued = sent.some(r => r.value.queued);
+    changeMistakes([mistake.id], m => revise(m, {
+      verified: 'correct',
+      correct_sample_count: (m.correct_sample_count || 0) + sent.length,
+      resolved_at: Date.now(),
+    }), queued
+      ? `You're offline. The correct sample for "${text}" will be uploaded when the connection returns.`
+      : `${plural(sent.length, 'correct sample')} for "${text}" uploaded; mistake resolved.`);
+    const failed = takes.filter((take, i) => results[i].status === 'rejected');
+    if (failed.length > 0) {
+      setStatusMessage(`${plural(failed.length, 'take')} failed to upload; the mistake was resolved with the others.`);
+      return failed;
     }
-  }, [mistakeQueue]);
-
-  useEffect(() => {
-    const interval = setInterval(() => {
-      syncMistakes();
-    }, 60000); // every 60s
-    // initial attempt shortly after load
-    const t = setTimeout(syncMistakes, 5000);
-    return () => { clearInterval(interval); clearTimeout(t); };
-  }, [syncMistakes]);
+    setCorrectionMistake(null);
+    return [];
+  };
 
   return (
     <div className="min-h-screen bg-green-50 flex flex-col items-center p-4 sm:p-6 lg:p-8 font-inter">
       <header className="w-full max-w-4xl bg-green-700 text-white p-4 sm:p-6 rounded-lg shadow-xl mb-6 text-center">
         <h1 className="text-3xl sm:text-4xl font-bold mb-2">Quran Recitation Analyzer</h1>
         <p className="text-sm sm:text-base opacity-90">Real-time feedback for your Quran recitation.</p>
-        {userId && (
-          <p className="text-xs sm:text-sm mt-2 opacity-70">
-            User ID: <span className="font-mono text-amber-200 break-all">{userId}</span>
-          </p>
-        )}
+        <p className="text-xs sm:text-sm mt-2 opacity-70">
+          Learner:{' '}
+          <button onClick={() => setCurrentTab('learners')} className="font-semibold text-amber-200 underline" title="Switch or manage learners">
+            {profile.name}
+          </button>
+          {' · '}ID: <span className="font-mono text-amber-200 break-all">{profile.id}</span>
+        </p>
       </header>
 
       <nav className="w-full max-w-4xl bg-white p-2 rounded-lg shadow-md mb-6 flex justify-around items-center">
@@ -585,6 +928,38 @@ function App() {
         >
           Training
         </button>
+        <button
+          className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
+            currentTab === 'review' ? 'bg-green-600 text-white shadow-md' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setCurrentTab('review')}
+        >
+          Review{dueReviewCount > 0 && ` (${dueReviewCount})`}
+        </button>
+        <button
+          className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
+            currentTab === 'analytics' ? 'bg-green-600 text-white shadow-md' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setCurrentTab('analytics')}
+        >
+          Analytics
+        </button>
+        <button
+          className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
+            currentTab === 'sessions' ? 'bg-green-600 text-white shadow-md' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setCurrentTab('sessions')}
+        >
+          Sessions
+        </button>
+        <button
+          className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
+            currentTab === 'learners' ? 'bg-green-600 text-white shadow-md' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setCurrentTab('learners')}
+        >
+          Learners
+        </button>
         <button
           className={`px-4 py-2 rounded-md font-medium transition-colors duration-200 ${
             currentTab === 'settings' ? 'bg-green-600 text-white shadow-md' : 'text-gray-700 hover:bg-gray-100'
@@ -597,6 +972,28 @@ function App() {
 
       {currentTab === 'analyzer' && (
         <main className="w-full max-w-4xl bg-white p-6 rounded-lg shadow-xl mb-6">
+          <PassagePicker value={expectedRange} onChange={handleExpectedRangeChange} />
+          {drillStop && (
+            <div className="mb-4 px-4 py-3 bg-green-50 border border-green-300 rounded-md flex flex-wrap items-center justify-between gap-2">
+              <span className="text-green-900">
+                Review drill {drill.index + 1} of {drill.stops.length}: recite {getSurah(drillStop.surah)?.transliteration} {drillStop.surah}:{drillStop.ayah}
+              </span>
+              <span className="flex gap-2">
+                <button onClick={() => advanceDrill(drill.results)} className="px-3 py-1 text-sm bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Skip</button>
+                <button onClick={() => finishDrill(drill.results)} className="px-3 py-1 text-sm bg-red-100 text-red-700 rounded-md hover:bg-red-200">End drill</button>
+              </span>
+            </div>
+          )}
+          <label className="flex items-center justify-center mb-4 text-lg">
+            <input
+              type="checkbox"
+              className="form-checkbox h-5 w-5 text-green-600"
+              checked={hifzSettings.enabled}
+              onChange={(e) => handleHifzSettingsChange({ enabled: e.target.checked })}
+            />
+            <span className="ml-2 text-gray-800">Hifz mode: keep the text hidden until you recite it</span>
+          </label>
+
           <div className="flex flex-col items-center mb-6">
             <button
               onClick={isListening ? stopListening : startListening}
@@ -615,25 +1012,72 @@ function App() {
                 </>
               )}
             </button>
-            <p className="mt-4 text-center text-gray-600 text-base sm:text-lg">{statusMessage}</p>
+            <div className="mt-4">
+              <ConnectionStatus state={connectionState} detail={connectionDetail} />
+            </div>
+            {isListening && audioCapture.current && (
+              <div className="mt-3">
+                <InputLevelMeter pipeline={audioCapture.current.pipeline} />
+              </div>
+            )}
+            <p className="mt-2 text-center text-gray-600 text-base sm:text-lg">{statusMessage}</p>
+            {protocolIssue && (
+              <div className={`mt-3 w-full px-4 py-2 rounded-md text-sm flex justify-between items-center ${
+                protocolIssue.code === 'version_mismatch' ? 'bg-amber-50 text-amber-800 border border-amber-200' : 'bg-red-50 text-red-800 border border-red-200'
+              }`} dir="ltr">
+                <span>
+                  {protocolIssue.code === 'version_mismatch' ? 'Backend version mismatch: ' : 'Protocol error: '}
+                  {protocolIssue.message}
+                  {protocolIssue.count > 1 && ` (×${protocolIssue.count})`}
+                </span>
+                <button onClick={() => setProtocolIssue(null)} className="ml-4 text-xs underline">Dismiss</button>
+              </div>
+            )}
           </div>
 
           <div className="bg-gray-50 p-6 rounded-lg border border-gray-200 text-center min-h-[150px] flex flex-col justify-center">
-            {currentSura && currentAya ? (
+            {transcript.length > 0 ? (
               <>
-                <h2 className="text-2xl sm:text-3xl font-semibold text-green-800 mb-4">{currentSura}</h2>
-                <p className="text-xl sm:text-2xl text-gray-800 leading-relaxed" dir="rtl">
-                  {currentVerseWords.map((word, index) => (
-                    <span
-                      key={index}
-                      className={`transition-colors duration-200 mx-0.5 ${
-                        highlightedWords.includes(index) ? 'bg-red-200 font-bold text-red-700 rounded-md px-1' : ''
-                      }`}
-                    >
-                      {word}
-                    </span>
-                  ))}
-                </p>
+                {currentSura && <h2 className="text-2xl sm:text-3xl font-semibold text-green-800 mb-4">{currentSura}</h2>}
+                {hifzSettings.enabled && (
+                  <div className="mb-4 flex flex-col items-center gap-2" dir="ltr">
+                    {isListening && (
+                      <div className="flex flex-wrap justify-center gap-2">
+                        {Object.entries(HINT_LEVELS).map(([level, { label }]) => (
+                          <button
+                            key={level}
+                            onClick={() => giveHint(level)}
+                            disabled={!currentEntry || nextHiddenWord(currentEntry) === -1}
+                            className="px-3 py-1 text-sm bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                          >
+                            Hint: {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {hesitating && (
+                      <div className="px-4 py-2 bg-amber-50 border border-amber-200 rounded-md text-amber-800 text-sm">
+                        Stuck?
+                        <button onClick={() => giveHint('firstLetter')} className="ml-2 underline">Show its first letter</button>
+                        <button onClick={() => giveHint('firstWord')} className="ml-2 underline">Show the next word</button>
+                      </div>
+                    )}
+                    <p className="text-sm text-gray-600">
+                      Memorisation: {hifzScore.score === null ? '–' : `${hifzScore.score}%`}
+                      {` · ${hifzScore.hints} hint${hifzScore.hints === 1 ? '' : 's'}`}
+                      {` · ${hesitations} hesitation${hesitations === 1 ? '' : 's'}`}
+                    </p>
+                  </div>
+                )}
+                <RecitationTranscript
+                  transcript={transcript}
+                  mistakes={mistakeQueue}
+                  isListening={isListening}
+                  selectedId={selectedAyahId}
+                  onSelect={setSelectedAyahId}
+                  referenceSettings={referenceSettings}
+                  hifz={hifzSettings.enabled}
+                />
               </>
             ) : (
               <p className="text-gray-500 text-lg">No verse identified yet. Please start reciting.</p>
@@ -653,87 +1097,62 @@ function App() {
             <h3 className="text-xl font-medium text-green-700 mb-3">Upload Initial/Ruku Recitations</h3>
             <p className="text-gray-600 mb-3">
               Upload recordings of your Quran recitations (e.g., full Ruku's) to train the model on your unique voice, accent, and pronunciation patterns (including Guna, Madd, Seen/Sa, etc.).
+              Tag each file with the ayat recited; long files upload in parts and pick up where they stopped if the connection drops.
             </p>
-            <input
-              type="file"
-              accept="audio/*"
-              onChange={handleAudioFileUpload}
-              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
-            />
-            {recordedAudioFile && (
-              <p className="mt-2 text-sm text-gray-500">Selected: {recordedAudioFile.name} ({Math.round(recordedAudioFile.size / 1024)} KB)</p>
-            )}
-            <button
-              onClick={uploadInitialTrainingAudio}
-              disabled={!recordedAudioFile}
-              className="mt-4 px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-            >
-              Upload Audio for Training
-            </button>
+            <TrainingUploads baseUrl={BACKEND_HTTP_BASE} profileId={profile.id} onStatus={setStatusMessage} />
           </div>
 
+          <SyncStatus
+            status={syncStatus}
+            onSyncNow={() => syncEngine.current?.syncNow()}
+            onRetryRejected={() => syncEngine.current?.retryRejected()}
+            onDiscardRejected={() => syncEngine.current?.discardRejected()}
+          />
           <h3 className="text-xl font-medium text-green-700 mb-3">Detected Mistakes Queue</h3>
-          {mistakeQueue.length === 0 ? (
-            <p className="text-gray-500">No mistakes recorded yet. Start reciting to generate data!</p>
-          ) : (
-            <div className="overflow-x-auto">
-              <table className="min-w-full bg-white border border-gray-200 rounded-lg">
-                <thead className="bg-gray-100">
-                  <tr>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Timestamp</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Sura/Aya</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Mistake Type</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Reference</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Transcribed</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Status</th>
-                    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {mistakeQueue.map((mistake) => (
-                    <tr key={mistake.id} className="border-b last:border-b-0 hover:bg-gray-50">
-                      <td className="py-2 px-4 text-sm text-gray-800">{new Date(mistake.timestamp?.toDate ? mistake.timestamp.toDate() : mistake.timestamp).toLocaleString()}</td>
-                      <td className="py-2 px-4 text-sm text-gray-800">{mistake.sura}</td>
-                      <td className="py-2 px-4 text-sm text-gray-800 capitalize">{mistake.mistake_type.replace('_', ' ')}</td>
-                      <td className="py-2 px-4 text-sm text-gray-800" dir="rtl">{mistake.reference_segment}</td>
-                      <td className="py-2 px-4 text-sm text-gray-800" dir="rtl">{mistake.transcription_segment}</td>
-                      <td className="py-2 px-4 text-sm text-gray-800">
-                        <span className={`px-2 py-1 rounded-full text-xs font-semibold
-                          ${mistake.verified === 'correct' ? 'bg-green-100 text-green-800' :
-                            mistake.verified === 'incorrect' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
-                          {mistake.verified}
-                        </span>
-                      </td>
-                      <td className="py-2 px-4 text-sm">
-                        {mistake.verified === 'pending' && (
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={() => handleMistakeVerification(mistake.id, 'incorrect')}
-                              className="px-3 py-1 bg-red-500 text-white text-xs rounded-md hover:bg-red-600 transition-colors"
-                              title="Confirm this was an actual mistake you made"
-                            >
-                              Mistake
-                            </button>
-                            <button
-                              onClick={() => {
-                                setModalMistakeId(mistake.id);
-                                setModalReferenceText(mistake.reference_segment);
-                                setShowCorrectionModal(true);
-                              }}
-                              className="px-3 py-1 bg-blue-500 text-white text-xs rounded-md hover:bg-blue-600 transition-colors"
-                              title="The system was wrong, I recited this correctly. Record correct sample."
-                            >
-                              Correct (Recite)
-                            </button>
-                          </div>
-                        )}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
+          <MistakeQueue
+            mistakes={mistakeQueue}
+            onVerify={handleMistakeVerification}
+            onDelete={handleMistakeDelete}
+            onEdit={handleMistakeEdit}
+            onUndo={undoMistakeChange}
+            undoLabel={undoLabel}
+            onRecordCorrect={setCorrectionMistake}
+            onOpenSession={openSessionAt}
+            referenceSettings={referenceSettings}
+          />
+        </div>
+      )}
+
+      {currentTab === 'review' && (
+        <div className="w-full max-w-4xl bg-white p-6 rounded-lg shadow-xl mb-6">
+          <h2 className="text-2xl font-semibold text-green-800 mb-4">Review Schedule</h2>
+          {reviewCards === null
+            ? <p className="text-gray-600">Loading review cards…</p>
+            : <ReviewPanel cards={reviewCards} onStartDrill={startDrill} disabled={isListening} />}
+        </div>
+      )}
+
+      {currentTab === 'analytics' && (
+        <div className="w-full max-w-4xl bg-white p-6 rounded-lg shadow-xl mb-6">
+          <h2 className="text-2xl font-semibold text-green-800 mb-4">Progress</h2>
+          <AnalyticsDashboard mistakes={mistakeQueue} refreshKey={savedSessions} />
+        </div>
+      )}
+
+      {currentTab === 'sessions' && (
+        <div className="w-full max-w-4xl bg-white p-6 rounded-lg shadow-xl mb-6">
+          <h2 className="text-2xl font-semibold text-green-800 mb-2">Recorded Sessions</h2>
+          <p className="text-gray-600 mb-4">
+            Every listening session is recorded on this device. Tap a word, an ayah or a mistake to hear that moment.
+          </p>
+          <SessionHistory mistakes={mistakeQueue} focus={sessionFocus} refreshKey={savedSessions} />
+        </div>
+      )}
+
+      {currentTab === 'learners' && (
+        <div className="w-full max-w-4xl bg-white p-6 rounded-lg shadow-xl mb-6">
+          <h2 className="text-2xl font-semibold text-green-800 mb-4">Learners</h2>
+          <LearnerProfiles current={profile} mistakes={mistakeQueue} disabled={isListening} />
         </div>
       )}
 
@@ -778,44 +1197,178 @@ function App() {
               </label>
             </div>
           </div>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-lg font-medium mb-2">Audio Encoding:</label>
+            <div className="flex flex-col space-y-3">
+              <label className="inline-flex items-center text-lg">
+                <input
+                  type="radio"
+                  className="form-radio h-5 w-5 text-green-600"
+                  name="audioEncoding"
+                  value="pcm"
+                  checked={audioEncoding === 'pcm' || !opusAvailable}
+                  onChange={() => handleAudioEncodingChange('pcm')}
+                />
+                <span className="ml-2 text-gray-800">PCM: Uncompressed 16 kHz audio, best accuracy.</span>
+              </label>
+              <label className={`inline-flex items-center text-lg ${opusAvailable ? '' : 'opacity-50'}`}>
+                <input
+                  type="radio"
+                  className="form-radio h-5 w-5 text-green-600"
+                  name="audioEncoding"
+                  value="opus"
+                  disabled={!opusAvailable}
+                  checked={audioEncoding === 'opus' && opusAvailable}
+                  onChange={() => handleAudioEncodingChange('opus')}
+                />
+                <span className="ml-2 text-gray-800">
+                  Opus: Compressed, uses far less data on slow connections.
+                  {!opusAvailable && ' (Not supported by this browser.)'}
+                </span>
+              </label>
+            </div>
+          </div>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-lg font-medium mb-2">Audio Processing:</label>
+            <div className="flex flex-col space-y-3">
+              <label className="inline-flex items-center text-lg">
+                <input
+                  type="checkbox"
+                  className="form-checkbox h-5 w-5 text-green-600"
+                  checked={audioProcessing.noiseSuppression}
+                  onChange={(e) => handleAudioProcessingChange({ noiseSuppression: e.target.checked })}
+                />
+                <span className="ml-2 text-gray-800">Noise suppression: Filters background noise and low rumble.</span>
+              </label>
+              <label className="inline-flex items-center text-lg">
+                <input
+                  type="checkbox"
+                  className="form-checkbox h-5 w-5 text-green-600"
+                  checked={audioProcessing.gainNormalisation}
+                  onChange={(e) => handleAudioProcessingChange({ gainNormalisation: e.target.checked })}
+                />
+                <span className="ml-2 text-gray-800">Gain normalisation: Evens out quiet and loud recitation.</span>
+              </label>
+              <label className="inline-flex items-center text-lg">
+                <input
+                  type="checkbox"
+                  className="form-checkbox h-5 w-5 text-green-600"
+                  checked={audioProcessing.speechGating}
+                  onChange={(e) => handleAudioProcessingChange({ speechGating: e.target.checked })}
+                />
+                <span className="ml-2 text-gray-800">Send speech only: Silence between ayat is not uploaded.</span>
+              </label>
+              <label className="inline-flex items-center text-lg">
+                <span className="mr-2 text-gray-800">Voice detection sensitivity:</span>
+                <select
+                  value={audioProcessing.vadSensitivity}
+                  onChange={(e) => handleAudioProcessingChange({ vadSensitivity: e.target.value })}
+                  className="p-1 border border-gray-300 rounded-md text-base bg-white"
+                >
+                  <option value="low">Low (noisy room)</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High (quiet recitation)</option>
+                  {audioProcessing.calibration && <option value="calibrated">Calibrated for this microphone</option>}
+                </select>
+              </label>
+            </div>
+          </div>
+          <MicrophoneSettings
+            mic={micSettings}
+            onMicChange={handleMicSettingsChange}
+            processing={audioProcessing}
+            onProcessingChange={handleAudioProcessingChange}
+            onCalibrated={calibration => handleAudioProcessingChange({ calibration, vadSensitivity: 'calibrated' })}
+            audioContext={audioContext.current}
+            disabled={isListening}
+          />
+          <div className="mb-4">
+            <label className="block text-gray-700 text-lg font-medium mb-2">Hifz Mode:</label>
+            <label className="inline-flex items-center text-lg">
+              <span className="mr-2 text-gray-800">Offer the next word after a pause of:</span>
+              <select
+                value={hifzSettings.hesitationMs}
+                onChange={(e) => handleHifzSettingsChange({ hesitationMs: Number(e.target.value) })}
+                className="p-1 border border-gray-300 rounded-md text-base bg-white"
+              >
+                {[3000, 5000, 8000, 12000].map(ms => <option key={ms} value={ms}>{ms / 1000} seconds</option>)}
+                <option value={0}>Never</option>
+              </select>
+            </label>
+          </div>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-lg font-medium mb-2">Reference Recitation:</label>
+            <div className="flex flex-col space-y-3">
+              <label className="inline-flex items-center text-lg">
+                <span className="mr-2 text-gray-800">Reciter:</span>
+                <select
+                  value={referenceSettings.reciterId}
+                  onChange={(e) => handleReferenceSettingsChange({ reciterId: e.target.value })}
+                  className="p-1 border border-gray-300 rounded-md text-base bg-white"
+                >
+                  {RECITERS.map(reciter => <option key={reciter.id} value={reciter.id}>{reciter.name}</option>)}
+                </select>
+              </label>
+              <label className="inline-flex items-center text-lg">
+                <span className="mr-2 text-gray-800">Default speed:</span>
+                <select
+                  value={referenceSettings.playbackRate}
+                  onChange={(e) => handleReferenceSettingsChange({ playbackRate: Number(e.target.value) })}
+                  className="p-1 border border-gray-300 rounded-md text-base bg-white"
+                >
+                  {PLAYBACK_RATES.map(rate => <option key={rate} value={rate}>{rate}×</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col text-lg">
+                <span className="text-gray-800">Audio source:</span>
+                <input
+                  type="url"
+                  value={referenceSettings.source}
+                  placeholder={DEFAULT_REFERENCE_SOURCE}
+                  onChange={(e) => handleReferenceSettingsChange({ source: e.target.value.trim() })}
+                  className="p-2 border border-gray-300 rounded-md text-base"
+                />
+                <span className="text-sm text-gray-500 mt-1">
+                  Leave empty for the default. A self-hosted copy uses the same layout: one folder per reciter with files named like 001007.mp3.
+                </span>
+              </label>
+            </div>
+          </div>
+          <div className="mb-4 border-t border-gray-200 pt-4">
+            <label className="block text-gray-700 text-lg font-medium mb-2">Backup &amp; Data:</label>
+            <DataBackup
+              mistakes={mistakeQueue}
+              profile={profile}
+              onImportMistakes={importMistakes}
+              onRestored={handleBackupRestored}
+            />
+          </div>
         </div>
       )}
 
       {/* Correct Sample Recording Modal */}
-      {showCorrectionModal && (
+      {correctionMistake && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg p-6 shadow-xl max-w-md w-full text-center">
+          <div className="bg-white rounded-lg p-6 shadow-xl max-w-lg w-full text-center max-h-full overflow-y-auto">
             <h3 className="text-xl font-semibold text-green-800 mb-4">Provide Correct Sample</h3>
             <p className="text-gray-700 mb-4">
-              The system thought you made a mistake here, but you said you recited it correctly. Please recite the following text correctly now to help train the AI:
+              The system thought you made a mistake here, but you said you recited it correctly. Please recite the following text correctly now to help train the AI.
+              Listen to your take before sending it; nothing is uploaded until you choose a take.
             </p>
-            <p className="text-2xl text-green-700 font-bold mb-6" dir="rtl">{modalReferenceText}</p>
-            <div className="flex justify-center space-x-4">
-              <button
-                onClick={isRecordingCorrectSample ? stopRecordingCorrectSample : () => startRecordingCorrectSample(modalMistakeId, modalReferenceText)}
-                className={`px-6 py-3 rounded-full text-white font-bold transition-all duration-200 shadow-md
-                  ${isRecordingCorrectSample ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}
-              >
-                {isRecordingCorrectSample ? 'Stop Recording' : 'Start Recording'}
-              </button>
-              <button
-                onClick={() => {
-                  if (isRecordingCorrectSample) stopRecordingCorrectSample(); // Stop if recording
-                  setShowCorrectionModal(false); // Close modal
-                  setModalMistakeId(null);
-                  setModalReferenceText('');
-                }}
-                className="px-6 py-3 bg-gray-300 text-gray-800 rounded-full hover:bg-gray-400 transition-colors duration-200 shadow-md"
-              >
-                Cancel
-              </button>
-            </div>
-            {isRecordingCorrectSample && (
-              <p className="mt-4 text-sm text-gray-600 animate-pulse">Recording... Speak clearly.</p>
-            )}
+            <CorrectSampleRecorder
+              referenceText={correctionMistake.reference_segment}
+              micSettings={micSettings}
+              noiseSuppression={audioProcessing.noiseSuppression}
+              onAccept={acceptCorrectSamples}
+              onCancel={() => setCorrectionMistake(null)}
+            />
           </div>
         </div>
       )}
+
+      {applyUpdate && (
+        <UpdatePrompt onReload={applyUpdate} onDismiss={() => setApplyUpdate(null)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getSessions } from '../lib/db.js';
+import {
+  ANALYTICS_RANGES,
+  mistakeTypeStats,
+  practiceStreaks,
+  sessionSummaries,
+  trendSeries,
+  verificationStats,
+  weakestAyat,
+  weakestSurahs,
+} from '../lib/analytics.js';
+import BarChart from './BarChart.jsx';
+import MistakeTypeBadge from './MistakeTypeBadge.jsx';
+
+const RECENT_SESSIONS = 20;
+
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+const rate = (value) => (value === null ? '–' : value.toFixed(1));
+
+function Stat({ label, value, detail }) {
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-green-800">{value}</p>
+      {detail && <p className="text-xs text-gray-500">{detail}</p>}
+    </div>
+  );
+}
+
+// Analytics tab: progress over time from the sessions and mistakes stored on this device.
+// refreshKey changes whenever a new session has been saved.
+function AnalyticsDashboard({ mistakes, refreshKey }) {
+  const [sessions, setSessions] = useState(null);
+  const [range, setRange] = useState('week');
+
+  useEffect(() => {
+    getSessions()
+      .then(setSessions)
+      .catch((error) => {
+        console.error('Could not load sessions:', error);
+        setSessions([]);
+      });
+  }, [refreshKey]);
+
+  const stats = useMemo(() => {
+    if (!sessions) return null;
+    const summaries = sessionSummaries(sessions);
+    const words = summaries.reduce((sum, s) => sum + s.words, 0);
+    const correct = summaries.reduce((sum, s) => sum + (s.accuracy ?? 0) * s.words, 0);
+    const sessionMistakes = summaries.reduce((sum, s) => sum + s.mistakes, 0);
+    return {
+      summaries,
+      accuracy: words > 0 ? correct / words : null,
+      per100Words: words > 0 ? (sessionMistakes / words) * 100 : null,
+      streaks: practiceStreaks(sessions),
+      types: mistakeTypeStats(mistakes).slice(0, 8),
+      verification: verificationStats(mistakes),
+      surahs: weakestSurahs(sessions, mistakes),
+      ayat: weakestAyat(sessions),
+    };
+  }, [sessions, mistakes]);
+
+  const trend = useMemo(() => (stats ? trendSeries(stats.summaries, range) : []), [stats, range]);
+
+  if (!stats) return <p className="text-gray-600">Loading analytics…</p>;
+  if (stats.summaries.length === 0 && mistakes.length === 0) {
+    return <p className="text-gray-600">No data yet. Analytics appear after your first recorded session.</p>;
+  }
+
+  const { verification } = stats;
+  const maxTypeCount = Math.max(1, ...stats.types.map(t => t.count));
+
+  return (
+    <div className="text-left space-y-6" dir="ltr">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <Stat label="Sessions" value={stats.summaries.length} detail={`${stats.streaks.practiceDays} practice days`} />
+        <Stat label="Word accuracy" value={percent(stats.accuracy)} />
+        <Stat label="Mistakes / 100 words" value={rate(stats.per100Words)} />
+        <Stat
+          label="Streak"
+          value={`${stats.streaks.current} day${stats.streaks.current === 1 ? '' : 's'}`}
+          detail={`Longest: ${stats.streaks.longest}`}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-green-800">Trends</h3>
+          <div className="flex gap-1">
+            {Object.entries(ANALYTICS_RANGES).map(([id, { label }]) => (
+              <button
+                key={id}
+                onClick={() => setRange(id)}
+                className={`px-3 py-1 text-sm rounded-md ${range === id ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm text-gray-700 mb-1">Word accuracy</p>
+            <BarChart data={trend.map(b => ({ label: b.label, value: b.accuracy }))} format={percent} maxValue={1} />
+          </div>
+          <div>
+            <p className="text-sm text-gray-700 mb-1">Mistakes per 100 words</p>
+            <BarChart data={trend.map(b => ({ label: b.label, value: b.per100Words }))} format={rate} barClassName="fill-red-400" />
+          </div>
+        </div>
+        {stats.summaries.length > 0 && (
+          <div className="mt-4">
+            <p className="text-sm text-gray-700 mb-1">Accuracy per session (latest {Math.min(RECENT_SESSIONS, stats.summaries.length)})</p>
+            <BarChart
+              data={stats.summaries.slice(-RECENT_SESSIONS).map(s => ({
+                label: new Date(s.startedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+                value: s.accuracy,
+              }))}
+              format={percent}
+              maxValue={1}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-lg font-semibold text-green-800 mb-2">Most frequent mistakes</h3>
+          {stats.types.length === 0 ? <p className="text-sm text-gray-500">None recorded.</p> : (
+            <ul className="space-y-2">
+              {stats.types.map(t => (
+                <li key={t.label}>
+                  <div className="flex justify-between text-sm">
+                    <MistakeTypeBadge type={t.type} />
+                    <span className="text-gray-600">
+                      {t.count}{t.modelWrongRate !== null && ` · model wrong ${percent(t.modelWrongRate)}`}
+                    </span>
+                  </div>
+                  <div className="h-2 mt-1 bg-gray-100 rounded">
+                    <div className="h-2 bg-red-400 rounded" style={{ width: `${(t.count / maxTypeCount) * 100}%` }} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-green-800 mb-2">Verification</h3>
+          {verification.total === 0 ? <p className="text-sm text-gray-500">Nothing flagged yet.</p> : (
+            <>
+              <div className="flex h-4 rounded overflow-hidden mb-2">
+                <div className="bg-red-400" style={{ width: `${(verification.incorrect / verification.total) * 100}%` }} title="Confirmed mistakes" />
+                <div className="bg-blue-400" style={{ width: `${(verification.correct / verification.total) * 100}%` }} title="Model was wrong" />
+                <div className="bg-yellow-300" style={{ width: `${(verification.pending / verification.total) * 100}%` }} title="Not reviewed" />
+              </div>
+              <ul className="text-sm text-gray-700 space-y-1">
+                <li><span className="inline-block w-3 h-3 bg-red-400 rounded-sm mr-2" />Confirmed mistakes: {verification.incorrect}</li>
+                <li><span className="inline-block w-3 h-3 bg-blue-400 rounded-sm mr-2" />Model was wrong: {verification.correct}</li>
+                <li><span className="inline-block w-3 h-3 bg-yellow-300 rounded-sm mr-2" />Not reviewed: {verification.pending}</li>
+              </ul>
+              {verification.modelWrongRate !== null && (
+                <p className="text-sm text-gray-600 mt-2">
+                  Of the flags you reviewed, the model was wrong {percent(verification.modelWrongRate)} of the time.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-lg font-semibold text-green-800 mb-2">Weakest surahs</h3>
+          {stats.surahs.length === 0 ? <p className="text-sm text-gray-500">Not enough data yet.</p> : (
+            <ol className="text-sm text-gray-800 space-y-1 list-decimal list-inside">
+              {stats.surahs.map(s => (
+                <li key={s.surah}>
+                  {s.name} ({s.surah}) — {rate(s.per100Words)} mistakes / 100 words
+                  <span className="text-gray-500"> · {s.words} words recited</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-green-800 mb-2">Weakest ayat</h3>
+          {stats.ayat.length === 0 ? <p className="text-sm text-gray-500">No issues recorded in your sessions.</p> : (
+            <ol className="text-sm text-gray-800 space-y-1 list-decimal list-inside">
+              {stats.ayat.map(a => (
+                <li key={a.key}>
+                  {a.name} {a.ayah} — {rate(a.issuesPerRecitation)} issues per recitation
+                  <span className="text-gray-500"> · recited {a.recitations}×</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsDashboard;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const HEIGHT = 100;
+
+// Minimal column chart: SVG bars stretched to the container width, HTML labels underneath so the
+// text isn't distorted. data: [{label, value}] with value null for "no data" (left as a gap).
+// format(value) is used for the tooltips and the top-of-scale label.
+function BarChart({ data, format = v => String(v), maxValue, barClassName = 'fill-green-500' }) {
+  const values = data.map(d => d.value).filter(v => v !== null);
+  const max = maxValue ?? Math.max(1, ...values);
+  const slot = 100 / Math.max(1, data.length);
+  // Label every other column when there are many
+  const labelEvery = data.length > 8 ? 2 : 1;
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-1">Max {format(max)}</p>
+      <svg viewBox={`0 0 100 ${HEIGHT}`} preserveAspectRatio="none" className="w-full h-32 border-b border-gray-300">
+        {data.map((d, i) => {
+          const height = d.value === null ? 0 : (Math.min(d.value, max) / max) * HEIGHT;
+          return (
+            <rect
+              key={d.label + i}
+              x={i * slot + slot * 0.15}
+              width={slot * 0.7}
+              y={HEIGHT - height}
+              height={height}
+              className={barClassName}
+            >
+              <title>{`${d.label}: ${d.value === null ? 'no data' : format(d.value)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex text-[10px] text-gray-500 mt-1">
+        {data.map((d, i) => (
+          <span key={d.label + i} className="flex-1 text-center truncate">{i % labelEvery === 0 ? d.label : ''}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { CONNECTION_STATES } from '../lib/connection.js';
+
+const STATE_STYLES = {
+  [CONNECTION_STATES.idle]: { label: 'Not connected', dot: 'bg-gray-400', badge: 'bg-gray-100 text-gray-700' },
+  [CONNECTION_STATES.connecting]: { label: 'Connecting…', dot: 'bg-amber-400 animate-pulse', badge: 'bg-amber-100 text-amber-800' },
+  [CONNECTION_STATES.live]: { label: 'Live', dot: 'bg-green-500', badge: 'bg-green-100 text-green-800' },
+  [CONNECTION_STATES.reconnecting]: { label: 'Reconnecting…', dot: 'bg-orange-500 animate-pulse', badge: 'bg-orange-100 text-orange-800' },
+  [CONNECTION_STATES.offline]: { label: 'Offline', dot: 'bg-red-500', badge: 'bg-red-100 text-red-800' },
+};
+
+// Small pill showing the state of the analyzer WebSocket session
+function ConnectionStatus({ state, detail }) {
+  const style = STATE_STYLES[state] || STATE_STYLES[CONNECTION_STATES.idle];
+  let hint = '';
+  if (state === CONNECTION_STATES.reconnecting && detail?.retryInMs) {
+    hint = ` (retry ${detail.attempt} in ${Math.ceil(detail.retryInMs / 1000)}s)`;
+  } else if (state === CONNECTION_STATES.offline) {
+    hint = ' (waiting for network)';
+  }
+
+  return (
+    <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${style.badge}`} dir="ltr">
+      <span className={`inline-block w-2.5 h-2.5 rounded-full mr-2 ${style.dot}`}></span>
+      {style.label}{hint}
+      {detail?.buffered > 0 && state !== CONNECTION_STATES.live && (
+        <span className="ml-2 text-xs opacity-75">{detail.buffered} audio chunks buffered</span>
+      )}
+    </div>
+  );
+}
+
+export default ConnectionStatus;
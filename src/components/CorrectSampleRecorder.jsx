@@ -0,0 +1,248 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pickRecorderMimeType } from '../lib/audioCapture.js';
+import { describeMicrophoneError, openMicrophone } from '../lib/microphone.js';
+import { formatClock } from './SessionPlayer.jsx';
+
+export const MAX_TAKE_MS = 30000; // a mistake covers a few words; longer takes are stopped automatically
+const MIN_TAKE_MS = 500;
+const MAX_TAKES = 5;
+const MIN_DB = -60;
+
+const toPercent = (db) => Math.max(0, Math.min(100, ((db - MIN_DB) / -MIN_DB) * 100));
+
+const buttonClass = 'px-3 py-1 text-xs rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Records one or more takes of the correct recitation for a mistake. Nothing leaves the device
+// until the user accepts: each take can be played back, dropped or re-recorded first.
+//   onAccept(takes) with the chosen [{blob, durationMs}]; resolves with those that failed to upload, which
+//   are kept to be sent again, or rejects, in which case every take is kept
+//   onCancel() discards every take
+function CorrectSampleRecorder({ referenceText, micSettings, noiseSuppression, onAccept, onCancel }) {
+  const [takes, setTakes] = useState([]); // {id, blob, url, durationMs, use}
+  const [recording, setRecording] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [levelDb, setLevelDb] = useState(MIN_DB);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const session = useRef(null); // {recorder, stream, audioContext, frame, startedAt, discard}
+  const starting = useRef(false); // the microphone is being opened
+  const takesRef = useRef(takes);
+  takesRef.current = takes;
+
+  const release = () => {
+    const current = session.current;
+    if (!current) return;
+    session.current = null;
+    cancelAnimationFrame(current.frame);
+    current.stream.getTracks().forEach(track => track.stop());
+    current.audioContext?.close().catch(() => {});
+  };
+
+  // Stops the microphone and frees the takes' object URLs when the recorder closes
+  useEffect(() => () => {
+    if (session.current) {
+      session.current.discard = true;
+      if (session.current.recorder.state !== 'inactive') session.current.recorder.stop();
+    }
+    release();
+    takesRef.current.forEach(take => URL.revokeObjectURL(take.url));
+  }, []);
+
+  const stop = () => {
+    const recorder = session.current?.recorder;
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  };
+
+  const start = async () => {
+    // A second click while the microphone opens would open (and leak) a second stream
+    if (starting.current || session.current) return;
+    starting.current = true;
+    setMessage(null);
+    let stream;
+    try {
+      ({ stream } = await openMicrophone(micSettings, { noiseSuppression }));
+    } catch (error) {
+      console.error('Error accessing microphone for correct sample:', error);
+      const { message: reason, hint } = describeMicrophoneError(error);
+      setMessage(`Could not start recording. ${reason}${hint ? ` ${hint}` : ''}`);
+      return;
+    } finally {
+      starting.current = false;
+    }
+    const mimeType = pickRecorderMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const current = { recorder, stream, audioContext: null, frame: null, startedAt: 0, discard: false };
+    session.current = current;
+
+    // Level meter: RMS of the latest analyser window, read once per animation frame together with the elapsed time
+    let analyser = null;
+    let buffer = null;
+    try {
+      current.audioContext = new AudioContext();
+      analyser = current.audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      buffer = new Float32Array(analyser.fftSize);
+      current.audioContext.createMediaStreamSource(stream).connect(analyser);
+    } catch (error) {
+      console.warn('Input level is not available:', error);
+      analyser = null;
+    }
+    const tick = () => {
+      const elapsed = Date.now() - current.startedAt;
+      setElapsedMs(elapsed);
+      if (analyser) {
+        analyser.getFloatTimeDomainData(buffer);
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i += 1) sum += buffer[i] * buffer[i];
+        const rms = Math.sqrt(sum / buffer.length);
+        setLevelDb(rms > 0 ? 20 * Math.log10(rms) : MIN_DB);
+      }
+      if (elapsed >= MAX_TAKE_MS) {
+        stop();
+        setMessage(`Recording stopped at the ${MAX_TAKE_MS / 1000} second limit.`);
+        return;
+      }
+      current.frame = requestAnimationFrame(tick);
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      const durationMs = Math.min(MAX_TAKE_MS, Date.now() - current.startedAt);
+      release();
+      setRecording(false);
+      setLevelDb(MIN_DB);
+      if (current.discard) return;
+      if (durationMs < MIN_TAKE_MS) {
+        setMessage('That take was too short; record it again.');
+        return;
+      }
+      const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+      // The newest take is the one to use unless the user picks otherwise
+      setTakes(prev => [
+        ...prev.map(take => ({ ...take, use: false })),
+        { id: crypto.randomUUID(), blob, url: URL.createObjectURL(blob), durationMs, use: true },
+      ]);
+    };
+
+    current.startedAt = Date.now();
+    recorder.start();
+    setElapsedMs(0);
+    setRecording(true);
+    current.frame = requestAnimationFrame(tick);
+  };
+
+  const removeTake = (id) => {
+    const take = takes.find(t => t.id === id);
+    if (take) URL.revokeObjectURL(take.url);
+    setTakes(prev => prev.filter(t => t.id !== id));
+  };
+
+  // Drops the take and records a replacement straight away
+  const retake = (id) => {
+    removeTake(id);
+    start();
+  };
+
+  const cancel = () => {
+    if (session.current) session.current.discard = true;
+    stop();
+    onCancel();
+  };
+
+  const chosen = takes.filter(take => take.use);
+
+  const accept = async () => {
+    setUploading(true);
+    setMessage(null);
+    try {
+      const failed = await onAccept(chosen.map(({ blob, durationMs }) => ({ blob, durationMs })));
+      if (failed.length === 0) return; // the recorder closes
+      // The sent takes go; the failed ones stay chosen for the next try
+      const keep = new Set(failed.map(take => take.blob));
+      takes.filter(take => take.use && !keep.has(take.blob)).forEach(take => URL.revokeObjectURL(take.url));
+      setTakes(prev => prev.filter(take => !take.use || keep.has(take.blob)));
+      setMessage(`${failed.length === 1 ? 'One take' : `${failed.length} takes`} could not be uploaded; try again.`);
+      setUploading(false);
+    } catch (error) {
+      setMessage(error.message || 'Upload failed; your takes are kept so you can try again.');
+      setUploading(false);
+    }
+  };
+
+  const barColor = levelDb > -3 ? 'bg-red-500' : levelDb > -40 ? 'bg-green-500' : 'bg-gray-400'; // red when close to clipping
+
+  return (
+    <div>
+      <p className="text-2xl text-green-700 font-bold mb-4" dir="rtl">{referenceText}</p>
+
+      <div className="flex items-center justify-center gap-3 mb-3" dir="ltr">
+        <button
+          onClick={recording ? stop : start}
+          disabled={uploading || (!recording && takes.length >= MAX_TAKES)}
+          className={`px-6 py-3 rounded-full text-white font-bold transition-all duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed
+            ${recording ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}
+        >
+          {recording ? 'Stop' : takes.length > 0 ? 'Record another take' : 'Start Recording'}
+        </button>
+        <span className="font-mono text-sm text-gray-700 w-24 text-left">
+          {formatClock(recording ? elapsedMs : 0)} / {formatClock(MAX_TAKE_MS)}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden mb-1" dir="ltr">
+        <div className={`h-full transition-[width] duration-100 ${barColor}`} style={{ width: `${toPercent(levelDb)}%` }} />
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {recording ? 'Recording… recite clearly, then press Stop.' : `Up to ${MAX_TAKES} takes; choose the ones to send.`}
+      </p>
+
+      {takes.length > 0 && (
+        <ul className="space-y-2 mb-3 text-left" dir="ltr">
+          {takes.map((take, i) => (
+            <li key={take.id} className="flex flex-wrap items-center gap-2 p-2 border border-gray-200 rounded-md bg-gray-50">
+              <label className="flex items-center gap-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={take.use}
+                  onChange={() => setTakes(prev => prev.map(t => (t.id === take.id ? { ...t, use: !t.use } : t)))}
+                  disabled={uploading}
+                />
+                Take {i + 1} · {formatClock(take.durationMs)}
+              </label>
+              <audio src={take.url} controls className="h-8 flex-grow min-w-[10rem]" />
+              <button onClick={() => retake(take.id)} disabled={recording || uploading} className={`${buttonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>
+                Re-record
+              </button>
+              <button onClick={() => removeTake(take.id)} disabled={uploading} className={`${buttonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {message && <p className="text-sm text-amber-700 mb-3">{message}</p>}
+
+      <div className="flex justify-center gap-4">
+        <button
+          onClick={accept}
+          disabled={recording || uploading || chosen.length === 0}
+          className="px-6 py-3 bg-green-600 text-white rounded-full hover:bg-green-700 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {uploading ? 'Uploading…' : chosen.length > 1 ? `Use ${chosen.length} takes` : 'Use this take'}
+        </button>
+        <button
+          onClick={cancel}
+          disabled={uploading}
+          className="px-6 py-3 bg-gray-300 text-gray-800 rounded-full hover:bg-gray-400 transition-colors duration-200 shadow-md disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CorrectSampleRecorder;
@@ -0,0 +1,268 @@
+import React, { useMemo, useState } from 'react';
+import {
+  createBackup,
+  downloadBlob,
+  EXPORT_FORMATS,
+  exportMistakes,
+  exportSessions,
+  readImportFile,
+  restoreBackup,
+} from '../lib/backup.js';
+import { getSessions, queryMistakes, STORES } from '../lib/db.js';
+import { dayBoundary, surahsInQueue, VERIFICATION_STATUSES } from '../lib/mistakeQueue.js';
+import { mistakeLocation } from '../lib/mistakeRecord.js';
+import { getSurah } from '../lib/quran.js';
+
+const LIST_LIMIT = 20; // conflicts and invalid rows shown in the report; the rest are counted
+
+const STORE_LABELS = {
+  [STORES.trainingUploads]: 'upload history entries',
+  [STORES.sessions]: 'sessions',
+  [STORES.reviewCards]: 'review cards',
+  [STORES.uploadQueue]: 'queued uploads',
+  [STORES.audio]: 'recordings',
+};
+
+const EXPORT_SCOPE = { surah: 'all', status: 'all', from: '', to: '' }; // same values as the queue filters
+
+const inputClass = 'p-1 text-sm border border-gray-300 rounded-md bg-white';
+const buttonClass = 'px-3 py-1 text-sm rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function ImportReport({ report, onReload }) {
+  const { mistakes, invalid, stores, settingsRestored, learnerIdTaken } = report;
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md bg-gray-50 text-sm text-gray-700">
+      <p>
+        Mistakes: {mistakes.added} added, {mistakes.updated} updated, {mistakes.unchanged} unchanged
+        {mistakes.conflicts.length > 0 && `, ${plural(mistakes.conflicts.length, 'conflict')}`}.
+      </p>
+      {stores && (
+        <p className="mt-1">
+          {Object.entries(stores).map(([name, { added, skipped }]) => `${added} ${STORE_LABELS[name]} added${skipped ? ` (${skipped} already here)` : ''}`).join(', ')}.
+        </p>
+      )}
+      {mistakes.conflicts.length > 0 && (
+        <>
+          <p className="mt-2 font-medium text-amber-800">Conflicts (the same mistake differs here and in the file):</p>
+          <ul className="list-disc ml-5">
+            {mistakes.conflicts.slice(0, LIST_LIMIT).map(conflict => (
+              <li key={conflict.id}>
+                {mistakeLocation(conflict.local)} <span dir="rtl">{conflict.local.reference_segment}</span>:
+                {' '}{conflict.reason}; kept the {conflict.kept === 'local' ? 'copy on this device' : 'imported copy'}
+                {' '}(revision {conflict.local.revision || 1} here, {conflict.imported.revision || 1} in the file)
+              </li>
+            ))}
+          </ul>
+          {mistakes.conflicts.length > LIST_LIMIT && <p>…and {mistakes.conflicts.length - LIST_LIMIT} more.</p>}
+        </>
+      )}
+      {invalid.length > 0 && (
+        <>
+          <p className="mt-2 font-medium text-red-700">{plural(invalid.length, 'record')} skipped:</p>
+          <ul className="list-disc ml-5">
+            {invalid.slice(0, LIST_LIMIT).map(row => (
+              <li key={`${row.row}-${row.id}`}>Row {row.row}{row.id && ` (${row.id})`}: {row.problem}</li>
+            ))}
+          </ul>
+          {invalid.length > LIST_LIMIT && <p>…and {invalid.length - LIST_LIMIT} more.</p>}
+        </>
+      )}
+      {learnerIdTaken && (
+        <p className="mt-2 text-amber-700">Another learner on this device already has the backup's learner ID, so this learner kept its own.</p>
+      )}
+      {(settingsRestored || stores?.[STORES.uploadQueue]?.added > 0) && (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <span>Reload the app to apply the restored {settingsRestored ? 'settings' : 'upload queue'}.</span>
+          <button onClick={onReload} className={buttonClass}>Reload now</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Settings tab: export of mistakes and sessions, full backup archive, and import/restore (see lib/backup.js).
+//   onImportMistakes(records) merges validated records into the queue and returns the merge report
+//   onRestored() runs after a backup's other records were added, to reload them
+// Backups and restores cover the active learner profile only.
+function DataBackup({ mistakes, profile, onImportMistakes, onRestored }) {
+  const [busy, setBusy] = useState(null); // label of the running operation
+  const [error, setError] = useState(null);
+  const [pending, setPending] = useState(null); // file read for import, waiting for confirmation
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const [report, setReport] = useState(null);
+  const [scope, setScope] = useState(EXPORT_SCOPE); // which mistakes the export covers
+  const surahs = useMemo(() => surahsInQueue(mistakes), [mistakes]);
+
+  const run = async (label, task) => {
+    setBusy(label);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      setError(err.message || `${label} failed.`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Read through the database's indexes rather than filtering the queue in memory
+  const downloadMistakes = format => run('Export', async () => {
+    const rows = await queryMistakes({
+      surah: scope.surah === 'all' ? undefined : Number(scope.surah),
+      verified: scope.status === 'all' ? undefined : scope.status,
+      from: scope.from ? dayBoundary(scope.from, false) : undefined,
+      to: scope.to ? dayBoundary(scope.to, true) : undefined,
+    });
+    if (rows.length === 0) throw new Error('No mistakes match the chosen surah, status and dates.');
+    downloadBlob(exportMistakes(rows, format));
+  });
+
+  const downloadSessions = format => run('Export', async () => {
+    downloadBlob(exportSessions(await getSessions(), format));
+  });
+
+  const downloadBackup = () => run('Backup', async () => {
+    downloadBlob(await createBackup({ mistakes, profile }));
+  });
+
+  const pickFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    setReport(null);
+    run('Reading the file', async () => {
+      setPending(await readImportFile(file));
+    });
+  };
+
+  const confirmImport = () => run('Import', async () => {
+    const read = pending;
+    const merged = onImportMistakes(read.mistakes);
+    let restored = { stores: null, learnerIdTaken: false };
+    const settingsRestored = read.kind === 'backup' && restoreSettings && Object.keys(read.backup.settings).length > 0;
+    if (read.kind === 'backup') {
+      restored = await restoreBackup(read.backup, { settings: settingsRestored });
+      onRestored();
+    }
+    setPending(null);
+    setReport({ mistakes: merged, invalid: read.invalid, ...restored, settingsRestored });
+  });
+
+  return (
+    <div className="text-gray-700">
+      <div className="flex flex-col gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="w-40">Mistake queue:</span>
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format}
+              onClick={() => downloadMistakes(format)}
+              disabled={mistakes.length === 0 || busy !== null}
+              className={buttonClass}
+            >
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 sm:ml-40">
+          <select value={scope.surah} onChange={e => setScope({ ...scope, surah: e.target.value })} className={inputClass} aria-label="Surah to export">
+            <option value="all">All surahs</option>
+            {surahs.map(number => (
+              <option key={number} value={number}>{number}. {getSurah(number).transliteration}</option>
+            ))}
+          </select>
+          <select value={scope.status} onChange={e => setScope({ ...scope, status: e.target.value })} className={inputClass} aria-label="Status to export">
+            <option value="all">Any status</option>
+            {VERIFICATION_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <label className="flex items-center gap-1 text-sm">
+            From <input type="date" value={scope.from} onChange={e => setScope({ ...scope, from: e.target.value })} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1 text-sm">
+            To <input type="date" value={scope.to} onChange={e => setScope({ ...scope, to: e.target.value })} className={inputClass} />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="w-40">Session history:</span>
+          {EXPORT_FORMATS.map(format => (
+            <button key={format} onClick={() => downloadSessions(format)} disabled={busy !== null} className={buttonClass}>
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-500">
+          Mistakes are exported in the same format the app syncs them in. Session exports leave out the recordings.
+        </p>
+      </div>
+
+      <div className="mt-4">
+        <button
+          onClick={downloadBackup}
+          disabled={busy !== null}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy === 'Backup' ? 'Preparing backup…' : 'Download full backup'}
+        </button>
+        <p className="text-sm text-gray-500 mt-1">
+          One .zip file with {profile.name}'s settings, learner ID, mistakes, sessions, upload history and every recording kept on this device.
+        </p>
+      </div>
+
+      <div className="mt-4">
+        <label className="block font-medium mb-1">Import or restore</label>
+        <input
+          type="file"
+          accept=".zip,.json,.jsonl,.csv,application/zip,application/json,text/csv"
+          onChange={pickFile}
+          disabled={busy !== null}
+          className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
+        />
+        <p className="text-sm text-gray-500 mt-1">
+          A backup or a mistakes export (JSON, JSONL or CSV). Mistakes are merged by ID: nothing on this device is deleted.
+        </p>
+      </div>
+
+      {pending && (
+        <div className="mt-3 p-3 border border-green-300 rounded-md bg-green-50 text-sm">
+          <p>
+            {pending.kind === 'backup'
+              ? `Backup${pending.backup.profileName ? ` of ${pending.backup.profileName}` : ''} from ${pending.backup.createdAt ? new Date(pending.backup.createdAt).toLocaleString() : 'an unknown date'}: `
+              : 'Mistakes export: '}
+            {plural(pending.mistakes.length, 'mistake')}
+            {pending.kind === 'backup' && `, ${plural(pending.backup.records[STORES.sessions].length, 'session')}, ${plural(pending.backup.records[STORES.audio].length, 'recording')}`}
+            {pending.invalid.length > 0 && `; ${plural(pending.invalid.length, 'invalid record')} will be skipped`}.
+          </p>
+          {pending.kind === 'backup' && pending.backup.missingAudio > 0 && (
+            <p className="text-amber-700">{plural(pending.backup.missingAudio, 'recording')} listed in the backup are missing from the archive.</p>
+          )}
+          {pending.kind === 'backup' && Object.keys(pending.backup.settings).length > 0 && (
+            <label className="flex items-center gap-2 mt-2">
+              <input type="checkbox" checked={restoreSettings} onChange={e => setRestoreSettings(e.target.checked)} />
+              Also restore settings and learner ID
+              {pending.backup.userId && pending.backup.userId !== profile.id && ` (replaces ${profile.name}'s)`}
+            </label>
+          )}
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={confirmImport}
+              disabled={busy !== null}
+              className="px-3 py-1 text-sm rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              {pending.kind === 'backup' ? 'Restore' : 'Import'}
+            </button>
+            <button onClick={() => setPending(null)} disabled={busy !== null} className={buttonClass}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {busy && busy !== 'Backup' && <p className="text-sm text-gray-500 mt-2">{busy}…</p>}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {report && <ImportReport report={report} onReload={() => window.location.reload()} />}
+    </div>
+  );
+}
+
+export default DataBackup;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { TOKEN_KINDS, TOKEN_STYLES } from '../lib/diff.js';
+import { MISTAKE_CATEGORIES } from '../lib/mistakeTypes.js';
+
+// Key for the colours used by DiffWords
+function DiffLegend() {
+  return (
+    <div className="flex flex-wrap justify-center gap-3 text-xs text-gray-600 mb-3" dir="ltr">
+      {Object.values(TOKEN_KINDS).map((kind) => (
+        <span key={kind} className="inline-flex items-center">
+          <span className={`inline-block mr-1 text-sm ${TOKEN_STYLES[kind].className}`}>كلمة</span>
+          {TOKEN_STYLES[kind].label}
+        </span>
+      ))}
+      {['word', 'tajweed', 'makhraj'].map((id) => (
+        <span key={id} className="inline-flex items-center">
+          <span className={`inline-block mr-1 text-sm underline decoration-2 underline-offset-4 ${MISTAKE_CATEGORIES[id].underline}`}>كلمة</span>
+          {MISTAKE_CATEGORIES[id].en} mistake
+        </span>
+      ))}
+      <span className="text-gray-400">Tap a replaced word to see what was heard.</span>
+    </div>
+  );
+}
+
+export default DiffLegend;
@@ -0,0 +1,55 @@
+import React, { useMemo, useState } from 'react';
+import { buildDiffTokens, TOKEN_KINDS, TOKEN_STYLES } from '../lib/diff.js';
+import { classifyMistake, MISTAKE_CATEGORIES } from '../lib/mistakeTypes.js';
+
+// Renders one ayah as a word-level diff: reference words coloured by status, with the words the
+// reciter added interleaved. Hovering or tapping a replaced word shows what was actually heard.
+// Each word is its own bidi-isolated element so diacritics stay attached and RTL order holds.
+// marks: reference word index -> mistake_type; those words get a category-coloured underline.
+// onWordClick(refIndex): makes reference words clickable (e.g. to seek a recording to them).
+function DiffWords({ words, diff, marks = {}, onWordClick }) {
+  const tokens = useMemo(() => buildDiffTokens(words, diff), [words, diff]);
+  const [openIndex, setOpenIndex] = useState(null);
+
+  return (
+    <span dir="rtl">
+      {tokens.map((token, i) => {
+        const style = TOKEN_STYLES[token.kind];
+        const isReplaced = token.kind === TOKEN_KINDS.replaced;
+        const heard = token.said ? `Heard: ${token.said}` : 'Not heard clearly';
+        const mark = token.refIndex !== undefined ? marks[token.refIndex] : undefined;
+        const mistake = mark ? classifyMistake(mark) : null;
+        const markClass = mistake ? `underline decoration-2 underline-offset-8 ${MISTAKE_CATEGORIES[mistake.category].underline}` : '';
+        const clickable = onWordClick && token.refIndex !== undefined;
+        const handleClick = (e) => {
+          e.stopPropagation();
+          if (isReplaced) setOpenIndex(openIndex === i ? null : i);
+          if (clickable) onWordClick(token.refIndex);
+        };
+        return (
+          <span
+            key={i}
+            className={`diff-word group relative inline-block mx-0.5 transition-colors duration-200 ${style.className} ${markClass} ${clickable ? 'cursor-pointer hover:opacity-75' : ''}`}
+            title={[isReplaced ? heard : style.label, mistake?.en].filter(Boolean).join(' · ')}
+            onClick={isReplaced || clickable ? handleClick : undefined}
+          >
+            {token.kind === TOKEN_KINDS.inserted && <span className="text-xs align-super ml-0.5" aria-hidden="true">+</span>}
+            <bdi>{token.word}</bdi>
+            {isReplaced && (
+              <span
+                className={`absolute bottom-full left-1/2 -translate-x-1/2 mb-1 whitespace-nowrap px-2 py-0.5 rounded bg-gray-800 text-white text-base z-10 ${
+                  openIndex === i ? 'block' : 'hidden group-hover:block'
+                }`}
+                role="tooltip"
+              >
+                {token.said ? <bdi>{token.said}</bdi> : '—'}
+              </span>
+            )}
+          </span>
+        );
+      })}
+    </span>
+  );
+}
+
+export default DiffWords;
@@ -0,0 +1,44 @@
+import React, { useMemo } from 'react';
+import { buildDiffTokens, TOKEN_KINDS, TOKEN_STYLES } from '../lib/diff.js';
+import { stripDiacritics } from '../lib/arabic.js';
+import { firstLetterOf, wordVisibility } from '../lib/hifz.js';
+
+// Hifz-mode rendering of an ayah: words the reciter has reached look as in DiffWords, the rest are
+// blank placeholders sized like the word, or show the hint they were given.
+function HifzWords({ entry }) {
+  const tokens = useMemo(() => buildDiffTokens(entry.words, entry.diff), [entry.words, entry.diff]);
+
+  return (
+    <span dir="rtl">
+      {tokens.map((token, i) => {
+        if (token.kind !== TOKEN_KINDS.pending) {
+          return (
+            <span key={i} className={`diff-word inline-block mx-0.5 ${TOKEN_STYLES[token.kind].className}`}>
+              <bdi>{token.word}</bdi>
+            </span>
+          );
+        }
+        const visibility = wordVisibility(entry, token.refIndex);
+        if (visibility === 'hinted') {
+          return (
+            <span key={i} className="diff-word inline-block mx-0.5 text-gray-400 italic" title="Hint">
+              <bdi>{token.word}</bdi>
+            </span>
+          );
+        }
+        return (
+          <span
+            key={i}
+            className="inline-block mx-0.5 px-1 rounded-md bg-gray-200 text-gray-500 text-right align-middle"
+            style={{ minWidth: `${stripDiacritics(token.word).length * 0.6}em` }}
+            aria-label="Hidden word"
+          >
+            {visibility === 'letter' ? <bdi>{firstLetterOf(token.word)}</bdi> : <>&nbsp;</>}
+          </span>
+        );
+      })}
+    </span>
+  );
+}
+
+export default HifzWords;
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+
+const MIN_DB = -60;
+
+const toPercent = (db) => Math.max(0, Math.min(100, ((db - MIN_DB) / -MIN_DB) * 100));
+
+// Live microphone level with the detected noise floor and a speech/silence indicator.
+// Subscribes to the audio pipeline directly so level updates don't re-render the whole app.
+function InputLevelMeter({ pipeline }) {
+  const [level, setLevel] = useState(null);
+
+  useEffect(() => {
+    setLevel(null);
+    if (!pipeline) return undefined;
+    return pipeline.subscribe(setLevel);
+  }, [pipeline]);
+
+  if (!pipeline) {
+    return <p className="text-xs text-gray-500" dir="ltr">Input level is not available with this browser's recorder.</p>;
+  }
+
+  const levelDb = level ? level.levelDb : MIN_DB;
+  const barColor = levelDb > -3 ? 'bg-red-500' : level?.speech ? 'bg-green-500' : 'bg-gray-400'; // red when close to clipping
+  return (
+    <div className="w-64 max-w-full text-xs text-gray-600" dir="ltr">
+      <div className="flex justify-between mb-1">
+        <span>Input level</span>
+        <span className={level?.speech ? 'text-green-700 font-semibold' : 'text-gray-500'}>
+          {level?.speech ? 'Speech' : 'Silence'}
+        </span>
+      </div>
+      <div className="relative h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full transition-[width] duration-100 ${barColor}`}
+          style={{ width: `${toPercent(levelDb)}%` }}
+        />
+        {level && (
+          <div
+            className="absolute top-0 h-full w-0.5 bg-amber-500"
+            style={{ left: `${toPercent(level.noiseFloorDb)}%` }}
+            title="Noise floor"
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default InputLevelMeter;
@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from 'react';
+import { learnerSummary } from '../lib/analytics.js';
+import { deleteProfileDatabase, readProfileData } from '../lib/db.js';
+import {
+  checkPin,
+  createProfile,
+  listProfiles,
+  removeProfile,
+  renameProfile,
+  setProfilePin,
+  switchProfile,
+} from '../lib/profiles.js';
+
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+const rate = (value) => (value === null ? '–' : value.toFixed(1));
+
+const buttonClass = 'px-3 py-1 text-xs rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+const inputClass = 'p-1 border border-gray-300 rounded-md text-sm';
+
+const ACTION_LABELS = { switch: 'Switch', rename: 'Rename', pin: 'Save PIN', delete: 'Delete' };
+
+// Inline form for an action on one profile; asks for the profile's PIN when it has one
+function ProfileAction({ profile, action, onChange, onSubmit, onCancel }) {
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit();
+      }}
+      className="mt-2 flex flex-wrap items-end gap-2 text-sm"
+    >
+      {action.type === 'rename' && (
+        <input value={action.value} onChange={e => onChange({ value: e.target.value })} className={inputClass} aria-label="New name" autoFocus />
+      )}
+      {profile.pinHash && (
+        <input
+          type="password"
+          inputMode="numeric"
+          value={action.pin}
+          onChange={e => onChange({ pin: e.target.value })}
+          placeholder={action.type === 'pin' ? 'Current PIN' : 'PIN'}
+          className={`${inputClass} w-28`}
+          autoFocus={action.type !== 'rename'}
+        />
+      )}
+      {action.type === 'pin' && (
+        <input
+          type="password"
+          inputMode="numeric"
+          value={action.value}
+          onChange={e => onChange({ value: e.target.value })}
+          placeholder="New PIN (empty to remove)"
+          className={`${inputClass} w-48`}
+          autoFocus={!profile.pinHash}
+        />
+      )}
+      {action.type === 'delete' && (
+        <span className="text-red-700">Deletes {profile.name}'s mistakes, sessions, recordings and settings from this device.</span>
+      )}
+      <button type="submit" className={`${buttonClass} ${action.type === 'delete' ? 'bg-red-500 text-white hover:bg-red-600' : 'bg-green-600 text-white hover:bg-green-700'}`}>
+        {ACTION_LABELS[action.type]}
+      </button>
+      <button type="button" onClick={onCancel} className={buttonClass}>Cancel</button>
+      {action.error && <span className="w-full text-red-600">{action.error}</span>}
+    </form>
+  );
+}
+
+// Learners tab: the learner profiles on this device (create, rename, PIN, switch, delete) and an
+// overview comparing them. Each profile's data is separate (see lib/profiles.js); switching
+// reloads the app. mistakes: the active learner's current queue; disabled while listening.
+function LearnerProfiles({ current, mistakes, disabled }) {
+  const [profiles, setProfiles] = useState(listProfiles);
+  const [summaries, setSummaries] = useState({}); // profile id -> learnerSummary, or null when unreadable
+  const [action, setAction] = useState(null); // {id, type: 'switch' | 'rename' | 'pin' | 'delete', value, pin, error}
+  const [newProfile, setNewProfile] = useState({ name: '', pin: '', error: null });
+
+  const profileIds = profiles.map(p => p.id).join();
+  useEffect(() => {
+    let cancelled = false;
+    // One profile at a time: each read opens that profile's database
+    (async () => {
+      for (const profile of profiles) {
+        let summary = null;
+        try {
+          const data = await readProfileData(profile);
+          summary = learnerSummary(data.sessions, profile.id === current.id ? mistakes : data.mistakes);
+        } catch (error) {
+          console.error(`Could not read ${profile.name}'s data:`, error);
+        }
+        if (cancelled) return;
+        setSummaries(prev => ({ ...prev, [profile.id]: summary }));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [profileIds, mistakes]);
+
+  const refresh = () => setProfiles([...listProfiles()]);
+
+  const startAction = (profile, type) => setAction({ id: profile.id, type, value: type === 'rename' ? profile.name : '', pin: '', error: null });
+
+  const submitAction = async () => {
+    const profile = profiles.find(p => p.id === action.id);
+    try {
+      if (!(await checkPin(profile, action.pin))) throw new Error('Wrong PIN.');
+      if (action.type === 'switch') {
+        switchProfile(profile.id);
+        window.location.reload();
+        return;
+      }
+      if (action.type === 'rename') renameProfile(profile.id, action.value);
+      if (action.type === 'pin') await setProfilePin(profile.id, action.value);
+      if (action.type === 'delete') {
+        removeProfile(profile.id);
+        await deleteProfileDatabase(profile);
+      }
+      setAction(null);
+      refresh();
+    } catch (error) {
+      setAction(prev => ({ ...prev, error: error.message }));
+    }
+  };
+
+  const addProfile = async (event) => {
+    event.preventDefault();
+    try {
+      await createProfile({ name: newProfile.name, pin: newProfile.pin });
+      setNewProfile({ name: '', pin: '', error: null });
+      refresh();
+    } catch (error) {
+      setNewProfile(prev => ({ ...prev, error: error.message }));
+    }
+  };
+
+  return (
+    <div className="text-left" dir="ltr">
+      <ul className="space-y-2">
+        {profiles.map((profile) => {
+          const isCurrent = profile.id === current.id;
+          return (
+            <li key={profile.id} className={`p-3 rounded-md border ${isCurrent ? 'border-green-400 bg-green-50' : 'border-gray-200 bg-gray-50'}`}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <span className="font-semibold text-green-800">{profile.name}</span>
+                  {profile.pinHash && <span className="ml-2 text-xs text-gray-500" title="Protected by a PIN">🔒 PIN</span>}
+                  {isCurrent && <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-600 text-white">active</span>}
+                  <p className="text-xs text-gray-500 font-mono break-all">{profile.id}</p>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {!isCurrent && (
+                    <button onClick={() => startAction(profile, 'switch')} disabled={disabled} className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}>
+                      Switch to
+                    </button>
+                  )}
+                  <button onClick={() => startAction(profile, 'rename')} className={buttonClass}>Rename</button>
+                  <button onClick={() => startAction(profile, 'pin')} className={buttonClass}>{profile.pinHash ? 'Change PIN' : 'Set PIN'}</button>
+                  {!isCurrent && <button onClick={() => startAction(profile, 'delete')} className={buttonClass}>Delete</button>}
+                </div>
+              </div>
+              {action?.id === profile.id && (
+                <ProfileAction
+                  profile={profile}
+                  action={action}
+                  onChange={patch => setAction(prev => ({ ...prev, ...patch, error: null }))}
+                  onSubmit={submitAction}
+                  onCancel={() => setAction(null)}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {disabled && <p className="text-xs text-gray-500 mt-1">Stop listening before switching learners.</p>}
+
+      <form onSubmit={addProfile} className="mt-4 flex flex-wrap items-end gap-2 text-sm">
+        <label className="flex flex-col">
+          New learner
+          <input
+            value={newProfile.name}
+            onChange={e => setNewProfile({ ...newProfile, name: e.target.value, error: null })}
+            placeholder="Name"
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="flex flex-col">
+          PIN (optional)
+          <input
+            type="password"
+            inputMode="numeric"
+            value={newProfile.pin}
+            onChange={e => setNewProfile({ ...newProfile, pin: e.target.value, error: null })}
+            placeholder="4–8 digits"
+            className={`${inputClass} mt-1 w-28`}
+          />
+        </label>
+        <button type="submit" className="px-4 py-1.5 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors">Add learner</button>
+        {newProfile.error && <span className="w-full text-red-600">{newProfile.error}</span>}
+      </form>
+
+      <h3 className="text-xl font-medium text-green-700 mt-6 mb-3">Overview</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm border border-gray-200">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="py-2 px-3 text-left">Learner</th>
+              <th className="py-2 px-3 text-right">Sessions</th>
+              <th className="py-2 px-3 text-left">Last practice</th>
+              <th className="py-2 px-3 text-right" title="Words recited correctly; the last 30 days in brackets">Word accuracy</th>
+              <th className="py-2 px-3 text-right">Mistakes / 100 words</th>
+              <th className="py-2 px-3 text-right">Streak</th>
+              <th className="py-2 px-3 text-right" title="Detected mistakes not reviewed yet">To review</th>
+              <th className="py-2 px-3 text-left">Weakest surah</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profiles.map((profile) => {
+              const summary = summaries[profile.id];
+              return (
+                <tr key={profile.id} className="border-t border-gray-200">
+                  <td className="py-2 px-3 font-medium text-gray-800">{profile.name}</td>
+                  {summary === undefined && <td colSpan={7} className="py-2 px-3 text-gray-500">Loading…</td>}
+                  {summary === null && <td colSpan={7} className="py-2 px-3 text-red-600">Could not read this learner's data.</td>}
+                  {summary && (
+                    <>
+                      <td className="py-2 px-3 text-right">{summary.sessions}</td>
+                      <td className="py-2 px-3">{summary.lastPracticeAt ? new Date(summary.lastPracticeAt).toLocaleDateString() : '–'}</td>
+                      <td className="py-2 px-3 text-right">{percent(summary.accuracy)} ({percent(summary.recentAccuracy)})</td>
+                      <td className="py-2 px-3 text-right">{rate(summary.per100Words)}</td>
+                      <td className="py-2 px-3 text-right">{summary.streak} day{summary.streak === 1 ? '' : 's'}</td>
+                      <td className="py-2 px-3 text-right">{summary.toReview}</td>
+                      <td className="py-2 px-3">
+                        {summary.weakestSurah ? `${summary.weakestSurah.name} (${rate(summary.weakestSurah.per100Words)})` : '–'}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default LearnerProfiles;
@@ -0,0 +1,147 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { calibrateInput, describeMicrophoneError, listInputDevices, openMicrophone } from '../lib/microphone.js';
+
+// Settings › Microphone: input device, browser processing toggles, a permission/device check and
+// the VAD calibration. Calibration results are handed back through onCalibrated.
+function MicrophoneSettings({ mic, onMicChange, processing, onProcessingChange, onCalibrated, audioContext, disabled }) {
+  const [devices, setDevices] = useState([]);
+  const [check, setCheck] = useState(null); // {ok, message, hint?}
+  const [calibrationStep, setCalibrationStep] = useState(null); // phase instruction while calibrating
+  const [calibrationError, setCalibrationError] = useState(null);
+
+  const refreshDevices = useCallback(() => {
+    listInputDevices().then(setDevices).catch(error => console.warn('Could not list audio inputs:', error));
+  }, []);
+
+  useEffect(() => {
+    refreshDevices();
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices || !mediaDevices.addEventListener) return undefined;
+    mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  const savedDeviceMissing = mic.deviceId && devices.length > 0 && !devices.some(d => d.deviceId === mic.deviceId);
+
+  // Opens and immediately releases the microphone; also unlocks device labels after the first grant
+  const runCheck = async () => {
+    try {
+      const { stream, usedFallback } = await openMicrophone(mic, processing);
+      const track = stream.getAudioTracks()[0];
+      stream.getTracks().forEach(t => t.stop());
+      setCheck({
+        ok: true,
+        message: usedFallback
+          ? `The selected microphone is unavailable; "${track?.label || 'default input'}" works instead.`
+          : `"${track?.label || 'Microphone'}" is working.`,
+      });
+      refreshDevices();
+    } catch (error) {
+      const described = describeMicrophoneError(error);
+      setCheck({ ok: false, message: described.message, hint: described.hint });
+    }
+  };
+
+  const runCalibration = async () => {
+    setCalibrationError(null);
+    try {
+      const result = await calibrateInput({
+        audioContext,
+        mic,
+        processing,
+        onPhase: phase => setCalibrationStep(phase.instruction),
+      });
+      onCalibrated(result);
+    } catch (error) {
+      const described = describeMicrophoneError(error);
+      setCalibrationError({ message: described.message, hint: described.hint });
+    } finally {
+      setCalibrationStep(null);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-lg font-medium mb-2">Microphone:</label>
+      <div className="flex flex-col space-y-3">
+        <label className="inline-flex items-center text-lg">
+          <span className="mr-2 text-gray-800">Input device:</span>
+          <select
+            value={savedDeviceMissing ? '' : mic.deviceId}
+            onChange={(e) => onMicChange({ deviceId: e.target.value })}
+            className="p-1 border border-gray-300 rounded-md text-base bg-white max-w-xs"
+          >
+            <option value="">System default</option>
+            {devices.filter(d => d.deviceId && d.deviceId !== 'default').map(d => (
+              <option key={d.deviceId} value={d.deviceId}>{d.label}</option>
+            ))}
+          </select>
+        </label>
+        {savedDeviceMissing && (
+          <p className="text-sm text-amber-700">The microphone you chose earlier isn't connected; the system default will be used.</p>
+        )}
+        <label className="inline-flex items-center text-lg">
+          <input
+            type="checkbox"
+            className="form-checkbox h-5 w-5 text-green-600"
+            checked={mic.echoCancellation}
+            onChange={(e) => onMicChange({ echoCancellation: e.target.checked })}
+          />
+          <span className="ml-2 text-gray-800">Echo cancellation: Keeps spoken corrections out of the recording.</span>
+        </label>
+        <label className="inline-flex items-center text-lg">
+          <input
+            type="checkbox"
+            className="form-checkbox h-5 w-5 text-green-600"
+            checked={mic.autoGainControl}
+            onChange={(e) => onMicChange({ autoGainControl: e.target.checked })}
+          />
+          <span className="ml-2 text-gray-800">Browser auto gain: Usually unnecessary with gain normalisation on.</span>
+        </label>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={runCheck}
+            disabled={disabled || calibrationStep !== null}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50"
+          >
+            Test microphone
+          </button>
+          <button
+            onClick={runCalibration}
+            disabled={disabled || calibrationStep !== null || !audioContext}
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+          >
+            Calibrate voice detection
+          </button>
+        </div>
+        {disabled && <p className="text-sm text-gray-500">Stop listening to test or calibrate the microphone.</p>}
+        {check && (
+          <div className={`text-sm ${check.ok ? 'text-green-700' : 'text-red-700'}`}>
+            <p>{check.message}</p>
+            {check.hint && <p className="text-gray-600">{check.hint}</p>}
+          </div>
+        )}
+        {calibrationStep && <p className="text-base text-green-800 animate-pulse">{calibrationStep}</p>}
+        {calibrationError && (
+          <div className="text-sm text-red-700">
+            <p>{calibrationError.message}</p>
+            {calibrationError.hint && <p className="text-gray-600">{calibrationError.hint}</p>}
+          </div>
+        )}
+        {processing.calibration && (
+          <p className="text-sm text-gray-600">
+            Calibrated {new Date(processing.calibration.at).toLocaleDateString()}: background {processing.calibration.noiseFloorDb} dB,
+            voice {processing.calibration.speechDb} dB, speech threshold {processing.calibration.marginDb} dB above the noise.
+            {processing.vadSensitivity !== 'calibrated' && (
+              <button onClick={() => onProcessingChange({ vadSensitivity: 'calibrated' })} className="ml-2 underline text-green-700">
+                Use it
+              </button>
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MicrophoneSettings;
@@ -0,0 +1,343 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getSurah } from '../lib/quran.js';
+import { MISTAKE_CATEGORIES, MISTAKE_TYPES } from '../lib/mistakeTypes.js';
+import {
+  DEFAULT_QUEUE_FILTERS,
+  filterMistakes,
+  SORT_FIELDS,
+  sortMistakes,
+  surahsInQueue,
+  VERIFICATION_STATUSES,
+} from '../lib/mistakeQueue.js';
+import { mistakeLocation } from '../lib/mistakeRecord.js';
+import MistakeTypeBadge from './MistakeTypeBadge.jsx';
+import ReferencePlayer from './ReferencePlayer.jsx';
+
+const PAGE_SIZE = 50;
+const COLUMNS = 8;
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  incorrect: 'bg-red-100 text-red-800',
+  correct: 'bg-green-100 text-green-800',
+};
+
+const hasOffset = m => m.session_id && m.audio_offset_ms !== null && m.audio_offset_ms !== undefined;
+
+// Training tab: the detected mistakes with filters, search, sorting, paging, bulk verification,
+// inline editing and undo. Changes are made through the callbacks; app.jsx owns the queue.
+//   onVerify(ids, status)   onDelete(ids)   onEdit(id, {reference_segment, transcription_segment, notes})
+//   onUndo() with undoLabel describing the change it would revert (null when there is nothing to undo)
+//   onRecordCorrect(mistake) opens the correct-sample recorder; onOpenSession(sessionId, atMs)
+function MistakeQueue({ mistakes, onVerify, onDelete, onEdit, onUndo, undoLabel, onRecordCorrect, onOpenSession, referenceSettings }) {
+  const [filters, setFilters] = useState(DEFAULT_QUEUE_FILTERS);
+  const [sort, setSort] = useState({ field: 'timestamp', direction: 'desc' });
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(() => new Set());
+  const [referenceId, setReferenceId] = useState(null);
+  const [editing, setEditing] = useState(null); // {id, reference_segment, transcription_segment, notes}
+
+  const visible = useMemo(() => sortMistakes(filterMistakes(mistakes, filters), sort), [mistakes, filters, sort]);
+  const surahs = useMemo(() => surahsInQueue(mistakes), [mistakes]);
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+  const pageRows = visible.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  // Back to the first page when the filters change; stay in range when rows disappear
+  useEffect(() => setPage(0), [filters]);
+  useEffect(() => {
+    if (page >= pageCount) setPage(pageCount - 1);
+  }, [page, pageCount]);
+  // Forget selected rows that no longer exist
+  useEffect(() => {
+    const ids = new Set(mistakes.map(m => m.id));
+    setSelected(prev => (([...prev].every(id => ids.has(id))) ? prev : new Set([...prev].filter(id => ids.has(id)))));
+  }, [mistakes]);
+
+  const setFilter = patch => setFilters(prev => ({ ...prev, ...patch }));
+  const toggleSort = field => setSort(prev => ({
+    field,
+    direction: prev.field === field && prev.direction === 'desc' ? 'asc' : 'desc',
+  }));
+  const toggleSelected = (id) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const pageSelected = pageRows.length > 0 && pageRows.every(m => selected.has(m.id));
+  const togglePage = () => setSelected((prev) => {
+    const next = new Set(prev);
+    pageRows.forEach(m => (pageSelected ? next.delete(m.id) : next.add(m.id)));
+    return next;
+  });
+
+  const runBulk = (action) => {
+    const ids = [...selected];
+    if (action === 'delete') {
+      if (!window.confirm(`Delete ${ids.length} mistake${ids.length === 1 ? '' : 's'}? You can undo this.`)) return;
+      onDelete(ids);
+    } else {
+      onVerify(ids, action);
+    }
+    setSelected(new Set());
+  };
+
+  const saveEdit = () => {
+    const { id, ...patch } = editing;
+    onEdit(id, patch);
+    setEditing(null);
+  };
+
+  const sortHeader = field => (
+    <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">
+      <button onClick={() => toggleSort(field)} className="hover:underline">
+        {SORT_FIELDS[field].label}{sort.field === field && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+      </button>
+    </th>
+  );
+
+  const filtersActive = JSON.stringify(filters) !== JSON.stringify(DEFAULT_QUEUE_FILTERS);
+  const inputClass = 'p-2 border border-gray-300 rounded-md text-sm bg-white';
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
+        <input
+          type="search"
+          value={filters.search}
+          onChange={e => setFilter({ search: e.target.value })}
+          placeholder="Search text or notes…"
+          className={`${inputClass} col-span-2`}
+        />
+        <select value={filters.status} onChange={e => setFilter({ status: e.target.value })} className={inputClass}>
+          <option value="all">Any status</option>
+          {VERIFICATION_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select value={filters.synced} onChange={e => setFilter({ synced: e.target.value })} className={inputClass}>
+          <option value="all">Synced or not</option>
+          <option value="synced">Synced</option>
+          <option value="unsynced">Not synced yet</option>
+        </select>
+        <select value={filters.type} onChange={e => setFilter({ type: e.target.value })} className={`${inputClass} col-span-2`}>
+          <option value="all">All mistake types</option>
+          {Object.values(MISTAKE_CATEGORIES).map(category => (
+            <optgroup key={category.id} label={`${category.en} (${category.ar})`}>
+              <option value={`category:${category.id}`}>All {category.en.toLowerCase()} mistakes</option>
+              {MISTAKE_TYPES.filter(type => type.category === category.id).map(type => (
+                <option key={type.id} value={`type:${type.id}`}>{type.en} — {type.ar}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <select value={filters.surah} onChange={e => setFilter({ surah: e.target.value })} className={`${inputClass} col-span-2`}>
+          <option value="all">All surahs</option>
+          {surahs.map(number => (
+            <option key={number} value={number}>{number}. {getSurah(number).transliteration} — {getSurah(number).name}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-700 col-span-2 sm:col-span-1">
+          From <input type="date" value={filters.from} onChange={e => setFilter({ from: e.target.value })} className={`${inputClass} flex-1`} />
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-700 col-span-2 sm:col-span-1">
+          To <input type="date" value={filters.to} onChange={e => setFilter({ to: e.target.value })} className={`${inputClass} flex-1`} />
+        </label>
+        <div className="col-span-2 flex items-center justify-between text-sm text-gray-600">
+          <span>{visible.length} of {mistakes.length} shown</span>
+          {filtersActive && <button onClick={() => setFilters(DEFAULT_QUEUE_FILTERS)} className="underline">Clear filters</button>}
+        </div>
+      </div>
+
+      {undoLabel && (
+        <div className="mb-3 px-4 py-2 bg-gray-800 text-white rounded-md flex justify-between items-center text-sm">
+          <span>{undoLabel}</span>
+          <button onClick={onUndo} className="underline font-semibold">Undo</button>
+        </div>
+      )}
+
+      {selected.size > 0 && (
+        <div className="mb-3 px-4 py-2 bg-green-50 border border-green-200 rounded-md flex flex-wrap items-center gap-2 text-sm">
+          <span className="mr-2">{selected.size} selected</span>
+          <button onClick={() => runBulk('incorrect')} className="px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600">Confirm mistake</button>
+          <button onClick={() => runBulk('correct')} className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600">False positive</button>
+          <button onClick={() => runBulk('delete')} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Delete</button>
+          {selected.size < visible.length && (
+            <button onClick={() => setSelected(new Set(visible.map(m => m.id)))} className="underline">Select all {visible.length} matching</button>
+          )}
+          <button onClick={() => setSelected(new Set())} className="underline ml-auto">Clear selection</button>
+        </div>
+      )}
+
+      {mistakes.length === 0 ? (
+        <p className="text-gray-500">No mistakes recorded yet. Start reciting to generate data!</p>
+      ) : visible.length === 0 ? (
+        <p className="text-gray-500">No mistakes match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-2 border-b">
+                  <input type="checkbox" checked={pageSelected} onChange={togglePage} aria-label="Select this page" />
+                </th>
+                {sortHeader('timestamp')}
+                {sortHeader('sura')}
+                {sortHeader('type')}
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Reference</th>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Transcribed</th>
+                {sortHeader('status')}
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map(mistake => (
+                <React.Fragment key={mistake.id}>
+                  <tr className={`border-b last:border-b-0 hover:bg-gray-50 ${selected.has(mistake.id) ? 'bg-green-50' : ''}`}>
+                    <td className="py-2 px-2 text-center">
+                      <input type="checkbox" checked={selected.has(mistake.id)} onChange={() => toggleSelected(mistake.id)} aria-label="Select" />
+                    </td>
+                    <td className="py-2 px-4 text-sm text-gray-800">{new Date(mistake.timestamp?.toDate ? mistake.timestamp.toDate() : mistake.timestamp).toLocaleString()}</td>
+                    <td className="py-2 px-4 text-sm text-gray-800">{mistakeLocation(mistake)}</td>
+                    <td className="py-2 px-4 text-sm text-gray-800"><MistakeTypeBadge type={mistake.mistake_type} /></td>
+                    <td className="py-2 px-4 text-sm text-gray-800" dir="rtl">{mistake.reference_segment}</td>
+                    <td className="py-2 px-4 text-sm text-gray-800" dir="rtl">
+                      {mistake.transcription_segment}
+                      {mistake.notes && <p className="text-xs text-gray-500 mt-1" dir="auto">{mistake.notes}</p>}
+                    </td>
+                    <td className="py-2 px-4 text-sm text-gray-800">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[mistake.verified] || STATUS_STYLES.pending}`}>
+                        {mistake.verified}
+                      </span>
+                      {mistake.correct_sample_count > 0 && (
+                        <span className="block text-xs text-green-700 mt-1">
+                          resolved · {mistake.correct_sample_count} sample{mistake.correct_sample_count === 1 ? '' : 's'}
+                        </span>
+                      )}
+                      {!mistake.synced && <span className="block text-xs text-gray-400 mt-1">not synced</span>}
+                    </td>
+                    <td className="py-2 px-4 text-sm">
+                      <div className="flex flex-wrap gap-1">
+                        {mistake.surah_number && (
+                          <button
+                            onClick={() => setReferenceId(referenceId === mistake.id ? null : mistake.id)}
+                            className="px-3 py-1 bg-green-100 text-green-800 text-xs rounded-md hover:bg-green-200 transition-colors"
+                            title="Hear the reference recitation, and compare it with yours"
+                          >
+                            Reference
+                          </button>
+                        )}
+                        {hasOffset(mistake) && (
+                          <button
+                            onClick={() => onOpenSession(mistake.session_id, mistake.audio_offset_ms)}
+                            className="px-3 py-1 bg-gray-200 text-gray-800 text-xs rounded-md hover:bg-gray-300 transition-colors"
+                            title="Play this moment of the session recording"
+                          >
+                            ▶ Listen
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setEditing(editing?.id === mistake.id ? null : {
+                            id: mistake.id,
+                            reference_segment: mistake.reference_segment || '',
+                            transcription_segment: mistake.transcription_segment || '',
+                            notes: mistake.notes || '',
+                          })}
+                          className="px-3 py-1 bg-gray-200 text-gray-800 text-xs rounded-md hover:bg-gray-300 transition-colors"
+                          title="Correct the texts or add a note"
+                        >
+                          Edit
+                        </button>
+                        {mistake.verified === 'pending' && (
+                          <>
+                            <button
+                              onClick={() => onVerify([mistake.id], 'incorrect')}
+                              className="px-3 py-1 bg-red-500 text-white text-xs rounded-md hover:bg-red-600 transition-colors"
+                              title="Confirm this was an actual mistake you made"
+                            >
+                              Mistake
+                            </button>
+                            <button
+                              onClick={() => onRecordCorrect(mistake)}
+                              className="px-3 py-1 bg-blue-500 text-white text-xs rounded-md hover:bg-blue-600 transition-colors"
+                              title="The system was wrong, I recited this correctly. Record correct sample."
+                            >
+                              Correct (Recite)
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                  {editing?.id === mistake.id && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={COLUMNS} className="py-3 px-4">
+                        <div className="grid sm:grid-cols-2 gap-2">
+                          <label className="text-sm text-gray-700">
+                            Reference
+                            <input
+                              value={editing.reference_segment}
+                              onChange={e => setEditing({ ...editing, reference_segment: e.target.value })}
+                              dir="rtl"
+                              className={`${inputClass} w-full`}
+                            />
+                          </label>
+                          <label className="text-sm text-gray-700">
+                            Transcribed
+                            <input
+                              value={editing.transcription_segment}
+                              onChange={e => setEditing({ ...editing, transcription_segment: e.target.value })}
+                              dir="rtl"
+                              className={`${inputClass} w-full`}
+                            />
+                          </label>
+                          <label className="text-sm text-gray-700 sm:col-span-2">
+                            Notes
+                            <textarea
+                              value={editing.notes}
+                              onChange={e => setEditing({ ...editing, notes: e.target.value })}
+                              dir="auto"
+                              rows={2}
+                              className={`${inputClass} w-full`}
+                            />
+                          </label>
+                        </div>
+                        <div className="flex gap-2 mt-2">
+                          <button onClick={saveEdit} className="px-3 py-1 bg-green-600 text-white text-sm rounded-md hover:bg-green-700">Save</button>
+                          <button onClick={() => setEditing(null)} className="px-3 py-1 bg-gray-200 text-gray-800 text-sm rounded-md hover:bg-gray-300">Cancel</button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  {referenceId === mistake.id && (
+                    <tr className="border-b bg-green-50">
+                      <td colSpan={COLUMNS} className="py-3 px-4">
+                        <ReferencePlayer
+                          surah={mistake.surah_number}
+                          ayah={mistake.ayah_number}
+                          ayahText={mistake.aya}
+                          segment={mistake.reference_segment}
+                          segmentStart={mistake.word_start ?? null}
+                          settings={referenceSettings}
+                          mine={hasOffset(mistake) ? { sessionId: mistake.session_id, atMs: mistake.audio_offset_ms } : null}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-3 text-sm">
+          <button onClick={() => setPage(page - 1)} disabled={page === 0} className="px-3 py-1 bg-gray-200 rounded-md disabled:opacity-50">Previous</button>
+          <span>Page {page + 1} of {pageCount}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount} className="px-3 py-1 bg-gray-200 rounded-md disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MistakeQueue;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { classifyMistake, MISTAKE_CATEGORIES } from '../lib/mistakeTypes.js';
+
+// Pill with the English and Arabic label of a mistake type, coloured by category
+function MistakeTypeBadge({ type }) {
+  const info = classifyMistake(type);
+  const category = MISTAKE_CATEGORIES[info.category];
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${category.badge}`}
+      title={info.known ? `${category.en}: ${info.en}` : `Unrecognised type '${info.raw}'`}
+    >
+      {info.en}
+      {info.ar && <bdi className="ml-1 font-normal" dir="rtl">{info.ar}</bdi>}
+    </span>
+  );
+}
+
+export default MistakeTypeBadge;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import {
+  SURAHS,
+  getSurah,
+  getAyahMeta,
+  getAyahRange,
+  getRukuRange,
+  nextAyah,
+  prevAyah,
+} from '../lib/quran.js';
+
+const clampAyah = (surah, ayah) => Math.min(Math.max(1, Number(ayah) || 1), getSurah(surah).ayahCount);
+
+// Lets the user choose the passage (surah + ayah range) they are about to recite, with a preview
+// of the ayah at the cursor and its neighbours. value: {surah, from, to} or null for "any passage".
+function PassagePicker({ value, onChange, disabled = false }) {
+  const [cursor, setCursor] = useState(value ? { surah: value.surah, ayah: value.from } : { surah: 1, ayah: 1 });
+  const [preview, setPreview] = useState({ prev: null, current: null, next: null });
+  const [previewError, setPreviewError] = useState('');
+
+  // Move the preview cursor to the start of a newly chosen range
+  useEffect(() => {
+    if (value) setCursor({ surah: value.surah, ayah: value.from });
+  }, [value?.surah, value?.from]);
+
+  // Load the text around the cursor (the corpus is fetched once, then served from memory)
+  useEffect(() => {
+    let cancelled = false;
+    const before = prevAyah(cursor.surah, cursor.ayah);
+    const after = nextAyah(cursor.surah, cursor.ayah);
+    Promise.all([
+      before ? getAyahRange(before.surah, before.ayah, before.ayah) : [],
+      getAyahRange(cursor.surah, cursor.ayah, cursor.ayah),
+      after ? getAyahRange(after.surah, after.ayah, after.ayah) : [],
+    ])
+      .then(([p, c, n]) => {
+        if (cancelled) return;
+        setPreview({ prev: p[0] || null, current: c[0] || null, next: n[0] || null });
+        setPreviewError('');
+      })
+      .catch((error) => {
+        console.error('Could not load Quran text:', error);
+        if (!cancelled) setPreviewError('Could not load the Quran text.');
+      });
+    return () => { cancelled = true; };
+  }, [cursor.surah, cursor.ayah]);
+
+  const selectSurah = (number) => {
+    const surah = Number(number);
+    if (!surah) {
+      onChange(null);
+      return;
+    }
+    onChange({ surah, from: 1, to: getSurah(surah).ayahCount });
+  };
+
+  const setBound = (bound, ayah) => {
+    const clamped = clampAyah(value.surah, ayah);
+    const next = { ...value, [bound]: clamped };
+    // Keep from <= to by dragging the other bound along
+    if (bound === 'from' && next.to < clamped) next.to = clamped;
+    if (bound === 'to' && next.from > clamped) next.from = clamped;
+    onChange(next);
+  };
+
+  const selectRuku = () => {
+    const ruku = getRukuRange(cursor.surah, cursor.ayah);
+    if (ruku) onChange({ surah: ruku.surah, from: ruku.from, to: ruku.to });
+  };
+
+  const startAtCursor = () => {
+    const to = value && value.surah === cursor.surah ? Math.max(value.to, cursor.ayah) : getSurah(cursor.surah).ayahCount;
+    onChange({ surah: cursor.surah, from: cursor.ayah, to });
+  };
+
+  const cursorMeta = getAyahMeta(cursor.surah, cursor.ayah);
+  const cursorSurah = getSurah(cursor.surah);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 mb-6" dir="ltr">
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="flex flex-col text-sm text-gray-700 flex-grow">
+          Passage to recite
+          <select
+            value={value ? value.surah : ''}
+            onChange={(e) => selectSurah(e.target.value)}
+            disabled={disabled}
+            className="mt-1 p-2 border border-gray-300 rounded-md bg-white"
+          >
+            <option value="">Any passage (automatic identification)</option>
+            {SURAHS.map((surah) => (
+              <option key={surah.number} value={surah.number}>
+                {surah.number}. {surah.transliteration} — {surah.name} ({surah.ayahCount})
+              </option>
+            ))}
+          </select>
+        </label>
+        {value && (
+          <>
+            <label className="flex flex-col text-sm text-gray-700 w-20">
+              From
+              <input
+                type="number"
+                min="1"
+                max={getSurah(value.surah).ayahCount}
+                value={value.from}
+                onChange={(e) => setBound('from', e.target.value)}
+                disabled={disabled}
+                className="mt-1 p-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="flex flex-col text-sm text-gray-700 w-20">
+              To
+              <input
+                type="number"
+                min="1"
+                max={getSurah(value.surah).ayahCount}
+                value={value.to}
+                onChange={(e) => setBound('to', e.target.value)}
+                disabled={disabled}
+                className="mt-1 p-2 border border-gray-300 rounded-md"
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <div className="mt-4 border-t border-gray-200 pt-3">
+        <div className="flex justify-between items-center text-xs text-gray-500 mb-2">
+          <span>
+            {cursorSurah.transliteration} {cursor.surah}:{cursor.ayah}
+            {cursorMeta && ` · Juz ${cursorMeta.juz} · Hizb ${cursorMeta.hizb} · Ruku ${cursorMeta.ruku} · Page ${cursorMeta.page}`}
+          </span>
+          <span className="space-x-2">
+            <button onClick={selectRuku} disabled={disabled} className="text-green-700 hover:underline disabled:opacity-50">Select ruku</button>
+            <button onClick={startAtCursor} disabled={disabled} className="text-green-700 hover:underline disabled:opacity-50">Start here</button>
+          </span>
+        </div>
+        {previewError ? (
+          <p className="text-sm text-red-600">{previewError}</p>
+        ) : (
+          <div className="arabic-text text-gray-800 space-y-1" dir="rtl">
+            {preview.prev && <p className="text-gray-400 text-base">{preview.prev.text} ﴿{preview.prev.ayah}﴾</p>}
+            {preview.current ? <p className="text-xl">{preview.current.text} ﴿{preview.current.ayah}﴾</p> : <p className="text-gray-400 text-base">Loading…</p>}
+            {preview.next && <p className="text-gray-400 text-base">{preview.next.text} ﴿{preview.next.ayah}﴾</p>}
+          </div>
+        )}
+        <div className="flex justify-between mt-2">
+          <button
+            onClick={() => { const p = prevAyah(cursor.surah, cursor.ayah); if (p) setCursor(p); }}
+            disabled={!prevAyah(cursor.surah, cursor.ayah)}
+            className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+          >
+            ‹ Previous ayah
+          </button>
+          <button
+            onClick={() => { const n = nextAyah(cursor.surah, cursor.ayah); if (n) setCursor(n); }}
+            disabled={!nextAyah(cursor.surah, cursor.ayah)}
+            className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+          >
+            Next ayah ›
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PassagePicker;
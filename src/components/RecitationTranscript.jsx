@@ -0,0 +1,134 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { countIssues } from '../lib/transcript.js';
+import DiffWords from './DiffWords.jsx';
+import HifzWords from './HifzWords.jsx';
+import DiffLegend from './DiffLegend.jsx';
+import MistakeTypeBadge from './MistakeTypeBadge.jsx';
+import ReferencePlayer from './ReferencePlayer.jsx';
+import { findSurahNumber } from '../lib/quran.js';
+
+// Mushaf-style scrolling transcript of every ayah recited in the session.
+// Follows the current ayah while listening; tapping an ayah opens its mistakes for review.
+// In hifz mode the text stays hidden while listening (see HifzWords); it all shows again afterwards.
+function RecitationTranscript({ transcript, mistakes, isListening, selectedId, onSelect, referenceSettings, hifz = false }) {
+  const containerRef = useRef(null);
+  const currentRef = useRef(null);
+  const [following, setFollowing] = useState(true);
+
+  // Auto-scroll to the ayah being recited, unless the user scrolled back to review
+  useEffect(() => {
+    if (following && currentRef.current) {
+      currentRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [transcript.length, following]);
+
+  // Resume following whenever a new session starts
+  useEffect(() => {
+    if (isListening) setFollowing(true);
+  }, [isListening]);
+
+  const handleScroll = () => {
+    const el = containerRef.current;
+    if (!el || !isListening) return;
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+    setFollowing(atBottom);
+  };
+
+  const selected = transcript.find(entry => entry.id === selectedId);
+  const selectedMistakes = selected ? mistakes.filter(m => selected.mistakes.includes(m.id)) : [];
+  const selectedSurah = selected && findSurahNumber(selected.suraName);
+
+  return (
+    <div>
+      <DiffLegend />
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className="max-h-[60vh] overflow-y-auto space-y-3 text-right"
+        dir="rtl"
+      >
+        {transcript.map((entry, i) => {
+          const isCurrent = isListening && i === transcript.length - 1;
+          const issues = countIssues(entry);
+          return (
+            <div
+              key={entry.id}
+              ref={isCurrent || (!isListening && i === transcript.length - 1) ? currentRef : null}
+              onClick={() => onSelect(entry.id === selectedId ? null : entry.id)}
+              className={`p-3 rounded-lg cursor-pointer transition-colors duration-200 border ${
+                entry.id === selectedId ? 'border-green-500 bg-green-50'
+                  : isCurrent ? 'border-green-300 bg-white shadow-sm' : 'border-transparent hover:bg-gray-100'
+              }`}
+            >
+              <div className="flex justify-between items-center text-xs text-gray-500 mb-1">
+                <span>{entry.suraName} · {entry.ayahNumber}</span>
+                {issues > 0 && (
+                  <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-700">{issues} {issues === 1 ? 'issue' : 'issues'}</span>
+                )}
+              </div>
+              <p className={`text-xl sm:text-2xl leading-relaxed ${isCurrent ? '' : 'opacity-90'}`}>
+                {hifz && isListening
+                  ? <HifzWords entry={entry} />
+                  : <DiffWords words={entry.words} diff={entry.diff} marks={entry.mistakeMarks} />}
+                <span className="text-green-700 mx-1">﴿{entry.ayahNumber}﴾</span>
+              </p>
+            </div>
+          );
+        })}
+      </div>
+
+      {isListening && !following && (
+        <div className="text-center mt-2">
+          <button
+            onClick={() => setFollowing(true)}
+            className="px-3 py-1 text-sm bg-green-600 text-white rounded-full shadow hover:bg-green-700"
+          >
+            Jump to current ayah
+          </button>
+        </div>
+      )}
+
+      {selected && (
+        <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg text-left" dir="ltr">
+          <h4 className="font-semibold text-green-800 mb-2">
+            Review: {selected.suraName} · Ayah {selected.ayahNumber}
+          </h4>
+          {(Object.keys(selected.replacements).length > 0 || selected.insertions.length > 0) && (
+            <ul className="text-sm text-gray-700 mb-2">
+              {Object.entries(selected.replacements).map(([index, said]) => (
+                <li key={index}>
+                  <bdi className="font-semibold">{selected.words[index]}</bdi> recited as <bdi className="font-semibold text-amber-700">{said}</bdi>
+                </li>
+              ))}
+              {selected.insertions.map(({ position, word }) => (
+                <li key={`ins-${position}`}>
+                  Added <bdi className="font-semibold text-blue-700">{word}</bdi>
+                </li>
+              ))}
+            </ul>
+          )}
+          {selectedMistakes.length === 0 ? (
+            <p className="text-sm text-gray-500">No mistakes were recorded for this ayah.</p>
+          ) : (
+            <ul className="space-y-1">
+              {selectedMistakes.map(m => (
+                <li key={m.id} className="text-sm text-gray-800">
+                  <MistakeTypeBadge type={m.mistake_type} />{' '}
+                  <span dir="rtl">{m.reference_segment}</span> → <span dir="rtl" className="text-red-700">{m.transcription_segment}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {selectedSurah && !isListening && (
+            <div className="mt-3 pt-3 border-t border-gray-200">
+              <h5 className="text-sm font-semibold text-gray-700 mb-1">Reference recitation</h5>
+              <ReferencePlayer surah={selectedSurah} ayah={Number(selected.ayahNumber)} settings={referenceSettings} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecitationTranscript;
@@ -0,0 +1,202 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { findAyahNumber, getAyah } from '../lib/quran.js';
+import { getAudio, getSession } from '../lib/db.js';
+import { findSegmentOccurrences, nearestOccurrence, splitAyahWords } from '../lib/arabic.js';
+import { getReciter, getWordTimings, loadAyahAudio, PLAYBACK_RATES } from '../lib/referenceAudio.js';
+
+const SEGMENT_PADDING_MS = 250;
+// Window of the user's recording played for a mistake; mistake events arrive after the word was said
+const MINE_BEFORE_MS = 3000;
+const MINE_AFTER_MS = 1000;
+
+const loadDurationMs = (url) => new Promise((resolve, reject) => {
+  const probe = new Audio();
+  probe.preload = 'metadata';
+  probe.onloadedmetadata = () => resolve(probe.duration * 1000);
+  probe.onerror = () => reject(new Error('Could not read the reference audio.'));
+  probe.src = url;
+});
+
+// Plays the reference recitation of an ayah, or of one segment of it (e.g. a mistake), with loop and
+// speed controls. With `mine` ({sessionId, atMs}) the user's own recording of that moment can be played
+// too, or both in turn (A/B). The ayah can be given by number or, when only its text is known, by text.
+// `segmentStart` (word index) picks the right occurrence when the segment text occurs more than once.
+function ReferencePlayer({ surah, ayah = null, ayahText = null, segment = null, segmentStart = null, settings, mine = null }) {
+  const audioRef = useRef(null);
+  const clips = useRef({}); // 'reference' | 'segment' | 'mine' -> {url, startMs, endMs}
+  const sequence = useRef(null); // {names, index} being played
+  const loopRef = useRef(false);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'error'
+  const [error, setError] = useState(null);
+  const [verse, setVerse] = useState(null); // {surah, ayah}
+  const [hasSegment, setHasSegment] = useState(false);
+  const [timingExact, setTimingExact] = useState(false);
+  const [hasMine, setHasMine] = useState(false);
+  const [loop, setLoop] = useState(false);
+  const [rate, setRate] = useState(settings.playbackRate);
+  const [playing, setPlaying] = useState(null); // label of the clip sequence being played
+
+  loopRef.current = loop;
+
+  useEffect(() => {
+    let cancelled = false;
+    const urls = [];
+    const toUrl = (blob) => {
+      const url = URL.createObjectURL(blob);
+      urls.push(url);
+      return url;
+    };
+    setStatus('loading');
+    setError(null);
+    clips.current = {};
+
+    (async () => {
+      const ayahNumber = ayah ?? await findAyahNumber(surah, ayahText);
+      const meta = ayahNumber && await getAyah(surah, ayahNumber);
+      if (!meta) throw new Error('This verse could not be found in the Quran text.');
+      const audio = await loadAyahAudio(settings, surah, ayahNumber);
+      const url = audio.blob ? toUrl(audio.blob) : audio.url;
+      const durationMs = await loadDurationMs(url);
+      clips.current.reference = { url, startMs: 0, endMs: durationMs };
+
+      // Same words and matching as the mistake's word_start (see locateMistakeWords in lib/transcript.js)
+      const range = segment && nearestOccurrence(findSegmentOccurrences(splitAyahWords(meta.text), segment), segmentStart);
+      if (range) {
+        const { timings, exact } = await getWordTimings(settings, surah, ayahNumber, meta.text, durationMs);
+        clips.current.segment = {
+          url,
+          startMs: Math.max(0, timings[range.start][0] - SEGMENT_PADDING_MS),
+          endMs: Math.min(durationMs, timings[range.end][1] + SEGMENT_PADDING_MS),
+        };
+        if (!cancelled) setTimingExact(exact);
+      }
+
+      if (mine) {
+        const session = await getSession(mine.sessionId);
+        const record = session?.audioId && await getAudio(session.audioId);
+        if (record) {
+          clips.current.mine = {
+            url: toUrl(record.blob),
+            startMs: Math.max(0, mine.atMs - MINE_BEFORE_MS),
+            endMs: mine.atMs + MINE_AFTER_MS,
+          };
+        }
+      }
+
+      if (cancelled) return;
+      setVerse({ surah, ayah: ayahNumber });
+      setHasSegment(Boolean(clips.current.segment));
+      setHasMine(Boolean(clips.current.mine));
+      setStatus('ready');
+    })().catch((err) => {
+      console.error('Reference audio failed to load:', err);
+      if (cancelled) return;
+      setError(err.message);
+      setStatus('error');
+    });
+
+    return () => {
+      cancelled = true;
+      audioRef.current?.pause();
+      sequence.current = null;
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [surah, ayah, ayahText, segment, segmentStart, settings.reciterId, settings.source, mine?.sessionId, mine?.atMs]);
+
+  const startClip = (name) => {
+    const el = audioRef.current;
+    const clip = clips.current[name];
+    if (!el || !clip) return;
+    if (el.src !== clip.url) el.src = clip.url;
+    el.currentTime = clip.startMs / 1000;
+    el.playbackRate = rate;
+    el.play().catch(() => {});
+  };
+
+  const play = (names, label) => {
+    sequence.current = { names, index: 0 };
+    setPlaying(label);
+    startClip(names[0]);
+  };
+
+  const stop = () => {
+    sequence.current = null;
+    audioRef.current?.pause();
+    setPlaying(null);
+  };
+
+  // Moves on at the end of each clip: the next one in the sequence, back to the first when looping
+  const advance = () => {
+    const current = sequence.current;
+    if (!current) return;
+    const next = current.index + 1 < current.names.length ? current.index + 1 : loopRef.current ? 0 : null;
+    if (next === null) {
+      stop();
+      return;
+    }
+    current.index = next;
+    startClip(current.names[next]);
+  };
+
+  const handleTimeUpdate = (e) => {
+    const current = sequence.current;
+    if (!current) return;
+    const clip = clips.current[current.names[current.index]];
+    if (clip && e.currentTarget.currentTime * 1000 >= clip.endMs) advance();
+  };
+
+  const handleRate = (value) => {
+    setRate(value);
+    if (audioRef.current) audioRef.current.playbackRate = value;
+  };
+
+  // A new speed in Settings replaces the one picked here
+  useEffect(() => {
+    handleRate(settings.playbackRate);
+  }, [settings.playbackRate]);
+
+  if (status === 'loading') return <p className="text-sm text-gray-500">Loading reference recitation…</p>;
+  if (status === 'error') return <p className="text-sm text-red-700">{error}</p>;
+
+  const mainClip = hasSegment ? 'segment' : 'reference';
+  const buttonClass = (label) => `px-3 py-1 text-sm rounded-md transition-colors ${
+    playing === label ? 'bg-green-700 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
+  }`;
+
+  return (
+    <div className="text-left" dir="ltr">
+      <audio ref={audioRef} onTimeUpdate={handleTimeUpdate} onEnded={advance} className="hidden" />
+      <p className="text-xs text-gray-500 mb-2">
+        {getReciter(settings.reciterId).name} · {verse.surah}:{verse.ayah}
+        {hasSegment && !timingExact && ' · word position estimated'}
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        {hasSegment && (
+          <button onClick={() => play(['segment'], 'segment')} className={buttonClass('segment')}>▶ Segment</button>
+        )}
+        <button onClick={() => play(['reference'], 'reference')} className={buttonClass('reference')}>▶ Whole ayah</button>
+        {hasMine && (
+          <>
+            <button onClick={() => play(['mine'], 'mine')} className={buttonClass('mine')}>▶ Mine</button>
+            <button onClick={() => play([mainClip, 'mine'], 'ab')} className={buttonClass('ab')}>A/B</button>
+          </>
+        )}
+        {playing && (
+          <button onClick={stop} className="px-3 py-1 text-sm rounded-md bg-red-100 text-red-700 hover:bg-red-200">■ Stop</button>
+        )}
+        <label className="inline-flex items-center text-sm ml-2">
+          <input type="checkbox" className="form-checkbox h-4 w-4 text-green-600" checked={loop} onChange={e => setLoop(e.target.checked)} />
+          <span className="ml-1 text-gray-700">Loop</span>
+        </label>
+        <label className="inline-flex items-center text-sm">
+          <span className="mr-1 text-gray-700">Speed</span>
+          <select value={rate} onChange={e => handleRate(Number(e.target.value))} className="p-1 border border-gray-300 rounded-md bg-white">
+            {PLAYBACK_RATES.map(value => <option key={value} value={value}>{value}×</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default ReferencePlayer;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { getSurah } from '../lib/quran.js';
+import { dueCards, PASSING_GRADE } from '../lib/reviewScheduler.js';
+import MistakeTypeBadge from './MistakeTypeBadge.jsx';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDue = (due, now) => {
+  if (due <= now) return 'Due now';
+  const minutes = Math.round((due - now) / 60000);
+  if (minutes < 60) return `In ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `In ${hours} h`;
+  const days = Math.round((due - now) / DAY_MS);
+  return `In ${days} day${days === 1 ? '' : 's'}`;
+};
+
+// Review tab: spaced-repetition cards built from confirmed mistakes, soonest due first, and the
+// button that starts a recitation drill on the due ayat.
+function ReviewPanel({ cards, onStartDrill, disabled }) {
+  const now = Date.now();
+  const due = dueCards(cards, now);
+  const sorted = [...cards].sort((a, b) => a.due - b.due);
+
+  return (
+    <div dir="ltr">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <p className="text-gray-700">
+          {cards.length === 0
+            ? 'Mistakes you confirm in the Training tab become review cards here.'
+            : `${due.length} of ${cards.length} card${cards.length === 1 ? '' : 's'} due for review.`}
+        </p>
+        <button
+          onClick={onStartDrill}
+          disabled={disabled || due.length === 0}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          Start review drill
+        </button>
+      </div>
+      {sorted.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Ayah</th>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Mistake Type</th>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Due</th>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Reviews</th>
+                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-600">Last grade</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((card) => {
+                const last = card.history[card.history.length - 1];
+                return (
+                  <tr key={card.id} className="border-b last:border-b-0 hover:bg-gray-50">
+                    <td className="py-2 px-4 text-sm text-gray-800">{getSurah(card.surah)?.transliteration} {card.surah}:{card.ayah}</td>
+                    <td className="py-2 px-4 text-sm text-gray-800"><MistakeTypeBadge type={card.mistakeType} /></td>
+                    <td className={`py-2 px-4 text-sm ${card.due <= now ? 'text-red-700 font-semibold' : 'text-gray-800'}`}>{formatDue(card.due, now)}</td>
+                    <td className="py-2 px-4 text-sm text-gray-800">{card.history.length}{card.lapses > 0 && ` (${card.lapses} lapsed)`}</td>
+                    <td className="py-2 px-4 text-sm">
+                      {last ? (
+                        <span className={last.grade >= PASSING_GRADE ? 'text-green-700' : 'text-red-700'}>
+                          {last.grade}/5 · {Math.round(last.accuracy * 100)}%
+                        </span>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewPanel;
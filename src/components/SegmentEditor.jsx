@@ -0,0 +1,344 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getSurah, isValidAyah, SURAHS } from '../lib/quran.js';
+import {
+  computePeaks,
+  decodeRecording,
+  DEFAULT_SEGMENTATION,
+  detectSegments,
+  encodeSegment,
+  MAX_EDITABLE_MS,
+  numberSegments,
+} from '../lib/segmentation.js';
+import { SAMPLE_TYPES } from '../lib/uploadManager.js';
+import { formatClock } from './SessionPlayer.jsx';
+
+const WIDTH = 1000; // canvas units; the canvas is stretched to the container width
+const HEIGHT = 120;
+const EDGE_GRAB_PX = 8; // how close (in CSS pixels) a press must be to a boundary to drag it
+const MIN_SEGMENT_MS = 200;
+const NUDGE_MS = 100;
+const PAUSE_LENGTHS = [400, 600, 1000];
+
+const buttonClass = 'px-3 py-1 text-xs rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const toSegments = (ranges, surah, fromAyah) => {
+  const segments = ranges.map(range => ({ ...range, id: crypto.randomUUID(), keep: true, surah, ayah: null }));
+  return surah ? numberSegments(segments, surah, fromAyah || 1) : segments;
+};
+
+// Waveform editor for one recording: proposes ayah segments at the pauses, lets the user move the
+// boundaries, split, merge, drop and label them, and hands back one upload entry per kept segment
+// (see lib/uploadManager.js add()). Drag a boundary of the selected segment to move it.
+function SegmentEditor({ file, name, tags, onCancel, onDone }) {
+  const [audio, setAudio] = useState(null); // {samples, sampleRate, durationMs}
+  const [error, setError] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [cursorMs, setCursorMs] = useState(null);
+  const [view, setView] = useState(null); // {fromMs, toMs} shown on the canvas
+  const [surah, setSurah] = useState(tags.surah);
+  const [fromAyah, setFromAyah] = useState(tags.fromAyah || 1);
+  const [pauseMs, setPauseMs] = useState(DEFAULT_SEGMENTATION.minSilenceMs);
+  const canvasRef = useRef(null);
+  const drag = useRef(null); // {id, edge: 'startMs' | 'endMs'}
+  const playback = useRef(null); // {context, source}
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeRecording(file)
+      .then((decoded) => {
+        if (cancelled) return;
+        if (decoded.durationMs > MAX_EDITABLE_MS) {
+          setError(`Recordings longer than ${MAX_EDITABLE_MS / 60000} minutes can't be edited here; split the file first.`);
+          return;
+        }
+        setAudio(decoded);
+        setView({ fromMs: 0, toMs: decoded.durationMs });
+        setSegments(toSegments(detectSegments(decoded.samples, decoded.sampleRate), tags.surah, tags.fromAyah));
+      })
+      .catch((decodeError) => {
+        console.error('Could not decode recording:', decodeError);
+        if (!cancelled) setError('This browser could not decode the file.');
+      });
+    return () => {
+      cancelled = true;
+      playback.current?.context.close();
+      playback.current = null;
+    };
+  }, [file]);
+
+  const sorted = [...segments].sort((a, b) => a.startMs - b.startMs);
+  const selected = segments.find(s => s.id === selectedId) || null;
+
+  // Draw the visible part of the waveform with the segments over it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !audio || !view) return;
+    const ctx = canvas.getContext('2d');
+    const span = view.toMs - view.fromMs;
+    const x = ms => ((ms - view.fromMs) / span) * WIDTH;
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+    sorted.forEach((segment) => {
+      const isSelected = segment.id === selectedId;
+      ctx.fillStyle = !segment.keep ? 'rgba(239, 68, 68, 0.15)' : isSelected ? 'rgba(22, 163, 74, 0.35)' : 'rgba(22, 163, 74, 0.15)';
+      ctx.fillRect(x(segment.startMs), 0, x(segment.endMs) - x(segment.startMs), HEIGHT);
+      if (isSelected) {
+        ctx.fillStyle = '#166534';
+        ctx.fillRect(x(segment.startMs) - 1, 0, 3, HEIGHT);
+        ctx.fillRect(x(segment.endMs) - 2, 0, 3, HEIGHT);
+      }
+      ctx.fillStyle = segment.keep ? '#166534' : '#b91c1c';
+      ctx.font = '12px sans-serif';
+      const label = !segment.keep ? 'dropped' : segment.ayah ? `${segment.surah}:${segment.ayah}` : '?';
+      ctx.fillText(label, x(segment.startMs) + 3, 12);
+    });
+    const peaks = computePeaks(audio.samples, audio.sampleRate, view.fromMs, view.toMs, WIDTH);
+    ctx.fillStyle = '#374151';
+    peaks.forEach((peak, column) => {
+      const height = Math.max(1, peak * (HEIGHT - 20));
+      ctx.fillRect(column, (HEIGHT + 14 - height) / 2, 1, height);
+    });
+    if (cursorMs !== null) {
+      ctx.fillStyle = '#2563eb';
+      ctx.fillRect(x(cursorMs), 0, 1, HEIGHT);
+    }
+  }, [audio, view, segments, selectedId, cursorMs]);
+
+  const msAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return view.fromMs + fraction * (view.toMs - view.fromMs);
+  };
+
+  const updateSegment = (id, patch) => setSegments(prev => prev.map(s => (s.id === id ? { ...s, ...patch } : s)));
+
+  // Moves one boundary, keeping the segment a minimum length and clear of its neighbours
+  const moveEdge = (segment, edge, ms) => {
+    const index = sorted.findIndex(s => s.id === segment.id);
+    const previous = sorted[index - 1];
+    const next = sorted[index + 1];
+    const value = edge === 'startMs'
+      ? Math.min(segment.endMs - MIN_SEGMENT_MS, Math.max(previous ? previous.endMs : 0, ms))
+      : Math.max(segment.startMs + MIN_SEGMENT_MS, Math.min(next ? next.startMs : audio.durationMs, ms));
+    updateSegment(segment.id, { [edge]: Math.round(value) });
+  };
+
+  const handlePointerDown = (event) => {
+    const ms = msAt(event);
+    const rect = canvasRef.current.getBoundingClientRect();
+    const pxPerMs = rect.width / (view.toMs - view.fromMs);
+    if (selected) {
+      const edge = ['startMs', 'endMs'].find(key => Math.abs(selected[key] - ms) * pxPerMs <= EDGE_GRAB_PX);
+      if (edge) {
+        drag.current = { id: selected.id, edge };
+        canvasRef.current.setPointerCapture(event.pointerId);
+        return;
+      }
+    }
+    setCursorMs(ms);
+    setSelectedId(sorted.find(s => s.startMs <= ms && ms <= s.endMs)?.id ?? null);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag.current) return;
+    const segment = segments.find(s => s.id === drag.current.id);
+    if (segment) moveEdge(segment, drag.current.edge, msAt(event));
+  };
+
+  const play = (startMs, endMs) => {
+    playback.current?.source?.stop();
+    if (!playback.current) playback.current = { context: new AudioContext(), source: null };
+    const { context } = playback.current;
+    const from = Math.round((startMs / 1000) * audio.sampleRate);
+    const slice = audio.samples.subarray(from, Math.round((endMs / 1000) * audio.sampleRate));
+    const buffer = context.createBuffer(1, slice.length, audio.sampleRate);
+    buffer.copyToChannel(slice, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    playback.current.source = source;
+  };
+
+  const zoom = (factor) => {
+    const center = selected ? (selected.startMs + selected.endMs) / 2 : cursorMs ?? (view.fromMs + view.toMs) / 2;
+    const span = Math.min(audio.durationMs, Math.max(2000, (view.toMs - view.fromMs) * factor));
+    const fromMs = Math.min(audio.durationMs - span, Math.max(0, center - span / 2));
+    setView({ fromMs, toMs: fromMs + span });
+  };
+
+  const split = () => {
+    if (!selected || cursorMs === null || cursorMs - selected.startMs < MIN_SEGMENT_MS || selected.endMs - cursorMs < MIN_SEGMENT_MS) return;
+    const at = Math.round(cursorMs);
+    const second = { ...selected, id: crypto.randomUUID(), startMs: at, ayah: selected.ayah && selected.ayah + 1 };
+    setSegments(prev => [...prev.map(s => (s.id === selected.id ? { ...s, endMs: at } : s)), second]);
+  };
+
+  const mergeWithNext = () => {
+    const index = sorted.findIndex(s => s.id === selectedId);
+    const next = sorted[index + 1];
+    if (!next) return;
+    setSegments(prev => prev.filter(s => s.id !== next.id).map(s => (s.id === selectedId ? { ...s, endMs: next.endMs } : s)));
+  };
+
+  const redetect = (minSilenceMs) => {
+    setPauseMs(minSilenceMs);
+    setSelectedId(null);
+    setSegments(toSegments(detectSegments(audio.samples, audio.sampleRate, { minSilenceMs }), surah, fromAyah));
+  };
+
+  const kept = sorted.filter(s => s.keep);
+  const unlabelled = kept.filter(s => !isValidAyah(s.surah, s.ayah)).length;
+
+  const finish = () => {
+    const base = name.replace(/\.[^.]+$/, '');
+    onDone(kept.map((segment) => {
+      const blob = encodeSegment(audio.samples, audio.sampleRate, segment.startMs, segment.endMs);
+      return {
+        file: new File([blob], `${base}_${segment.surah}-${segment.ayah}.wav`, { type: 'audio/wav' }),
+        tags: { surah: segment.surah, fromAyah: segment.ayah, toAyah: segment.ayah, style: tags.style },
+        sampleType: SAMPLE_TYPES.ayahSegment,
+        fields: { source_file: name, segment_start_ms: segment.startMs, segment_end_ms: segment.endMs },
+        probe: { durationMs: segment.endMs - segment.startMs, sampleRate: audio.sampleRate, channels: 1 },
+      };
+    }));
+  };
+
+  if (error) {
+    return (
+      <div className="p-3 border border-red-200 bg-red-50 rounded-md text-sm text-red-700">
+        {error} <button onClick={onCancel} className={`${buttonClass} ml-2`}>Close</button>
+      </div>
+    );
+  }
+  if (!audio || !view) return <p className="p-3 text-sm text-gray-600">Decoding {name}…</p>;
+
+  return (
+    <div className="p-3 border border-green-200 bg-white rounded-md space-y-3 text-sm" dir="ltr">
+      <div className="flex flex-wrap items-end gap-3 text-xs text-gray-700">
+        <label className="flex flex-col">
+          Surah
+          <select
+            value={surah ?? ''}
+            onChange={(e) => {
+              const number = e.target.value ? Number(e.target.value) : null;
+              setSurah(number);
+              setSegments(prev => prev.map(s => ({ ...s, surah: number })));
+            }}
+            className="mt-1 p-1 border border-gray-300 rounded-md bg-white"
+          >
+            <option value="">Choose…</option>
+            {SURAHS.map(s => <option key={s.number} value={s.number}>{s.number}. {s.transliteration}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col w-20">
+          First ayah
+          <input
+            type="number"
+            min="1"
+            max={surah ? getSurah(surah).ayahCount : undefined}
+            value={fromAyah}
+            onChange={e => setFromAyah(Number(e.target.value) || 1)}
+            className="mt-1 p-1 border border-gray-300 rounded-md"
+          />
+        </label>
+        <button onClick={() => setSegments(prev => numberSegments([...prev].sort((a, b) => a.startMs - b.startMs), surah, fromAyah))} disabled={!surah} className={buttonClass}>
+          Number kept segments
+        </button>
+        <label className="flex flex-col">
+          Pause between ayat
+          <select value={pauseMs} onChange={e => redetect(Number(e.target.value))} className="mt-1 p-1 border border-gray-300 rounded-md bg-white">
+            {PAUSE_LENGTHS.map(ms => <option key={ms} value={ms}>{ms / 1000} s</option>)}
+          </select>
+        </label>
+        <div className="flex gap-1 ml-auto">
+          <button onClick={() => zoom(0.5)} className={buttonClass}>Zoom in</button>
+          <button onClick={() => zoom(2)} className={buttonClass}>Zoom out</button>
+          <button onClick={() => setView({ fromMs: 0, toMs: audio.durationMs })} className={buttonClass}>All</button>
+        </div>
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => { drag.current = null; }}
+        className="w-full h-32 bg-gray-50 border border-gray-200 rounded cursor-crosshair touch-none"
+      />
+      {view.toMs - view.fromMs < audio.durationMs && (
+        <input
+          type="range"
+          min="0"
+          max={audio.durationMs - (view.toMs - view.fromMs)}
+          value={view.fromMs}
+          onChange={(e) => {
+            const fromMs = Number(e.target.value);
+            setView(prev => ({ fromMs, toMs: fromMs + (prev.toMs - prev.fromMs) }));
+          }}
+          className="w-full"
+          aria-label="Scroll the waveform"
+        />
+      )}
+      <p className="text-xs text-gray-500">
+        {formatClock(view.fromMs)} – {formatClock(view.toMs)} of {formatClock(audio.durationMs)}.
+        Click a segment to select it; drag its edges to adjust.
+      </p>
+
+      {selected ? (
+        <div className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 rounded-md">
+          <span className="text-xs text-gray-700">
+            {formatClock(selected.startMs)}–{formatClock(selected.endMs)} ({((selected.endMs - selected.startMs) / 1000).toFixed(1)} s)
+          </span>
+          <button onClick={() => play(selected.startMs, selected.endMs)} className={buttonClass}>▶ Play</button>
+          <button onClick={() => moveEdge(selected, 'startMs', selected.startMs - NUDGE_MS)} className={buttonClass} title="Start earlier">⇤ −0.1 s</button>
+          <button onClick={() => moveEdge(selected, 'startMs', selected.startMs + NUDGE_MS)} className={buttonClass} title="Start later">⇤ +0.1 s</button>
+          <button onClick={() => moveEdge(selected, 'endMs', selected.endMs - NUDGE_MS)} className={buttonClass} title="End earlier">⇥ −0.1 s</button>
+          <button onClick={() => moveEdge(selected, 'endMs', selected.endMs + NUDGE_MS)} className={buttonClass} title="End later">⇥ +0.1 s</button>
+          <button onClick={split} disabled={cursorMs === null || cursorMs <= selected.startMs || cursorMs >= selected.endMs} className={buttonClass}>
+            Split at cursor
+          </button>
+          <button onClick={mergeWithNext} disabled={sorted[sorted.length - 1]?.id === selected.id} className={buttonClass}>Merge with next</button>
+          <button onClick={() => updateSegment(selected.id, { keep: !selected.keep })} className={buttonClass}>
+            {selected.keep ? 'Drop' : 'Keep'}
+          </button>
+          {selected.keep && (
+            <label className="text-xs text-gray-700 flex items-center gap-1">
+              Ayah
+              <input
+                type="number"
+                min="1"
+                max={selected.surah ? getSurah(selected.surah).ayahCount : undefined}
+                value={selected.ayah ?? ''}
+                onChange={e => updateSegment(selected.id, { ayah: e.target.value === '' ? null : Number(e.target.value) })}
+                className={`w-16 p-1 border rounded-md ${isValidAyah(selected.surah, selected.ayah) ? 'border-gray-300' : 'border-red-400'}`}
+              />
+            </label>
+          )}
+        </div>
+      ) : (
+        cursorMs !== null && (
+          <button onClick={() => play(cursorMs, Math.min(audio.durationMs, cursorMs + 5000))} className={buttonClass}>▶ Play 5 s from cursor</button>
+        )
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-gray-600">
+          {kept.length} of {sorted.length} segments kept
+          {unlabelled > 0 && <span className="text-red-600"> · {unlabelled} without a valid ayah</span>}
+        </span>
+        <button
+          onClick={finish}
+          disabled={kept.length === 0 || unlabelled > 0}
+          className="ml-auto px-4 py-1 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Queue {kept.length} segment{kept.length === 1 ? '' : 's'} instead of the whole file
+        </button>
+        <button onClick={onCancel} className={buttonClass}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default SegmentEditor;
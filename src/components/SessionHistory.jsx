@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { deleteSession, getSessions } from '../lib/db.js';
+import SessionPlayer, { formatClock } from './SessionPlayer.jsx';
+
+// Sessions tab: recordings of past listening sessions, newest first. Recordings stay on this device.
+// focus: {sessionId, atMs} to open a session at a given moment (set from the Training tab).
+// refreshKey changes whenever a new session has been saved.
+function SessionHistory({ mistakes, focus, refreshKey }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    getSessions()
+      .then(setSessions)
+      .catch(error => console.error('Could not load sessions:', error))
+      .finally(() => setLoading(false));
+  }, [refreshKey]);
+
+  useEffect(() => {
+    if (focus) setOpenId(focus.sessionId);
+  }, [focus]);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this recording? The mistakes found in it are kept.')) return;
+    try {
+      await deleteSession(id);
+      setSessions(prev => prev.filter(s => s.id !== id));
+      if (openId === id) setOpenId(null);
+    } catch (error) {
+      console.error('Could not delete session:', error);
+    }
+  };
+
+  if (loading) return <p className="text-gray-600 text-center">Loading sessions…</p>;
+  if (sessions.length === 0) {
+    return <p className="text-gray-600 text-center">No recorded sessions yet. Sessions are saved here when you stop listening.</p>;
+  }
+
+  return (
+    <ul className="space-y-3 text-left" dir="ltr">
+      {sessions.map((session) => {
+        const isOpen = openId === session.id;
+        const first = session.transcript?.[0];
+        const last = session.transcript?.[session.transcript.length - 1];
+        return (
+          <li key={session.id} className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <button onClick={() => setOpenId(isOpen ? null : session.id)} className="text-left">
+                <p className="font-semibold text-green-800">{new Date(session.startedAt).toLocaleString()}</p>
+                <p className="text-sm text-gray-600">
+                  {formatClock(session.durationMs)}
+                  {first && ` · ${first.suraName} ${first.ayahNumber}`}
+                  {last && last !== first && ` – ${last.suraName} ${last.ayahNumber}`}
+                  {` · ${(session.mistakeIds || []).length} mistake${(session.mistakeIds || []).length === 1 ? '' : 's'}`}
+                  {session.hifz?.score !== null && session.hifz?.score !== undefined && ` · hifz ${session.hifz.score}%`}
+                </p>
+              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setOpenId(isOpen ? null : session.id)}
+                  className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 text-sm"
+                >
+                  {isOpen ? 'Close' : 'Play'}
+                </button>
+                <button
+                  onClick={() => handleDelete(session.id)}
+                  className="px-3 py-1 bg-red-100 text-red-700 rounded-md hover:bg-red-200 text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+            {isOpen && (
+              <div className="mt-4">
+                <SessionPlayer
+                  session={session}
+                  mistakes={mistakes}
+                  focusMs={focus?.sessionId === session.id ? focus.atMs : null}
+                />
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default SessionHistory;
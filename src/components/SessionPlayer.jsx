@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getAudio } from '../lib/db.js';
+import DiffWords from './DiffWords.jsx';
+import MistakeTypeBadge from './MistakeTypeBadge.jsx';
+
+// Messages arrive after the audio they describe; start playback a little earlier than the mark
+const SEEK_LEAD_MS = 1500;
+
+export const formatClock = (ms) => {
+  const total = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Plays back a recorded session. Tapping a word, an ayah heading or a mistake seeks the recording to
+// that moment; the ayah being played is highlighted and shown next to its reference text.
+// focusMs: position to start from when the player opens (e.g. from a mistake in the Training tab).
+function SessionPlayer({ session, mistakes, focusMs = null }) {
+  const audioRef = useRef(null);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [missingAudio, setMissingAudio] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    setAudioUrl(null);
+    setMissingAudio(false);
+    (session.audioId ? getAudio(session.audioId) : Promise.resolve(null))
+      .then((record) => {
+        if (cancelled) return;
+        if (!record) {
+          setMissingAudio(true);
+          return;
+        }
+        url = URL.createObjectURL(record.blob);
+        setAudioUrl(url);
+      })
+      .catch((error) => {
+        console.error('Could not load session audio:', error);
+        if (!cancelled) setMissingAudio(true);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [session.audioId]);
+
+  const playFrom = (atMs) => {
+    const el = audioRef.current;
+    if (!el || atMs === null || atMs === undefined) return;
+    el.currentTime = Math.max(0, atMs - SEEK_LEAD_MS) / 1000;
+    el.play().catch(() => {});
+  };
+
+  // Jump to the requested moment once the recording has loaded
+  const handleLoaded = () => {
+    if (focusMs !== null) playFrom(focusMs);
+  };
+
+  const entries = session.transcript || [];
+  const currentIndex = entries.reduce((found, entry, i) => (
+    entry.audioOffsetMs !== null && entry.audioOffsetMs !== undefined && entry.audioOffsetMs - SEEK_LEAD_MS <= positionMs ? i : found
+  ), -1);
+  const current = entries[currentIndex];
+  const sessionMistakes = mistakes
+    .filter(m => m.session_id === session.id || (session.mistakeIds || []).includes(m.id))
+    .sort((a, b) => (a.audio_offset_ms ?? 0) - (b.audio_offset_ms ?? 0));
+
+  return (
+    <div className="text-left" dir="ltr">
+      {missingAudio ? (
+        <p className="text-sm text-red-700 mb-3">The recording for this session is no longer stored on this device.</p>
+      ) : (
+        <audio
+          ref={audioRef}
+          src={audioUrl || undefined}
+          controls
+          className="w-full mb-4"
+          onLoadedMetadata={handleLoaded}
+          onTimeUpdate={e => setPositionMs(e.currentTarget.currentTime * 1000)}
+        />
+      )}
+
+      {current && (
+        <div className="grid sm:grid-cols-2 gap-3 mb-4">
+          <div className="p-3 rounded-lg border border-green-300 bg-white">
+            <p className="text-xs text-gray-500 mb-1">Your recitation · {current.suraName} {current.ayahNumber}</p>
+            <p className="text-xl leading-relaxed text-right" dir="rtl">
+              <DiffWords words={current.words} diff={current.diff} marks={current.mistakeMarks} />
+            </p>
+          </div>
+          <div className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+            <p className="text-xs text-gray-500 mb-1">Reference</p>
+            <p className="text-xl leading-relaxed text-right" dir="rtl">{current.text}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="max-h-[40vh] overflow-y-auto space-y-2 mb-4" dir="rtl">
+        {entries.map((entry, i) => (
+          <div
+            key={entry.id}
+            className={`p-2 rounded-lg border ${i === currentIndex ? 'border-green-500 bg-green-50' : 'border-transparent'}`}
+          >
+            <button
+              onClick={() => playFrom(entry.audioOffsetMs)}
+              className="text-xs text-green-700 hover:underline mb-1"
+              dir="ltr"
+            >
+              ▶ {entry.suraName} · {entry.ayahNumber}
+              {entry.audioOffsetMs !== null && entry.audioOffsetMs !== undefined && ` (${formatClock(entry.audioOffsetMs)})`}
+            </button>
+            <p className="text-lg leading-relaxed text-right">
+              <DiffWords
+                words={entry.words}
+                diff={entry.diff}
+                marks={entry.mistakeMarks}
+                onWordClick={index => playFrom(entry.wordTimes?.[index] ?? entry.audioOffsetMs)}
+              />
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {sessionMistakes.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-green-800 mb-2">Mistakes in this session</h4>
+          <ul className="space-y-1">
+            {sessionMistakes.map(m => (
+              <li key={m.id}>
+                <button
+                  onClick={() => playFrom(m.audio_offset_ms)}
+                  disabled={m.audio_offset_ms === null || m.audio_offset_ms === undefined}
+                  className="w-full text-left text-sm p-2 rounded hover:bg-gray-100 disabled:hover:bg-transparent"
+                >
+                  {m.audio_offset_ms !== null && m.audio_offset_ms !== undefined && (
+                    <span className="text-gray-500 mr-2">{formatClock(m.audio_offset_ms)}</span>
+                  )}
+                  <MistakeTypeBadge type={m.mistake_type} />{' '}
+                  <span dir="rtl">{m.reference_segment}</span> → <span dir="rtl" className="text-red-700">{m.transcription_segment}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionPlayer;
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { SYNC_STATES } from '../lib/syncEngine.js';
+
+const formatAgo = (timestamp, now) => {
+  if (!timestamp) return 'never';
+  const seconds = Math.round((now - timestamp) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h ago`;
+  return new Date(timestamp).toLocaleString();
+};
+
+// Sync state of the mistake outbox, with a manual "Sync now" and what to do with records the server rejected
+function SyncStatus({ status, onSyncNow, onRetryRejected, onDiscardRejected }) {
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the relative times fresh
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  let message;
+  let tone = 'text-gray-600';
+  if (status.state === SYNC_STATES.syncing) {
+    message = `Syncing ${status.pending} mistake${status.pending === 1 ? '' : 's'}…`;
+  } else if (status.state === SYNC_STATES.offline) {
+    message = `Offline. ${status.pending} waiting to sync when you're back online.`;
+    tone = 'text-amber-700';
+  } else if (status.state === SYNC_STATES.error) {
+    const retryIn = status.nextRetryAt ? Math.max(0, Math.round((status.nextRetryAt - now) / 1000)) : null;
+    message = `Sync failed (${status.lastError}). ${status.pending} pending${retryIn !== null ? `, retrying in ${retryIn}s` : ''}.`;
+    tone = 'text-red-700';
+  } else if (status.pending > 0) {
+    message = `${status.pending} mistake${status.pending === 1 ? '' : 's'} waiting to sync.`;
+  } else {
+    message = 'All mistakes synced.';
+    tone = 'text-green-700';
+  }
+
+  const discardRejected = () => {
+    if (window.confirm(`Stop syncing the ${status.rejected} rejected mistake${status.rejected === 1 ? '' : 's'}? They stay on this device.`)) {
+      onDiscardRejected();
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md text-sm">
+      <div>
+        <span className={`font-medium ${tone}`}>{message}</span>
+        <span className="text-gray-500 ml-2">Last synced: {formatAgo(status.lastSyncedAt, now)}</span>
+        {status.rejected > 0 && (
+          <span className="text-red-600 ml-2" title={status.rejectReason || undefined}>
+            {status.rejected} rejected by the server{status.rejectReason ? ` (${status.rejectReason})` : ''}
+          </span>
+        )}
+      </div>
+      <div className="flex gap-2">
+        {status.rejected > 0 && (
+          <>
+            <button
+              onClick={onRetryRejected}
+              disabled={status.state === SYNC_STATES.syncing}
+              className="px-3 py-1 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+            >
+              Retry rejected
+            </button>
+            <button
+              onClick={discardRejected}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+            >
+              Discard
+            </button>
+          </>
+        )}
+        <button
+          onClick={onSyncNow}
+          disabled={status.state === SYNC_STATES.syncing}
+          className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          Sync now
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SyncStatus;
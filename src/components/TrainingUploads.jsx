@@ -0,0 +1,282 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getTrainingUploads } from '../lib/db.js';
+import { getSurah, SURAHS } from '../lib/quran.js';
+import { MAX_EDITABLE_MS } from '../lib/segmentation.js';
+import {
+  createUploadManager,
+  RECITING_STYLES,
+  SAMPLE_TYPES,
+  UPLOAD_STATES,
+  validateUpload,
+} from '../lib/uploadManager.js';
+import SegmentEditor from './SegmentEditor.jsx';
+import { formatClock } from './SessionPlayer.jsx';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+const STATUS_LABELS = {
+  [UPLOAD_STATES.idle]: 'Not uploaded',
+  [UPLOAD_STATES.queued]: 'Queued',
+  [UPLOAD_STATES.uploading]: 'Uploading',
+  [UPLOAD_STATES.paused]: 'Paused',
+  [UPLOAD_STATES.failed]: 'Failed',
+};
+
+const HISTORY_LIMIT = 10; // most recent uploads listed under the queue
+
+const HISTORY_LABELS = {
+  [SAMPLE_TYPES.recitation]: 'Recitation',
+  [SAMPLE_TYPES.ayahSegment]: 'Ayah segment',
+  correct_recitation_sample: 'Correct sample',
+};
+
+const buttonClass = 'px-3 py-1 text-xs rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+function UploadTags({ tags, disabled, onChange }) {
+  const surah = tags.surah && getSurah(tags.surah);
+  const setAyah = (key, value) => onChange({ [key]: value === '' ? null : Number(value) });
+  return (
+    <div className="flex flex-wrap items-end gap-2 text-xs text-gray-700">
+      <label className="flex flex-col flex-grow min-w-[10rem]">
+        Surah
+        <select
+          value={tags.surah ?? ''}
+          onChange={(e) => {
+            const number = e.target.value ? Number(e.target.value) : null;
+            onChange({ surah: number, fromAyah: number && 1, toAyah: number && getSurah(number).ayahCount });
+          }}
+          disabled={disabled}
+          className="mt-1 p-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">Choose…</option>
+          {SURAHS.map(s => (
+            <option key={s.number} value={s.number}>{s.number}. {s.transliteration} — {s.name}</option>
+          ))}
+        </select>
+      </label>
+      {surah && (
+        <>
+          <label className="flex flex-col w-16">
+            From
+            <input
+              type="number"
+              min="1"
+              max={surah.ayahCount}
+              value={tags.fromAyah ?? ''}
+              onChange={e => setAyah('fromAyah', e.target.value)}
+              disabled={disabled}
+              className="mt-1 p-1 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="flex flex-col w-16">
+            To
+            <input
+              type="number"
+              min="1"
+              max={surah.ayahCount}
+              value={tags.toAyah ?? ''}
+              onChange={e => setAyah('toAyah', e.target.value)}
+              disabled={disabled}
+              className="mt-1 p-1 border border-gray-300 rounded-md"
+            />
+          </label>
+        </>
+      )}
+      <label className="flex flex-col">
+        Style
+        <select
+          value={tags.style}
+          onChange={e => onChange({ style: e.target.value })}
+          disabled={disabled}
+          className="mt-1 p-1 border border-gray-300 rounded-md bg-white"
+        >
+          {RECITING_STYLES.map(style => <option key={style.id} value={style.id}>{style.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+// Training tab: queue of recitation files to upload, each tagged with what was recited.
+// Uploads carry on in the background while the app is open and resume after a reload.
+function TrainingUploads({ baseUrl, profileId, onStatus }) {
+  const [items, setItems] = useState([]);
+  const [editing, setEditing] = useState(null); // {id, file} of the recording open in the segment editor
+  const [history, setHistory] = useState([]); // uploads already sent, newest first
+  const manager = useRef(null);
+  const onStatusRef = useRef(onStatus);
+  onStatusRef.current = onStatus;
+
+  useEffect(() => {
+    const loadHistory = () => getTrainingUploads()
+      .then(setHistory)
+      .catch(error => console.error('Could not load the upload history:', error));
+    const uploads = createUploadManager({
+      baseUrl,
+      profileId,
+      onChange: setItems,
+      onUploaded: (item, result) => {
+        loadHistory();
+        onStatusRef.current?.(result?.status === 'queued'
+          ? `You're offline. '${item.name}' will be uploaded automatically when the connection returns.`
+          : `'${item.name}' uploaded for training.`);
+      },
+    });
+    loadHistory();
+    manager.current = uploads;
+    uploads.start().catch(error => console.error('Could not load the upload queue:', error));
+    return () => {
+      uploads.stop();
+      manager.current = null;
+    };
+  }, [baseUrl, profileId]);
+
+  const addFiles = (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // allow picking the same files again
+    if (files.length === 0) return;
+    // New files continue where the previous file's ayat ended: a long recitation is often split in parts
+    const last = items[items.length - 1]?.tags;
+    const tags = last?.surah ? {
+      ...last,
+      fromAyah: last.toAyah ? last.toAyah + 1 : null,
+      toAyah: getSurah(last.surah).ayahCount,
+    } : undefined;
+    manager.current?.add(files.map(file => ({ file, tags })));
+  };
+
+  const openEditor = async (id) => {
+    const file = await manager.current?.file(id);
+    if (file) setEditing({ id, file });
+    else onStatusRef.current?.('The file is no longer stored on this device; add it again.');
+  };
+
+  // The segments replace the whole recording in the queue
+  const queueSegments = async (entries) => {
+    const { id } = editing;
+    setEditing(null);
+    await manager.current?.add(entries);
+    manager.current?.remove(id);
+    onStatusRef.current?.(`${entries.length} ayah segment${entries.length === 1 ? '' : 's'} queued for upload.`);
+  };
+
+  const uploadable = items.filter(item => [UPLOAD_STATES.idle, UPLOAD_STATES.paused, UPLOAD_STATES.failed].includes(item.status)
+    && validateUpload(item).problems.length === 0);
+
+  return (
+    <div>
+      <input
+        type="file"
+        accept="audio/*"
+        multiple
+        onChange={addFiles}
+        className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
+      />
+      {items.length > 0 && (
+        <ul className="mt-4 space-y-3">
+          {items.map((item) => {
+            const { problems, warnings } = validateUpload(item);
+            const busy = item.status === UPLOAD_STATES.queued || item.status === UPLOAD_STATES.uploading;
+            const progress = item.size > 0 ? item.receivedBytes / item.size : 0;
+            return (
+              <li key={item.id} className="p-3 border border-gray-200 rounded-md bg-gray-50">
+                <div className="flex flex-wrap justify-between gap-2 mb-2">
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-800 break-all">{item.name}</span>
+                    <span className="text-gray-500 ml-2">
+                      {formatSize(item.size)}
+                      {item.probe?.durationMs !== null && item.probe?.durationMs !== undefined && ` · ${formatClock(item.probe.durationMs)}`}
+                      {item.probe?.sampleRate && ` · ${item.probe.sampleRate / 1000} kHz`}
+                      {item.probe?.channels && ` · ${item.probe.channels === 1 ? 'mono' : `${item.probe.channels} ch`}`}
+                      {!item.probe && ' · checking…'}
+                    </span>
+                  </div>
+                  <span className="text-xs font-semibold text-gray-600">{STATUS_LABELS[item.status]}</span>
+                </div>
+                <UploadTags tags={item.tags} disabled={busy} onChange={tags => manager.current?.setTags(item.id, tags)} />
+                {problems.map(problem => <p key={problem} className="text-xs text-red-600 mt-1">{problem}</p>)}
+                {warnings.map(warning => <p key={warning} className="text-xs text-amber-700 mt-1">{warning}</p>)}
+                {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+                {(busy || item.receivedBytes > 0) && (
+                  <div className="mt-2">
+                    <div className="h-2 bg-gray-200 rounded">
+                      <div className="h-2 bg-green-500 rounded" style={{ width: `${Math.round(progress * 100)}%` }} />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatSize(item.receivedBytes)} of {formatSize(item.size)} ({Math.round(progress * 100)}%)
+                    </p>
+                  </div>
+                )}
+                <div className="flex gap-2 mt-2">
+                  {busy ? (
+                    <button onClick={() => manager.current?.pause(item.id)} className={`${buttonClass} bg-yellow-500 text-white hover:bg-yellow-600`}>
+                      Pause
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => manager.current?.upload([item.id])}
+                      disabled={problems.length > 0 || !item.probe}
+                      className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}
+                    >
+                      {item.status === UPLOAD_STATES.failed ? 'Retry' : item.receivedBytes > 0 ? 'Resume' : 'Upload'}
+                    </button>
+                  )}
+                  <button onClick={() => manager.current?.remove(item.id)} className={`${buttonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>
+                    {item.receivedBytes > 0 || busy ? 'Cancel' : 'Remove'}
+                  </button>
+                  {item.sampleType === SAMPLE_TYPES.recitation && !busy && item.receivedBytes === 0 && editing?.id !== item.id && (
+                    <button
+                      onClick={() => openEditor(item.id)}
+                      disabled={!item.probe || (item.probe.durationMs ?? 0) > MAX_EDITABLE_MS}
+                      className={`${buttonClass} bg-green-100 text-green-800 hover:bg-green-200`}
+                      title="Cut the recording into ayat, drop bad parts, and upload each ayah as its own sample"
+                    >
+                      Split into ayat
+                    </button>
+                  )}
+                </div>
+                {editing?.id === item.id && (
+                  <div className="mt-3">
+                    <SegmentEditor
+                      file={editing.file}
+                      name={item.name}
+                      tags={item.tags}
+                      onCancel={() => setEditing(null)}
+                      onDone={queueSegments}
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <button
+        onClick={() => manager.current?.upload(uploadable.map(item => item.id))}
+        disabled={uploadable.length === 0}
+        className="mt-4 px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+      >
+        Upload {uploadable.length > 1 ? `all ${uploadable.length} files` : 'Audio for Training'}
+      </button>
+      {history.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-medium text-gray-700 mb-1">Recent uploads</h3>
+          <ul className="text-xs text-gray-600 space-y-1">
+            {history.slice(0, HISTORY_LIMIT).map(upload => (
+              <li key={upload.id}>
+                <span className="text-gray-800 break-all">{upload.fileName}</span>
+                {' · '}{HISTORY_LABELS[upload.type] || upload.type}
+                {upload.tags?.surah && ` · ${getSurah(upload.tags.surah)?.transliteration} ${upload.tags.fromAyah}–${upload.tags.toAyah}`}
+                {' · '}{formatSize(upload.fileSize)}
+                {' · '}{new Date(upload.timestamp).toLocaleString()}
+                {upload.queued && ' · waiting for a connection'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrainingUploads;
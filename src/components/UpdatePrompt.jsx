@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Banner shown when a new version of the app has been downloaded and is waiting to take over
+function UpdatePrompt({ onReload, onDismiss }) {
+  return (
+    <div className="fixed bottom-4 inset-x-4 sm:inset-x-auto sm:left-4 z-50 flex items-center gap-3 p-3 bg-white border border-green-300 rounded-lg shadow-lg text-sm" dir="ltr">
+      <span className="text-gray-800">A new version of the app is available.</span>
+      <button
+        onClick={onReload}
+        className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700"
+      >
+        Reload
+      </button>
+      <button
+        onClick={onDismiss}
+        className="px-3 py-1 text-gray-600 hover:text-gray-900"
+      >
+        Later
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,209 @@
+// Progress analytics, computed locally from the stored sessions (their transcripts) and mistakes.
+// Word counts come from session transcripts: a word counts as recited once the diff has reached it.
+
+import { classifyMistake } from './mistakeTypes.js';
+import { getSurah, verseKey } from './quran.js';
+import { countIssues, WORD_STATUS } from './transcript.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart granularity and how many buckets each shows
+export const ANALYTICS_RANGES = {
+  day: { label: 'Daily', buckets: 14 },
+  week: { label: 'Weekly', buckets: 12 },
+  month: { label: 'Monthly', buckets: 12 },
+};
+
+const startOfDay = (ts) => {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+// Local start of the day, week (Monday) or month containing ts
+export function bucketStart(ts, range) {
+  const d = new Date(startOfDay(ts));
+  if (range === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (range === 'month') d.setDate(1);
+  return d.getTime();
+}
+
+const previousBucket = (start, range) => {
+  const d = new Date(start);
+  if (range === 'day') d.setDate(d.getDate() - 1);
+  else if (range === 'week') d.setDate(d.getDate() - 7);
+  else d.setMonth(d.getMonth() - 1);
+  return d.getTime();
+};
+
+export function bucketLabel(start, range) {
+  const d = new Date(start);
+  if (range === 'month') return d.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+  return d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
+
+// Words reached and recited correctly in one session
+export function sessionWordCounts(session) {
+  let words = 0;
+  let correct = 0;
+  (session.transcript || []).forEach((entry) => {
+    entry.wordStatus.forEach((status) => {
+      if (status === WORD_STATUS.pending) return;
+      words += 1;
+      if (status === WORD_STATUS.correct) correct += 1;
+    });
+  });
+  return { words, correct };
+}
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+// Per-session accuracy and mistake rate, oldest first
+export function sessionSummaries(sessions) {
+  return sessions
+    .map((session) => {
+      const { words, correct } = sessionWordCounts(session);
+      const mistakes = (session.mistakeIds || []).length;
+      return {
+        id: session.id,
+        startedAt: session.startedAt,
+        words,
+        mistakes,
+        accuracy: ratio(correct, words),
+        per100Words: words > 0 ? (mistakes / words) * 100 : null,
+      };
+    })
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+// Trend buckets ending with the one containing `now`
+export function trendSeries(summaries, range, now = Date.now()) {
+  const starts = [bucketStart(now, range)];
+  while (starts.length < ANALYTICS_RANGES[range].buckets) starts.unshift(previousBucket(starts[0], range));
+  const buckets = starts.map(start => ({ start, label: bucketLabel(start, range), sessions: 0, words: 0, correct: 0, mistakes: 0 }));
+  const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+  summaries.forEach((summary) => {
+    const bucket = byStart.get(bucketStart(summary.startedAt, range));
+    if (!bucket) return;
+    bucket.sessions += 1;
+    bucket.words += summary.words;
+    bucket.correct += summary.accuracy === null ? 0 : Math.round(summary.accuracy * summary.words);
+    bucket.mistakes += summary.mistakes;
+  });
+  return buckets.map(bucket => ({
+    ...bucket,
+    accuracy: ratio(bucket.correct, bucket.words),
+    per100Words: bucket.words > 0 ? (bucket.mistakes / bucket.words) * 100 : null,
+  }));
+}
+
+// Mistake types by frequency. Mistakes the user marked 'correct' were the model's error, so they
+// only count towards the verification figures.
+export function mistakeTypeStats(mistakes) {
+  const byType = new Map();
+  mistakes.forEach((mistake) => {
+    const type = classifyMistake(mistake.mistake_type);
+    const key = type.known ? type.id : type.en;
+    if (!byType.has(key)) byType.set(key, { type: mistake.mistake_type, label: type.en, count: 0, pending: 0, incorrect: 0, correct: 0 });
+    const stats = byType.get(key);
+    stats[mistake.verified] = (stats[mistake.verified] || 0) + 1;
+    if (mistake.verified !== 'correct') stats.count += 1;
+  });
+  return [...byType.values()]
+    .map(stats => ({ ...stats, modelWrongRate: ratio(stats.correct, stats.correct + stats.incorrect) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// How the flagged mistakes were verified; modelWrongRate is the share of reviewed ones that were
+// not actually mistakes
+export function verificationStats(mistakes) {
+  const counts = { pending: 0, incorrect: 0, correct: 0 };
+  mistakes.forEach((mistake) => {
+    if (mistake.verified in counts) counts[mistake.verified] += 1;
+  });
+  return { ...counts, total: mistakes.length, modelWrongRate: ratio(counts.correct, counts.correct + counts.incorrect) };
+}
+
+// Surahs ranked by mistakes per 100 recited words (surahs with recited words only)
+export function weakestSurahs(sessions, mistakes, limit = 5) {
+  const stats = new Map();
+  const get = (surah) => {
+    if (!stats.has(surah)) stats.set(surah, { surah, name: getSurah(surah)?.transliteration, words: 0, mistakes: 0 });
+    return stats.get(surah);
+  };
+  sessions.forEach(session => (session.transcript || []).forEach((entry) => {
+    if (!entry.suraNumber) return;
+    get(entry.suraNumber).words += entry.wordStatus.filter(status => status !== WORD_STATUS.pending).length;
+  }));
+  mistakes.forEach((mistake) => {
+    const surah = mistake.surah_number;
+    if (surah && mistake.verified !== 'correct' && stats.has(surah)) stats.get(surah).mistakes += 1;
+  });
+  return [...stats.values()]
+    .filter(s => s.words > 0)
+    .map(s => ({ ...s, per100Words: (s.mistakes / s.words) * 100 }))
+    .sort((a, b) => b.per100Words - a.per100Words)
+    .slice(0, limit);
+}
+
+// Ayat ranked by issues (missed, replaced or added words) per recitation across all sessions
+export function weakestAyat(sessions, limit = 5) {
+  const stats = new Map();
+  sessions.forEach(session => (session.transcript || []).forEach((entry) => {
+    if (!entry.suraNumber) return;
+    const key = verseKey(entry.suraNumber, entry.ayahNumber);
+    if (!stats.has(key)) stats.set(key, { key, surah: entry.suraNumber, ayah: entry.ayahNumber, name: entry.suraName, recitations: 0, issues: 0 });
+    const s = stats.get(key);
+    s.recitations += 1;
+    s.issues += countIssues(entry);
+  }));
+  return [...stats.values()]
+    .filter(s => s.issues > 0)
+    .map(s => ({ ...s, issuesPerRecitation: s.issues / s.recitations }))
+    .sort((a, b) => b.issuesPerRecitation - a.issuesPerRecitation || b.recitations - a.recitations)
+    .slice(0, limit);
+}
+
+// Consecutive days with at least one session. The current streak still counts if today has no
+// session yet but yesterday did.
+export function practiceStreaks(sessions, now = Date.now()) {
+  const days = [...new Set(sessions.map(session => startOfDay(session.startedAt)))].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    // Compare calendar days rather than 24 h steps so daylight saving changes don't break a run
+    const consecutive = i > 0 && startOfDay(days[i - 1] + DAY_MS + DAY_MS / 2) === day;
+    run = consecutive ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const today = startOfDay(now);
+  const last = days[days.length - 1];
+  const yesterday = startOfDay(today - DAY_MS / 2);
+  const current = last === today || last === yesterday ? run : 0;
+  return { current, longest, practiceDays: days.length };
+}
+
+// Word accuracy and mistakes per 100 words over a set of session summaries
+function overall(summaries) {
+  const words = summaries.reduce((sum, s) => sum + s.words, 0);
+  const correct = summaries.reduce((sum, s) => sum + (s.accuracy ?? 0) * s.words, 0);
+  const mistakes = summaries.reduce((sum, s) => sum + s.mistakes, 0);
+  return { accuracy: ratio(correct, words), per100Words: words > 0 ? (mistakes / words) * 100 : null };
+}
+
+// Headline figures of one learner, for the teacher overview comparing learner profiles
+export function learnerSummary(sessions, mistakes, now = Date.now()) {
+  const summaries = sessionSummaries(sessions);
+  const recent = summaries.filter(s => s.startedAt >= now - 30 * DAY_MS);
+  const verification = verificationStats(mistakes);
+  return {
+    sessions: summaries.length,
+    lastPracticeAt: summaries.length > 0 ? summaries[summaries.length - 1].startedAt : null,
+    ...overall(summaries),
+    recentAccuracy: overall(recent).accuracy,
+    streak: practiceStreaks(sessions, now).current,
+    toReview: verification.pending,
+    confirmed: verification.incorrect,
+    weakestSurah: weakestSurahs(sessions, mistakes, 1)[0] ?? null,
+  };
+}
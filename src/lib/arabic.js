@@ -0,0 +1,51 @@
+// Arabic text helpers shared by verse lookup, diff rendering, mistake location and search.
+
+// Harakat, Quranic annotation marks, superscript alef and tatweel
+const DIACRITICS_RE = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+export function stripDiacritics(text) {
+  return (text || '').replace(DIACRITICS_RE, '');
+}
+
+// Loose form for comparisons: no diacritics, unified alef/ya/ta marbuta forms, single spaces
+export function normalizeArabic(text) {
+  return stripDiacritics(text)
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // alef variants -> bare alef
+    .replace(/\u0649/g, '\u064A') // alef maqsura -> ya
+    .replace(/\u0629/g, '\u0647') // ta marbuta -> ha
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Splits an ayah into words the way the backend does for its diff indices: on whitespace, with
+// standalone waqf marks kept as words of their own. Every word index in the app (the transcript,
+// word_start/word_end on mistakes, reference audio word timings) counts over this split.
+export function splitAyahWords(text) {
+  return (text || '').split(/\s+/).filter(word => word.length > 0);
+}
+
+// Standalone waqf/ayah marks are words in the split, but nothing is recited for them
+export const isRecitedWord = (word) => stripDiacritics(word).length > 0;
+
+// Every occurrence {start, end} (inclusive word indices) of a segment such as a mistake's
+// reference_segment among the words of an ayah. Words are compared with normalizeArabic, and waqf
+// marks are skipped on both sides, so a segment matches whether or not it carries the ayah's marks.
+export function findSegmentOccurrences(words, segment) {
+  const target = splitAyahWords(segment).filter(isRecitedWord).map(normalizeArabic);
+  if (target.length === 0) return [];
+  const recited = words.map((word, index) => ({ word: normalizeArabic(word), index })).filter(({ word }) => word.length > 0);
+  const occurrences = [];
+  for (let i = 0; i + target.length <= recited.length; i += 1) {
+    if (target.every((word, j) => recited[i + j].word === word)) {
+      occurrences.push({ start: recited[i].index, end: recited[i + target.length - 1].index });
+    }
+  }
+  return occurrences;
+}
+
+// The occurrence starting nearest word index `near` (the first one when `near` is null)
+export function nearestOccurrence(occurrences, near = null) {
+  if (occurrences.length === 0) return null;
+  if (near === null) return occurrences[0];
+  return occurrences.reduce((a, b) => (Math.abs(b.start - near) < Math.abs(a.start - near) ? b : a));
+}
@@ -0,0 +1,295 @@
+// Microphone capture for the listening session. Produces framed binary audio (see encodeAudioFrame
+// in protocol.js) in one of the formats negotiated through 'config':
+//
+// - AudioWorklet (worklets/pcmCaptureProcessor.js): 16 kHz mono 16-bit PCM, optionally encoded to
+//   Opus with WebCodecs where the browser supports it.
+// - ScriptProcessorNode: the same PCM for browsers without AudioWorklet.
+// - MediaRecorder: a last resort where Web Audio can't be used. Every timeslice is sent in order,
+//   so the frames form one continuous container stream the backend can decode as a whole. The
+//   first chunk holds the container header; it is never dropped and starts the stream on every new socket.
+//
+// On the PCM paths an optional 'pipeline' (see audioPipeline.js) sits between capture and encoding
+// and decides which audio is sent. 'onRawAudio' sees everything captured, before any gating, for
+// keeping a local recording of the session.
+//
+// 'elapsedMs' is the capture clock: ms of audio captured so far, the timeline of the frame timestamps.
+// stop() resolves once the last captured audio has gone to onFrame and onRawAudio.
+
+import processorUrl from '../worklets/pcmCaptureProcessor.js?url';
+import { encodeAudioFrame } from './protocol.js';
+
+export const CAPTURE_PATHS = {
+  worklet: 'worklet',
+  scriptProcessor: 'script_processor',
+  mediaRecorder: 'media_recorder',
+};
+
+export const TARGET_SAMPLE_RATE = 16000;
+export const PCM_FORMAT = { codec: 'pcm_s16le', sample_rate: TARGET_SAMPLE_RATE, channels: 1, frame_ms: 100 };
+export const OPUS_FORMAT = { codec: 'opus', sample_rate: TARGET_SAMPLE_RATE, channels: 1, frame_ms: 20 };
+
+const FRAME_SAMPLES = (TARGET_SAMPLE_RATE * PCM_FORMAT.frame_ms) / 1000;
+const RECORDER_TIMESLICE_MS = 250;
+const OPUS_BITRATE = 24000;
+
+// In order of preference; Safari/iOS only records audio/mp4
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+
+// First MediaRecorder container this browser supports, or '' to let the browser choose
+export function pickRecorderMimeType() {
+  if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') return '';
+  return RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+const OPUS_ENCODER_CONFIG = { codec: 'opus', sampleRate: TARGET_SAMPLE_RATE, numberOfChannels: 1, bitrate: OPUS_BITRATE };
+
+export async function isOpusEncodingSupported() {
+  if (typeof AudioEncoder === 'undefined') return false;
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported(OPUS_ENCODER_CONFIG);
+    return Boolean(supported);
+  } catch {
+    return false;
+  }
+}
+
+// Main-thread copy of the worklet's downmix + box-filter decimation, for the ScriptProcessor path
+function createPcmFramer({ inputRate, onFrame }) {
+  const ratio = inputRate / TARGET_SAMPLE_RATE;
+  let frame = new Int16Array(FRAME_SAMPLES);
+  let filled = 0;
+  let sum = 0;
+  let count = 0;
+  let untilNext = ratio;
+
+  return (channels) => {
+    const length = channels[0].length;
+    for (let i = 0; i < length; i += 1) {
+      let mixed = 0;
+      for (let c = 0; c < channels.length; c += 1) mixed += channels[c][i];
+      sum += mixed / channels.length;
+      count += 1;
+      untilNext -= 1;
+      if (untilNext > 0) continue;
+      const value = Math.max(-1, Math.min(1, sum / count));
+      frame[filled] = value < 0 ? value * 0x8000 : value * 0x7fff;
+      filled += 1;
+      sum = 0;
+      count = 0;
+      untilNext += ratio;
+      if (filled === FRAME_SAMPLES) {
+        onFrame(frame);
+        frame = new Int16Array(FRAME_SAMPLES);
+        filled = 0;
+      }
+    }
+  };
+}
+
+function createOpusEncoder(onPacket) {
+  const encoder = new AudioEncoder({
+    output: (chunk) => {
+      const bytes = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(bytes);
+      onPacket(bytes, chunk.timestamp / 1000);
+    },
+    error: error => console.error('Opus encoder error:', error),
+  });
+  encoder.configure(OPUS_ENCODER_CONFIG);
+  return {
+    encode(samples, timestampMs) {
+      const data = new AudioData({
+        format: 's16',
+        sampleRate: TARGET_SAMPLE_RATE,
+        numberOfChannels: 1,
+        numberOfFrames: samples.length,
+        timestamp: Math.round(timestampMs * 1000),
+        data: samples,
+      });
+      encoder.encode(data);
+      data.close();
+    },
+    // Resolves once the packets still being encoded have been output
+    flush() {
+      return encoder.state === 'configured' ? encoder.flush() : Promise.resolve();
+    },
+    close() {
+      if (encoder.state !== 'closed') encoder.close();
+    },
+  };
+}
+
+const workletLoaded = new WeakSet(); // AudioContexts that already have the processor registered
+
+async function connectWorklet(audioContext, source, onPcm) {
+  if (!workletLoaded.has(audioContext)) {
+    await audioContext.audioWorklet.addModule(processorUrl);
+    workletLoaded.add(audioContext);
+  }
+  const node = new AudioWorkletNode(audioContext, 'pcm-capture', {
+    processorOptions: { targetRate: TARGET_SAMPLE_RATE, frameSamples: FRAME_SAMPLES },
+  });
+  node.port.onmessage = event => onPcm(new Int16Array(event.data));
+  source.connect(node);
+  // Nothing is written to the output; connecting it keeps the node in the rendering graph
+  node.connect(audioContext.destination);
+  return () => {
+    node.port.onmessage = null;
+    source.disconnect(node);
+    node.disconnect();
+  };
+}
+
+function connectScriptProcessor(audioContext, source, onPcm) {
+  const node = audioContext.createScriptProcessor(4096, 1, 1);
+  const framer = createPcmFramer({ inputRate: audioContext.sampleRate, onFrame: onPcm });
+  node.onaudioprocess = (event) => {
+    framer([event.inputBuffer.getChannelData(0)]);
+    event.outputBuffer.getChannelData(0).fill(0);
+  };
+  source.connect(node);
+  node.connect(audioContext.destination);
+  return () => {
+    node.onaudioprocess = null;
+    source.disconnect(node);
+    node.disconnect();
+  };
+}
+
+function createRecorderCapture(stream, emit, onRawAudio) {
+  const mimeType = pickRecorderMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const format = { codec: 'container', mime_type: recorder.mimeType || mimeType, timeslice_ms: RECORDER_TIMESLICE_MS };
+  const startedAt = performance.now();
+  let pending = Promise.resolve();
+  let header = null; // {timestampMs, payload} of the first chunk, which holds the container header
+
+  recorder.ondataavailable = (event) => {
+    if (!event.data || event.data.size === 0) return;
+    const timestampMs = performance.now() - startedAt;
+    onRawAudio?.(event.data, timestampMs);
+    // Chain the reads so the chunks go out in recording order
+    pending = pending.then(async () => {
+      const payload = await event.data.arrayBuffer();
+      if (header) {
+        emit('container', timestampMs, payload);
+      } else {
+        header = { timestampMs, payload };
+        emit('container', timestampMs, payload, { keep: true });
+      }
+    });
+  };
+  recorder.start(RECORDER_TIMESLICE_MS);
+
+  return {
+    path: CAPTURE_PATHS.mediaRecorder,
+    pipeline: null, // the browser encodes; there are no samples to process
+    get elapsedMs() {
+      return performance.now() - startedAt;
+    },
+    get format() {
+      return format;
+    },
+    formats: [format],
+    async setFormat() {
+      return format; // a running recorder can't change container
+    },
+    // A new socket gets the header again, so the backend can decode the fragments that follow it.
+    // It goes out with its original timestamp: its audio was sent before.
+    startNewStream() {
+      pending = pending.then(() => {
+        if (header) emit('container', header.timestampMs, header.payload, { keep: true });
+      });
+    },
+    // The recorder delivers its last chunk after stop() is called, just before 'stop'
+    stop() {
+      if (recorder.state === 'inactive') return pending;
+      return new Promise((resolve) => {
+        recorder.onstop = () => resolve(pending);
+        recorder.stop();
+      });
+    },
+  };
+}
+
+// Starts capturing 'stream'. encoding: 'pcm' or 'opus' (falls back to PCM if Opus is unavailable).
+// onFrame(ArrayBuffer, {keep}) receives each framed chunk of audio, ready to send; keep marks a frame
+// the rest of the stream can't be decoded without, which must not be dropped while the socket is down.
+// Call startNewStream() when the frames start going to a new socket after the previous one was lost.
+// onRawAudio(Int16Array | Blob, timestampMs) receives 16 kHz PCM, or container chunks on the MediaRecorder path.
+export async function createAudioCapture({ stream, audioContext, encoding = 'pcm', pipeline = null, onFrame, onRawAudio }) {
+  let seq = 0;
+  const emit = (codec, timestampMs, payload, { keep = false } = {}) => {
+    onFrame(encodeAudioFrame({ codec, seq, timestampMs, payload }), { keep });
+    seq += 1;
+  };
+
+  // Upsampling isn't implemented; contexts below 16 kHz are practically nonexistent
+  if (!audioContext || audioContext.sampleRate < TARGET_SAMPLE_RATE) {
+    return createRecorderCapture(stream, emit, onRawAudio);
+  }
+
+  const opusSupported = await isOpusEncodingSupported();
+  let format = PCM_FORMAT;
+  let opus = null;
+  let samplesCaptured = 0;
+
+  const encode = (samples, timestampMs) => {
+    if (opus) opus.encode(samples, timestampMs);
+    else emit(PCM_FORMAT.codec, timestampMs, samples);
+  };
+  // Timestamps count captured samples, so audio held back by the pipeline leaves a gap in the timeline
+  const onPcm = (samples) => {
+    const timestampMs = (samplesCaptured / TARGET_SAMPLE_RATE) * 1000;
+    samplesCaptured += samples.length;
+    onRawAudio?.(samples, timestampMs);
+    if (pipeline) pipeline.process(samples, timestampMs, encode);
+    else encode(samples, timestampMs);
+  };
+
+  const setFormat = async (requested) => {
+    if (requested.codec === OPUS_FORMAT.codec && opusSupported) {
+      if (!opus) opus = createOpusEncoder((packet, timestampMs) => emit(OPUS_FORMAT.codec, timestampMs, packet));
+      format = OPUS_FORMAT;
+    } else {
+      opus?.close();
+      opus = null;
+      format = PCM_FORMAT;
+    }
+    return format;
+  };
+  await setFormat(encoding === 'opus' ? OPUS_FORMAT : PCM_FORMAT);
+
+  const source = audioContext.createMediaStreamSource(stream);
+  let path = CAPTURE_PATHS.worklet;
+  let disconnect;
+  try {
+    if (!audioContext.audioWorklet) throw new Error('AudioWorklet is not supported');
+    disconnect = await connectWorklet(audioContext, source, onPcm);
+  } catch (error) {
+    console.warn('Falling back to ScriptProcessorNode capture:', error);
+    path = CAPTURE_PATHS.scriptProcessor;
+    disconnect = connectScriptProcessor(audioContext, source, onPcm);
+  }
+
+  return {
+    path,
+    pipeline,
+    get elapsedMs() {
+      return (samplesCaptured / TARGET_SAMPLE_RATE) * 1000;
+    },
+    get format() {
+      return format;
+    },
+    formats: opusSupported ? [PCM_FORMAT, OPUS_FORMAT] : [PCM_FORMAT],
+    setFormat,
+    startNewStream() {}, // every PCM or Opus frame decodes on its own
+    async stop() {
+      disconnect();
+      const encoder = opus;
+      opus = null;
+      await encoder?.flush().catch(error => console.error('Opus encoder flush failed:', error));
+      encoder?.close();
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// Processing between microphone capture and upload (see audioCapture.js 'pipeline'):
+//   high-pass filter (part of noise suppression) -> voice activity detection -> gain normalisation
+//   -> speech gating, with a short pre-roll so the start of a word isn't clipped.
+// Segment boundaries are reported through onSegment so they can be sent to the backend, and
+// input levels are published to subscribers (the level meter).
+
+import { createVoiceActivityDetector } from './vad.js';
+
+const SAMPLE_RATE = 16000;
+const HIGH_PASS_HZ = 80;
+const TARGET_RMS = 0.1; // about -20 dBFS
+const MAX_GAIN = 10; // +20 dB
+const MIN_GAIN = 0.5;
+const PREROLL_CHUNKS = 3; // 300 ms of audio sent ahead of each detected segment
+// Pauses shorter than this between segments are most likely a breath; longer ones a deliberate stop
+const BREATH_MAX_MS = 1200;
+
+export const DEFAULT_AUDIO_PROCESSING = {
+  noiseSuppression: true, // browser noise suppression + high-pass filter
+  gainNormalisation: true,
+  speechGating: true, // only send audio inside detected speech segments
+  vadSensitivity: 'medium', // 'low' | 'medium' | 'high' | 'calibrated'
+  calibration: null, // result of calibrateInput() in microphone.js
+};
+
+// Classifies the silence before a segment for waqf detection on the backend
+export const classifyPause = (pauseMs) => (pauseMs === null ? null : pauseMs < BREATH_MAX_MS ? 'breath' : 'pause');
+
+export function createAudioPipeline({ settings = DEFAULT_AUDIO_PROCESSING, onSegment } = {}) {
+  let current = { ...DEFAULT_AUDIO_PROCESSING, ...settings };
+  const vad = createVoiceActivityDetector({ sensitivity: current.vadSensitivity, calibration: current.calibration });
+  const listeners = new Set();
+  const preroll = [];
+  let gain = 1;
+  // High-pass filter state, carried across chunks
+  const rc = 1 / (2 * Math.PI * HIGH_PASS_HZ);
+  const alpha = rc / (rc + 1 / SAMPLE_RATE);
+  let prevIn = 0;
+  let prevOut = 0;
+
+  const toFloat = (samples) => {
+    const out = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i += 1) {
+      const x = samples[i] / 32768;
+      if (current.noiseSuppression) {
+        prevOut = alpha * (prevOut + x - prevIn);
+        prevIn = x;
+        out[i] = prevOut;
+      } else {
+        out[i] = x;
+      }
+    }
+    return out;
+  };
+
+  const toInt16 = (floats) => {
+    const out = new Int16Array(floats.length);
+    for (let i = 0; i < floats.length; i += 1) {
+      // Soft clip so gain peaks don't wrap around
+      const value = Math.tanh(floats[i] * gain);
+      out[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+    }
+    return out;
+  };
+
+  // Adapts only while someone is speaking, so silence isn't pumped up to speech level
+  const updateGain = (floats) => {
+    let sumSquares = 0;
+    for (let i = 0; i < floats.length; i += 1) sumSquares += floats[i] * floats[i];
+    const rms = Math.sqrt(sumSquares / floats.length);
+    if (rms < 1e-4) return;
+    const desired = Math.min(MAX_GAIN, Math.max(MIN_GAIN, TARGET_RMS / rms));
+    // Back off quickly when too loud, creep up slowly when too quiet
+    gain += (desired - gain) * (desired < gain ? 0.5 : 0.05);
+  };
+
+  return {
+    get settings() {
+      return current;
+    },
+    setSettings(next) {
+      current = { ...current, ...next };
+      vad.setOptions({ sensitivity: current.vadSensitivity, calibration: current.calibration });
+      if (!current.gainNormalisation) gain = 1;
+    },
+    // listener({levelDb, noiseFloorDb, speech, gain}) for every chunk; returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // samples: Int16Array at 16 kHz. emit(samples, timestampMs) is called for audio that should be sent.
+    process(samples, timestampMs, emit) {
+      const floats = toFloat(samples);
+      const result = vad.process(floats, timestampMs);
+      if (current.gainNormalisation && result.speech) updateGain(floats);
+      const output = toInt16(floats);
+
+      result.events.forEach((event) => {
+        onSegment?.(event.type === 'speech_start'
+          ? { ...event, boundary: classifyPause(event.pauseMs) }
+          : event);
+      });
+      listeners.forEach(listener => listener({
+        levelDb: result.levelDb,
+        noiseFloorDb: result.noiseFloorDb,
+        speech: result.speech,
+        gain,
+      }));
+
+      if (!current.speechGating) {
+        emit(output, timestampMs);
+        return;
+      }
+      if (result.speech) {
+        preroll.splice(0).forEach(chunk => emit(chunk.samples, chunk.timestampMs));
+        emit(output, timestampMs);
+      } else {
+        preroll.push({ samples: output, timestampMs });
+        if (preroll.length > PREROLL_CHUNKS) preroll.shift();
+      }
+    },
+  };
+}
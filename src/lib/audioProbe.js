@@ -0,0 +1,105 @@
+// Reads an audio file's duration, sample rate and channel count without decoding it (decoding a
+// long recording would need hundreds of MB on a phone). Duration comes from the browser's media
+// metadata; sample rate and channels from the container header for WAV, MP3, FLAC and Ogg
+// (Opus/Vorbis), and are null for other formats.
+
+const HEADER_BYTES = 64 * 1024;
+const METADATA_TIMEOUT_MS = 10000;
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+const text = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const indexOfText = (bytes, needle, from = 0) => {
+  for (let i = from; i + needle.length <= bytes.length; i += 1) {
+    if (text(bytes, i, needle.length) === needle) return i;
+  }
+  return -1;
+};
+
+function parseWav(bytes, view) {
+  if (text(bytes, 0, 4) !== 'RIFF' || text(bytes, 8, 4) !== 'WAVE') return null;
+  const fmt = indexOfText(bytes, 'fmt ', 12);
+  if (fmt === -1 || fmt + 16 > bytes.length) return null;
+  return { channels: view.getUint16(fmt + 10, true), sampleRate: view.getUint32(fmt + 12, true) };
+}
+
+function parseMp3Frame(bytes) {
+  for (let i = 0; i + 4 <= bytes.length; i += 1) {
+    if (bytes[i] !== 0xff || (bytes[i + 1] & 0xe0) !== 0xe0) continue;
+    const version = (bytes[i + 1] >> 3) & 3;
+    const rateIndex = (bytes[i + 2] >> 2) & 3;
+    if (version === 1 || rateIndex === 3) continue; // reserved values: not a frame header
+    return { sampleRate: MP3_SAMPLE_RATES[version][rateIndex], channels: bytes[i + 3] >> 6 === 3 ? 1 : 2 };
+  }
+  return null;
+}
+
+function parseFlac(bytes) {
+  // 'fLaC', then the STREAMINFO block (4-byte block header + 34 bytes)
+  if (text(bytes, 0, 4) !== 'fLaC' || bytes.length < 22) return null;
+  return {
+    sampleRate: (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4),
+    channels: ((bytes[20] >> 1) & 7) + 1,
+  };
+}
+
+function parseOgg(bytes, view) {
+  if (text(bytes, 0, 4) !== 'OggS') return null;
+  const opus = indexOfText(bytes, 'OpusHead');
+  if (opus !== -1 && opus + 16 <= bytes.length) {
+    // Opus always decodes at 48 kHz; the header keeps the rate of the original input
+    return { channels: bytes[opus + 9], sampleRate: view.getUint32(opus + 12, true) || 48000 };
+  }
+  const vorbis = indexOfText(bytes, 'vorbis');
+  if (vorbis !== -1 && vorbis + 14 <= bytes.length && bytes[vorbis - 1] === 1) {
+    return { channels: bytes[vorbis + 10], sampleRate: view.getUint32(vorbis + 11, true) };
+  }
+  return null;
+}
+
+async function readHeader(file) {
+  let bytes = new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer());
+  // An ID3v2 tag (cover art and the like) can push the first MP3 frame well past the first block
+  if (text(bytes, 0, 3) === 'ID3' && bytes.length >= 10) {
+    const tagSize = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+    bytes = new Uint8Array(await file.slice(10 + tagSize, 10 + tagSize + HEADER_BYTES).arrayBuffer());
+    return parseMp3Frame(bytes);
+  }
+  const view = new DataView(bytes.buffer);
+  return parseWav(bytes, view) ?? parseFlac(bytes) ?? parseOgg(bytes, view)
+    ?? (/mpeg|mp3/.test(file.type) || /\.mp3$/i.test(file.name) ? parseMp3Frame(bytes) : null);
+}
+
+// Duration in ms from the media element's metadata; null when the browser can't tell (some
+// MediaRecorder WebM files report Infinity) or can't play the format at all
+function readDuration(file) {
+  return new Promise((resolve) => {
+    const audio = document.createElement('audio');
+    const url = URL.createObjectURL(file);
+    const done = (durationMs) => {
+      clearTimeout(timer);
+      audio.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      resolve(durationMs);
+    };
+    const timer = setTimeout(() => done(null), METADATA_TIMEOUT_MS);
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => done(Number.isFinite(audio.duration) ? Math.round(audio.duration * 1000) : null);
+    audio.onerror = () => done(null);
+    audio.src = url;
+  });
+}
+
+// {durationMs, sampleRate, channels}; each is null when it couldn't be determined
+export async function probeAudioFile(file) {
+  const [durationMs, header] = await Promise.all([
+    readDuration(file),
+    readHeader(file).catch(() => null),
+  ]);
+  return { durationMs, sampleRate: header?.sampleRate ?? null, channels: header?.channels ?? null };
+}
@@ -0,0 +1,378 @@
+// Export, import and full backup of the data this app keeps on the device.
+//
+// Mistakes are exported as the records /sync-mistakes/ receives (toSyncPayload in syncEngine.js):
+//   json   {format: 'qra-mistakes', version, exported_at, mistakes: [...]}, the sync request body plus a header
+//   jsonl  one record per line
+//   csv    one row per record with MISTAKE_COLUMNS (UTF-8 with a byte order mark, so spreadsheets show the Arabic)
+// Sessions are exported the same way, without their recordings.
+//
+// A full backup covers the active learner profile (lib/profiles.js). It is a ZIP archive (lib/zip.js)
+// holding backup.json (the profile's settings and learner id, the mistakes, and the records of
+// BACKUP_STORES in db.js) and audio/<id> for every stored recording. Importing merges mistakes by id
+// (mergeMistakes); restoring a backup also adds the other records and recordings that aren't on
+// this device yet.
+
+import { addBackupRecords, BACKUP_STORES, DB_VERSION, readBackupStores, STORES } from './db.js';
+import { VERIFICATION_STATUSES } from './mistakeQueue.js';
+import { upgradeMistake } from './mistakeRecord.js';
+import { adoptProfileId, profileSettings, restoreProfileSettings } from './profiles.js';
+import { getSurah } from './quran.js';
+import { toSyncPayload } from './syncEngine.js';
+import { createZip, readZip } from './zip.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'jsonl'];
+export const BACKUP_VERSION = 1;
+const MANIFEST = 'backup.json';
+const BOM = String.fromCharCode(0xfeff);
+
+const MIME_TYPES = { json: 'application/json', jsonl: 'application/x-ndjson', csv: 'text/csv' };
+
+export const MISTAKE_COLUMNS = [
+  'id', 'schema_version', 'verse_key', 'sura', 'aya', 'surah_number', 'ayah_number', 'word_start', 'word_end',
+  'transcription_segment', 'reference_segment', 'mistake_type', 'timestamp', 'verified', 'revision', 'notes',
+  'session_id', 'audio_offset_ms', 'feedback_mode', 'model_version', 'backend_version', 'correct_sample_count',
+  'resolved_at', 'idempotency_key',
+];
+const NUMERIC_COLUMNS = new Set([
+  'schema_version', 'surah_number', 'ayah_number', 'word_start', 'word_end', 'timestamp', 'revision',
+  'audio_offset_ms', 'correct_sample_count', 'resolved_at',
+]);
+const TEXT_FIELDS = ['sura', 'aya', 'transcription_segment', 'reference_segment', 'mistake_type', 'notes'];
+
+const SESSION_COLUMNS = [
+  'id', 'started_at', 'ended_at', 'duration_ms', 'passage', 'first_verse', 'last_verse', 'mistake_count', 'hifz_score',
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// --- CSV ---
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsv = (columns, rows) => `${BOM}${[columns, ...rows.map(row => columns.map(column => row[column]))]
+  .map(cells => cells.map(csvCell).join(','))
+  .join('\r\n')}\r\n`;
+
+// Rows of cells (RFC 4180: quoted cells may contain commas, quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+// --- Export ---
+
+function serialize(kind, records, format, columns, toRow) {
+  const text = format === 'csv' ? toCsv(columns, records.map(toRow))
+    : format === 'jsonl' ? records.map(record => `${JSON.stringify(record)}\n`).join('')
+      : JSON.stringify({ format: `qra-${kind}`, version: BACKUP_VERSION, exported_at: new Date().toISOString(), [kind]: records }, null, 2);
+  return { blob: new Blob([text], { type: MIME_TYPES[format] }), filename: `qra-${kind}-${today()}.${format}` };
+}
+
+// {blob, filename} of the mistake queue in one of EXPORT_FORMATS
+export function exportMistakes(mistakes, format) {
+  return serialize('mistakes', mistakes.map(toSyncPayload), format, MISTAKE_COLUMNS, record => record);
+}
+
+const verseLabel = entry => (entry ? `${entry.suraName} ${entry.ayahNumber}` : null);
+
+// {blob, filename} of the session history, without the recordings
+export function exportSessions(sessions, format) {
+  const records = sessions.map(({ audioId, ...session }) => session);
+  return serialize('sessions', records, format, SESSION_COLUMNS, session => ({
+    id: session.id,
+    started_at: new Date(session.startedAt).toISOString(),
+    ended_at: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    duration_ms: Math.round(session.durationMs),
+    passage: session.passage ? `${session.passage.surah}:${session.passage.from}-${session.passage.to}` : null,
+    first_verse: verseLabel(session.transcript?.[0]),
+    last_verse: verseLabel(session.transcript?.[session.transcript.length - 1]),
+    mistake_count: (session.mistakeIds || []).length,
+    hifz_score: session.hifz?.score ?? null,
+  }));
+}
+
+// Saves a blob through the browser's download prompt
+export function downloadBlob({ blob, filename }) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Full backup archive of a profile: its settings and learner id, mistakes (as held by the app),
+// every other stored record and all recordings. Resolves with {blob, filename, audioCount}.
+export async function createBackup({ mistakes, profile }) {
+  const stores = await readBackupStores();
+  const audio = stores[STORES.audio];
+  const manifest = {
+    format: 'qra-backup',
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    db_version: DB_VERSION,
+    user_id: profile.id,
+    profile_name: profile.name,
+    settings: profileSettings(profile),
+    mistakes,
+    stores: { ...stores, [STORES.audio]: audio.map(({ blob, ...record }) => ({ ...record, file: `audio/${record.id}` })) },
+  };
+  const blob = await createZip([
+    { name: MANIFEST, data: JSON.stringify(manifest) },
+    ...audio.map(record => ({ name: `audio/${record.id}`, data: record.blob })),
+  ]);
+  return { blob, filename: `qra-backup-${today()}.zip`, audioCount: audio.length };
+}
+
+// --- Import ---
+
+// Why an imported mistake record can't be used, or null when it can
+function mistakeProblem(m) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return 'not a mistake record';
+  if (typeof m.id !== 'string' || m.id === '') return 'missing id';
+  if (!Number.isFinite(m.timestamp)) return 'missing or invalid timestamp';
+  if (m.verified !== undefined && m.verified !== null && !VERIFICATION_STATUSES.includes(m.verified)) return `unknown status '${m.verified}'`;
+  if (m.revision !== undefined && m.revision !== null && !(Number.isInteger(m.revision) && m.revision > 0)) return 'invalid revision';
+  if (m.surah_number !== undefined && m.surah_number !== null && !getSurah(m.surah_number)) return `unknown surah ${m.surah_number}`;
+  const badNumber = [...NUMERIC_COLUMNS].find(field => m[field] !== undefined && m[field] !== null && !Number.isFinite(m[field]));
+  if (badNumber) return `'${badNumber}' is not a number`;
+  const badText = TEXT_FIELDS.find(field => m[field] !== undefined && m[field] !== null && typeof m[field] !== 'string');
+  return badText ? `'${badText}' is not text` : null;
+}
+
+// The stored shape of an imported record: sync-only fields dropped, older schemas upgraded.
+// Records from a sync export carry no 'synced' flag and are sent again (the backend ignores
+// revisions it already has).
+function toStoredMistake({ verse_key: verseKey, idempotency_key: idempotencyKey, ...record }) {
+  return upgradeMistake({
+    ...record,
+    verified: record.verified || 'pending',
+    revision: record.revision || 1,
+    synced: record.synced === true,
+  });
+}
+
+// Splits candidate records into usable mistakes and [{row, id, problem}]
+function validateMistakes(records, rowOf = i => i + 1) {
+  const mistakes = [];
+  const invalid = [];
+  const seen = new Set();
+  records.forEach((record, i) => {
+    const problem = record?.problem ?? mistakeProblem(record) ?? (seen.has(record.id) ? 'duplicate id' : null);
+    if (problem) {
+      invalid.push({ row: rowOf(i), id: typeof record?.id === 'string' ? record.id : null, problem });
+      return;
+    }
+    seen.add(record.id);
+    mistakes.push(toStoredMistake(record));
+  });
+  return { mistakes, invalid };
+}
+
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('id')) throw new Error('The CSV file has no header row with an id column.');
+  return rows.map(cells => Object.fromEntries(header.flatMap((column, i) => {
+    const value = cells[i] ?? '';
+    if (value === '') return column === 'notes' ? [] : [[column, null]];
+    return [[column, NUMERIC_COLUMNS.has(column) ? Number(value) : value]];
+  })));
+}
+
+function jsonRecords(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed?.format === 'qra-sessions') throw new Error('This is a sessions export; only mistakes and full backups can be imported.');
+  if (parsed?.format === 'qra-backup') throw new Error('This is the inside of a backup archive; import the .zip file instead.');
+  if (Array.isArray(parsed?.mistakes)) {
+    if (parsed.version > BACKUP_VERSION) throw new Error('This file was exported by a newer version of the app; update the app first.');
+    return parsed.mistakes;
+  }
+  // A single record, e.g. a renamed one-line JSON Lines export
+  if (typeof parsed?.id === 'string' && Number.isFinite(parsed.timestamp)) return [parsed];
+  throw new Error('The file has no list of mistakes.');
+}
+
+// JSON Lines: one record per line; a line that doesn't parse is reported and skipped
+function parseJsonLines(content) {
+  const lines = content.split(/\r?\n/);
+  const records = [];
+  const lineNumbers = [];
+  lines.forEach((line, i) => {
+    if (line.trim() === '') return;
+    lineNumbers.push(i + 1);
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      records.push({ problem: 'not valid JSON' });
+    }
+  });
+  return validateMistakes(records, i => lineNumbers[i]);
+}
+
+function parseMistakesText(text, name) {
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const trimmed = content.trim();
+  if (trimmed === '') throw new Error('The file is empty.');
+  if (/\.csv$/i.test(name) || !/^[[{]/.test(trimmed)) return validateMistakes(csvRecords(content), i => i + 2);
+  // A JSON Lines export with a single mistake is also a valid JSON document, so go by the name first
+  if (/\.(jsonl|ndjson)$/i.test(name)) return parseJsonLines(content);
+  try {
+    return validateMistakes(jsonRecords(JSON.parse(trimmed)));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+  }
+  return parseJsonLines(content);
+}
+
+async function parseBackup(file) {
+  const files = await readZip(file);
+  const manifestFile = files.get(MANIFEST);
+  if (!manifestFile) throw new Error('This archive is not a backup from this app.');
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.text());
+  } catch {
+    throw new Error('The backup is damaged: its contents list is not readable.');
+  }
+  if (manifest?.format !== 'qra-backup') throw new Error('This archive is not a backup from this app.');
+  if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app; update the app first.');
+  }
+
+  const { mistakes, invalid } = validateMistakes(Array.isArray(manifest.mistakes) ? manifest.mistakes : []);
+  const records = {};
+  let skippedRecords = 0;
+  let missingAudio = 0;
+  BACKUP_STORES.forEach((name) => {
+    const list = Array.isArray(manifest.stores?.[name]) ? manifest.stores[name] : [];
+    const usable = list.filter(record => record && typeof record.id === 'string');
+    skippedRecords += list.length - usable.length;
+    if (name !== STORES.audio) {
+      records[name] = usable;
+      return;
+    }
+    records[name] = usable.flatMap(({ file: path, ...record }) => {
+      const data = files.get(path);
+      if (!data) {
+        missingAudio += 1;
+        return [];
+      }
+      return [{ ...record, blob: new Blob([data], { type: record.mimeType || '' }) }];
+    });
+  });
+  // Backups from before profiles also listed the user id among the settings
+  const settings = Object.fromEntries(Object.entries(manifest.settings || {})
+    .filter(([key, value]) => key !== 'qra_user_id' && typeof value === 'string'));
+
+  return {
+    kind: 'backup',
+    mistakes,
+    invalid,
+    backup: {
+      createdAt: manifest.created_at,
+      userId: typeof manifest.user_id === 'string' ? manifest.user_id : null,
+      profileName: typeof manifest.profile_name === 'string' ? manifest.profile_name : null,
+      settings,
+      records,
+      skippedRecords,
+      missingAudio,
+    },
+  };
+}
+
+// Reads a file picked for import: a full backup archive or a mistakes export in one of
+// EXPORT_FORMATS. Resolves with {kind: 'backup' | 'mistakes', mistakes, invalid: [{row, id, problem}],
+// backup?}; rejects with a readable message when the file is neither.
+export async function readImportFile(file) {
+  const signature = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (signature[0] === 0x50 && signature[1] === 0x4b && signature[2] === 3 && signature[3] === 4) return parseBackup(file);
+  return { kind: 'mistakes', ...parseMistakesText(await file.text(), file.name) };
+}
+
+// Records compare equal when every field but the local 'synced' flag matches
+function sameMistake(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete('synced');
+  return [...keys].every(key => JSON.stringify(a[key] ?? null) === JSON.stringify(b[key] ?? null));
+}
+
+// Merges imported mistakes into the local ones by id. A new id is added; when both sides have the
+// record and they differ, the higher revision wins and a tie keeps the local record. Every such pair
+// is reported as a conflict. Returns {changed: records to store, report}.
+export function mergeMistakes(local, imported) {
+  const byId = new Map(local.map(m => [m.id, m]));
+  const changed = [];
+  const report = { added: 0, updated: 0, unchanged: 0, conflicts: [] };
+  imported.forEach((incoming) => {
+    const current = byId.get(incoming.id);
+    if (!current) {
+      changed.push(incoming);
+      report.added += 1;
+    } else if (sameMistake(current, incoming)) {
+      report.unchanged += 1;
+    } else {
+      const useImported = (incoming.revision || 1) > (current.revision || 1);
+      if (useImported) {
+        changed.push(incoming);
+        report.updated += 1;
+      }
+      report.conflicts.push({
+        id: incoming.id,
+        local: current,
+        imported: incoming,
+        kept: useImported ? 'imported' : 'local',
+        reason: (incoming.revision || 1) === (current.revision || 1) ? 'same revision, different content' : 'different revisions',
+      });
+    }
+  });
+  return { changed, report };
+}
+
+// Adds the backup's records and recordings that aren't on this device yet and, when asked, replaces
+// the active profile's settings and learner id with the backed-up ones. Mistakes are merged
+// separately (mergeMistakes) because the app holds them in memory. Resolves with
+// {stores: {storeName: {added, skipped}}, learnerIdTaken} where learnerIdTaken means another
+// profile on this device already has the backup's learner id, so the active one kept its own.
+export async function restoreBackup(backup, { settings = false } = {}) {
+  const stores = await addBackupRecords(backup.records);
+  let learnerIdTaken = false;
+  if (settings) {
+    restoreProfileSettings(backup.settings);
+    if (backup.userId) learnerIdTaken = !adoptProfileId(backup.userId);
+  }
+  return { stores, learnerIdTaken };
+}
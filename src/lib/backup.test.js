@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { exportMistakes, mergeMistakes, readImportFile } from './backup.js';
+
+const mistake = (extra = {}) => ({
+  id: 'm1',
+  schema_version: 2,
+  sura: 'Al-Fatihah',
+  aya: 'ٱلْحَمْدُ لِلَّهِ رَبِّ ٱلْعَٰلَمِينَ',
+  surah_number: 1,
+  ayah_number: 2,
+  word_start: 2,
+  word_end: 2,
+  transcription_segment: 'رَبُّ',
+  reference_segment: 'رَبِّ',
+  mistake_type: 'word_substitution',
+  timestamp: 1700000000000,
+  verified: 'incorrect',
+  revision: 2,
+  synced: true,
+  notes: 'said "rabbu", not rabbi',
+  session_id: 's1',
+  audio_offset_ms: 1520,
+  feedback_mode: 'highlight',
+  model_version: 'm',
+  backend_version: 'b',
+  ...extra,
+});
+
+const csvFile = lines => new File([lines.join('\r\n')], 'mistakes.csv', { type: 'text/csv' });
+
+describe('readImportFile (CSV)', () => {
+  it('parses quoted cells holding commas, quotes and line breaks', async () => {
+    const { kind, mistakes, invalid } = await readImportFile(csvFile([
+      'id,timestamp,verified,notes,sura,surah_number',
+      'm1,1700000000000,incorrect,"said ""rabbu"", not rabbi\ntwice",Al-Fatihah,1',
+      'm2,1700000000001,pending,,"Al-Fatihah",',
+      '',
+    ]));
+    expect(kind).toBe('mistakes');
+    expect(invalid).toEqual([]);
+    expect(mistakes[0]).toMatchObject({ id: 'm1', timestamp: 1700000000000, notes: 'said "rabbu", not rabbi\ntwice', surah_number: 1 });
+    expect(mistakes[1]).toMatchObject({ id: 'm2', sura: 'Al-Fatihah', surah_number: null, revision: 1, synced: false });
+    expect(mistakes[1]).not.toHaveProperty('notes');
+  });
+
+  it('reports unusable rows by their line in the file', async () => {
+    const { mistakes, invalid } = await readImportFile(csvFile([
+      'id,timestamp,verified',
+      'm1,1700000000000,pending',
+      'm2,1700000000001,wrong',
+      ',1700000000002,pending',
+      'm1,1700000000003,pending',
+    ]));
+    expect(mistakes.map(m => m.id)).toEqual(['m1']);
+    expect(invalid).toEqual([
+      { row: 3, id: 'm2', problem: "unknown status 'wrong'" },
+      { row: 4, id: null, problem: 'missing id' },
+      { row: 5, id: 'm1', problem: 'duplicate id' },
+    ]);
+  });
+
+  it('needs a header row with an id column', async () => {
+    await expect(readImportFile(csvFile(['m1,1700000000000,pending']))).rejects.toThrow('The CSV file has no header row with an id column.');
+  });
+
+  it('reads back its own CSV export', async () => {
+    const { blob } = exportMistakes([mistake()], 'csv');
+    const { mistakes } = await readImportFile(new File([blob], 'qra-mistakes.csv'));
+    // Fields the record doesn't have come back empty, and an import is synced again
+    expect(mistakes).toEqual([mistake({ synced: false, correct_sample_count: null, resolved_at: null })]);
+  });
+});
+
+describe('mergeMistakes', () => {
+  it('adds new records and leaves identical ones alone, whatever their synced flag', () => {
+    const { changed, report } = mergeMistakes([mistake()], [mistake({ synced: false }), mistake({ id: 'm2' })]);
+    expect(changed.map(m => m.id)).toEqual(['m2']);
+    expect(report).toEqual({ added: 1, updated: 0, unchanged: 1, conflicts: [] });
+  });
+
+  it('keeps the higher revision and reports every differing pair', () => {
+    const local = [mistake(), mistake({ id: 'm2', revision: 3 })];
+    const imported = [mistake({ verified: 'correct', revision: 3 }), mistake({ id: 'm2', revision: 3, notes: 'edited elsewhere' })];
+    const { changed, report } = mergeMistakes(local, imported);
+    expect(changed).toEqual([imported[0]]);
+    expect(report.updated).toBe(1);
+    expect(report.conflicts.map(({ id, kept, reason }) => ({ id, kept, reason }))).toEqual([
+      { id: 'm1', kept: 'imported', reason: 'different revisions' },
+      { id: 'm2', kept: 'local', reason: 'same revision, different content' },
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+// Resilient WebSocket session layer for the real-time analyzer.
+// Wraps a single recitation session: reconnects with exponential backoff,
+// buffers outgoing audio while the socket is down, detects dead sockets via
+// ping/pong and asks the backend to resume from the last identified verse.
+
+import { buildPingMessage, isPongFrame } from './protocol.js';
+
+export const CONNECTION_STATES = {
+  idle: 'idle',
+  connecting: 'connecting',
+  live: 'live',
+  reconnecting: 'reconnecting',
+  offline: 'offline',
+};
+
+const DEFAULTS = {
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  heartbeatIntervalMs: 10000,
+  heartbeatTimeoutMs: 25000,
+  maxBufferedChunks: 120, // ~60s of 500ms audio chunks
+  maxBufferedBytes: 4 * 1024 * 1024,
+};
+
+// Byte size of anything we may hand to WebSocket.send
+const sizeOf = (data) => {
+  if (typeof data === 'string') return data.length;
+  if (data instanceof Blob) return data.size;
+  return data.byteLength || 0;
+};
+
+export function createSessionConnection({
+  url,
+  onMessage,
+  onStateChange,
+  getHandshake, // returns the list of messages to send right after (re)connecting
+  sessionId = crypto.randomUUID(),
+  options = {},
+}) {
+  const opts = { ...DEFAULTS, ...options };
+
+  let socket = null;
+  let state = CONNECTION_STATES.idle;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastFrameAt = 0;
+  let serverAnswersPings = false;
+  let closedByUser = false;
+  let hasConnected = false;
+  const buffer = []; // [{data, keep}] outgoing frames queued while the socket is not open
+  let bufferedBytes = 0;
+
+  const setState = (next, detail = {}) => {
+    if (state === next && !detail.force) return;
+    state = next;
+    onStateChange?.(next, { attempt, buffered: buffer.length, sessionId, ...detail });
+  };
+
+  const enqueue = (data, keep) => {
+    buffer.push({ data, keep });
+    bufferedBytes += sizeOf(data);
+    // Drop the oldest frames once the buffer is full; recent audio is worth more to a resumed session.
+    // Kept frames (a container header the rest can't be decoded without) stay.
+    while (buffer.length > opts.maxBufferedChunks || bufferedBytes > opts.maxBufferedBytes) {
+      const index = buffer.findIndex(entry => !entry.keep);
+      if (index === -1) break;
+      const [dropped] = buffer.splice(index, 1);
+      bufferedBytes -= sizeOf(dropped.data);
+    }
+  };
+
+  const flush = () => {
+    while (buffer.length > 0 && socket && socket.readyState === WebSocket.OPEN) {
+      const { data } = buffer.shift();
+      bufferedBytes -= sizeOf(data);
+      socket.send(data);
+    }
+  };
+
+  const stopHeartbeat = () => {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (!socket || socket.readyState !== WebSocket.OPEN) return;
+      // Older backends never answer pings, so only treat silence as a dead socket
+      // once the server has proven it replies with 'pong'.
+      if (serverAnswersPings && Date.now() - lastFrameAt > opts.heartbeatTimeoutMs) {
+        console.warn('WebSocket heartbeat timed out, reconnecting.');
+        socket.close(4000, 'heartbeat timeout');
+        return;
+      }
+      socket.send(JSON.stringify(buildPingMessage()));
+    }, opts.heartbeatIntervalMs);
+  };
+
+  const scheduleReconnect = () => {
+    if (closedByUser) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      // Wait for the browser's 'online' event instead of burning retries
+      setState(CONNECTION_STATES.offline);
+      return;
+    }
+    const delay = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt);
+    const jittered = delay / 2 + Math.random() * (delay / 2);
+    attempt += 1;
+    setState(CONNECTION_STATES.reconnecting, { force: true, retryInMs: Math.round(jittered) });
+    reconnectTimer = setTimeout(open, jittered);
+  };
+
+  function open() {
+    reconnectTimer = null;
+    if (closedByUser) return;
+    setState(hasConnected ? CONNECTION_STATES.reconnecting : CONNECTION_STATES.connecting, { force: true });
+
+    const ws = new WebSocket(url);
+    ws.binaryType = 'arraybuffer';
+    socket = ws;
+
+    ws.onopen = () => {
+      if (socket !== ws) return;
+      console.log('WebSocket connected');
+      const resumed = hasConnected;
+      hasConnected = true;
+      attempt = 0;
+      lastFrameAt = Date.now();
+      // Handshake (config / resume) must precede any buffered audio
+      (getHandshake?.({ sessionId, resumed }) || []).forEach((msg) => ws.send(JSON.stringify(msg)));
+      flush();
+      startHeartbeat();
+      setState(CONNECTION_STATES.live, { resumed });
+    };
+
+    ws.onmessage = (event) => {
+      if (socket !== ws) return;
+      lastFrameAt = Date.now();
+      if (isPongFrame(event.data)) {
+        serverAnswersPings = true;
+        return;
+      }
+      onMessage?.(event);
+    };
+
+    ws.onerror = (error) => {
+      // onclose always follows, which is where reconnection is handled
+      console.error('WebSocket error:', error);
+    };
+
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      console.log('WebSocket disconnected', event.code, event.reason);
+      socket = null;
+      stopHeartbeat();
+      if (closedByUser) {
+        setState(CONNECTION_STATES.idle);
+      } else {
+        scheduleReconnect();
+      }
+    };
+  }
+
+  const handleOnline = () => {
+    if (closedByUser || socket || reconnectTimer) return;
+    attempt = 0;
+    open();
+  };
+
+  const handleOffline = () => {
+    if (closedByUser) return;
+    setState(CONNECTION_STATES.offline);
+    // Sockets can linger half-open after the network drops; force a clean reconnect later
+    if (socket) socket.close(4001, 'browser offline');
+  };
+
+  return {
+    sessionId,
+    get state() {
+      return state;
+    },
+    get bufferedCount() {
+      return buffer.length;
+    },
+    connect() {
+      closedByUser = false;
+      window.addEventListener('online', handleOnline);
+      window.addEventListener('offline', handleOffline);
+      open();
+    },
+    // Sends immediately when live, otherwise queues the frame for the next connection.
+    // keep: never dropped from a full queue
+    send(data, { keep = false } = {}) {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        flush();
+        socket.send(data);
+      } else {
+        enqueue(data, keep);
+      }
+    },
+    // Control messages (e.g. config changes) are only useful on a live socket; they are
+    // re-sent as part of the handshake after a reconnect anyway.
+    sendJson(message) {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+        return true;
+      }
+      return false;
+    },
+    close() {
+      closedByUser = true;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      stopHeartbeat();
+      buffer.length = 0;
+      bufferedBytes = 0;
+      if (socket) {
+        const ws = socket;
+        socket = null;
+        ws.close(1000, 'session ended');
+      }
+      setState(CONNECTION_STATES.idle);
+    },
+  };
+}
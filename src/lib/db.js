@@ -0,0 +1,448 @@
+// IndexedDB storage for mistakes, training uploads (history and pending queue), listening sessions,
+// review cards and recorded audio. Each learner profile has its own database (see lib/profiles.js);
+// everything here works on the active profile's, except the few functions that take a profile.
+//
+// Schema changes go through MIGRATIONS: entry n upgrades a database from version n to n + 1.
+// On first open, data from the old localStorage keys (qra_mistakes, qra_training_uploads) is
+// imported once into the first profile's database and the keys are removed.
+
+import { upgradeMistake } from './mistakeRecord.js';
+import { activeProfile, profileDatabaseName } from './profiles.js';
+
+export const STORES = {
+  mistakes: 'mistakes',
+  trainingUploads: 'trainingUploads',
+  audio: 'audio', // {id, blob, ownerType: 'mistake' | 'correct_sample' | 'upload' | 'session', ownerId, mimeType, createdAt}
+  meta: 'meta', // {key, value} bookkeeping
+  outbox: 'outbox', // {mistakeId, revision, idempotencyKey, payload, queuedAt, rejected?} mistakes waiting to sync
+  sessions: 'sessions', // listening sessions with their transcript and timeline (see lib/sessionRecorder.js)
+  reviewCards: 'reviewCards', // spaced-repetition cards built from confirmed mistakes (see lib/reviewScheduler.js)
+  uploadQueue: 'uploadQueue', // training audio files waiting to be (or being) uploaded (see lib/uploadManager.js)
+};
+
+const LEGACY_LS_KEYS = {
+  mistakes: 'qra_mistakes',
+  trainingUploads: 'qra_training_uploads',
+};
+
+const MIGRATIONS = [
+  // v0 -> v1: initial schema
+  (db) => {
+    const mistakes = db.createObjectStore(STORES.mistakes, { keyPath: 'id' });
+    mistakes.createIndex('by_sura', 'sura');
+    mistakes.createIndex('by_timestamp', 'timestamp');
+    mistakes.createIndex('by_type', 'mistake_type');
+    mistakes.createIndex('by_verified', 'verified');
+
+    const uploads = db.createObjectStore(STORES.trainingUploads, { keyPath: 'id' });
+    uploads.createIndex('by_timestamp', 'timestamp');
+    uploads.createIndex('by_type', 'type');
+
+    const audio = db.createObjectStore(STORES.audio, { keyPath: 'id' });
+    audio.createIndex('by_owner', 'ownerId');
+
+    db.createObjectStore(STORES.meta, { keyPath: 'key' });
+  },
+  // v1 -> v2: persistent sync outbox, one entry per mistake holding its latest unsynced revision
+  (db) => {
+    const outbox = db.createObjectStore(STORES.outbox, { keyPath: 'mistakeId' });
+    outbox.createIndex('by_queued', 'queuedAt');
+  },
+  // v2 -> v3: recorded listening sessions
+  (db) => {
+    const sessions = db.createObjectStore(STORES.sessions, { keyPath: 'id' });
+    sessions.createIndex('by_started', 'startedAt');
+  },
+  // v3 -> v4: spaced-repetition review cards
+  (db) => {
+    const cards = db.createObjectStore(STORES.reviewCards, { keyPath: 'id' });
+    cards.createIndex('by_due', 'due');
+  },
+  // v4 -> v5: mistakes gain surah/ayah numbers, word range, feedback mode and versions (see lib/mistakeRecord.js)
+  (db, tx) => {
+    const mistakes = tx.objectStore(STORES.mistakes);
+    mistakes.createIndex('by_surah_number', 'surah_number');
+    mistakes.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update(upgradeMistake(cursor.value));
+      cursor.continue();
+    };
+  },
+  // v5 -> v6: training upload queue; the files themselves are in the audio store
+  (db) => {
+    const queue = db.createObjectStore(STORES.uploadQueue, { keyPath: 'id' });
+    queue.createIndex('by_created', 'createdAt');
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+// --- Promise helpers around the IndexedDB request API ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+let dbPromise = null;
+
+// Opens (creating or upgrading as needed) a database; callers other than openDatabase close it themselves
+function openNamedDatabase(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version += 1) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Database upgrade is waiting for other tabs to close.');
+  });
+}
+
+// The active profile's database, opened once per page load
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  const profile = activeProfile();
+  dbPromise = openNamedDatabase(profileDatabaseName(profile))
+    .then(async (db) => {
+      // Another tab upgraded the schema; close so it isn't blocked, and reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      if (!profile.storage) await importLegacyLocalStorage(db);
+      return db;
+    })
+    .catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  return dbPromise;
+}
+
+// Runs fn(stores...) in one transaction and resolves with its result once the transaction commits
+async function withStores(names, mode, fn) {
+  const db = await openDatabase();
+  const tx = db.transaction(names, mode);
+  const result = await fn(...names.map(name => tx.objectStore(name)));
+  await transactionDone(tx);
+  return result;
+}
+
+// One-time import of the data the app used to keep in localStorage
+async function importLegacyLocalStorage(db) {
+  const tx = db.transaction([STORES.meta, STORES.mistakes, STORES.trainingUploads], 'readwrite');
+  const done = transactionDone(tx);
+  const flag = await promisify(tx.objectStore(STORES.meta).get('legacyImport'));
+  if (flag) {
+    tx.abort();
+    await done.catch(() => {});
+    return;
+  }
+
+  const readLegacy = (key) => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(parsed) ? parsed.filter(item => item && item.id) : [];
+    } catch (error) {
+      console.error(`Could not parse legacy ${key}; leaving it in localStorage.`, error);
+      return null;
+    }
+  };
+  const mistakes = readLegacy(LEGACY_LS_KEYS.mistakes);
+  const uploads = readLegacy(LEGACY_LS_KEYS.trainingUploads);
+  (mistakes || []).forEach(m => tx.objectStore(STORES.mistakes).put(upgradeMistake(m)));
+  (uploads || []).forEach(u => tx.objectStore(STORES.trainingUploads).put(u));
+  tx.objectStore(STORES.meta).put({ key: 'legacyImport', value: { at: Date.now(), mistakes: mistakes?.length ?? 0, uploads: uploads?.length ?? 0 } });
+  await done;
+
+  if (mistakes) localStorage.removeItem(LEGACY_LS_KEYS.mistakes);
+  if (uploads) localStorage.removeItem(LEGACY_LS_KEYS.trainingUploads);
+  if (mistakes?.length || uploads?.length) {
+    console.log(`Imported ${mistakes?.length ?? 0} mistakes and ${uploads?.length ?? 0} uploads from localStorage.`);
+  }
+}
+
+// --- Mistakes ---
+
+// Newest first, like the queue in the UI
+export async function getAllMistakes() {
+  const all = await withStores([STORES.mistakes], 'readonly', store => promisify(store.index('by_timestamp').getAll()));
+  return all.reverse();
+}
+
+export function putMistakes(mistakes) {
+  return withStores([STORES.mistakes], 'readwrite', (store) => {
+    mistakes.forEach(m => store.put(m));
+  });
+}
+
+// Removes mistakes together with any revision still waiting to sync. Their correct-sample recordings
+// stay: the upload history points at them, and undoing the delete brings the mistake back with them.
+export function deleteMistakes(ids) {
+  return withStores([STORES.mistakes, STORES.outbox], 'readwrite', (mistakes, outbox) => {
+    ids.forEach((id) => {
+      mistakes.delete(id);
+      outbox.delete(id);
+    });
+  });
+}
+
+// Indexed query; filters: {surah, type, verified, from, to} (surah is a number, from/to are timestamps).
+// The most selective available index drives the lookup, the remaining filters are applied after.
+export function queryMistakes({ surah, type, verified, from, to } = {}) {
+  return withStores([STORES.mistakes], 'readonly', async (store) => {
+    let rows;
+    if (surah !== undefined) rows = await promisify(store.index('by_surah_number').getAll(surah));
+    else if (type !== undefined) rows = await promisify(store.index('by_type').getAll(type));
+    else if (verified !== undefined) rows = await promisify(store.index('by_verified').getAll(verified));
+    else if (from !== undefined || to !== undefined) {
+      const range = from !== undefined && to !== undefined ? IDBKeyRange.bound(from, to)
+        : from !== undefined ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+      rows = await promisify(store.index('by_timestamp').getAll(range));
+    } else {
+      rows = await promisify(store.getAll());
+    }
+    return rows
+      .filter(m => (surah === undefined || m.surah_number === surah)
+        && (type === undefined || m.mistake_type === type)
+        && (verified === undefined || m.verified === verified)
+        && (from === undefined || m.timestamp >= from)
+        && (to === undefined || m.timestamp <= to))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  });
+}
+
+// --- Training uploads ---
+
+export async function getTrainingUploads() {
+  const all = await withStores([STORES.trainingUploads], 'readonly', store => promisify(store.index('by_timestamp').getAll()));
+  return all.reverse();
+}
+
+export function addTrainingUpload(record) {
+  return withStores([STORES.trainingUploads], 'readwrite', (store) => {
+    store.put(record);
+  });
+}
+
+// Oldest first, the order they upload in
+export function getUploadQueue() {
+  return withStores([STORES.uploadQueue], 'readonly', store => promisify(store.index('by_created').getAll()));
+}
+
+export function putUploadQueueItem(item) {
+  return withStores([STORES.uploadQueue], 'readwrite', (store) => {
+    store.put(item);
+  });
+}
+
+// Removes a queued upload together with its file
+export function deleteUploadQueueItem(id) {
+  return withStores([STORES.uploadQueue, STORES.audio], 'readwrite', async (queue, audio) => {
+    queue.delete(id);
+    const audioKeys = await promisify(audio.index('by_owner').getAllKeys(id));
+    audioKeys.forEach(key => audio.delete(key));
+  });
+}
+
+// --- Audio ---
+
+export async function saveAudio({ blob, ownerType, ownerId }) {
+  const record = {
+    id: crypto.randomUUID(),
+    blob,
+    ownerType,
+    ownerId,
+    mimeType: blob.type,
+    size: blob.size,
+    createdAt: Date.now(),
+  };
+  await withStores([STORES.audio], 'readwrite', (store) => {
+    store.put(record);
+  });
+  return record.id;
+}
+
+export function getAudio(id) {
+  return withStores([STORES.audio], 'readonly', store => promisify(store.get(id)));
+}
+
+export function getAudioForOwner(ownerId) {
+  return withStores([STORES.audio], 'readonly', store => promisify(store.index('by_owner').getAll(ownerId)));
+}
+
+// --- Sessions ---
+
+// Newest first
+export async function getSessions() {
+  const all = await withStores([STORES.sessions], 'readonly', store => promisify(store.index('by_started').getAll()));
+  return all.reverse();
+}
+
+export function getSession(id) {
+  return withStores([STORES.sessions], 'readonly', store => promisify(store.get(id)));
+}
+
+export function putSession(session) {
+  return withStores([STORES.sessions], 'readwrite', (store) => {
+    store.put(session);
+  });
+}
+
+// Removes a session and its recording
+export function deleteSession(id) {
+  return withStores([STORES.sessions, STORES.audio], 'readwrite', async (sessions, audio) => {
+    sessions.delete(id);
+    const audioKeys = await promisify(audio.index('by_owner').getAllKeys(id));
+    audioKeys.forEach(key => audio.delete(key));
+  });
+}
+
+// --- Review cards ---
+
+// Soonest due first
+export function getReviewCards() {
+  return withStores([STORES.reviewCards], 'readonly', store => promisify(store.index('by_due').getAll()));
+}
+
+export function putReviewCards(cards) {
+  return withStores([STORES.reviewCards], 'readwrite', (store) => {
+    cards.forEach(card => store.put(card));
+  });
+}
+
+// --- Sync outbox ---
+
+export async function getOutbox() {
+  return withStores([STORES.outbox], 'readonly', store => promisify(store.index('by_queued').getAll()));
+}
+
+// Queues entries, never replacing a newer revision of the same mistake with an older one. A revision
+// the server rejected stays parked until the mistake changes again or the learner retries it.
+export function putOutboxEntries(entries) {
+  return withStores([STORES.outbox], 'readwrite', async (store) => {
+    for (const entry of entries) {
+      const existing = await promisify(store.get(entry.mistakeId));
+      if (!existing || existing.revision < entry.revision || (existing.revision === entry.revision && !existing.rejected)) {
+        store.put(entry);
+      }
+    }
+  });
+}
+
+// Drops acknowledged entries, but only if they weren't re-queued with a newer revision meanwhile
+export function removeOutboxEntries(acks) {
+  return withStores([STORES.outbox], 'readwrite', async (store) => {
+    for (const { mistakeId, revision } of acks) {
+      const existing = await promisify(store.get(mistakeId));
+      if (existing && existing.revision === revision) store.delete(mistakeId);
+    }
+  });
+}
+
+export function markOutboxRejected(acks, reason) {
+  return withStores([STORES.outbox], 'readwrite', async (store) => {
+    for (const { mistakeId, revision } of acks) {
+      const existing = await promisify(store.get(mistakeId));
+      if (existing && existing.revision === revision) store.put({ ...existing, rejected: true, rejectReason: reason });
+    }
+  });
+}
+
+function updateRejectedOutbox(update) {
+  return withStores([STORES.outbox], 'readwrite', async (store) => {
+    const entries = await promisify(store.getAll());
+    entries.filter(e => e.rejected && !e.discarded).forEach(e => store.put(update(e)));
+  });
+}
+
+// Puts rejected entries back in the queue
+export function retryRejectedOutbox() {
+  return updateRejectedOutbox(({ rejected, rejectReason, ...entry }) => entry);
+}
+
+// Stops offering rejected entries. They stay in the outbox, so reloading doesn't queue the same
+// revision again; the next change to the mistake replaces them.
+export function discardRejectedOutbox() {
+  return updateRejectedOutbox(entry => ({ ...entry, discarded: true }));
+}
+
+// --- Meta ---
+
+export async function getMeta(key) {
+  const row = await withStores([STORES.meta], 'readonly', store => promisify(store.get(key)));
+  return row ? row.value : undefined;
+}
+
+export function setMeta(key, value) {
+  return withStores([STORES.meta], 'readwrite', (store) => {
+    store.put({ key, value });
+  });
+}
+
+// --- Backup ---
+
+// Stores copied into a full backup besides the mistakes, which the app merges itself (see
+// lib/backup.js). The outbox and meta stores only hold this device's sync bookkeeping.
+export const BACKUP_STORES = [STORES.trainingUploads, STORES.sessions, STORES.reviewCards, STORES.uploadQueue, STORES.audio];
+
+// {storeName: records} for every backed-up store; audio records include their blobs
+export function readBackupStores() {
+  return withStores(BACKUP_STORES, 'readonly', async (...stores) => {
+    const lists = await Promise.all(stores.map(store => promisify(store.getAll())));
+    return Object.fromEntries(BACKUP_STORES.map((name, i) => [name, lists[i]]));
+  });
+}
+
+// Adds the records from a backup that aren't on this device yet; records with an id that already
+// exists are left as they are. Resolves with {storeName: {added, skipped}}.
+export function addBackupRecords(records) {
+  return withStores(BACKUP_STORES, 'readwrite', async (...stores) => {
+    const counts = {};
+    for (const [i, name] of BACKUP_STORES.entries()) {
+      const existing = new Set(await promisify(stores[i].getAllKeys()));
+      const incoming = records[name] || [];
+      const added = incoming.filter(record => !existing.has(record.id));
+      added.forEach(record => stores[i].put(record));
+      counts[name] = { added: added.length, skipped: incoming.length - added.length };
+    }
+    return counts;
+  });
+}
+
+// --- Other profiles ---
+
+// Mistakes and sessions of any profile, for comparing learners (see lib/profiles.js)
+export async function readProfileData(profile) {
+  const db = await openNamedDatabase(profileDatabaseName(profile));
+  try {
+    const tx = db.transaction([STORES.mistakes, STORES.sessions], 'readonly');
+    const [mistakes, sessions] = await Promise.all([
+      promisify(tx.objectStore(STORES.mistakes).getAll()),
+      promisify(tx.objectStore(STORES.sessions).getAll()),
+    ]);
+    return { mistakes, sessions };
+  } finally {
+    db.close();
+  }
+}
+
+// Deletes everything a removed profile stored in IndexedDB
+export function deleteProfileDatabase(profile) {
+  return promisify(indexedDB.deleteDatabase(profileDatabaseName(profile)));
+}
@@ -0,0 +1,84 @@
+// Turns the backend's word diff into an ordered list of tokens for display, interleaving what
+// the reciter actually said with the reference text.
+//
+// The diff arrives in alignment order. Reference-side entries ('equal', 'deletion',
+// 'replacement_ref') index into the ayah's words; transcription-side entries ('insertion',
+// 'replacement_trans') index into what was heard. A replaced passage shows up as a run of
+// replacement_ref and replacement_trans entries, which we pair up in order.
+
+export const TOKEN_KINDS = {
+  equal: 'equal',
+  missed: 'missed', // reference word not recited
+  replaced: 'replaced', // reference word recited differently; token.said holds what was heard
+  inserted: 'inserted', // extra word not in the reference
+  pending: 'pending', // reference word not reached yet
+};
+
+// Display order, labels and colours shared by the renderer and its legend
+export const TOKEN_STYLES = {
+  [TOKEN_KINDS.equal]: { label: 'Correct', className: 'text-green-800' },
+  [TOKEN_KINDS.missed]: { label: 'Missed', className: 'bg-red-200 text-red-700 line-through decoration-2 rounded-md px-1' },
+  [TOKEN_KINDS.replaced]: { label: 'Replaced', className: 'bg-amber-200 text-amber-900 rounded-md px-1 cursor-help' },
+  [TOKEN_KINDS.inserted]: { label: 'Added', className: 'bg-blue-100 text-blue-800 italic rounded-md px-1 border border-dashed border-blue-400' },
+  [TOKEN_KINDS.pending]: { label: 'Not yet recited', className: 'text-gray-500' },
+};
+
+export function buildDiffTokens(words, diff = []) {
+  const tokens = [];
+  const covered = new Set();
+  let refRun = [];
+  let transRun = [];
+
+  // Emit a replacement run: pair refs with heard words in order, leftovers become missed/inserted
+  const flushRun = () => {
+    const pairs = Math.max(refRun.length, transRun.length);
+    for (let k = 0; k < pairs; k += 1) {
+      const ref = refRun[k];
+      const trans = transRun[k];
+      if (ref && trans) {
+        tokens.push({ kind: TOKEN_KINDS.replaced, refIndex: ref.index, word: words[ref.index] ?? ref.word, said: trans.word });
+      } else if (ref) {
+        tokens.push({ kind: TOKEN_KINDS.replaced, refIndex: ref.index, word: words[ref.index] ?? ref.word, said: null });
+      } else {
+        tokens.push({ kind: TOKEN_KINDS.inserted, word: trans.word });
+      }
+      if (ref) covered.add(ref.index);
+    }
+    refRun = [];
+    transRun = [];
+  };
+
+  diff.forEach((d) => {
+    if (d.type === 'replacement_ref') {
+      refRun.push(d);
+      return;
+    }
+    if (d.type === 'replacement_trans') {
+      transRun.push(d);
+      return;
+    }
+    flushRun();
+    if (d.type === 'insertion') {
+      tokens.push({ kind: TOKEN_KINDS.inserted, word: d.word });
+    } else if (d.type === 'equal' || d.type === 'deletion') {
+      covered.add(d.index);
+      tokens.push({
+        kind: d.type === 'equal' ? TOKEN_KINDS.equal : TOKEN_KINDS.missed,
+        refIndex: d.index,
+        word: words[d.index] ?? d.word,
+      });
+    }
+  });
+  flushRun();
+
+  // Reference words the diff hasn't reached yet go at their natural position
+  words.forEach((word, index) => {
+    if (covered.has(index)) return;
+    const at = tokens.findIndex(token => token.refIndex !== undefined && token.refIndex > index);
+    const token = { kind: TOKEN_KINDS.pending, refIndex: index, word };
+    if (at === -1) tokens.push(token);
+    else tokens.splice(at, 0, token);
+  });
+
+  return tokens;
+}
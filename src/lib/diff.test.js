@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { buildDiffTokens, TOKEN_KINDS } from './diff.js';
+
+const { equal, missed, replaced, inserted, pending } = TOKEN_KINDS;
+const words = ['بِسْمِ', 'ٱللَّهِ', 'ٱلرَّحْمَٰنِ', 'ٱلرَّحِيمِ'];
+
+describe('buildDiffTokens', () => {
+  it('interleaves what was heard with the reference words', () => {
+    const tokens = buildDiffTokens(words, [
+      { type: 'equal', index: 0, word: 'بسم' },
+      { type: 'insertion', word: 'وَ' },
+      { type: 'replacement_ref', index: 1, word: 'الله' },
+      { type: 'replacement_trans', word: 'ٱللَّهُ' },
+      { type: 'deletion', index: 2, word: 'الرحمن' },
+    ]);
+    expect(tokens).toEqual([
+      { kind: equal, refIndex: 0, word: 'بِسْمِ' },
+      { kind: inserted, word: 'وَ' },
+      { kind: replaced, refIndex: 1, word: 'ٱللَّهِ', said: 'ٱللَّهُ' },
+      { kind: missed, refIndex: 2, word: 'ٱلرَّحْمَٰنِ' },
+      { kind: pending, refIndex: 3, word: 'ٱلرَّحِيمِ' },
+    ]);
+  });
+
+  it('pairs a replaced passage word by word; leftovers on either side stand alone', () => {
+    const longer = buildDiffTokens(words.slice(0, 2), [
+      { type: 'replacement_ref', index: 0 },
+      { type: 'replacement_ref', index: 1 },
+      { type: 'replacement_trans', word: 'بَسْمِ' },
+    ]);
+    expect(longer.map(({ kind, said }) => [kind, said])).toEqual([[replaced, 'بَسْمِ'], [replaced, null]]);
+
+    const shorter = buildDiffTokens(words.slice(0, 1), [
+      { type: 'replacement_ref', index: 0 },
+      { type: 'replacement_trans', word: 'بَسْمِ' },
+      { type: 'replacement_trans', word: 'اللَّهْ' },
+    ]);
+    expect(shorter.map(({ kind, word }) => [kind, word])).toEqual([[replaced, 'بِسْمِ'], [inserted, 'اللَّهْ']]);
+  });
+
+  it('puts words the diff skipped over at their place in the ayah', () => {
+    const tokens = buildDiffTokens(words, [{ type: 'equal', index: 0 }, { type: 'equal', index: 2 }]);
+    expect(tokens.map(token => [token.kind, token.refIndex])).toEqual([[equal, 0], [pending, 1], [equal, 2], [pending, 3]]);
+    expect(buildDiffTokens(words).every(token => token.kind === pending)).toBe(true);
+  });
+});
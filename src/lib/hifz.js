@@ -0,0 +1,78 @@
+// Hifz (memorisation) mode: while listening the ayah text stays hidden, and each word appears once
+// the diff has reached it (recited, missed or replaced) or when the reciter asks for a hint.
+// Hints are kept per transcript entry in entry.hints: reference word index -> HINT_KINDS value.
+
+import { WORD_STATUS } from './transcript.js';
+
+export const HINT_KINDS = {
+  letter: 'letter', // first letter only
+  word: 'word', // the whole word
+};
+
+export const HINT_LEVELS = {
+  firstLetter: { label: 'First letter', kind: HINT_KINDS.letter },
+  firstWord: { label: 'Next word', kind: HINT_KINDS.word },
+  fullAyah: { label: 'Whole ayah', kind: HINT_KINDS.word },
+};
+
+export const DEFAULT_HIFZ_SETTINGS = {
+  enabled: false,
+  hesitationMs: 5000, // silence on an unfinished ayah before the next word is offered
+};
+
+// Diacritics that belong to the letter before them
+const FIRST_LETTER_RE = /^.[\u064B-\u065F\u0670\u06D6-\u06ED]*/u;
+
+// First letter of a word with its harakat, joined to a tatweel so it keeps its initial form
+export const firstLetterOf = (word) => `${(word.match(FIRST_LETTER_RE) || [''])[0]}\u0640`;
+
+// Index of the first word the reciter hasn't reached and hasn't been given, or -1
+export function nextHiddenWord(entry) {
+  return entry.wordStatus.findIndex((status, i) => status === WORD_STATUS.pending && entry.hints?.[i] !== HINT_KINDS.word);
+}
+
+export function applyHint(entry, level) {
+  const hints = { ...entry.hints };
+  if (level === 'fullAyah') {
+    entry.wordStatus.forEach((status, i) => {
+      if (status === WORD_STATUS.pending) hints[i] = HINT_KINDS.word;
+    });
+  } else {
+    const index = nextHiddenWord(entry);
+    if (index === -1) return entry;
+    hints[index] = HINT_LEVELS[level].kind;
+  }
+  return { ...entry, hints };
+}
+
+// 'shown' | 'hinted' | 'letter' | 'hidden'
+export function wordVisibility(entry, index) {
+  if (entry.wordStatus[index] !== WORD_STATUS.pending) return 'shown';
+  const hint = entry.hints?.[index];
+  if (hint === HINT_KINDS.word) return 'hinted';
+  if (hint === HINT_KINDS.letter) return 'letter';
+  return 'hidden';
+}
+
+// Memorisation score over the words reached so far: a word recited correctly without help counts 1,
+// with a first-letter hint 1/2, after seeing the whole word 0. Mistakes count 0.
+export function memorisationScore(transcript) {
+  let reached = 0;
+  let credit = 0;
+  let hints = 0;
+  transcript.forEach((entry) => {
+    entry.wordStatus.forEach((status, i) => {
+      const hint = entry.hints?.[i];
+      if (hint) hints += 1;
+      if (status === WORD_STATUS.pending) return;
+      reached += 1;
+      if (status !== WORD_STATUS.correct) return;
+      credit += hint === HINT_KINDS.word ? 0 : hint === HINT_KINDS.letter ? 0.5 : 1;
+    });
+  });
+  return {
+    score: reached === 0 ? null : Math.round((credit / reached) * 100),
+    words: reached,
+    hints,
+  };
+}
@@ -0,0 +1,165 @@
+// Microphone access: input device selection, getUserMedia constraints, readable diagnostics for
+// the ways opening the microphone fails, and a short calibration of the voice activity threshold.
+
+import { createAudioCapture } from './audioCapture.js';
+import { analyzeSubframe } from './vad.js';
+
+export const DEFAULT_MIC_SETTINGS = {
+  deviceId: '', // '' = the browser's default input
+  echoCancellation: true,
+  autoGainControl: false, // gain normalisation in audioPipeline.js does this per speech segment
+};
+
+export class MicrophoneError extends Error {
+  constructor(code, message, hint = '') {
+    super(message);
+    this.name = 'MicrophoneError';
+    this.code = code; // one of MIC_ERROR_CODES
+    this.hint = hint;
+  }
+}
+
+export const MIC_ERROR_CODES = ['insecure_context', 'unsupported', 'not_allowed', 'not_found', 'not_readable', 'unsupported_codec', 'unknown'];
+
+// Maps a getUserMedia / MediaRecorder / capture failure to a MicrophoneError with advice for the user
+export function describeMicrophoneError(error) {
+  if (error instanceof MicrophoneError) return error;
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      return new MicrophoneError('not_allowed', 'Microphone permission was denied.',
+        "Allow microphone access from the lock or microphone icon in the address bar, then try again. On iOS, check Settings › Safari › Microphone.");
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+    case 'OverconstrainedError':
+      return new MicrophoneError('not_found', 'No microphone was found.',
+        'Connect a microphone, or choose a different input in Settings › Microphone.');
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return new MicrophoneError('not_readable', 'The microphone could not be started.',
+        'Another app or tab may be using it. Close it and try again.');
+    case 'NotSupportedError':
+      return new MicrophoneError('unsupported_codec', "This browser can't record audio in a format the app supports.",
+        'Try an up-to-date Chrome, Edge, Firefox or Safari.');
+    default:
+      return new MicrophoneError('unknown', `Could not use the microphone${error && error.message ? `: ${error.message}` : '.'}`);
+  }
+}
+
+function assertMicrophoneAvailable() {
+  if (typeof window !== 'undefined' && window.isSecureContext === false) {
+    throw new MicrophoneError('insecure_context', 'The microphone is only available on secure (https) pages.',
+      'Open the app over https, or on localhost during development.');
+  }
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new MicrophoneError('unsupported', "This browser doesn't support microphone access.",
+      'Try an up-to-date Chrome, Edge, Firefox or Safari.');
+  }
+}
+
+export function buildAudioConstraints(mic = DEFAULT_MIC_SETTINGS, { noiseSuppression = true } = {}) {
+  return {
+    ...(mic.deviceId ? { deviceId: { exact: mic.deviceId } } : {}),
+    channelCount: 1,
+    echoCancellation: mic.echoCancellation,
+    autoGainControl: mic.autoGainControl,
+    noiseSuppression,
+  };
+}
+
+// Opens the chosen input. If that device is gone, falls back to the default input and says so
+// through 'usedFallback'. Throws a MicrophoneError.
+export async function openMicrophone(mic = DEFAULT_MIC_SETTINGS, processing = {}) {
+  assertMicrophoneAvailable();
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(mic, processing) });
+    return { stream, usedFallback: false };
+  } catch (error) {
+    if (mic.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints({ ...mic, deviceId: '' }, processing) });
+        return { stream, usedFallback: true };
+      } catch (fallbackError) {
+        throw describeMicrophoneError(fallbackError);
+      }
+    }
+    throw describeMicrophoneError(error);
+  }
+}
+
+// Audio inputs. Labels are empty until the user has granted microphone permission once.
+export async function listInputDevices() {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'audioinput')
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${i + 1}` }));
+}
+
+// --- Calibration ---
+
+export const CALIBRATION_PHASES = {
+  quiet: { id: 'quiet', ms: 2000, instruction: 'Stay quiet for a moment…' },
+  speak: { id: 'speak', ms: 3000, instruction: 'Now recite a few words at your normal volume…' },
+};
+
+const MIN_SPEECH_ABOVE_NOISE_DB = 6;
+
+const percentile = (values, p) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Measures background noise, then speech, and derives the VAD energy margin from the gap between
+// them: half-way, clamped to the range the fixed sensitivities span. onPhase(phase) is called as
+// each phase starts. Resolves to {noiseFloorDb, speechDb, marginDb, at}; throws a MicrophoneError.
+export async function calibrateInput({ audioContext, mic, processing, onPhase }) {
+  const { stream } = await openMicrophone(mic, processing);
+  const levels = { quiet: [], speak: [] };
+  let phase = null;
+
+  // A pipeline that only measures: 20 ms sub-frame levels, nothing is sent
+  const meter = {
+    process(samples) {
+      if (!phase) return;
+      for (let offset = 0; offset + 320 <= samples.length; offset += 320) {
+        const floats = Float32Array.from(samples.subarray(offset, offset + 320), v => v / 32768);
+        levels[phase].push(analyzeSubframe(floats).levelDb);
+      }
+    },
+  };
+
+  let capture = null;
+  try {
+    if (audioContext.state === 'suspended') await audioContext.resume();
+    capture = await createAudioCapture({ stream, audioContext, pipeline: meter, onFrame: () => {} });
+    if (!capture.pipeline) {
+      throw new MicrophoneError('unsupported', 'Calibration needs Web Audio, which this browser does not provide here.');
+    }
+    for (const step of [CALIBRATION_PHASES.quiet, CALIBRATION_PHASES.speak]) {
+      phase = step.id;
+      onPhase?.(step);
+      await new Promise(resolve => setTimeout(resolve, step.ms));
+    }
+  } catch (error) {
+    throw describeMicrophoneError(error);
+  } finally {
+    phase = null;
+    capture?.stop();
+    stream.getTracks().forEach(track => track.stop());
+  }
+
+  if (levels.quiet.length === 0 || levels.speak.length === 0) {
+    throw new MicrophoneError('not_readable', 'No audio was received from the microphone during calibration.');
+  }
+  const noiseFloorDb = percentile(levels.quiet, 0.5);
+  const speechDb = percentile(levels.speak, 0.9);
+  if (speechDb - noiseFloorDb < MIN_SPEECH_ABOVE_NOISE_DB) {
+    throw new MicrophoneError('unknown', "Couldn't hear your voice clearly above the background noise.",
+      'Move closer to the microphone or to a quieter room, then calibrate again.');
+  }
+  const marginDb = Math.round(Math.min(13, Math.max(6, (speechDb - noiseFloorDb) / 2)));
+  return { noiseFloorDb: Math.round(noiseFloorDb), speechDb: Math.round(speechDb), marginDb, at: Date.now() };
+}
@@ -0,0 +1,67 @@
+// Filtering, search and sorting for the mistake queue in the Training tab.
+
+import { normalizeArabic } from './arabic.js';
+import { classifyMistake } from './mistakeTypes.js';
+
+export const VERIFICATION_STATUSES = ['pending', 'incorrect', 'correct'];
+
+export const DEFAULT_QUEUE_FILTERS = {
+  status: 'all', // 'all' or one of VERIFICATION_STATUSES
+  type: 'all', // 'all', 'category:<id>' or 'type:<id>'
+  surah: 'all', // 'all' or a surah number
+  from: '', // 'YYYY-MM-DD', inclusive
+  to: '', // 'YYYY-MM-DD', inclusive
+  synced: 'all', // 'all', 'synced' or 'unsynced'
+  search: '',
+};
+
+export const SORT_FIELDS = {
+  timestamp: { label: 'Timestamp', value: m => m.timestamp },
+  sura: { label: 'Sura/Aya', value: m => (m.surah_number ?? Infinity) * 1000 + (m.ayah_number ?? 0) },
+  type: { label: 'Mistake Type', value: m => classifyMistake(m.mistake_type).en },
+  status: { label: 'Status', value: m => VERIFICATION_STATUSES.indexOf(m.verified) },
+};
+
+export function matchesTypeFilter(mistake, filter) {
+  if (filter === 'all') return true;
+  const info = classifyMistake(mistake.mistake_type);
+  const [kind, id] = filter.split(':');
+  return kind === 'category' ? info.category === id : info.id === id;
+}
+
+// Local midnight at the start (or the end) of a 'YYYY-MM-DD' date input value
+export const dayBoundary = (value, end) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, end ? day + 1 : day).getTime() - (end ? 1 : 0);
+};
+
+// Search ignores harakat and alef/ya/ta marbuta spelling differences (see normalizeArabic)
+const searchableText = (m) => normalizeArabic([m.reference_segment, m.transcription_segment, m.sura, m.aya, m.notes]
+  .filter(Boolean)
+  .join(' ')).toLowerCase();
+
+export function filterMistakes(mistakes, filters) {
+  const query = normalizeArabic(filters.search).toLowerCase();
+  const from = filters.from ? dayBoundary(filters.from, false) : -Infinity;
+  const to = filters.to ? dayBoundary(filters.to, true) : Infinity;
+  const surah = filters.surah === 'all' ? null : Number(filters.surah);
+  return mistakes.filter(m => (filters.status === 'all' || m.verified === filters.status)
+    && matchesTypeFilter(m, filters.type)
+    && (surah === null || m.surah_number === surah)
+    && m.timestamp >= from && m.timestamp <= to
+    && (filters.synced === 'all' || (filters.synced === 'synced') === Boolean(m.synced))
+    && (!query || searchableText(m).includes(query)));
+}
+
+export function sortMistakes(mistakes, { field, direction }) {
+  const value = SORT_FIELDS[field].value;
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...mistakes].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * sign;
+  });
+}
+
+// Surah numbers that occur in the queue, for the surah filter
+export const surahsInQueue = (mistakes) => [...new Set(mistakes.map(m => m.surah_number).filter(Boolean))].sort((a, b) => a - b);
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_QUEUE_FILTERS, filterMistakes, sortMistakes, surahsInQueue } from './mistakeQueue.js';
+
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).getTime();
+
+const mistakes = [
+  {
+    id: 'rabb', sura: 'Al-Fatihah', surah_number: 1, ayah_number: 2, mistake_type: 'word_substitution', verified: 'pending', synced: true,
+    reference_segment: 'رَبِّ', transcription_segment: 'رَبُّ', timestamp: at(2026, 3, 1),
+  },
+  {
+    id: 'rahman', sura: 'Al-Fatihah', surah_number: 1, ayah_number: 3, mistake_type: 'word_omission', verified: 'incorrect', synced: false,
+    reference_segment: 'ٱلرَّحْمَٰنِ', transcription_segment: '', timestamp: at(2026, 3, 2, 23),
+  },
+  {
+    id: 'huda', sura: 'Al-Baqarah', surah_number: 2, ayah_number: 2, mistake_type: 'ghunna', verified: 'correct', synced: false,
+    reference_segment: 'هُدًى لِّلْمُتَّقِينَ', transcription_segment: 'هدى للمتقين', notes: 'Ghunna too short', timestamp: at(2026, 3, 3, 0),
+  },
+];
+
+const ids = filters => filterMistakes(mistakes, { ...DEFAULT_QUEUE_FILTERS, ...filters }).map(m => m.id);
+
+describe('filterMistakes', () => {
+  it('searches ignoring harakat and alef spellings', () => {
+    expect(ids({ search: 'رب' })).toEqual(['rabb']);
+    expect(ids({ search: 'الرحمن' })).toEqual(['rahman']);
+    expect(ids({ search: 'لِلْمُتَّقِينَ' })).toEqual(['huda']);
+    expect(ids({ search: 'ghunna TOO' })).toEqual(['huda']);
+  });
+
+  it('filters by status, type or category, surah and sync state', () => {
+    expect(ids({ status: 'incorrect' })).toEqual(['rahman']);
+    expect(ids({ type: 'category:word' })).toEqual(['rabb', 'rahman']);
+    expect(ids({ type: 'type:ghunna' })).toEqual(['huda']);
+    expect(ids({ surah: '2' })).toEqual(['huda']);
+    expect(ids({ synced: 'unsynced', surah: '1' })).toEqual(['rahman']);
+  });
+
+  it('includes the whole of the first and last day of a date range', () => {
+    expect(ids({ from: '2026-03-02', to: '2026-03-02' })).toEqual(['rahman']);
+    expect(ids({ from: '2026-03-03' })).toEqual(['huda']);
+    expect(ids({ to: '2026-03-01' })).toEqual(['rabb']);
+  });
+});
+
+describe('sortMistakes', () => {
+  it('sorts by position in the mushaf and by status, either way', () => {
+    expect(sortMistakes(mistakes, { field: 'sura', direction: 'desc' }).map(m => m.id)).toEqual(['huda', 'rahman', 'rabb']);
+    expect(sortMistakes(mistakes, { field: 'status', direction: 'asc' }).map(m => m.id)).toEqual(['rabb', 'rahman', 'huda']);
+  });
+});
+
+describe('surahsInQueue', () => {
+  it('lists each surah once, in order', () => {
+    expect(surahsInQueue([...mistakes].reverse())).toEqual([1, 2]);
+  });
+});
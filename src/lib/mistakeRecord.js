@@ -0,0 +1,82 @@
+// The stored (and synced) shape of a detected mistake, and upgrades of records saved by older
+// versions of the app.
+//
+// {id, schema_version, sura (surah name), aya (ayah text), surah_number, ayah_number,
+//  word_start, word_end (reference word indices in the ayah, inclusive; null when not located),
+//  transcription_segment, reference_segment, mistake_type, timestamp, verified, revision, synced,
+//  notes?, session_id, audio_offset_ms (position in the session recording), feedback_mode,
+//  model_version, backend_version, correct_sample_count?, resolved_at? (set once the user accepts a
+//  recording of the correct recitation)}
+
+import { findAyahNumber, findSurahNumber, verseKey } from './quran.js';
+import { locateMistakeWords } from './transcript.js';
+
+export const MISTAKE_SCHEMA_VERSION = 2;
+
+// entry: the transcript entry of the ayah being recited (see transcript.js), if one was identified.
+// context: {sessionId, atMs, feedbackMode, modelVersion, backendVersion}
+export function createMistake(message, entry, context) {
+  const words = entry ? locateMistakeWords(entry, message) : null;
+  return {
+    id: crypto.randomUUID(),
+    schema_version: MISTAKE_SCHEMA_VERSION,
+    sura: entry?.suraName ?? '',
+    aya: entry?.text ?? '',
+    surah_number: entry?.suraNumber ?? null,
+    ayah_number: entry?.ayahNumber ?? null,
+    word_start: words?.start ?? null,
+    word_end: words?.end ?? null,
+    transcription_segment: message.transcribed_segment,
+    reference_segment: message.reference_segment,
+    mistake_type: message.mistake_type,
+    timestamp: Date.now(),
+    verified: 'pending',
+    revision: 1, // bumped on every local change; see lib/syncEngine.js
+    synced: false,
+    session_id: context.sessionId ?? null,
+    audio_offset_ms: context.atMs === null || context.atMs === undefined ? null : Math.round(context.atMs),
+    feedback_mode: context.feedbackMode ?? null,
+    // The mistake_event can name the model that produced it; otherwise use what config_ack reported
+    model_version: message.model_version ?? context.modelVersion ?? null,
+    backend_version: context.backendVersion ?? null,
+  };
+}
+
+// Fills in the fields added since the record was written, from what the record itself holds.
+// Synchronous so it can run inside the IndexedDB upgrade transaction; ayah numbers need the Quran
+// text and are added later by backfillAyahNumbers.
+export function upgradeMistake(mistake) {
+  if ((mistake.schema_version ?? 1) >= MISTAKE_SCHEMA_VERSION) return mistake;
+  return {
+    surah_number: findSurahNumber(mistake.sura),
+    ayah_number: null,
+    word_start: null,
+    word_end: null,
+    session_id: null,
+    audio_offset_ms: null,
+    feedback_mode: null,
+    model_version: null,
+    backend_version: null,
+    ...mistake,
+    schema_version: MISTAKE_SCHEMA_VERSION,
+  };
+}
+
+// Resolves the ayah number of records that only have the ayah text. Returns the records that
+// could be resolved, updated; loads the Quran text if any record needs it.
+export async function backfillAyahNumbers(mistakes) {
+  const updated = [];
+  for (const mistake of mistakes) {
+    if (mistake.ayah_number || !mistake.surah_number || !mistake.aya) continue;
+    const ayah = await findAyahNumber(mistake.surah_number, mistake.aya);
+    if (ayah) updated.push({ ...mistake, ayah_number: ayah });
+  }
+  return updated;
+}
+
+// 'Al-Baqarah 2:255' style label for the queue; falls back to the stored name
+export function mistakeLocation(mistake) {
+  if (!mistake.surah_number) return mistake.sura || '–';
+  const key = mistake.ayah_number ? verseKey(mistake.surah_number, mistake.ayah_number) : String(mistake.surah_number);
+  return `${mistake.sura} ${key}`.trim();
+}
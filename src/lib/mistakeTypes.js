@@ -0,0 +1,54 @@
+// Taxonomy of recitation mistakes. The backend sends a free-form 'mistake_type' string; this maps
+// it onto a fixed set of word-level, tajweed and makhraj (articulation) types with Arabic and
+// English labels and a colour per category. Unrecognised types are kept, labelled from the raw string.
+
+export const MISTAKE_CATEGORIES = {
+  word: { id: 'word', en: 'Word', ar: 'كلمات', badge: 'bg-red-100 text-red-800', underline: 'decoration-red-500' },
+  tajweed: { id: 'tajweed', en: 'Tajweed', ar: 'تجويد', badge: 'bg-purple-100 text-purple-800', underline: 'decoration-purple-500' },
+  makhraj: { id: 'makhraj', en: 'Makhraj', ar: 'مخارج', badge: 'bg-sky-100 text-sky-800', underline: 'decoration-sky-500' },
+  unknown: { id: 'unknown', en: 'Other', ar: 'أخرى', badge: 'bg-gray-100 text-gray-800', underline: 'decoration-gray-500' },
+};
+
+// aliases: lower-case spellings the backend (or older records) may use for the same mistake
+export const MISTAKE_TYPES = [
+  { id: 'omission', category: 'word', en: 'Omitted word', ar: 'حذف كلمة', aliases: ['word_omission', 'deletion', 'missed_word', 'missing_word', 'skip', 'skipped_word'] },
+  { id: 'substitution', category: 'word', en: 'Wrong word', ar: 'إبدال كلمة', aliases: ['word_substitution', 'replacement', 'wrong_word', 'word_replacement', 'mispronunciation'] },
+  { id: 'addition', category: 'word', en: 'Added word', ar: 'زيادة كلمة', aliases: ['word_addition', 'insertion', 'extra_word', 'word_insertion'] },
+
+  { id: 'madd_length', category: 'tajweed', en: 'Madd length', ar: 'مقدار المد', aliases: ['madd', 'madd_error', 'elongation', 'madd_too_short', 'madd_too_long'] },
+  { id: 'ghunna', category: 'tajweed', en: 'Ghunna', ar: 'الغنة', aliases: ['ghunnah', 'guna', 'gunna', 'nasalization', 'ghunna_error'] },
+  { id: 'idgham', category: 'tajweed', en: 'Idgham', ar: 'الإدغام', aliases: ['idghaam', 'idgham_error', 'merging'] },
+  { id: 'ikhfa', category: 'tajweed', en: 'Ikhfa', ar: 'الإخفاء', aliases: ['ikhfaa', 'ikhfa_error', 'concealment'] },
+  { id: 'iqlab', category: 'tajweed', en: 'Iqlab', ar: 'الإقلاب', aliases: ['iqlaab', 'iqlab_error'] },
+  { id: 'izhar', category: 'tajweed', en: 'Izhar', ar: 'الإظهار', aliases: ['idhar', 'izhaar', 'izhar_error'] },
+  { id: 'qalqalah', category: 'tajweed', en: 'Qalqalah', ar: 'القلقلة', aliases: ['qalqala', 'qalqalah_error', 'echo'] },
+
+  { id: 'seen_sad', category: 'makhraj', en: 'Seen / Sad', ar: 'س / ص', aliases: ['sin_sad', 'seen_saad', 's_vs_sad'] },
+  { id: 'seen_tha', category: 'makhraj', en: 'Seen / Tha', ar: 'س / ث', aliases: ['seen_sa', 'sin_tha', 'seen_thaa', 's_vs_th'] },
+  { id: 'dal_dad', category: 'makhraj', en: 'Dal / Dad', ar: 'د / ض', aliases: ['dal_daad', 'dal_dhad'] },
+  { id: 'dhal_zay_dha', category: 'makhraj', en: 'Dhal / Zay / Dha', ar: 'ذ / ز / ظ', aliases: ['dhal_zay', 'zay_dha', 'dhal_dha', 'zal_za'] },
+  { id: 'ha_haa', category: 'makhraj', en: 'Ha / Haa', ar: 'ه / ح', aliases: ['haa_ha', 'ha_ha'] },
+  { id: 'hamza_ain', category: 'makhraj', en: 'Hamza / Ain', ar: 'ء / ع', aliases: ['alif_ain', 'hamza_ayn'] },
+  { id: 'kaf_qaf', category: 'makhraj', en: 'Kaf / Qaf', ar: 'ك / ق', aliases: ['kaaf_qaaf'] },
+  { id: 'ta_taa', category: 'makhraj', en: 'Ta / Taa', ar: 'ت / ط', aliases: ['taa_ta', 'ta_tta'] },
+  { id: 'makhraj', category: 'makhraj', en: 'Articulation', ar: 'مخرج الحرف', aliases: ['makhraj_error', 'articulation', 'letter_confusion', 'letter_articulation', 'pronunciation'] },
+];
+
+const TYPES_BY_KEY = new Map();
+MISTAKE_TYPES.forEach((type) => {
+  [type.id, ...type.aliases].forEach((key) => TYPES_BY_KEY.set(key, type));
+});
+
+const normalizeKey = (raw) => String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Resolves a backend mistake_type to its taxonomy entry. Unknown strings get a synthetic entry in
+// the 'unknown' category labelled from the raw value, so nothing is dropped or mislabelled.
+export function classifyMistake(raw) {
+  const key = normalizeKey(raw);
+  const type = TYPES_BY_KEY.get(key) || TYPES_BY_KEY.get(key.replace(/_(error|mistake)$/, ''));
+  if (type) return { ...type, known: true, raw };
+  const label = key ? key.replace(/_/g, ' ') : 'unspecified';
+  return { id: 'unknown', category: 'unknown', en: label.charAt(0).toUpperCase() + label.slice(1), ar: '', aliases: [], known: false, raw };
+}
+
+export const getMistakeCategory = (raw) => MISTAKE_CATEGORIES[classifyMistake(raw).category];
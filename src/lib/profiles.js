@@ -0,0 +1,164 @@
+// Learner profiles: several people (a teacher's students, a family) sharing one device, each with
+// their own mistakes, sessions, uploads and settings. The profile list is kept in localStorage; each
+// profile's data is in its own IndexedDB database (see lib/db.js) and its settings under its own
+// localStorage keys (settingsKey), so the rest of the app only ever sees the active profile.
+// Switching profiles reloads the app. The profile id is the learner id sent to the backend.
+//
+// {id, name, storage, pinHash, pinSalt, createdAt}
+//   storage  suffix of the profile's database and settings keys; '' for the first profile, which
+//            keeps the names the app used before profiles existed, so nothing has to move
+//   pinHash  SHA-256 of the optional PIN. The PIN keeps learners out of each other's profiles on a
+//            shared device; the data itself is not encrypted.
+
+const PROFILES_KEY = 'qra_profiles';
+const ACTIVE_KEY = 'qra_active_profile';
+const LEGACY_USER_ID_KEY = 'qra_user_id'; // the single user id from before profiles
+const SETTINGS_PREFIX = 'qra_';
+const DB_PREFIX = 'qra';
+const DEFAULT_PROFILE_NAME = 'Learner 1';
+const MAX_NAME_LENGTH = 40;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+let registry = null; // {profiles, activeId}, read once per page load
+
+function saveProfiles(profiles) {
+  load().profiles = profiles;
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+function readProfiles() {
+  try {
+    const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+    if (Array.isArray(profiles) && profiles.length > 0 && profiles.every(p => p && typeof p.id === 'string')) return profiles;
+  } catch {}
+  return null;
+}
+
+function load() {
+  if (registry) return registry;
+  let profiles = readProfiles();
+  if (!profiles) {
+    // First run with profiles: the existing install becomes the first profile and keeps its user id
+    const id = localStorage.getItem(LEGACY_USER_ID_KEY) || crypto.randomUUID();
+    profiles = [{ id, name: DEFAULT_PROFILE_NAME, storage: '', pinHash: null, pinSalt: null, createdAt: Date.now() }];
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    localStorage.removeItem(LEGACY_USER_ID_KEY);
+  }
+  const stored = localStorage.getItem(ACTIVE_KEY);
+  registry = { profiles, activeId: (profiles.find(p => p.id === stored) ?? profiles[0]).id };
+  return registry;
+}
+
+const findProfile = id => load().profiles.find(p => p.id === id);
+
+export const listProfiles = () => load().profiles;
+
+export const activeProfile = () => findProfile(load().activeId);
+
+export const profileDatabaseName = profile => (profile.storage ? `${DB_PREFIX}:${profile.storage}` : DB_PREFIX);
+
+// localStorage key of a per-profile setting (key is one of the app's 'qra_*' keys)
+export const settingsKey = (key, profile = activeProfile()) => (profile.storage ? `${key}:${profile.storage}` : key);
+
+// Whether a localStorage key belongs to a profile's settings; returns the shared key name or null
+function settingName(key, profile) {
+  if (!key.startsWith(SETTINGS_PREFIX) || [PROFILES_KEY, ACTIVE_KEY, LEGACY_USER_ID_KEY].includes(key)) return null;
+  const separator = key.indexOf(':');
+  if (!profile.storage) return separator === -1 ? key : null;
+  return key.endsWith(`:${profile.storage}`) ? key.slice(0, separator) : null;
+}
+
+// {key: value} of a profile's settings, under the shared key names (for backups)
+export function profileSettings(profile = activeProfile()) {
+  const settings = {};
+  for (let i = 0; i < localStorage.length; i += 1) {
+    const key = localStorage.key(i);
+    const name = settingName(key, profile);
+    if (name) settings[name] = localStorage.getItem(key);
+  }
+  return settings;
+}
+
+export function restoreProfileSettings(settings, profile = activeProfile()) {
+  Object.entries(settings).forEach(([name, value]) => {
+    if (settingName(name, { storage: '' }) === name) localStorage.setItem(settingsKey(name, profile), value);
+  });
+}
+
+function validateName(name, exceptId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Enter a name.');
+  if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters.`);
+  if (load().profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`There is already a learner called '${trimmed}'.`);
+  }
+  return trimmed;
+}
+
+async function hashPin(pin, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// {pinHash, pinSalt} for a new PIN, or nulls to remove it
+async function pinFields(pin) {
+  if (!pin) return { pinHash: null, pinSalt: null };
+  if (!PIN_PATTERN.test(pin)) throw new Error('A PIN is 4 to 8 digits.');
+  const pinSalt = crypto.randomUUID();
+  return { pinHash: await hashPin(pin, pinSalt), pinSalt };
+}
+
+export async function checkPin(profile, pin) {
+  if (!profile.pinHash) return true;
+  return (await hashPin(pin || '', profile.pinSalt)) === profile.pinHash;
+}
+
+export async function createProfile({ name, pin = '' }) {
+  const profile = {
+    id: crypto.randomUUID(),
+    name: validateName(name),
+    storage: crypto.randomUUID().slice(0, 8),
+    ...(await pinFields(pin)),
+    createdAt: Date.now(),
+  };
+  saveProfiles([...load().profiles, profile]);
+  return profile;
+}
+
+export function renameProfile(id, name) {
+  const trimmed = validateName(name, id);
+  saveProfiles(load().profiles.map(p => (p.id === id ? { ...p, name: trimmed } : p)));
+}
+
+// pin: the new PIN, or '' to remove it
+export async function setProfilePin(id, pin) {
+  const fields = await pinFields(pin);
+  saveProfiles(load().profiles.map(p => (p.id === id ? { ...p, ...fields } : p)));
+}
+
+// Gives the active profile the learner id of a restored backup, so the backend sees the same learner
+export function adoptProfileId(newId) {
+  const current = activeProfile();
+  if (current.id === newId) return true;
+  if (findProfile(newId)) return false; // another profile on this device already is that learner
+  saveProfiles(load().profiles.map(p => (p.id === current.id ? { ...p, id: newId } : p)));
+  registry.activeId = newId;
+  localStorage.setItem(ACTIVE_KEY, newId);
+  return true;
+}
+
+// Makes a profile the active one from the next page load
+export function switchProfile(id) {
+  if (!findProfile(id)) throw new Error('That learner no longer exists.');
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+// Removes a profile and its settings; its database is deleted separately (db.js deleteProfileDatabase).
+// The active profile can't be removed.
+export function removeProfile(id) {
+  const profile = findProfile(id);
+  if (!profile) return;
+  if (id === load().activeId) throw new Error('Switch to another learner before deleting this one.');
+  Object.keys(profileSettings(profile)).forEach(name => localStorage.removeItem(settingsKey(name, profile)));
+  saveProfiles(load().profiles.filter(p => p.id !== id));
+}
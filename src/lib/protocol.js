@@ -0,0 +1,242 @@
+// Versioned message protocol between the PWA and the analyzer backend.
+//
+// Client -> server
+//   config   {type, v, feedbackMode, session_id, profile_id, expected_range?: {surah, from_ayah, to_ayah},
+//             audio_format?, audio_formats?}       JSON text frame, sent on connect and on change;
+//            profile_id is the learner reciting (see lib/profiles.js)
+//   resume   {type, v, session_id, last_verse}         JSON text frame, sent after a reconnect
+//   ping     {type, v, ts}                             JSON text frame, heartbeat
+//   vad      {type, v, event: 'speech_start' | 'speech_end', timestamp_ms, pause_ms?, boundary?}
+//            client-side voice activity boundaries on the audio timeline; 'boundary' is 'breath' or
+//            'pause' (a longer stop), a hint for waqf detection. Sent in order with the audio frames.
+//   audio    binary frame                              header + audio payload, see below
+//
+// Server -> client
+//   config_ack       {audio_format?, backend_version?, model_version?}
+//                    the audio format the server wants, if it differs, and what is analysing the audio
+//   verse_identified {sura_name, ayah_number, ayah_text}
+//   diff_update      {diff: [{type, index, word}]}
+//   mistake_event    {mistake_type, reference_segment, transcribed_segment, reference_word?,
+//                     transcribed_word?, model_version?, correction_audio_base64?}
+//   pong             {ts?}
+//   error            {message, code?}
+//
+// Every frame carries a protocol version 'v'. Frames without one come from backends that predate
+// versioning and are treated as version 1.
+//
+// Audio format negotiation: 'config' names the format the client is sending (audio_format) and the
+// formats it can switch to (audio_formats), e.g.
+//   {codec: 'pcm_s16le', sample_rate: 16000, channels: 1, frame_ms: 100}
+//   {codec: 'opus', sample_rate: 16000, channels: 1, frame_ms: 20}        raw Opus packets
+//   {codec: 'container', mime_type: 'audio/mp4', timeslice_ms: 250}       MediaRecorder stream, in order
+// The server may answer 'config_ack' with one of audio_formats; the client switches at the next frame.
+//
+// Each binary audio frame starts with a 16-byte little-endian header:
+//   0  uint8   header version (1)
+//   1  uint8   codec id (AUDIO_CODECS)
+//   2  uint16  reserved (0)
+//   4  uint32  sequence number, from 0 per listening session
+//   8  float64 timestamp of the first sample, ms since capture started
+
+export const PROTOCOL_VERSION = 1;
+
+export const DIFF_TYPES = ['equal', 'insertion', 'deletion', 'replacement_ref', 'replacement_trans'];
+
+export class ProtocolError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code; // 'malformed_json' | 'invalid_payload' | 'unknown_type' | 'version_mismatch'
+    this.details = details;
+  }
+}
+
+// --- Client -> server ---
+
+export function buildClientMessage(type, payload = {}) {
+  return { type, v: PROTOCOL_VERSION, ...payload };
+}
+
+export const buildConfigMessage = (payload) => buildClientMessage('config', payload);
+export const buildResumeMessage = (payload) => buildClientMessage('resume', payload);
+export const buildPingMessage = () => buildClientMessage('ping', { ts: Date.now() });
+export const buildVadMessage = ({ type, timestampMs, pauseMs, boundary }) => buildClientMessage('vad', {
+  event: type,
+  timestamp_ms: Math.round(timestampMs),
+  ...(type === 'speech_start' ? { pause_ms: pauseMs, boundary } : {}),
+});
+
+// --- Binary audio frames ---
+
+export const AUDIO_CODECS = { pcm_s16le: 1, opus: 2, container: 3 };
+export const AUDIO_FRAME_HEADER_BYTES = 16;
+const AUDIO_FRAME_VERSION = 1;
+const CODEC_NAMES = Object.fromEntries(Object.entries(AUDIO_CODECS).map(([name, id]) => [id, name]));
+
+// payload: ArrayBuffer or typed array with the encoded audio
+export function encodeAudioFrame({ codec, seq, timestampMs, payload }) {
+  // isView rather than instanceof: an ArrayBuffer from another realm (e.g. an iframe) fails instanceof
+  const bytes = ArrayBuffer.isView(payload) ? new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength) : new Uint8Array(payload);
+  const frame = new ArrayBuffer(AUDIO_FRAME_HEADER_BYTES + bytes.byteLength);
+  const view = new DataView(frame);
+  view.setUint8(0, AUDIO_FRAME_VERSION);
+  view.setUint8(1, AUDIO_CODECS[codec]);
+  view.setUint16(2, 0, true);
+  view.setUint32(4, seq >>> 0, true);
+  view.setFloat64(8, timestampMs, true);
+  new Uint8Array(frame, AUDIO_FRAME_HEADER_BYTES).set(bytes);
+  return frame;
+}
+
+// Inverse of encodeAudioFrame; throws a ProtocolError for frames that are too short or of an unknown version
+export function decodeAudioFrame(buffer) {
+  if (buffer.byteLength < AUDIO_FRAME_HEADER_BYTES) {
+    throw new ProtocolError('invalid_payload', `Audio frame is ${buffer.byteLength} bytes, shorter than its header`);
+  }
+  const view = new DataView(buffer);
+  const version = view.getUint8(0);
+  if (version !== AUDIO_FRAME_VERSION) {
+    throw new ProtocolError('version_mismatch', `Unknown audio frame version ${version}`, { version });
+  }
+  return {
+    codec: CODEC_NAMES[view.getUint8(1)] || 'unknown',
+    seq: view.getUint32(4, true),
+    timestampMs: view.getFloat64(8, true),
+    payload: buffer.slice(AUDIO_FRAME_HEADER_BYTES),
+  };
+}
+
+// --- Server -> client validation ---
+
+const isString = (value) => typeof value === 'string';
+const isOptionalString = (value) => value === undefined || value === null || isString(value);
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Each validator returns a list of problems; an empty list means the payload is usable
+const SERVER_SCHEMAS = {
+  config_ack: (m) => {
+    const problems = ['backend_version', 'model_version']
+      .filter(key => !isOptionalString(m[key]))
+      .map(key => `${key} must be a string`);
+    if (m.audio_format === undefined || m.audio_format === null) return problems;
+    return m.audio_format && typeof m.audio_format === 'object' && AUDIO_CODECS[m.audio_format.codec]
+      ? problems : [...problems, 'audio_format.codec must be a known audio codec'];
+  },
+  verse_identified: (m) => {
+    const problems = [];
+    if (!isString(m.sura_name) || m.sura_name.length === 0) problems.push('sura_name must be a non-empty string');
+    // Some backend builds send ayah numbers as strings; accept numeric strings
+    if (!isPositiveInt(Number(m.ayah_number))) problems.push('ayah_number must be a positive integer');
+    if (!isString(m.ayah_text)) problems.push('ayah_text must be a string');
+    return problems;
+  },
+  diff_update: (m) => {
+    if (!Array.isArray(m.diff)) return ['diff must be an array'];
+    const problems = [];
+    m.diff.forEach((d, i) => {
+      if (!d || typeof d !== 'object') {
+        problems.push(`diff[${i}] must be an object`);
+        return;
+      }
+      if (!DIFF_TYPES.includes(d.type)) problems.push(`diff[${i}].type '${d.type}' is not a known diff type`);
+      if (!isNonNegativeInt(d.index)) problems.push(`diff[${i}].index must be a non-negative integer`);
+      if (!isOptionalString(d.word)) problems.push(`diff[${i}].word must be a string`);
+    });
+    return problems;
+  },
+  mistake_event: (m) => {
+    const problems = [];
+    if (!isString(m.mistake_type) || m.mistake_type.length === 0) problems.push('mistake_type must be a non-empty string');
+    ['reference_segment', 'transcribed_segment', 'reference_word', 'transcribed_word', 'model_version'].forEach((key) => {
+      if (!isOptionalString(m[key])) problems.push(`${key} must be a string`);
+    });
+    if (m.correction_audio_base64 !== undefined && m.correction_audio_base64 !== null
+      && (!isString(m.correction_audio_base64) || m.correction_audio_base64.length % 4 !== 0 || !BASE64_RE.test(m.correction_audio_base64))) {
+      problems.push('correction_audio_base64 must be valid base64');
+    }
+    return problems;
+  },
+  pong: () => [],
+  error: (m) => (isString(m.message) ? [] : ['message must be a string']),
+};
+
+export const SERVER_MESSAGE_TYPES = Object.keys(SERVER_SCHEMAS);
+
+// Parses and validates one text frame from the server. Never throws.
+export function parseServerMessage(raw) {
+  if (typeof raw !== 'string') {
+    return { ok: false, error: new ProtocolError('invalid_payload', 'Received an unexpected binary frame from the server') };
+  }
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return { ok: false, error: new ProtocolError('malformed_json', 'Received a frame that is not valid JSON', { raw: String(raw).slice(0, 200) }) };
+  }
+  if (!message || typeof message !== 'object' || !isString(message.type)) {
+    return { ok: false, error: new ProtocolError('invalid_payload', 'Received a message without a type', { message }) };
+  }
+
+  const version = message.v ?? 1;
+  const validate = SERVER_SCHEMAS[message.type];
+  if (!validate) {
+    return { ok: false, message, error: new ProtocolError('unknown_type', `Unknown message type '${message.type}'`, { type: message.type, version }) };
+  }
+  const problems = validate(message);
+  if (problems.length > 0) {
+    return { ok: false, message, error: new ProtocolError('invalid_payload', `Invalid '${message.type}' message: ${problems[0]}`, { type: message.type, problems }) };
+  }
+
+  // A newer server may still be understood; report the mismatch alongside the parsed message
+  const warning = version !== PROTOCOL_VERSION
+    ? new ProtocolError('version_mismatch', `Server speaks protocol v${version}, this app supports v${PROTOCOL_VERSION}`, { version })
+    : null;
+  return { ok: true, message: { ...message, v: version }, warning };
+}
+
+export function isPongFrame(raw) {
+  if (typeof raw !== 'string' || !raw.includes('"pong"')) return false;
+  const parsed = parseServerMessage(raw);
+  return parsed.ok && parsed.message.type === 'pong';
+}
+
+// Dispatches validated server messages to handlers keyed by message type.
+// Protocol problems go to onProtocolError instead of throwing inside the socket handler.
+export function createMessageRouter({ handlers = {}, onProtocolError } = {}) {
+  const routes = { ...handlers };
+  let reportedVersion = null;
+
+  return {
+    on(type, handler) {
+      routes[type] = handler;
+    },
+    route(raw) {
+      const result = parseServerMessage(raw);
+      if (!result.ok) {
+        onProtocolError?.(result.error);
+        return false;
+      }
+      if (result.warning && reportedVersion !== result.message.v) {
+        // Report each mismatching version once rather than on every frame
+        reportedVersion = result.message.v;
+        onProtocolError?.(result.warning);
+      }
+      const handler = routes[result.message.type];
+      if (!handler) return false;
+      const fail = (error) => {
+        console.error(`Handler for '${result.message.type}' failed:`, error);
+        onProtocolError?.(new ProtocolError('invalid_payload', `Could not handle '${result.message.type}': ${error.message}`, { type: result.message.type }));
+      };
+      try {
+        const pending = handler(result.message);
+        if (pending && typeof pending.catch === 'function') pending.catch(fail);
+      } catch (error) {
+        fail(error);
+        return false;
+      }
+      return true;
+    },
+  };
+}
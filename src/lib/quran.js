@@ -0,0 +1,168 @@
+// Offline Quran corpus: surah list, ayah text and structural boundaries (juz, hizb, ruku, page).
+// Structure comes from quran-meta (Hafs riwaya); the Uthmani text from quran-json is loaded lazily
+// as its own chunk the first time a verse is looked up.
+
+import {
+  findAyahIdBySurah,
+  getAyahMeta as getMetaById,
+  getJuzMeta,
+  getRukuMeta,
+  getSurahInfo,
+  nextAyah as metaNextAyah,
+  prevAyah as metaPrevAyah,
+} from 'quran-meta/hafs';
+import chapterIndex from 'quran-json/dist/chapters/index.json';
+import { normalizeArabic } from './arabic.js';
+
+export const NUM_SURAHS = 114;
+export const NUM_JUZ = 30;
+
+// [{number, name, transliteration, revelation, ayahCount, rukuCount}]
+export const SURAHS = chapterIndex.map((chapter) => ({
+  number: chapter.id,
+  name: chapter.name,
+  transliteration: chapter.transliteration,
+  revelation: chapter.type,
+  ayahCount: chapter.total_verses,
+  rukuCount: getSurahInfo(chapter.id)[3],
+}));
+
+export const verseKey = (surah, ayah) => `${surah}:${ayah}`;
+
+export function parseVerseKey(key) {
+  const [surah, ayah] = String(key).split(':').map(Number);
+  return isValidAyah(surah, ayah) ? { surah, ayah } : null;
+}
+
+export function getSurah(number) {
+  return SURAHS[number - 1] || null;
+}
+
+export function isValidAyah(surah, ayah) {
+  const info = getSurah(surah);
+  return Boolean(info) && Number.isInteger(ayah) && ayah >= 1 && ayah <= info.ayahCount;
+}
+
+// Structural position of an ayah; synchronous, no text needed
+export function getAyahMeta(surah, ayah) {
+  if (!isValidAyah(surah, ayah)) return null;
+  const meta = getMetaById(findAyahIdBySurah(surah, ayah));
+  return {
+    surah,
+    ayah,
+    key: verseKey(surah, ayah),
+    juz: meta.juz,
+    hizb: meta.hizbId,
+    rubAlHizb: meta.rubAlHizbId,
+    ruku: meta.ruku,
+    page: meta.page,
+    isSajdah: meta.isSajdahAyah,
+  };
+}
+
+export function nextAyah(surah, ayah) {
+  if (!isValidAyah(surah, ayah) || (surah === NUM_SURAHS && ayah === getSurah(NUM_SURAHS).ayahCount)) return null;
+  const [s, a] = metaNextAyah(surah, ayah);
+  return { surah: s, ayah: a };
+}
+
+export function prevAyah(surah, ayah) {
+  if (!isValidAyah(surah, ayah) || (surah === 1 && ayah === 1)) return null;
+  const [s, a] = metaPrevAyah(surah, ayah);
+  return { surah: s, ayah: a };
+}
+
+// Ruku (thematic section) containing the ayah, as a surah-local range
+export function getRukuRange(surah, ayah) {
+  const meta = getAyahMeta(surah, ayah);
+  if (!meta) return null;
+  const ruku = getRukuMeta(meta.ruku);
+  return { surah, from: ruku.first[0] === surah ? ruku.first[1] : 1, to: ruku.last[0] === surah ? ruku.last[1] : getSurah(surah).ayahCount, ruku: meta.ruku };
+}
+
+// First and last ayah of a juz
+export function getJuzBounds(juz) {
+  if (!Number.isInteger(juz) || juz < 1 || juz > NUM_JUZ) return null;
+  const meta = getJuzMeta(juz);
+  return {
+    juz,
+    first: { surah: meta.first[0], ayah: meta.first[1] },
+    last: { surah: meta.last[0], ayah: meta.last[1] },
+  };
+}
+
+// Maps a surah name as sent by the backend (Arabic or transliterated, any diacritics/spelling) to its number.
+// Transliterations vary ("Al-Fatiha", "Fatihah", "Yaseen", "Ya-Sin"), so latin names are compared by a
+// loose key, falling back to consonants only when that is still unambiguous.
+const latinKey = (name) => name.toLowerCase()
+  .replace(/^(surah|sura|surat)\s+/, '')
+  .replace(/[^a-z]/g, '')
+  .replace(/^(al|an|ar|as|ash|at|ad|adh|az)(?=[a-z]{3})/, '')
+  .replace(/(.)\1+/g, '$1')
+  .replace(/h$/, '');
+const consonantKey = (name) => latinKey(name).replace(/[aeiouy]/g, '');
+const surahLookup = new Map();
+const consonantCounts = new Map();
+SURAHS.forEach((surah) => {
+  surahLookup.set(normalizeArabic(surah.name), surah.number);
+  surahLookup.set(latinKey(surah.transliteration), surah.number);
+  const key = consonantKey(surah.transliteration);
+  consonantCounts.set(key, consonantCounts.has(key) ? null : surah.number);
+});
+
+export function findSurahNumber(name) {
+  if (name === undefined || name === null || name === '') return null;
+  if (Number.isInteger(Number(name)) && getSurah(Number(name))) return Number(name);
+  const text = String(name).trim();
+  return surahLookup.get(normalizeArabic(text).replace(/^سوره /, ''))
+    ?? surahLookup.get(latinKey(text))
+    ?? consonantCounts.get(consonantKey(text))
+    ?? null;
+}
+
+// --- Text ---
+
+let corpusPromise = null;
+
+// Loads the full text once; resolves to an array of 114 arrays of ayah strings
+export function loadQuranText() {
+  if (!corpusPromise) {
+    corpusPromise = import('quran-json/dist/quran.json')
+      .then((module) => (module.default || module).map((chapter) => chapter.verses.map((verse) => verse.text)))
+      .catch((error) => {
+        corpusPromise = null; // allow a retry after a failed chunk load
+        throw error;
+      });
+  }
+  return corpusPromise;
+}
+
+export async function getAyah(surah, ayah) {
+  const meta = getAyahMeta(surah, ayah);
+  if (!meta) return null;
+  const text = await loadQuranText();
+  return { ...meta, text: text[surah - 1][ayah - 1] };
+}
+
+// Ayat from..to (inclusive) within one surah
+export async function getAyahRange(surah, from, to) {
+  const info = getSurah(surah);
+  if (!info) return [];
+  const first = Math.max(1, from);
+  const last = Math.min(info.ayahCount, to);
+  const text = await loadQuranText();
+  const ayat = [];
+  for (let ayah = first; ayah <= last; ayah += 1) {
+    ayat.push({ ...getAyahMeta(surah, ayah), text: text[surah - 1][ayah - 1] });
+  }
+  return ayat;
+}
+
+// Ayah number of a verse in a surah from its text (ignoring diacritics), or null
+export async function findAyahNumber(surah, text) {
+  if (!getSurah(surah) || !text) return null;
+  const target = normalizeArabic(text);
+  const verses = (await loadQuranText())[surah - 1];
+  const index = verses.findIndex(verse => normalizeArabic(verse) === target);
+  return index === -1 ? null : index + 1;
+}
@@ -0,0 +1,124 @@
+// Reference recitations: ayah audio by a selectable qari, so the correct reading of a verse or a
+// mistake segment can be heard next to the user's own recording.
+//
+// Audio comes from a source laid out like EveryAyah, which is the default; point the source (Settings
+// or VITE_REFERENCE_AUDIO_BASE) at a copy on your own server to use it offline or on a private network:
+//   <source>/<reciter folder>/<SSS><AAA>.mp3   e.g. Husary_128kbps/001007.mp3 for al-Fatiha 7
+//   <source>/<reciter folder>/timings.json     optional word timing index
+// timings.json maps "<surah>:<ayah>" to one [startMs, endMs] pair per recited word, leaving out
+// standalone waqf marks (see splitAyahWords and isRecitedWord in arabic.js).
+// Without an index, word positions are estimated from word lengths: good enough to find a word, not
+// to cut it exactly. Keep a local copy out of public/, or every file ends up in the precache.
+//
+// Downloaded files are kept in the Cache API, so verses heard once also play offline. A source that
+// doesn't allow cross-origin requests (CORS) can't be downloaded; its files are played straight from
+// their URL instead, without the offline copy.
+
+import { isRecitedWord, splitAyahWords, stripDiacritics } from './arabic.js';
+import { verseKey } from './quran.js';
+
+export const DEFAULT_REFERENCE_SOURCE = import.meta.env.VITE_REFERENCE_AUDIO_BASE || 'https://everyayah.com/data';
+
+export const RECITERS = [
+  { id: 'husary', name: 'Mahmoud Khalil Al-Husary', folder: 'Husary_128kbps' },
+  { id: 'husary_muallim', name: 'Al-Husary (teaching pace)', folder: 'Husary_Muallim_128kbps' },
+  { id: 'minshawi', name: 'Muhammad Siddiq Al-Minshawi', folder: 'Minshawy_Murattal_128kbps' },
+  { id: 'alafasy', name: 'Mishary Rashid Alafasy', folder: 'Alafasy_128kbps' },
+  { id: 'abdul_basit', name: 'Abdul Basit Abdus-Samad', folder: 'Abdul_Basit_Murattal_192kbps' },
+];
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25];
+
+export const DEFAULT_REFERENCE_SETTINGS = {
+  reciterId: 'husary',
+  source: '', // empty: DEFAULT_REFERENCE_SOURCE
+  playbackRate: 1,
+};
+
+// Outside the per-build caches the service worker rotates; recitations don't change between releases
+export const REFERENCE_CACHE = 'qra-reference-audio';
+
+export const getReciter = (id) => RECITERS.find(reciter => reciter.id === id) || RECITERS[0];
+
+const reciterBase = (settings) => {
+  const source = (settings.source || DEFAULT_REFERENCE_SOURCE).replace(/\/+$/, '');
+  return `${source}/${getReciter(settings.reciterId).folder}`;
+};
+
+const pad3 = (n) => String(n).padStart(3, '0');
+
+export const ayahAudioUrl = (settings, surah, ayah) => `${reciterBase(settings)}/${pad3(surah)}${pad3(ayah)}.mp3`;
+
+async function fetchCached(url) {
+  const cache = 'caches' in window ? await caches.open(REFERENCE_CACHE).catch(() => null) : null;
+  const cached = cache && await cache.match(url);
+  if (cached) return cached;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Reference audio unavailable (HTTP ${response.status}): ${url}`);
+  if (cache) cache.put(url, response.clone()).catch(() => {});
+  return response;
+}
+
+// {blob} of the ayah's audio, or {url} to play it from when the source can't be fetched from here
+export async function loadAyahAudio(settings, surah, ayah) {
+  const url = ayahAudioUrl(settings, surah, ayah);
+  try {
+    const response = await fetchCached(url);
+    return { blob: await response.blob() };
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error; // an HTTP error: the file isn't there
+    // fetch rejects with a TypeError when the request is blocked (CORS) or the network fails
+    console.warn('Reference audio could not be downloaded; playing it without caching:', error);
+    return { url };
+  }
+}
+
+// One request per reciter and source; resolves to null when there is no index
+const timingIndexes = new Map();
+
+export function loadTimingIndex(settings) {
+  const url = `${reciterBase(settings)}/timings.json`;
+  if (!timingIndexes.has(url)) {
+    timingIndexes.set(url, fetchCached(url).then(response => response.json()).catch(() => null));
+  }
+  return timingIndexes.get(url);
+}
+
+// Spreads the ayah duration over its words in proportion to their letter counts; waqf marks get an
+// empty span where the word before them ends
+export function estimateWordTimings(words, durationMs) {
+  const weights = words.map(word => (isRecitedWord(word) ? stripDiacritics(word).length + 1 : 0)); // +1: the gap after each word
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  let start = 0;
+  return weights.map((weight) => {
+    const end = start + (weight / total) * durationMs;
+    const timing = [Math.round(start), Math.round(end)];
+    start = end;
+    return timing;
+  });
+}
+
+// Places the index's pairs (recited words only) on every word of the split, marks included
+function spreadOverMarks(words, recitedTimings) {
+  let next = 0;
+  let lastEnd = 0;
+  return words.map((word) => {
+    if (!isRecitedWord(word)) return [lastEnd, lastEnd];
+    const timing = recitedTimings[next];
+    next += 1;
+    lastEnd = timing[1];
+    return timing;
+  });
+}
+
+// {timings: [[startMs, endMs], ...], exact} with one pair per word of splitAyahWords(text), so the
+// word indices stored with mistakes (word_start, word_end) index straight into it
+export async function getWordTimings(settings, surah, ayah, text, durationMs) {
+  const words = splitAyahWords(text);
+  const index = await loadTimingIndex(settings);
+  const exact = index?.[verseKey(surah, ayah)];
+  if (Array.isArray(exact) && exact.length === words.filter(isRecitedWord).length) {
+    return { timings: spreadOverMarks(words, exact), exact: true };
+  }
+  return { timings: estimateWordTimings(words, durationMs), exact: false };
+}
@@ -0,0 +1,110 @@
+// Spaced-repetition review of confirmed mistakes (verified 'incorrect'), scheduled with SM-2.
+//
+// A card is one ayah and one mistake type: {id, surah, ayah, mistakeType, mistakeIds, createdAt, due,
+// interval (days), ease, reps, lapses, lastReviewedAt, history: [{at, grade, accuracy}]}.
+// Reviews are recitation drills on the due ayat; each is graded 0-5 from the diff of the recited
+// ayah and whether the card's mistake came back (see gradeRecitation).
+
+import { classifyMistake } from './mistakeTypes.js';
+import { findAyahNumber, verseKey } from './quran.js';
+import { WORD_STATUS } from './transcript.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_MS = 10 * 60 * 1000; // a failed card comes back in the same sitting
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+export const PASSING_GRADE = 3;
+
+export const cardId = (surah, ayah, mistakeType) => `${verseKey(surah, ayah)}|${mistakeType}`;
+
+async function locateMistake(mistake) {
+  const surah = mistake.surah_number;
+  const ayah = surah && (mistake.ayah_number ?? await findAyahNumber(surah, mistake.aya));
+  return ayah ? { surah, ayah } : null;
+}
+
+// New or changed cards for the confirmed mistakes not on a card yet. A mistake confirmed after the
+// card's last review makes it due again straight away.
+export async function syncCardsFromMistakes(cards, mistakes, now = Date.now()) {
+  const existing = new Map(cards.map(card => [card.id, card]));
+  const changed = new Map();
+  for (const mistake of mistakes) {
+    if (mistake.verified !== 'incorrect') continue;
+    const type = classifyMistake(mistake.mistake_type).id;
+    const known = [...existing.values(), ...changed.values()].some(card => card.mistakeType === type && card.mistakeIds.includes(mistake.id));
+    if (known) continue;
+    const location = await locateMistake(mistake);
+    if (!location) continue;
+    const id = cardId(location.surah, location.ayah, type);
+    const card = changed.get(id) || existing.get(id) || {
+      id,
+      surah: location.surah,
+      ayah: location.ayah,
+      mistakeType: type,
+      mistakeIds: [],
+      createdAt: now,
+      due: now,
+      interval: 0,
+      ease: INITIAL_EASE,
+      reps: 0,
+      lapses: 0,
+      lastReviewedAt: null,
+      history: [],
+    };
+    const relapsed = card.lastReviewedAt !== null && mistake.timestamp > card.lastReviewedAt;
+    changed.set(id, {
+      ...card,
+      mistakeIds: [...card.mistakeIds, mistake.id],
+      due: relapsed ? Math.min(card.due, now) : card.due,
+    });
+  }
+  return [...changed.values()];
+}
+
+// Grade 0-5 for a card from the transcript entry of its ayah. Word accuracy sets the grade; the
+// card's own mistake type turning up again fails it whatever the accuracy.
+export function gradeRecitation(entry, card, mistakesById) {
+  const total = entry.words.length;
+  const correct = entry.wordStatus.filter(status => status === WORD_STATUS.correct).length;
+  const accuracy = total === 0 ? 0 : correct / total;
+  const repeated = entry.mistakes
+    .map(id => mistakesById.get(id))
+    .filter(mistake => mistake && classifyMistake(mistake.mistake_type).id === card.mistakeType)
+    .length;
+  let grade;
+  if (repeated > 0) grade = accuracy >= 0.85 ? 2 : 1;
+  else if (accuracy === 1) grade = 5;
+  else if (accuracy >= 0.95) grade = 4;
+  else if (accuracy >= 0.85) grade = 3;
+  else if (accuracy >= 0.6) grade = 2;
+  else grade = accuracy > 0 ? 1 : 0;
+  return { grade, accuracy, repeated };
+}
+
+// SM-2: the ease factor moves with every grade; a failing grade restarts the repetitions
+export function scheduleReview(card, grade, accuracy, now = Date.now()) {
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  const history = [...card.history, { at: now, grade, accuracy }];
+  if (grade < PASSING_GRADE) {
+    return { ...card, ease, reps: 0, lapses: card.lapses + 1, interval: 0, due: now + RELEARN_MS, lastReviewedAt: now, history };
+  }
+  const reps = card.reps + 1;
+  const interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(card.interval * ease);
+  return { ...card, ease, reps, interval, due: now + interval * DAY_MS, lastReviewedAt: now, history };
+}
+
+export const dueCards = (cards, now = Date.now()) => cards.filter(card => card.due <= now);
+
+// Drill order for due cards: one stop per ayah (all its cards are graded from one recitation), in
+// mushaf order, at most `limit` ayat
+export function planDrill(cards, now = Date.now(), limit = 10) {
+  const stops = new Map();
+  dueCards(cards, now).forEach((card) => {
+    const key = verseKey(card.surah, card.ayah);
+    if (!stops.has(key)) stops.set(key, { surah: card.surah, ayah: card.ayah, cardIds: [] });
+    stops.get(key).cardIds.push(card.id);
+  });
+  return [...stops.values()]
+    .sort((a, b) => a.surah - b.surah || a.ayah - b.ayah)
+    .slice(0, limit);
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { gradeRecitation, planDrill, scheduleReview, syncCardsFromMistakes } from './reviewScheduler.js';
+import { WORD_STATUS } from './transcript.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newCard = (extra = {}) => ({
+  id: '1:2|substitution',
+  surah: 1,
+  ayah: 2,
+  mistakeType: 'substitution',
+  mistakeIds: ['m1'],
+  createdAt: NOW,
+  due: NOW,
+  interval: 0,
+  ease: 2.5,
+  reps: 0,
+  lapses: 0,
+  lastReviewedAt: null,
+  history: [],
+  ...extra,
+});
+
+const entryWith = (statuses, mistakes = []) => ({
+  words: statuses.map((status, i) => `w${i}`),
+  wordStatus: statuses,
+  mistakes,
+});
+
+describe('scheduleReview', () => {
+  it('steps a passing card through 1 day, 6 days, then the interval times the ease', () => {
+    const first = scheduleReview(newCard(), 4, 0.95, NOW);
+    expect(first).toMatchObject({ reps: 1, interval: 1, ease: 2.5, due: NOW + DAY_MS, lastReviewedAt: NOW });
+    const second = scheduleReview(first, 5, 1, NOW);
+    expect(second).toMatchObject({ reps: 2, interval: 6, ease: 2.6 });
+    const third = scheduleReview(second, 3, 0.9, NOW);
+    expect(third.ease).toBeCloseTo(2.46);
+    expect(third).toMatchObject({ reps: 3, interval: Math.round(6 * third.ease), due: NOW + 15 * DAY_MS });
+    expect(third.history.map(h => h.grade)).toEqual([4, 5, 3]);
+  });
+
+  it('restarts a failed card and brings it back in the same sitting', () => {
+    const card = newCard({ reps: 3, interval: 15, lapses: 1 });
+    const failed = scheduleReview(card, 2, 0.7, NOW);
+    expect(failed).toMatchObject({ reps: 0, interval: 0, lapses: 2, due: NOW + 10 * 60 * 1000 });
+    expect(failed.ease).toBeCloseTo(2.18);
+  });
+
+  it('never lets the ease drop below 1.3', () => {
+    expect(scheduleReview(newCard({ ease: 1.4 }), 0, 0, NOW).ease).toBe(1.3);
+  });
+});
+
+describe('gradeRecitation', () => {
+  const card = newCard();
+  const { correct, replaced } = WORD_STATUS;
+
+  it('grades from the share of words recited correctly', () => {
+    expect(gradeRecitation(entryWith(Array(10).fill(correct)), card, new Map())).toEqual({ grade: 5, accuracy: 1, repeated: 0 });
+    expect(gradeRecitation(entryWith([...Array(9).fill(correct), replaced]), card, new Map()).grade).toBe(3);
+    expect(gradeRecitation(entryWith([correct, replaced]), card, new Map()).grade).toBe(1);
+    expect(gradeRecitation(entryWith([]), card, new Map())).toEqual({ grade: 0, accuracy: 0, repeated: 0 });
+  });
+
+  it('fails the card when its own mistake type comes back, however accurate the rest was', () => {
+    const mistakes = new Map([
+      ['again', { id: 'again', mistake_type: 'word_substitution' }],
+      ['other', { id: 'other', mistake_type: 'ghunna' }],
+    ]);
+    const entry = entryWith([...Array(9).fill(correct), replaced], ['again', 'other']);
+    expect(gradeRecitation(entry, card, mistakes)).toEqual({ grade: 2, accuracy: 0.9, repeated: 1 });
+    expect(gradeRecitation(entryWith([...Array(9).fill(correct), replaced], ['other']), card, mistakes).grade).toBe(3);
+  });
+});
+
+describe('planDrill', () => {
+  it('makes one stop per due ayah, in mushaf order', () => {
+    const cards = [
+      newCard({ id: '2:5|omission', surah: 2, ayah: 5 }),
+      newCard({ id: '1:2|substitution' }),
+      newCard({ id: '1:2|ghunna', mistakeType: 'ghunna' }),
+      newCard({ id: '1:7|omission', surah: 1, ayah: 7, due: NOW + DAY_MS }),
+    ];
+    expect(planDrill(cards, NOW)).toEqual([
+      { surah: 1, ayah: 2, cardIds: ['1:2|substitution', '1:2|ghunna'] },
+      { surah: 2, ayah: 5, cardIds: ['2:5|omission'] },
+    ]);
+    expect(planDrill(cards, NOW, 1)).toHaveLength(1);
+  });
+});
+
+describe('syncCardsFromMistakes', () => {
+  const mistake = (id, extra = {}) => ({
+    id, surah_number: 1, ayah_number: 2, mistake_type: 'word_substitution', verified: 'incorrect', timestamp: NOW, ...extra,
+  });
+
+  it('puts confirmed mistakes of the same ayah and type on one card', async () => {
+    const cards = await syncCardsFromMistakes([], [mistake('a'), mistake('b'), mistake('c', { verified: 'pending' })], NOW);
+    expect(cards).toEqual([newCard({ mistakeIds: ['a', 'b'] })]);
+    expect(await syncCardsFromMistakes(cards, [mistake('a')], NOW)).toEqual([]);
+  });
+
+  it('makes a reviewed card due again when the mistake is confirmed after the review', async () => {
+    const reviewed = newCard({ due: NOW + 6 * DAY_MS, lastReviewedAt: NOW - DAY_MS });
+    const [card] = await syncCardsFromMistakes([reviewed], [mistake('new', { timestamp: NOW - 1000 })], NOW);
+    expect(card).toMatchObject({ mistakeIds: ['m1', 'new'], due: NOW });
+  });
+});
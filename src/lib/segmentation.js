@@ -0,0 +1,117 @@
+// Splitting a recitation recording into ayah segments in the browser: decoding, silence detection,
+// labelling and WAV export of the kept segments. Audio is handled as 16 kHz mono, the rate the
+// recognition model uses, which also keeps a 20-minute recording at about 75 MB once decoded.
+
+import { encodeWav } from './wav.js';
+
+export const SEGMENT_SAMPLE_RATE = 16000;
+// Longer recordings need too much memory to decode on a phone; they should be split first
+export const MAX_EDITABLE_MS = 40 * 60 * 1000;
+
+export const DEFAULT_SEGMENTATION = {
+  frameMs: 20,
+  minSilenceMs: 600, // a pause at least this long ends an ayah
+  minSegmentMs: 1000, // shorter sounds (coughs, clicks) are not proposed as segments
+  paddingMs: 150, // kept on both sides so word edges aren't clipped
+};
+
+// Decodes any format the browser can play into 16 kHz mono samples
+export async function decodeRecording(blob) {
+  const data = await blob.arrayBuffer();
+  // An OfflineAudioContext decodes straight to its own sample rate
+  const context = new OfflineAudioContext(1, 1, SEGMENT_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(data);
+  const samples = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel += 1) {
+    const input = buffer.getChannelData(channel);
+    for (let i = 0; i < input.length; i += 1) samples[i] += input[i] / buffer.numberOfChannels;
+  }
+  return { samples, sampleRate: buffer.sampleRate, durationMs: Math.round(buffer.duration * 1000) };
+}
+
+const msToIndex = (ms, sampleRate) => Math.round((ms / 1000) * sampleRate);
+
+// Peak amplitude per column between fromMs and toMs, for drawing the waveform
+export function computePeaks(samples, sampleRate, fromMs, toMs, columns) {
+  const peaks = new Float32Array(columns);
+  const from = msToIndex(fromMs, sampleRate);
+  const perColumn = Math.max(1, (msToIndex(toMs, sampleRate) - from) / columns);
+  for (let column = 0; column < columns; column += 1) {
+    const start = Math.floor(from + column * perColumn);
+    const end = Math.min(samples.length, Math.floor(from + (column + 1) * perColumn));
+    let peak = 0;
+    for (let i = start; i < end; i += 1) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+    }
+    peaks[column] = peak;
+  }
+  return peaks;
+}
+
+// Candidate ayah segments [{startMs, endMs}] from the pauses in the recording. The speech threshold
+// adapts to the recording: a few times the background level, measured as a low percentile of the
+// frame energies.
+export function detectSegments(samples, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_SEGMENTATION, ...options };
+  const frameLength = msToIndex(opts.frameMs, sampleRate);
+  const energies = [];
+  for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+    let sum = 0;
+    for (let i = start; i < start + frameLength; i += 1) sum += samples[i] * samples[i];
+    energies.push(Math.sqrt(sum / frameLength));
+  }
+  if (energies.length === 0) return [];
+  const sorted = [...energies].sort((a, b) => a - b);
+  const floor = sorted[Math.floor(sorted.length * 0.1)];
+  const threshold = Math.max(floor * 3, 0.005);
+
+  const segments = [];
+  let start = null;
+  let silentFrames = 0;
+  const minSilenceFrames = Math.ceil(opts.minSilenceMs / opts.frameMs);
+  const close = (endFrame) => {
+    const startMs = start * opts.frameMs;
+    const endMs = endFrame * opts.frameMs;
+    if (endMs - startMs >= opts.minSegmentMs) segments.push({ startMs, endMs });
+    start = null;
+  };
+  energies.forEach((energy, frame) => {
+    if (energy >= threshold) {
+      if (start === null) start = frame;
+      silentFrames = 0;
+    } else if (start !== null) {
+      silentFrames += 1;
+      if (silentFrames >= minSilenceFrames) close(frame - silentFrames + 1);
+    }
+  });
+  if (start !== null) close(energies.length - silentFrames);
+
+  const durationMs = Math.round((samples.length / sampleRate) * 1000);
+  return segments.map((segment, i) => ({
+    startMs: Math.max(i > 0 ? segments[i - 1].endMs : 0, segment.startMs - opts.paddingMs),
+    endMs: Math.min(i + 1 < segments.length ? segments[i + 1].startMs : durationMs, segment.endMs + opts.paddingMs),
+  }));
+}
+
+// Numbers the kept segments with consecutive ayat of one surah, starting at fromAyah
+export function numberSegments(segments, surah, fromAyah) {
+  let ayah = fromAyah;
+  return segments.map((segment) => {
+    if (!segment.keep) return segment;
+    const labelled = { ...segment, surah, ayah };
+    ayah += 1;
+    return labelled;
+  });
+}
+
+// 16-bit WAV of one segment
+export function encodeSegment(samples, sampleRate, startMs, endMs) {
+  const slice = samples.subarray(msToIndex(startMs, sampleRate), msToIndex(endMs, sampleRate));
+  const pcm = new Int16Array(slice.length);
+  for (let i = 0; i < slice.length; i += 1) {
+    const value = Math.max(-1, Math.min(1, slice[i]));
+    pcm[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+  return encodeWav([pcm], sampleRate);
+}
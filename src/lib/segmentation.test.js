@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { detectSegments, numberSegments } from './segmentation.js';
+
+const RATE = 16000;
+
+// A recording made of [durationMs, amplitude] stretches of a 220 Hz tone (amplitude 0 is silence)
+function recording(parts) {
+  const total = parts.reduce((sum, [ms]) => sum + (ms * RATE) / 1000, 0);
+  const samples = new Float32Array(total);
+  let at = 0;
+  parts.forEach(([ms, amplitude]) => {
+    const length = (ms * RATE) / 1000;
+    for (let i = 0; i < length; i += 1) samples[at + i] = amplitude * Math.sin((2 * Math.PI * 220 * (at + i)) / RATE);
+    at += length;
+  });
+  return samples;
+}
+
+describe('detectSegments', () => {
+  it('splits at pauses and pads each segment without crossing its neighbours', () => {
+    const samples = recording([[500, 0], [2000, 0.3], [1000, 0], [1500, 0.3], [1000, 0], [100, 0.3], [500, 0]]);
+    expect(detectSegments(samples, RATE)).toEqual([
+      { startMs: 350, endMs: 2650 },
+      { startMs: 3350, endMs: 5150 },
+    ]);
+  });
+
+  it('keeps a word that follows a short breath in the same segment', () => {
+    const samples = recording([[500, 0], [1000, 0.3], [300, 0], [1000, 0.3], [1000, 0]]);
+    expect(detectSegments(samples, RATE)).toEqual([{ startMs: 350, endMs: 2950 }]);
+  });
+
+  it('closes a segment still going at the end of the recording', () => {
+    const samples = recording([[1000, 0], [1500, 0.3]]);
+    expect(detectSegments(samples, RATE)).toEqual([{ startMs: 850, endMs: 2500 }]);
+  });
+
+  it('sets the speech threshold above the background noise', () => {
+    const samples = recording([[1000, 0.05], [1500, 0.5], [1000, 0.05]]);
+    expect(detectSegments(samples, RATE)).toEqual([{ startMs: 850, endMs: 2650 }]);
+    expect(detectSegments(new Float32Array(0), RATE)).toEqual([]);
+  });
+});
+
+describe('numberSegments', () => {
+  it('numbers the kept segments with consecutive ayat', () => {
+    const segments = [{ keep: true }, { keep: false }, { keep: true }];
+    expect(numberSegments(segments, 1, 3)).toEqual([
+      { keep: true, surah: 1, ayah: 3 },
+      { keep: false },
+      { keep: true, surah: 1, ayah: 4 },
+    ]);
+  });
+});
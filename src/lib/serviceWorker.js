@@ -0,0 +1,63 @@
+// Registers the service worker (see src/sw.js) in production builds and reports when a new
+// version has been installed and is waiting, so the app can ask the user before reloading.
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// onUpdateReady(applyUpdate): a new version is waiting; call applyUpdate() to switch and reload.
+// onMessage(data): messages posted by the worker, e.g. {type: 'qra-replayed'} for queued requests.
+// Returns a cleanup function.
+export function registerServiceWorker({ onUpdateReady, onMessage } = {}) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return () => {};
+  const { serviceWorker } = navigator;
+
+  if (!import.meta.env.PROD) {
+    // A worker left over from a production build would serve stale assets to the dev server
+    serviceWorker.getRegistrations()
+      .then(registrations => registrations.forEach(registration => registration.unregister()))
+      .catch(() => {});
+    return () => {};
+  }
+
+  let updateAccepted = false;
+  let updateTimer = null;
+
+  const notify = (worker) => {
+    onUpdateReady?.(() => {
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  };
+
+  // Only reload for an update the user accepted; the first install also changes the controller
+  const handleControllerChange = () => {
+    if (updateAccepted) window.location.reload();
+  };
+  const handleMessage = (event) => onMessage?.(event.data);
+  // Browsers without Background Sync replay queued requests when the page sees the network return
+  const handleOnline = () => serviceWorker.controller?.postMessage({ type: 'REPLAY' });
+
+  serviceWorker.addEventListener('controllerchange', handleControllerChange);
+  serviceWorker.addEventListener('message', handleMessage);
+  window.addEventListener('online', handleOnline);
+
+  serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting && serviceWorker.controller) notify(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && serviceWorker.controller) notify(worker);
+        });
+      });
+      updateTimer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+      if (navigator.onLine) handleOnline();
+    })
+    .catch(error => console.error('Service worker registration failed:', error));
+
+  return () => {
+    clearInterval(updateTimer);
+    serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    serviceWorker.removeEventListener('message', handleMessage);
+    window.removeEventListener('online', handleOnline);
+  };
+}
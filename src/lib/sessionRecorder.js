@@ -0,0 +1,57 @@
+// Keeps the audio of a listening session together with a timeline of what the backend reported,
+// so the session can be played back later with every verse, word and mistake at its place in the
+// recording. Times are ms on the capture clock (audioCapture.js 'elapsedMs'), the same clock the
+// audio frames are stamped with; messages arrive a little after the audio they describe.
+
+import { TARGET_SAMPLE_RATE } from './audioCapture.js';
+import { encodeWav } from './wav.js';
+
+export function createSessionRecorder({ id, passage = null }) {
+  const startedAt = Date.now();
+  const pcm = [];
+  const container = [];
+  let containerType = '';
+  let samples = 0;
+  const events = []; // [{type: 'verse_identified' | 'mistake_event', atMs, ...}]
+
+  return {
+    id,
+    startedAt,
+    // data: Int16Array of 16 kHz PCM, or a container Blob (MediaRecorder fallback)
+    addAudio(data) {
+      if (data instanceof Int16Array) {
+        pcm.push(data);
+        samples += data.length;
+      } else {
+        container.push(data);
+        containerType = data.type || containerType;
+      }
+    },
+    mark(event) {
+      events.push(event);
+    },
+    // Returns {blob, session} for storage, or null when no audio was captured
+    finish({ transcript, mistakeIds }) {
+      const endedAt = Date.now();
+      let blob = null;
+      if (pcm.length > 0) blob = encodeWav(pcm, TARGET_SAMPLE_RATE);
+      else if (container.length > 0) blob = new Blob(container, { type: containerType });
+      if (!blob) return null;
+      return {
+        blob,
+        session: {
+          id,
+          startedAt,
+          endedAt,
+          durationMs: pcm.length > 0 ? (samples / TARGET_SAMPLE_RATE) * 1000 : endedAt - startedAt,
+          passage,
+          transcript,
+          events,
+          mistakeIds,
+          mimeType: blob.type,
+          audioId: null, // set once the recording is stored
+        },
+      };
+    },
+  };
+}
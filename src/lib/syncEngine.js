@@ -0,0 +1,308 @@
+// Uploads unsynced mistakes to /sync-mistakes/ through a persistent outbox (IndexedDB).
+//
+// Every change to a mistake bumps its 'revision'; the pair (id, revision) is the idempotency key,
+// so a batch that is retried after a lost response cannot be applied twice, and an acknowledgement
+// only clears the revision that was actually sent. A change made while a request is in flight stays
+// queued and goes out in the next batch.
+//
+// When the network is down the service worker (src/sw.js) may take a batch over and answer 202
+// {status: 'queued'}. The outbox entries are then dropped, but the mistakes are only marked synced
+// once the worker reports the replayed request through acknowledge(); if the page is closed before
+// that, the next load re-queues them and the idempotency keys keep the backend from storing twice.
+//
+// When the server refuses a batch outright (a 4xx other than those listed in RETRIED_CLIENT_ERRORS,
+// e.g. 422 for a record it can't validate or 409 for one that conflicts with its copy), the batch is
+// split until the refused records are isolated. Only those are parked as 'rejected', with the
+// server's reason; the learner can retry them (retryRejected) or stop offering them (discardRejected).
+//
+// Requests are {profile_id, mistakes: [...]}, profile_id being the learner the mistakes belong to
+// (see lib/profiles.js). Each record is sent as stored (see lib/mistakeRecord.js) without the local
+// 'synced' flag, plus 'verse_key' ('surah:ayah', null when the ayah is unknown) and
+// 'idempotency_key'. Records from before schema_version 2 only carry sura, aya, the segments,
+// mistake_type, timestamp and verified.
+
+import {
+  getMeta,
+  getOutbox,
+  discardRejectedOutbox,
+  markOutboxRejected,
+  putOutboxEntries,
+  removeOutboxEntries,
+  retryRejectedOutbox,
+  setMeta,
+} from './db.js';
+import { verseKey } from './quran.js';
+
+export const SYNC_STATES = {
+  idle: 'idle',
+  syncing: 'syncing',
+  error: 'error', // last attempt failed, a retry is scheduled
+  offline: 'offline',
+};
+
+const DEFAULTS = {
+  maxBatchSize: 50,
+  maxBatchBytes: 256 * 1024,
+  baseRetryMs: 5000,
+  maxRetryMs: 10 * 60 * 1000,
+  periodicMs: 60000,
+  debounceMs: 2000,
+};
+
+export const idempotencyKeyFor = (mistake) => `${mistake.id}:${mistake.revision || 1}`;
+
+// The record as sent to the backend: local-only fields stripped, idempotency data added
+export function toSyncPayload(mistake) {
+  const { synced, ...rest } = mistake;
+  return {
+    ...rest,
+    schema_version: mistake.schema_version ?? 1,
+    verse_key: mistake.surah_number && mistake.ayah_number ? verseKey(mistake.surah_number, mistake.ayah_number) : null,
+    revision: mistake.revision || 1,
+    idempotency_key: idempotencyKeyFor(mistake),
+  };
+}
+
+// Short stable hash (FNV-1a) so a retried batch sends the same Idempotency-Key header
+function hashKeys(keys) {
+  let hash = 0x811c9dc5;
+  const text = keys.join('|');
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `batch-${hash.toString(16)}-${keys.length}`;
+}
+
+// Splits entries into batches capped by count and by serialized size
+function makeBatches(entries, { maxBatchSize, maxBatchBytes }) {
+  const batches = [];
+  let current = [];
+  let bytes = 0;
+  entries.forEach((entry) => {
+    const size = JSON.stringify(entry.payload).length;
+    if (current.length > 0 && (current.length >= maxBatchSize || bytes + size > maxBatchBytes)) {
+      batches.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(entry);
+    bytes += size;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// Client errors that say nothing about the records: credentials (401/403), a backend without the
+// endpoint yet (404), timeouts and rate limits. They are retried with backoff like server errors.
+const RETRIED_CLIENT_ERRORS = [401, 403, 404, 408, 429];
+
+// Requests that will never succeed as-is (bad or conflicting records); retrying them would block the outbox
+const isPermanentFailure = (status) => status >= 400 && status < 500 && !RETRIED_CLIENT_ERRORS.includes(status);
+
+export function createSyncEngine({ url, profileId, onStatus, onSynced, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  let status = { state: SYNC_STATES.idle, pending: 0, rejected: 0, rejectReason: null, lastSyncedAt: null, lastError: null, nextRetryAt: null };
+  let running = false;
+  let flushAgain = false; // something was queued while a flush was running
+  let failures = 0;
+  let retryTimer = null;
+  let debounceTimer = null;
+  let periodicTimer = null;
+  let stopped = false;
+
+  const setStatus = (patch) => {
+    status = { ...status, ...patch };
+    onStatus?.(status);
+  };
+
+  const refreshCounts = async () => {
+    const outbox = await getOutbox();
+    const rejected = outbox.filter(e => e.rejected && !e.discarded);
+    setStatus({
+      pending: outbox.filter(e => !e.rejected).length,
+      rejected: rejected.length,
+      rejectReason: rejected.length > 0 ? rejected[rejected.length - 1].rejectReason : null,
+    });
+    return outbox;
+  };
+
+  const markSyncedNow = () => {
+    const lastSyncedAt = Date.now();
+    setMeta('lastSyncedAt', lastSyncedAt).catch(() => {});
+    setStatus({ lastSyncedAt });
+  };
+
+  const scheduleRetry = () => {
+    const delay = Math.min(opts.maxRetryMs, opts.baseRetryMs * 2 ** failures);
+    const jittered = Math.round(delay / 2 + Math.random() * (delay / 2));
+    failures += 1;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => { retryTimer = null; flush(); }, jittered);
+    return Date.now() + jittered;
+  };
+
+  async function sendBatch(batch) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // Batch-level key; each record also carries its own idempotency_key
+        'Idempotency-Key': hashKeys(batch.map(e => e.idempotencyKey)),
+      },
+      body: JSON.stringify({ profile_id: profileId, mistakes: batch.map(e => e.payload) }),
+    });
+    if (!response.ok) {
+      const error = new Error(`Sync failed: ${response.status}`);
+      error.status = response.status;
+      error.detail = (await response.json().catch(() => null))?.detail;
+      throw error;
+    }
+    if (response.status === 202) {
+      const body = await response.clone().json().catch(() => null);
+      if (body && body.status === 'queued') return { queued: true };
+    }
+    return { queued: false };
+  }
+
+  // Sends a batch, splitting it in halves while the server refuses it so that only the records it
+  // won't take are parked. Returns how many requests the backend applied directly.
+  async function deliver(batch) {
+    const acks = batch.map(e => ({ mistakeId: e.mistakeId, revision: e.revision }));
+    let result;
+    try {
+      result = await sendBatch(batch);
+    } catch (error) {
+      if (!isPermanentFailure(error.status)) throw error;
+      if (batch.length > 1) {
+        const half = Math.ceil(batch.length / 2);
+        return (await deliver(batch.slice(0, half))) + (await deliver(batch.slice(half)));
+      }
+      console.error('Sync record rejected by server, parking it:', error);
+      await markOutboxRejected(acks, error.detail || error.message);
+      return 0;
+    }
+    await removeOutboxEntries(acks);
+    if (result.queued) return 0;
+    onSynced?.(acks);
+    return 1;
+  }
+
+  async function flush() {
+    if (stopped) return;
+    if (running) {
+      flushAgain = true;
+      return;
+    }
+    flushAgain = false;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      setStatus({ state: SYNC_STATES.offline });
+      return;
+    }
+    running = true;
+    try {
+      const outbox = (await refreshCounts()).filter(e => !e.rejected);
+      if (outbox.length === 0) {
+        setStatus({ state: SYNC_STATES.idle, nextRetryAt: null });
+        return;
+      }
+      setStatus({ state: SYNC_STATES.syncing });
+      let delivered = 0;
+      for (const batch of makeBatches(outbox, opts)) {
+        delivered += await deliver(batch);
+      }
+      failures = 0;
+      if (delivered > 0) markSyncedNow();
+      setStatus({ state: SYNC_STATES.idle, lastError: null, nextRetryAt: null });
+    } catch (error) {
+      console.error('Sync mistakes error', error);
+      setStatus({ state: SYNC_STATES.error, lastError: error.message, nextRetryAt: scheduleRetry() });
+    } finally {
+      running = false;
+      refreshCounts().catch(() => {});
+    }
+    // Entries queued during the requests above go out now rather than with the periodic sync
+    if (flushAgain) flushUnlessBackingOff();
+  }
+
+  // Background triggers wait out a backoff in progress; only 'online' and "Sync now" cut it short
+  const flushUnlessBackingOff = () => {
+    if (!retryTimer) flush();
+  };
+
+  const handleOnline = () => {
+    failures = 0;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    flush();
+  };
+  const handleOffline = () => setStatus({ state: SYNC_STATES.offline });
+  // Sync when the app comes back to the foreground, and try to get data out before it is backgrounded
+  const handleVisibility = () => flushUnlessBackingOff();
+
+  return {
+    get status() {
+      return status;
+    },
+    async start() {
+      stopped = false;
+      window.addEventListener('online', handleOnline);
+      window.addEventListener('offline', handleOffline);
+      document.addEventListener('visibilitychange', handleVisibility);
+      periodicTimer = setInterval(flushUnlessBackingOff, opts.periodicMs);
+      const lastSyncedAt = await getMeta('lastSyncedAt').catch(() => null);
+      setStatus({ lastSyncedAt: lastSyncedAt || null });
+      flush();
+    },
+    stop() {
+      stopped = true;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      clearInterval(periodicTimer);
+      clearTimeout(retryTimer);
+      clearTimeout(debounceTimer);
+    },
+    // Queues the current revision of each mistake and syncs shortly after
+    async enqueue(mistakes) {
+      if (mistakes.length === 0) return;
+      const queuedAt = Date.now();
+      await putOutboxEntries(mistakes.map(m => ({
+        mistakeId: m.id,
+        revision: m.revision || 1,
+        idempotencyKey: idempotencyKeyFor(m),
+        payload: toSyncPayload(m),
+        queuedAt,
+      })));
+      await refreshCounts();
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(flushUnlessBackingOff, opts.debounceMs);
+    },
+    // Re-reads the pending/rejected counts, e.g. after deleted mistakes took their outbox entries with them
+    refresh() {
+      return refreshCounts();
+    },
+    // Batches delivered later by the service worker's replay queue
+    acknowledge(acks) {
+      if (acks.length === 0) return;
+      markSyncedNow();
+      onSynced?.(acks);
+    },
+    // Manual "sync now": skips any backoff in progress
+    syncNow() {
+      failures = 0;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      return flush();
+    },
+    // Offers the rejected records to the server again, e.g. once the backend has been fixed
+    async retryRejected() {
+      await retryRejectedOutbox();
+      return this.syncNow();
+    },
+    async discardRejected() {
+      await discardRejectedOutbox();
+      await refreshCounts();
+    },
+  };
+}
@@ -0,0 +1,119 @@
+// Session transcript: every ayah recited in a listening session with its per-word status,
+// built up from 'verse_identified', 'diff_update' and 'mistake_event' messages.
+// 'atMs' arguments are positions on the session recording's timeline (see sessionRecorder.js).
+
+import { buildDiffTokens, TOKEN_KINDS } from './diff.js';
+import { findSurahNumber } from './quran.js';
+import { findSegmentOccurrences, nearestOccurrence, splitAyahWords } from './arabic.js';
+
+export const WORD_STATUS = {
+  pending: 'pending', // not reached yet in the diff
+  correct: 'correct',
+  missed: 'missed',
+  replaced: 'replaced',
+  inserted: 'inserted',
+};
+
+export function createAyahEntry(message, atMs = null) {
+  const words = splitAyahWords(message.ayah_text);
+  return {
+    id: crypto.randomUUID(),
+    suraName: message.sura_name,
+    suraNumber: findSurahNumber(message.sura_name),
+    ayahNumber: Number(message.ayah_number),
+    text: message.ayah_text,
+    words,
+    wordStatus: words.map(() => WORD_STATUS.pending),
+    replacements: {}, // reference word index -> transcribed word
+    insertions: [], // [{position, word}] extra words the reciter added (position in the diff tokens)
+    diff: [], // latest raw diff for this ayah
+    mistakes: [], // mistake ids recorded while this ayah was current
+    mistakeMarks: {}, // reference word index -> mistake_type, for colour coding
+    hints: {}, // reference word index -> hint given in hifz mode (see hifz.js)
+    startedAt: Date.now(),
+    audioOffsetMs: atMs, // when the ayah was identified, in the session recording
+    wordTimes: {}, // reference word index -> when the diff first reached that word, in the recording
+  };
+}
+
+// Folds a diff into the entry. Each diff_update describes the whole ayah so far, so statuses
+// are recomputed from it rather than accumulated.
+export function applyDiff(entry, diff, atMs = null) {
+  const wordStatus = entry.words.map(() => WORD_STATUS.pending);
+  const replacements = {};
+  const insertions = [];
+  buildDiffTokens(entry.words, diff).forEach((token, position) => {
+    if (token.kind === TOKEN_KINDS.inserted) {
+      insertions.push({ position, word: token.word });
+    } else if (token.kind === TOKEN_KINDS.equal) {
+      wordStatus[token.refIndex] = WORD_STATUS.correct;
+    } else if (token.kind === TOKEN_KINDS.missed) {
+      wordStatus[token.refIndex] = WORD_STATUS.missed;
+    } else if (token.kind === TOKEN_KINDS.replaced) {
+      wordStatus[token.refIndex] = WORD_STATUS.replaced;
+      if (token.said) replacements[token.refIndex] = token.said;
+    }
+  });
+  let wordTimes = entry.wordTimes || {};
+  if (atMs !== null) {
+    const reached = wordStatus.map((status, i) => i).filter(i => wordStatus[i] !== WORD_STATUS.pending && wordTimes[i] === undefined);
+    if (reached.length > 0) {
+      wordTimes = { ...wordTimes };
+      reached.forEach((i) => { wordTimes[i] = atMs; });
+    }
+  }
+  return { ...entry, wordStatus, replacements, insertions, diff, wordTimes };
+}
+
+// Adds a newly identified ayah, unless the backend is re-announcing the ayah already in progress
+export function appendAyah(transcript, message, atMs = null) {
+  const last = transcript[transcript.length - 1];
+  if (last && last.suraName === message.sura_name && last.ayahNumber === Number(message.ayah_number)) {
+    return transcript;
+  }
+  return [...transcript, createAyahEntry(message, atMs)];
+}
+
+// Applies a function to the ayah currently being recited (the last one)
+export function updateCurrentAyah(transcript, update) {
+  if (transcript.length === 0) return transcript;
+  const next = transcript.slice();
+  next[next.length - 1] = update(next[next.length - 1]);
+  return next;
+}
+
+const isIssue = status => status === WORD_STATUS.missed || status === WORD_STATUS.replaced;
+
+// Reference word range {start, end} (inclusive) a mistake_event refers to, or null. The reference
+// segment (else the single reference word) is matched against the ayah; when it occurs more than
+// once, the occurrence the diff has flagged wins, then the one nearest the last word reached.
+export function locateMistakeWords(entry, message) {
+  const occurrences = findSegmentOccurrences(entry.words, message.reference_segment || message.reference_word || '');
+  if (occurrences.length === 0) {
+    // The segment can include words the reciter added; fall back to the flagged word on its own
+    if (!message.reference_segment || !message.reference_word || message.reference_segment === message.reference_word) return null;
+    return locateMistakeWords(entry, { reference_word: message.reference_word });
+  }
+  const reached = entry.wordStatus.reduce((last, status, i) => (status === WORD_STATUS.pending ? last : i), -1);
+  const flagged = ({ start, end }) => entry.wordStatus.slice(start, end + 1).some(isIssue);
+  return occurrences.find(flagged) ?? nearestOccurrence(occurrences, reached);
+}
+
+// Links a mistake_event to the ayah and marks the words it refers to (when they can be located)
+export function markMistake(entry, message, mistakeId) {
+  const range = locateMistakeWords(entry, message);
+  const mistakeMarks = { ...entry.mistakeMarks };
+  if (range) {
+    for (let i = range.start; i <= range.end; i += 1) mistakeMarks[i] = message.mistake_type;
+  }
+  return {
+    ...entry,
+    mistakes: [...entry.mistakes, mistakeId],
+    mistakeMarks,
+  };
+}
+
+export function countIssues(entry) {
+  return entry.wordStatus.filter(isIssue).length
+    + entry.insertions.length;
+}
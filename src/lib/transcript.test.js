@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { appendAyah, applyDiff, countIssues, createAyahEntry, locateMistakeWords, markMistake, WORD_STATUS } from './transcript.js';
+
+const verse = (ayahNumber, text) => ({ sura_name: 'Al-Fatihah', ayah_number: String(ayahNumber), ayah_text: text });
+const AYAH_2 = verse(2, 'ٱلْحَمْدُ لِلَّهِ رَبِّ ٱلْعَٰلَمِينَ');
+// Al-Baqarah 2:255 repeats words, which is what locating a mistake has to cope with
+const REPEATING = { sura_name: 'Al-Baqarah', ayah_number: '255', ayah_text: 'لَهُۥ مَا فِى ٱلسَّمَٰوَٰتِ وَمَا فِى ٱلْأَرْضِ' };
+
+describe('createAyahEntry', () => {
+  it('splits the ayah into words, all pending', () => {
+    const entry = createAyahEntry(AYAH_2, 1200);
+    expect(entry).toMatchObject({ suraNumber: 1, ayahNumber: 2, audioOffsetMs: 1200 });
+    expect(entry.words).toHaveLength(4);
+    expect(entry.wordStatus).toEqual(Array(4).fill(WORD_STATUS.pending));
+  });
+});
+
+describe('applyDiff', () => {
+  it('recomputes the word statuses from each diff, keeping when each word was first reached', () => {
+    const entry = createAyahEntry(AYAH_2);
+    const first = applyDiff(entry, [{ type: 'equal', index: 0 }, { type: 'deletion', index: 1 }], 500);
+    expect(first.wordStatus).toEqual(['correct', 'missed', 'pending', 'pending']);
+    const second = applyDiff(first, [
+      { type: 'equal', index: 0 },
+      { type: 'equal', index: 1 },
+      { type: 'replacement_ref', index: 2 },
+      { type: 'replacement_trans', word: 'رَبُّ' },
+      { type: 'insertion', word: 'كُلِّ' },
+    ], 900);
+    expect(second.wordStatus).toEqual(['correct', 'correct', 'replaced', 'pending']);
+    expect(second.replacements).toEqual({ 2: 'رَبُّ' });
+    expect(second.insertions).toEqual([{ position: 3, word: 'كُلِّ' }]);
+    expect(second.wordTimes).toEqual({ 0: 500, 1: 500, 2: 900 });
+    expect(countIssues(second)).toBe(2);
+  });
+});
+
+describe('appendAyah', () => {
+  it('ignores the backend announcing the current ayah again', () => {
+    const transcript = appendAyah([], AYAH_2);
+    expect(appendAyah(transcript, AYAH_2)).toBe(transcript);
+    expect(appendAyah(transcript, verse(3, 'ٱلرَّحْمَٰنِ ٱلرَّحِيمِ'))).toHaveLength(2);
+  });
+});
+
+describe('locateMistakeWords', () => {
+  it('matches the reference segment ignoring harakat', () => {
+    const entry = createAyahEntry(AYAH_2);
+    expect(locateMistakeWords(entry, { reference_segment: 'رب العلمين' })).toEqual({ start: 2, end: 3 });
+    expect(locateMistakeWords(entry, { reference_segment: 'مالك' })).toBeNull();
+  });
+
+  it('prefers the occurrence the diff flagged, then the one nearest the last word reached', () => {
+    const entry = createAyahEntry(REPEATING);
+    const whole = [0, 1, 2, 3, 4, 5, 6].map(index => ({ type: index === 2 ? 'deletion' : 'equal', index }));
+    expect(locateMistakeWords(applyDiff(entry, whole), { reference_segment: 'فِى' })).toEqual({ start: 2, end: 2 });
+    const clean = applyDiff(entry, whole.slice(0, 6).map(d => ({ ...d, type: 'equal' })));
+    expect(locateMistakeWords(clean, { reference_segment: 'فِى' })).toEqual({ start: 5, end: 5 });
+  });
+
+  it('falls back to the flagged word when the segment includes words the reciter added', () => {
+    const entry = createAyahEntry(AYAH_2);
+    const message = { reference_segment: 'رَبِّ كُلِّ', reference_word: 'رَبِّ', mistake_type: 'word_addition' };
+    expect(locateMistakeWords(entry, message)).toEqual({ start: 2, end: 2 });
+    expect(markMistake(entry, message, 'm1')).toMatchObject({ mistakes: ['m1'], mistakeMarks: { 2: 'word_addition' } });
+  });
+});
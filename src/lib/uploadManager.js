@@ -0,0 +1,382 @@
+// Training audio uploads: a queue of files, each checked on the device, tagged with what was
+// recited and uploaded in resumable chunks, one file at a time.
+//
+// Chunked upload protocol, under /upload-training-audio/sessions/:
+//   POST   sessions/               {profile_id, file_name, file_size, mime_type, sample_type, duration_ms,
+//                                   sample_rate, channels, surah, from_ayah, to_ayah, reciting_style}
+//                                   -> {upload_id, chunk_size?}
+//   PUT    sessions/<id>           chunk bytes, Content-Range: bytes <first>-<last>/<total>
+//                                   -> {received_bytes}; 409 {received_bytes} when the offset is not the expected one
+//   GET    sessions/<id>           -> {received_bytes}; 404 when the session has expired
+//   POST   sessions/<id>/complete  the same fields as the first POST (tags may have changed) -> {status}
+//   DELETE sessions/<id>           cancels the upload
+// A backend without these routes answers 404 to the first POST; the file is then posted whole to
+// /upload-training-audio/ with the same fields as query parameters. Files that fit in one chunk
+// (e.g. single ayat cut out with the segment editor) are always posted whole.
+//
+// Queue items are kept in IndexedDB (uploadQueue, with the file in the audio store; see lib/db.js),
+// so after a reload an interrupted upload asks the backend how much it has and continues from there.
+
+import {
+  addTrainingUpload,
+  deleteUploadQueueItem,
+  getAudioForOwner,
+  getUploadQueue,
+  putUploadQueueItem,
+  saveAudio,
+} from './db.js';
+import { isValidAyah } from './quran.js';
+import { probeAudioFile } from './audioProbe.js';
+
+export const UPLOAD_STATES = {
+  idle: 'idle', // added, not started
+  queued: 'queued', // waiting for its turn (or for the connection to return)
+  uploading: 'uploading',
+  paused: 'paused',
+  failed: 'failed',
+};
+
+export const RECITING_STYLES = [
+  { id: 'murattal', label: 'Murattal' },
+  { id: 'mujawwad', label: 'Mujawwad' },
+  { id: 'hadr', label: 'Hadr (fast)' },
+  { id: 'tadwir', label: 'Tadwir (medium)' },
+  { id: 'tahqiq', label: 'Tahqiq (slow, for learning)' },
+];
+
+export const SAMPLE_TYPES = {
+  recitation: 'initial_recitation_upload', // a whole recording, e.g. a ruku
+  ayahSegment: 'ayah_segment', // one ayah cut from a recording (see lib/segmentation.js)
+};
+
+export const DEFAULT_UPLOAD_TAGS = { surah: null, fromAyah: null, toAyah: null, style: 'murattal' };
+
+export const UPLOAD_LIMITS = {
+  maxBytes: 300 * 1024 * 1024,
+  minDurationMs: 5000,
+  minSegmentMs: 500, // for ayah segments; short ayat take a second or two
+  maxDurationMs: 90 * 60 * 1000,
+  minSampleRate: 16000, // what the recognition model is trained at
+};
+
+const AUDIO_EXTENSIONS = /\.(mp3|wav|m4a|aac|mp4|ogg|oga|opus|flac|webm|3gp|amr)$/i;
+
+const DEFAULTS = {
+  chunkSize: 1024 * 1024,
+  maxAttempts: 5, // per request, before the item is marked failed
+  baseRetryMs: 2000,
+  maxRetryMs: 60000,
+};
+
+const formatMb = bytes => `${Math.round(bytes / (1024 * 1024))} MB`;
+const formatMinutes = ms => `${Math.round(ms / 60000)} min`;
+
+// {problems, warnings}: problems block the upload, warnings are shown next to the file
+export function validateUpload(item) {
+  const problems = [];
+  const warnings = [];
+  if (!(item.type || '').startsWith('audio/') && !AUDIO_EXTENSIONS.test(item.name)) problems.push('Not an audio file.');
+  if (item.size > UPLOAD_LIMITS.maxBytes) problems.push(`Larger than ${formatMb(UPLOAD_LIMITS.maxBytes)}; split the recording into parts.`);
+  if (item.size === 0) problems.push('The file is empty.');
+
+  const { durationMs = null, sampleRate = null } = item.probe || {};
+  if (item.probe && durationMs === null) warnings.push('Could not read the duration in this browser.');
+  const minDurationMs = item.sampleType === SAMPLE_TYPES.ayahSegment ? UPLOAD_LIMITS.minSegmentMs : UPLOAD_LIMITS.minDurationMs;
+  if (durationMs !== null && durationMs < minDurationMs) problems.push(`Shorter than ${minDurationMs / 1000} seconds.`);
+  if (durationMs !== null && durationMs > UPLOAD_LIMITS.maxDurationMs) {
+    problems.push(`Longer than ${formatMinutes(UPLOAD_LIMITS.maxDurationMs)}; split the recording into parts.`);
+  }
+  if (sampleRate !== null && sampleRate < UPLOAD_LIMITS.minSampleRate) {
+    problems.push(`Recorded at ${sampleRate} Hz; at least ${UPLOAD_LIMITS.minSampleRate / 1000} kHz is needed.`);
+  }
+
+  const { surah, fromAyah, toAyah } = item.tags;
+  if (!surah) problems.push('Choose the surah recited.');
+  else if (!isValidAyah(surah, fromAyah) || !isValidAyah(surah, toAyah) || fromAyah > toAyah) problems.push('Enter the ayat recited.');
+  return { problems, warnings };
+}
+
+// What the backend is told about a file; profileId is the learner it was recorded by
+const describe = (item, profileId) => ({
+  profile_id: profileId,
+  file_name: item.name,
+  file_size: item.size,
+  mime_type: item.type || 'application/octet-stream',
+  sample_type: item.sampleType,
+  duration_ms: item.probe?.durationMs ?? null,
+  sample_rate: item.probe?.sampleRate ?? null,
+  channels: item.probe?.channels ?? null,
+  surah: item.tags.surah,
+  from_ayah: item.tags.fromAyah,
+  to_ayah: item.tags.toAyah,
+  reciting_style: item.tags.style,
+  ...item.fields,
+});
+
+// Requests that will never succeed as they are; retrying would only delay the error
+const isPermanentFailure = status => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+class UploadError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.permanent = status !== null && isPermanentFailure(status);
+  }
+}
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// onChange(items) after every change, in queue order; onUploaded(item, response) once a file is done
+export function createUploadManager({ baseUrl, profileId, onChange, onUploaded, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const uploadUrl = `${baseUrl}/upload-training-audio/`;
+  const sessionsUrl = `${uploadUrl}sessions/`;
+  let items = [];
+  const files = new Map(); // item id -> Blob, filled lazily from IndexedDB
+  let active = null; // {id, controller} of the upload in progress
+  let stopped = true;
+
+  const emit = () => onChange?.(items);
+  const find = id => items.find(item => item.id === id);
+
+  const update = (id, patch) => {
+    if (!find(id)) return;
+    items = items.map(item => (item.id === id ? { ...item, ...patch } : item));
+    emit();
+    putUploadQueueItem(find(id)).catch(error => console.error('Failed to save upload queue:', error));
+  };
+
+  const getFile = async (id) => {
+    if (!files.has(id)) {
+      const [stored] = await getAudioForOwner(id);
+      if (stored) files.set(id, stored.blob);
+    }
+    return files.get(id) ?? null;
+  };
+
+  // Retries network errors and server errors with backoff; `accept` lists non-2xx statuses the
+  // caller handles itself
+  async function send(makeRequest, signal, accept = []) {
+    for (let attempt = 1; ; attempt += 1) {
+      let response = null;
+      let failure;
+      try {
+        response = await makeRequest();
+        if (response.ok || accept.includes(response.status)) return response;
+        failure = new UploadError(`Server answered ${response.status}`, response.status);
+      } catch (error) {
+        if (signal.aborted) throw error;
+        failure = new UploadError(isOffline() ? 'Waiting for a connection.' : 'Network error.');
+      }
+      if (failure.permanent || attempt >= opts.maxAttempts || isOffline()) throw failure;
+      const delay = Math.min(opts.maxRetryMs, opts.baseRetryMs * 2 ** (attempt - 1));
+      await wait(Math.round(delay / 2 + Math.random() * (delay / 2)), signal);
+    }
+  }
+
+  const json = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  async function uploadWhole(item, file, signal) {
+    const params = new URLSearchParams();
+    Object.entries(describe(item, profileId)).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) params.set(key, value);
+    });
+    const formData = new FormData();
+    formData.append('file', file, item.name);
+    const response = await send(() => fetch(`${uploadUrl}?${params.toString()}`, { method: 'POST', body: formData, signal }), signal);
+    update(item.id, { receivedBytes: item.size });
+    return response.json();
+  }
+
+  async function uploadChunked(item, file, signal) {
+    let { uploadId, receivedBytes } = item;
+    let chunkSize = item.chunkSize || opts.chunkSize;
+    if (uploadId) {
+      const response = await send(() => fetch(`${sessionsUrl}${uploadId}`, { signal }), signal, [404]);
+      if (response.status === 404) uploadId = null;
+      else receivedBytes = (await response.json()).received_bytes;
+    }
+    if (!uploadId) {
+      const response = await send(() => fetch(sessionsUrl, { ...json('POST', describe(item, profileId)), signal }), signal, [404, 405]);
+      if (response.status === 404 || response.status === 405) {
+        update(item.id, { chunked: false, receivedBytes: 0 });
+        return uploadWhole(item, file, signal);
+      }
+      const session = await response.json();
+      uploadId = session.upload_id;
+      chunkSize = session.chunk_size || opts.chunkSize;
+      receivedBytes = 0;
+      update(item.id, { chunked: true, uploadId, chunkSize });
+    }
+    update(item.id, { receivedBytes });
+
+    while (receivedBytes < file.size) {
+      const start = receivedBytes;
+      const end = Math.min(file.size, start + chunkSize);
+      const response = await send(() => fetch(`${sessionsUrl}${uploadId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Range': `bytes ${start}-${end - 1}/${file.size}` },
+        body: file.slice(start, end),
+        signal,
+      }), signal, [409]);
+      // On 409 the backend has a different offset (e.g. a chunk whose response was lost); continue from there
+      receivedBytes = (await response.json()).received_bytes;
+      update(item.id, { receivedBytes });
+    }
+    const response = await send(() => fetch(`${sessionsUrl}${uploadId}/complete`, { ...json('POST', describe(find(item.id) || item, profileId)), signal }), signal);
+    return response.json();
+  }
+
+  async function finish(item, result) {
+    const queued = result?.status === 'queued'; // answered by the service worker while offline
+    await addTrainingUpload({
+      id: crypto.randomUUID(),
+      fileName: item.name,
+      type: item.sampleType,
+      timestamp: Date.now(),
+      fileSize: item.size,
+      fileType: item.type,
+      durationMs: item.probe?.durationMs ?? null,
+      tags: item.tags,
+      queued,
+    }).catch(error => console.error('Failed to record upload locally:', error));
+    items = items.filter(i => i.id !== item.id);
+    files.delete(item.id);
+    emit();
+    await deleteUploadQueueItem(item.id).catch(error => console.error('Failed to clear upload queue:', error));
+    onUploaded?.(item, result);
+  }
+
+  async function run(item) {
+    const controller = new AbortController();
+    active = { id: item.id, controller };
+    update(item.id, { status: UPLOAD_STATES.uploading, error: null });
+    try {
+      const file = await getFile(item.id);
+      if (!file) throw new UploadError('The file is no longer stored on this device; add it again.', 410);
+      const current = find(item.id);
+      const result = current.chunked === false || current.size <= opts.chunkSize
+        ? await uploadWhole(current, file, controller.signal)
+        : await uploadChunked(current, file, controller.signal);
+      await finish(find(item.id) || current, result);
+    } catch (error) {
+      if (controller.signal.aborted) return; // paused or removed; they set the status
+      console.error(`Upload of '${item.name}' failed:`, error);
+      // Offline: stay queued and continue when the connection returns
+      update(item.id, isOffline()
+        ? { status: UPLOAD_STATES.queued, error: 'Waiting for a connection.' }
+        : { status: UPLOAD_STATES.failed, error: error.message });
+    }
+  }
+
+  function pump() {
+    if (active || stopped || isOffline()) return;
+    const next = items.find(item => item.status === UPLOAD_STATES.queued);
+    if (!next) return;
+    run(next).finally(() => {
+      active = null;
+      pump();
+    });
+  }
+
+  const handleOnline = () => pump();
+
+  return {
+    get items() {
+      return items;
+    },
+    // Loads the saved queue; uploads that were running when the page closed carry on
+    async start() {
+      stopped = false;
+      window.addEventListener('online', handleOnline);
+      const stored = await getUploadQueue();
+      const loaded = stored.map(item => (item.status === UPLOAD_STATES.uploading ? { ...item, status: UPLOAD_STATES.queued } : item));
+      const loadedIds = new Set(loaded.map(item => item.id));
+      items = [...loaded, ...items.filter(item => !loadedIds.has(item.id))];
+      emit();
+      pump();
+    },
+    stop() {
+      stopped = true;
+      window.removeEventListener('online', handleOnline);
+      active?.controller.abort();
+    },
+    // entries: [{file, tags, sampleType?, fields?, probe?}]. fields are extra values sent with the
+    // file; probe ({durationMs, sampleRate, channels}) is read from the file when not given.
+    async add(entries) {
+      const added = entries.map(({ file, tags, sampleType = SAMPLE_TYPES.recitation, fields = {}, probe = null }) => ({
+        id: crypto.randomUUID(),
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        createdAt: Date.now(),
+        sampleType,
+        fields,
+        probe, // see lib/audioProbe.js
+        tags: { ...DEFAULT_UPLOAD_TAGS, ...tags },
+        status: UPLOAD_STATES.idle,
+        chunked: null, // false once the backend turned out not to support chunked uploads
+        uploadId: null,
+        chunkSize: null,
+        receivedBytes: 0,
+        error: null,
+      }));
+      added.forEach((item, i) => files.set(item.id, entries[i].file));
+      items = [...items, ...added];
+      emit();
+      await Promise.all(added.map(async (item) => {
+        await saveAudio({ blob: files.get(item.id), ownerType: 'upload', ownerId: item.id })
+          .catch(error => console.error('Failed to keep upload file locally:', error));
+        update(item.id, { probe: item.probe ?? await probeAudioFile(files.get(item.id)) });
+      }));
+    },
+    // The stored file of a queued item, e.g. to edit it
+    file: getFile,
+    setTags(id, tags) {
+      const item = find(id);
+      if (item) update(id, { tags: { ...item.tags, ...tags } });
+    },
+    // Queues items that pass validation; returns how many were queued
+    upload(ids) {
+      let queued = 0;
+      ids.forEach((id) => {
+        const item = find(id);
+        if (!item || item.status === UPLOAD_STATES.queued || item.status === UPLOAD_STATES.uploading) return;
+        const { problems } = validateUpload(item);
+        if (problems.length > 0) return;
+        update(id, { status: UPLOAD_STATES.queued, error: isOffline() ? 'Waiting for a connection.' : null });
+        queued += 1;
+      });
+      pump();
+      return queued;
+    },
+    pause(id) {
+      const item = find(id);
+      if (!item || (item.status !== UPLOAD_STATES.queued && item.status !== UPLOAD_STATES.uploading)) return;
+      if (active?.id === id) active.controller.abort();
+      update(id, { status: UPLOAD_STATES.paused, error: null });
+    },
+    // Cancels (telling the backend to drop what it has) and removes the file from the queue
+    async remove(id) {
+      const item = find(id);
+      if (!item) return;
+      if (active?.id === id) active.controller.abort();
+      items = items.filter(i => i.id !== id);
+      files.delete(id);
+      emit();
+      if (item.uploadId) {
+        fetch(`${sessionsUrl}${item.uploadId}`, { method: 'DELETE' }).catch(() => {});
+      }
+      await deleteUploadQueueItem(id).catch(error => console.error('Failed to clear upload queue:', error));
+    },
+  };
+}
@@ -0,0 +1,169 @@
+// Voice activity detection on 16 kHz PCM. Each 20 ms sub-frame is classified from its energy
+// relative to an adaptive noise floor plus two spectral features (flatness and the share of
+// energy in the speech band), and a small state machine adds an onset delay and a hangover so
+// short dips inside a word don't split the segment.
+
+const SAMPLE_RATE = 16000;
+const SUBFRAME_SAMPLES = 320; // 20 ms
+const SUBFRAME_MS = (SUBFRAME_SAMPLES / SAMPLE_RATE) * 1000;
+const FFT_SIZE = 512;
+const SPEECH_BAND_HZ = [300, 3400];
+const MIN_LEVEL_DB = -60; // quieter than this is never speech, whatever the noise floor
+const FLOOR_FALL = 0.3; // the floor follows quieter input quickly...
+const FLOOR_RISE = 0.02; // ...and louder non-speech input slowly
+
+// Energy margin above the noise floor that counts as speech. 'calibrated' uses the margin measured
+// by calibrateInput() in microphone.js, passed as the 'calibration' option.
+export const VAD_SENSITIVITY = {
+  low: { marginDb: 13 },
+  medium: { marginDb: 9 },
+  high: { marginDb: 6 },
+};
+
+const DEFAULTS = {
+  sensitivity: 'medium',
+  calibration: null, // {noiseFloorDb, marginDb}
+  onsetMs: 60, // speech must last this long before a segment starts
+  hangoverMs: 300, // and be absent this long before it ends
+  maxFlatness: 0.45, // white-ish noise is spectrally flat; voiced speech is not
+  minBandRatio: 0.6,
+};
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k += 1) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+const HANN = Float32Array.from({ length: SUBFRAME_SAMPLES }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (SUBFRAME_SAMPLES - 1)));
+const BAND_BINS = SPEECH_BAND_HZ.map(hz => Math.round((hz * FFT_SIZE) / SAMPLE_RATE));
+
+// Features of one sub-frame of float samples in [-1, 1]
+export function analyzeSubframe(samples) {
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i += 1) sumSquares += samples[i] * samples[i];
+  const levelDb = 20 * Math.log10(Math.sqrt(sumSquares / samples.length) + 1e-9);
+
+  const re = new Float32Array(FFT_SIZE);
+  const im = new Float32Array(FFT_SIZE);
+  for (let i = 0; i < samples.length; i += 1) re[i] = samples[i] * HANN[i];
+  fft(re, im);
+
+  let total = 0;
+  let band = 0;
+  let logSum = 0;
+  const [lo, hi] = BAND_BINS;
+  for (let k = 1; k < FFT_SIZE / 2; k += 1) {
+    const power = re[k] * re[k] + im[k] * im[k] + 1e-12;
+    total += power;
+    if (k >= lo && k <= hi) {
+      band += power;
+      logSum += Math.log(power);
+    }
+  }
+  const bins = hi - lo + 1;
+  const flatness = Math.exp(logSum / bins) / (band / bins);
+  return { levelDb, flatness, bandRatio: band / total };
+}
+
+export function createVoiceActivityDetector(options = {}) {
+  let opts = { ...DEFAULTS, ...options };
+  let noiseFloorDb = null;
+  let inSpeech = false;
+  let speechRun = 0; // consecutive speech sub-frames
+  let silenceRun = 0; // consecutive non-speech sub-frames while in a segment
+  let onsetAt = 0;
+  let lastSpeechEndAt = null;
+
+  const onsetFrames = () => Math.max(1, Math.round(opts.onsetMs / SUBFRAME_MS));
+  const hangoverFrames = () => Math.max(1, Math.round(opts.hangoverMs / SUBFRAME_MS));
+
+  return {
+    setOptions(next) {
+      opts = { ...opts, ...next };
+    },
+    // samples: Float32Array at 16 kHz starting at timestampMs. Returns the chunk's peak level,
+    // the noise floor, whether speech was active at any point, and any segment boundaries crossed.
+    process(samples, timestampMs) {
+      const calibrated = opts.sensitivity === 'calibrated' && opts.calibration;
+      const { marginDb } = calibrated ? opts.calibration : VAD_SENSITIVITY[opts.sensitivity] || VAD_SENSITIVITY.medium;
+      const events = [];
+      let peakDb = -Infinity;
+      let active = inSpeech;
+
+      for (let offset = 0; offset + SUBFRAME_SAMPLES <= samples.length; offset += SUBFRAME_SAMPLES) {
+        const at = timestampMs + (offset / SAMPLE_RATE) * 1000;
+        const { levelDb, flatness, bandRatio } = analyzeSubframe(samples.subarray(offset, offset + SUBFRAME_SAMPLES));
+        peakDb = Math.max(peakDb, levelDb);
+        if (noiseFloorDb === null) noiseFloorDb = calibrated ? opts.calibration.noiseFloorDb : levelDb;
+
+        const isSpeech = levelDb > Math.max(noiseFloorDb + marginDb, MIN_LEVEL_DB)
+          && (flatness < opts.maxFlatness || bandRatio > opts.minBandRatio);
+
+        if (!isSpeech) {
+          noiseFloorDb += (levelDb - noiseFloorDb) * (levelDb < noiseFloorDb ? FLOOR_FALL : FLOOR_RISE);
+        }
+
+        if (isSpeech) {
+          speechRun += 1;
+          silenceRun = 0;
+          if (speechRun === 1) onsetAt = at;
+          if (!inSpeech && speechRun >= onsetFrames()) {
+            inSpeech = true;
+            events.push({
+              type: 'speech_start',
+              timestampMs: onsetAt,
+              pauseMs: lastSpeechEndAt === null ? null : Math.round(onsetAt - lastSpeechEndAt),
+            });
+          }
+        } else {
+          speechRun = 0;
+          if (inSpeech) {
+            silenceRun += 1;
+            if (silenceRun >= hangoverFrames()) {
+              inSpeech = false;
+              // The segment ended where the speech did, not where the hangover ran out
+              lastSpeechEndAt = at - (silenceRun - 1) * SUBFRAME_MS;
+              events.push({ type: 'speech_end', timestampMs: lastSpeechEndAt });
+            }
+          }
+        }
+        active = active || inSpeech;
+      }
+
+      return { levelDb: peakDb, noiseFloorDb, speech: active, inSpeech, events };
+    },
+    reset() {
+      noiseFloorDb = null;
+      inSpeech = false;
+      speechRun = 0;
+      silenceRun = 0;
+      lastSpeechEndAt = null;
+    },
+  };
+}
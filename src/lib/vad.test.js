@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeSubframe, createVoiceActivityDetector } from './vad.js';
+
+const RATE = 16000;
+const CHUNK_MS = 100; // what the capture delivers (see audioCapture.js)
+
+const tone = (length, amplitude, offset = 0) => Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * 440 * (offset + i)) / RATE));
+
+// Deterministic white noise
+function noise(length, amplitude) {
+  let seed = 1;
+  return Float32Array.from({ length }, () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return amplitude * ((seed / 2 ** 30) - 1);
+  });
+}
+
+// Feeds [durationMs, makeSamples] stretches through the detector in capture-sized chunks; returns the events
+function run(vad, parts) {
+  const events = [];
+  let atMs = 0;
+  parts.forEach(([ms, make]) => {
+    const samples = make((ms * RATE) / 1000, (atMs * RATE) / 1000);
+    for (let offset = 0; offset < samples.length; offset += (CHUNK_MS * RATE) / 1000) {
+      const chunk = samples.subarray(offset, offset + (CHUNK_MS * RATE) / 1000);
+      events.push(...vad.process(chunk, atMs + (offset / RATE) * 1000).events);
+    }
+    atMs += ms;
+  });
+  return events;
+}
+
+const at = amplitude => (length, offset) => tone(length, amplitude, offset);
+const quiet = at(0.0005); // below the -60 dB that is never speech
+const voice = at(0.3);
+
+describe('analyzeSubframe', () => {
+  it('tells a tone in the speech band from white noise', () => {
+    const voiced = analyzeSubframe(tone(320, 0.3));
+    const hiss = analyzeSubframe(noise(320, 0.3));
+    expect(voiced.levelDb).toBeCloseTo(20 * Math.log10(0.3 / Math.SQRT2), 0);
+    expect(voiced.bandRatio).toBeGreaterThan(0.9);
+    expect(voiced.flatness).toBeLessThan(0.45);
+    expect(hiss.bandRatio).toBeLessThan(0.6);
+    expect(hiss.flatness).toBeGreaterThan(0.45);
+  });
+});
+
+describe('createVoiceActivityDetector', () => {
+  it('reports where speech starts and ends, and the pause before it', () => {
+    const events = run(createVoiceActivityDetector(), [[1000, quiet], [1000, voice], [1000, quiet], [500, voice], [500, quiet]]);
+    expect(events).toEqual([
+      { type: 'speech_start', timestampMs: 1000, pauseMs: null },
+      { type: 'speech_end', timestampMs: 2000 },
+      { type: 'speech_start', timestampMs: 3000, pauseMs: 1000 },
+      { type: 'speech_end', timestampMs: 3500 },
+    ]);
+  });
+
+  it('rides over dips shorter than the hangover', () => {
+    const events = run(createVoiceActivityDetector(), [[1000, quiet], [500, voice], [200, quiet], [500, voice], [1000, quiet]]);
+    expect(events.map(event => event.type)).toEqual(['speech_start', 'speech_end']);
+  });
+
+  it('ignores loud noise with a flat spectrum and clicks shorter than the onset', () => {
+    const events = run(createVoiceActivityDetector(), [[1000, quiet], [1000, length => noise(length, 0.3)], [1000, quiet], [20, voice], [500, quiet]]);
+    expect(events).toEqual([]);
+  });
+
+  it('needs a wider margin over the noise floor the lower the sensitivity', () => {
+    // About 8 dB over the background
+    const parts = [[1000, at(0.01)], [500, at(0.025)], [500, at(0.01)]];
+    expect(run(createVoiceActivityDetector({ sensitivity: 'high' }), parts).map(event => event.type)).toEqual(['speech_start', 'speech_end']);
+    expect(run(createVoiceActivityDetector({ sensitivity: 'medium' }), parts)).toEqual([]);
+    expect(run(createVoiceActivityDetector({ sensitivity: 'low' }), parts)).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+// 16-bit mono PCM WAV encoding, for recordings kept locally.
+
+// chunks: Int16Array[] of mono samples, concatenated in order
+export function encodeWav(chunks, sampleRate) {
+  const dataBytes = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+  const writeString = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  return new Blob([header, ...chunks], { type: 'audio/wav' });
+}
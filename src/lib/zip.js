@@ -0,0 +1,133 @@
+// Minimal ZIP archives for backups: files are stored uncompressed (audio is already compressed or
+// small WAV clips, and JSON compresses well enough not to matter at these sizes), which keeps
+// both writing and reading a matter of headers and offsets. Archives over 4 GB (ZIP64) are not
+// supported.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const VERSION = 20; // 2.0: the lowest version that stores directories and plain files
+const MAX_COMMENT_BYTES = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// entries: [{name, data: Blob | string}], written in order. Reads one file at a time, so only the
+// largest file has to fit in memory at once.
+export async function createZip(entries, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const blob = typeof entry.data === 'string' ? new Blob([entry.data]) : entry.data;
+    const name = encoder.encode(entry.name);
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, UTF8_NAMES, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, blob.size, true);
+    local.setUint32(22, blob.size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local.buffer, name, blob);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_HEADER, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, VERSION, true);
+    header.setUint16(8, UTF8_NAMES, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, blob.size, true);
+    header.setUint32(24, blob.size, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true); // the remaining fields (extra, comment, disk, attributes) are 0
+    central.push(header.buffer, name);
+
+    offset += 30 + name.length + blob.size;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// Map of file name -> Blob. Only stored (uncompressed) entries can be read, which covers every
+// archive createZip() writes.
+export async function readZip(blob) {
+  const tailStart = Math.max(0, blob.size - 22 - MAX_COMMENT_BYTES);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let end = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i -= 1) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a ZIP archive.');
+  const count = tail.getUint16(end + 10, true);
+  const centralSize = tail.getUint32(end + 12, true);
+  const centralOffset = tail.getUint32(end + 16, true);
+  const directory = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  const files = new Map();
+  let position = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER) throw new Error('The archive is damaged.');
+    const method = directory.getUint16(position + 10, true);
+    const size = directory.getUint32(position + 20, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const localOffset = directory.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+    if (method !== 0) throw new Error(`'${name}' is compressed; only backups made by this app can be restored.`);
+
+    // The local header's own name and extra lengths give where the data starts
+    const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    if (local.getUint32(0, true) !== LOCAL_HEADER) throw new Error('The archive is damaged.');
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    files.set(name, blob.slice(dataStart, dataStart + size));
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { createZip, readZip } from './zip.js';
+
+const view = async blob => new DataView(await blob.arrayBuffer());
+
+describe('createZip', () => {
+  it('writes the CRC-32 and sizes of each stored file', async () => {
+    const zip = await view(await createZip([{ name: 'check.txt', data: '123456789' }]));
+    expect(zip.getUint32(0, true)).toBe(0x04034b50);
+    expect(zip.getUint16(8, true)).toBe(0); // stored
+    // The standard check value of CRC-32
+    expect(zip.getUint32(14, true)).toBe(0xcbf43926);
+    expect(zip.getUint32(18, true)).toBe(9);
+    expect(zip.getUint32(22, true)).toBe(9);
+  });
+
+  it('points the central directory at each local header', async () => {
+    const blob = await createZip([
+      { name: 'a.json', data: '{"a":1}' },
+      { name: 'audio/1', data: new Blob([new Uint8Array([1, 2, 3])]) },
+    ]);
+    const zip = await view(blob);
+    const secondLocal = 30 + 'a.json'.length + 7;
+    const central = secondLocal + 30 + 'audio/1'.length + 3;
+    expect(zip.getUint32(secondLocal, true)).toBe(0x04034b50);
+    expect(zip.getUint32(central, true)).toBe(0x02014b50);
+    expect(zip.getUint32(central + 42, true)).toBe(0);
+    const secondCentral = central + 46 + 'a.json'.length;
+    expect(zip.getUint32(secondCentral + 42, true)).toBe(secondLocal);
+
+    const end = blob.size - 22;
+    expect(zip.getUint32(end, true)).toBe(0x06054b50);
+    expect(zip.getUint16(end + 10, true)).toBe(2);
+    expect(zip.getUint32(end + 16, true)).toBe(central);
+    expect(zip.getUint32(end + 12, true)).toBe(end - central);
+  });
+});
+
+describe('readZip', () => {
+  it('reads back what createZip wrote, names in UTF-8 included', async () => {
+    const files = await readZip(await createZip([
+      { name: 'backup.json', data: '{"format":"qra-backup"}' },
+      { name: 'audio/الفاتحة', data: new Blob([new Uint8Array([0, 255, 7])]) },
+      { name: 'empty', data: '' },
+    ]));
+    expect([...files.keys()]).toEqual(['backup.json', 'audio/الفاتحة', 'empty']);
+    expect(await files.get('backup.json').text()).toBe('{"format":"qra-backup"}');
+    expect([...new Uint8Array(await files.get('audio/الفاتحة').arrayBuffer())]).toEqual([0, 255, 7]);
+    expect(files.get('empty').size).toBe(0);
+  });
+
+  it('refuses files that are not archives, and compressed entries', async () => {
+    await expect(readZip(new Blob(['not a zip']))).rejects.toThrow('Not a ZIP archive.');
+
+    const bytes = new Uint8Array(await (await createZip([{ name: 'a.txt', data: 'abc' }])).arrayBuffer());
+    const central = 30 + 'a.txt'.length + 3;
+    new DataView(bytes.buffer).setUint16(central + 10, 8, true); // deflate
+    await expect(readZip(new Blob([bytes]))).rejects.toThrow("'a.txt' is compressed");
+  });
+});
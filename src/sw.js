@@ -0,0 +1,209 @@
+// Service worker. Not imported by the app: build-plugins/serviceWorker.js builds it into dist/sw.js,
+// replacing the two placeholders below with the cache version and the list of emitted files.
+//
+// - Precaches the hashed Vite assets, the app shell and the public files; each build gets its own
+//   cache and the ones from older builds are deleted on activation.
+// - Navigations are network-first with the cached app shell as the offline fallback; static assets
+//   are cache-first; backend API GETs are network-first.
+// - POSTs to /upload-training-audio/ and /sync-mistakes/ that fail to reach the network are stored and
+//   replayed through Background Sync (or when a page asks, where Background Sync is unsupported). The
+//   page gets a 202 {status: 'queued'} response instead of an error. Chunked upload requests
+//   (/upload-training-audio/sessions/...) go straight to the network.
+// - A new version waits until the page sends SKIP_WAITING, so the user decides when to reload.
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__;
+
+const CACHE_PREFIX = 'qra-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const LEGACY_CACHES = ['quran-analyzer-v1'];
+// Filled by the page (lib/referenceAudio.js) and kept across versions
+const REFERENCE_CACHE = `${CACHE_PREFIX}reference-audio`;
+
+const API_PATHS = ['/health', '/upload-training-audio/', '/sync-mistakes/'];
+const REPLAY_PATHS = ['/upload-training-audio/', '/sync-mistakes/'];
+const SYNC_TAG = 'qra-replay';
+
+const QUEUE_DB = 'qra-sw';
+const QUEUE_STORE = 'requests';
+
+const isApiPath = (pathname) => API_PATHS.some(p => pathname.endsWith(p));
+// Chunked uploads (lib/uploadManager.js) resume on their own and must never be answered from a cache
+const isUploadSessionPath = (pathname) => pathname.includes('/upload-training-audio/sessions/');
+const isReplayPath = (pathname) => REPLAY_PATHS.some(p => pathname.endsWith(p));
+
+// --- Lifecycle ---
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([PRECACHE, RUNTIME, REFERENCE_CACHE]);
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => LEGACY_CACHES.includes(name) || (name.startsWith(CACHE_PREFIX) && !keep.has(name)))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+    await replayQueue().catch(() => {});
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'REPLAY') {
+    event.waitUntil(replayQueue().catch(() => {}));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  // Rejecting lets the browser retry the sync later
+  if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+// --- Fetch strategies ---
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (isUploadSessionPath(url.pathname)) return;
+  if (request.method === 'POST' && isReplayPath(url.pathname)) {
+    event.respondWith(networkOrQueue(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (isApiPath(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, new URL('index.html', self.registration.scope).href));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Only network failures are queued; an HTTP error from the server goes back to the page as-is
+async function networkOrQueue(request) {
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    await enqueueRequest(copy);
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    return new Response(JSON.stringify({ status: 'queued', detail: 'Offline; the request will be sent when the connection returns.' }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+// --- Replay queue (IndexedDB) ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+function openQueue() {
+  const request = indexedDB.open(QUEUE_DB, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+  };
+  return promisify(request);
+}
+
+async function withQueue(mode, fn) {
+  const db = await openQueue();
+  try {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const result = await fn(tx.objectStore(QUEUE_STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+async function enqueueRequest(request) {
+  // Read the body before opening the transaction, which would otherwise auto-commit while waiting
+  const entry = {
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers.entries()],
+    body: await request.arrayBuffer(),
+    queuedAt: Date.now(),
+  };
+  await withQueue('readwrite', store => promisify(store.add(entry)));
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+let replaying = null;
+
+// Sends queued requests oldest first. Stops at the first network failure or 5xx (to be retried
+// later); a 4xx will never succeed, so that request is dropped and the page is told.
+function replayQueue() {
+  if (!replaying) {
+    replaying = (async () => {
+      const entries = await withQueue('readonly', store => promisify(store.getAll()));
+      for (const entry of entries) {
+        const response = await fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body });
+        if (response.status >= 500) throw new Error(`Replay failed: ${response.status}`);
+        await withQueue('readwrite', store => promisify(store.delete(entry.id)));
+        const contentType = entry.headers.find(([name]) => name.toLowerCase() === 'content-type');
+        await notifyClients({
+          type: 'qra-replayed',
+          url: entry.url,
+          ok: response.ok,
+          status: response.status,
+          queuedAt: entry.queuedAt,
+          // JSON bodies (mistake sync) are passed back so the page can tell what was delivered
+          body: contentType && contentType[1].includes('application/json') ? new TextDecoder().decode(entry.body) : null,
+        });
+      }
+    })().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
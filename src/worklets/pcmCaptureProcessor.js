@@ -0,0 +1,59 @@
+// AudioWorklet processor for microphone capture (see lib/audioCapture.js). Downmixes to mono,
+// resamples to the target rate and posts fixed-size frames of 16-bit PCM to the main thread.
+// Loaded with audioWorklet.addModule(), so it has to stay self-contained: no imports.
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetRate = 16000, frameSamples = 1600 } = options.processorOptions || {};
+    // 'sampleRate' is the AudioContext rate, a global in the worklet scope
+    this.ratio = sampleRate / targetRate;
+    this.frameSamples = frameSamples;
+    this.frame = new Int16Array(frameSamples);
+    this.filled = 0;
+    // Box-filter decimation: average the input samples that fall into each output sample
+    this.sum = 0;
+    this.count = 0;
+    this.untilNext = this.ratio;
+    this.port.onmessage = (event) => {
+      if (event.data === 'flush') this.flush();
+    };
+  }
+
+  push(value) {
+    const clamped = Math.max(-1, Math.min(1, value));
+    this.frame[this.filled] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    this.filled += 1;
+    if (this.filled === this.frameSamples) this.flush();
+  }
+
+  flush() {
+    if (this.filled === 0) return;
+    const samples = this.filled === this.frameSamples ? this.frame : this.frame.slice(0, this.filled);
+    this.port.postMessage(samples.buffer, [samples.buffer]);
+    this.frame = new Int16Array(this.frameSamples);
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels || channels.length === 0) return true;
+    const length = channels[0].length;
+    for (let i = 0; i < length; i += 1) {
+      let mixed = 0;
+      for (let c = 0; c < channels.length; c += 1) mixed += channels[c][i];
+      this.sum += mixed / channels.length;
+      this.count += 1;
+      this.untilNext -= 1;
+      if (this.untilNext <= 0) {
+        this.push(this.sum / this.count);
+        this.sum = 0;
+        this.count = 0;
+        this.untilNext += this.ratio;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -1,11 +1,16 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './build-plugins/serviceWorker.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/',
   build: {
     outDir: 'dist',
-    assetsDir: 'assets'
+    assetsDir: 'assets',
+    // AudioWorklet modules are loaded by URL; keep them as files rather than inlined data: URLs
+    assetsInlineLimit: (file) => (file.includes('/worklets/') ? false : undefined),
+    // The lazily loaded Quran text (src/lib/quran.js) is a single ~800 kB chunk by design
+    chunkSizeWarningLimit: 1000
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,24 @@
+import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react'
+import { MOCK_HTTP_BASE, MOCK_WS_URL } from './e2e/mockBackend.js'
+
+// Unit tests sit next to the modules in src/lib/. End-to-end tests run the app in jsdom against the
+// mock backend in mock-server/ (see e2e/); both share its setup of the browser APIs jsdom lacks.
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.js', 'e2e/**/*.test.jsx'],
+    globalSetup: './e2e/globalSetup.js',
+    setupFiles: './e2e/setup.js',
+    env: {
+      VITE_BACKEND_WS_URL: MOCK_WS_URL,
+      VITE_BACKEND_HTTP_BASE: MOCK_HTTP_BASE,
+    },
+    // One mock backend serves every file, and the scenarios take seconds of real time
+    fileParallelism: false,
+    testTimeout: 30000,
+    // The app logs every server message; keep the output to warnings and errors
+    onConsoleLog: (log, type) => type === 'stderr',
+  }
+})